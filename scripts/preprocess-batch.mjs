@@ -0,0 +1,335 @@
+/**
+ * Headless batch runner for the preprocessing pipeline.
+ *
+ * Walks a folder of raster (JPG/PNG/GIF/BMP/TIFF) and SVG artwork and sends each file down the same
+ * branch PreprocessPanel.handleFileUpload picks in the browser:
+ *
+ *   raster         greyscale raster → preprocessRaster
+ *   raster_colors  color raster → listRasterColors, then preprocessRaster
+ *                  on the clusters picked with --colors
+ *   color_select   multi-color SVG → selectByColor (needs --colors); a
+ *                  single color that both fills and strokes is selected
+ *                  without asking
+ *   passthrough    single-fill SVG, used as-is
+ *   strokes        stroke-only SVG → strokesToBlackSvg
+ *
+ * then through applyManufacturability. Writes `<name>.black.svg` plus a
+ * `<name>.report.json` (branch taken, islands kept, droppedThin /
+ * droppedSmall, narrowGaps / smallHoles / erodedAway, bridges, path nodes before/after
+ * simplification, production measures and estimate at the default quoting
+ * rates, warnings, settings) per input into the output folder.
+ *
+ * The preprocess modules only need a DOMParser and XMLSerializer from their
+ * environment; xmldom provides them, as it does in the worker (worker.js).
+ *
+ * Usage:
+ *   npm run preprocess -- <input-dir> [--out <dir>] [--nozzle 0.6]
+ *     [--min-island <mm²>] [--min-feature <mm>] [--max-logo-dim 100]
+ *     [--min-gap <mm>] [--min-hole <mm²>] [--negative-space erode]
+ *     [--bridge-width 1] [--bridges 2] [--simplify 0.05] [--fit-curves]
+ *     [--colors '#E8D3A2,#000000'] [--binarize otsu] [--invert auto]
+ *     [--dilation disc]
+ *
+ * --min-gap / --min-hole are the floors on spaces between islands and on
+ * hole sizes (off by default); --negative-space flag reports violations
+ * instead of eroding the neighbors to fix them.
+ * --bridge-width ties islands floating inside holes to the surrounding
+ * material with --bridges bridges each (off by default).
+ * --simplify is the max outline deviation (mm) of the output
+ * simplification; --fit-curves refits Béziers as well.
+ * --binarize picks the raster threshold mode (fixed|otsu|sauvola|bradley);
+ * --invert forces light-on-dark handling on or off instead of detecting it.
+ * --dilation picks the raster thickening's shape (square, as raster.py, or
+ * disc).
+ */
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs'
+import { basename, extname, join, resolve } from 'node:path'
+import { parseArgs } from 'node:util'
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom'
+
+globalThis.DOMParser = DOMParser
+globalThis.XMLSerializer = XMLSerializer
+
+const {
+  preprocessRaster,
+  listRasterColors,
+  listColors,
+  selectByColor,
+  strokesToBlackSvg,
+  applyManufacturability,
+  estimateProduction,
+} = await import('../src/preprocess/index.js')
+const { parseSvgToPolygons } = await import('../src/preprocess/svgParse.js')
+const { BINARIZE_MODES } = await import('../src/preprocess/binarize.js')
+const { DILATION_SHAPES } = await import('../src/preprocess/dilate.js')
+const { NEGATIVE_SPACE_MODES } = await import('../src/preprocess/manufacturability.js')
+
+// WebP isn't listed: only the browser can decode it.
+const RASTER_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tif', '.tiff'])
+const SVG_EXTENSIONS = new Set(['.svg'])
+
+// Same nozzle-derived defaults PreprocessPanel seeds its sliders with.
+const DEFAULT_NOZZLE = 0.6
+const minIslandFromNozzle = (d) =>
+  Math.ceil(Math.PI * (d / 2) * (d / 2) * 10) / 10
+const minFeatureFromNozzle = (d) => d
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string', short: 'o' },
+    nozzle: { type: 'string' },
+    'min-island': { type: 'string' },
+    'min-feature': { type: 'string' },
+    'max-logo-dim': { type: 'string' },
+    'min-gap': { type: 'string' },
+    'min-hole': { type: 'string' },
+    'negative-space': { type: 'string' },
+    'bridge-width': { type: 'string' },
+    bridges: { type: 'string' },
+    simplify: { type: 'string' },
+    'fit-curves': { type: 'boolean' },
+    colors: { type: 'string' },
+    binarize: { type: 'string' },
+    invert: { type: 'string' },
+    dilation: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+  },
+})
+
+if (values.help || positionals.length !== 1) {
+  console.log(
+    'usage: npm run preprocess -- <input-dir> [--out <dir>] [--nozzle <mm>]\n' +
+      '         [--min-island <mm²>] [--min-feature <mm>] [--max-logo-dim <mm>]\n' +
+      `         [--min-gap <mm>] [--min-hole <mm²>] [--negative-space ${NEGATIVE_SPACE_MODES.join('|')}]\n` +
+      '         [--bridge-width <mm>] [--bridges <n>] [--simplify <mm>] [--fit-curves]\n' +
+      "         [--colors '#RRGGBB,url(#gradientId),...']\n" +
+      `         [--binarize ${BINARIZE_MODES.join('|')}] [--invert auto|on|off]\n` +
+      `         [--dilation ${DILATION_SHAPES.join('|')}]`
+  )
+  process.exit(values.help ? 0 : 1)
+}
+
+function numberFlag(name, fallback) {
+  const raw = values[name]
+  if (raw == null) return fallback
+  const n = Number(raw)
+  if (!Number.isFinite(n) || n < 0) {
+    console.error(`--${name} must be a non-negative number (got "${raw}")`)
+    process.exit(1)
+  }
+  return n
+}
+
+const nozzleDiameterMm = numberFlag('nozzle', DEFAULT_NOZZLE)
+const settings = {
+  nozzleDiameterMm,
+  minIslandAreaMm2: numberFlag('min-island', minIslandFromNozzle(nozzleDiameterMm)),
+  minFeatureWidthMm: numberFlag('min-feature', minFeatureFromNozzle(nozzleDiameterMm)),
+  maxLogoDimMm: numberFlag('max-logo-dim', 100),
+  minGapMm: numberFlag('min-gap', 0),
+  minHoleAreaMm2: numberFlag('min-hole', 0),
+  negativeSpace: values['negative-space'] ?? 'erode',
+  bridgeWidthMm: numberFlag('bridge-width', 0),
+  bridgeCount: numberFlag('bridges', 2),
+  simplifyToleranceMm: numberFlag('simplify', 0),
+  fitCurves: Boolean(values['fit-curves']),
+}
+if (!NEGATIVE_SPACE_MODES.includes(settings.negativeSpace)) {
+  console.error(
+    `--negative-space must be one of ${NEGATIVE_SPACE_MODES.join(', ')} (got "${settings.negativeSpace}")`
+  )
+  process.exit(1)
+}
+const INVERT_FLAGS = { auto: 'auto', on: true, off: false }
+if (values.binarize != null && !BINARIZE_MODES.includes(values.binarize)) {
+  console.error(`--binarize must be one of ${BINARIZE_MODES.join(', ')} (got "${values.binarize}")`)
+  process.exit(1)
+}
+if (values.invert != null && !(values.invert in INVERT_FLAGS)) {
+  console.error(`--invert must be auto, on or off (got "${values.invert}")`)
+  process.exit(1)
+}
+if (values.dilation != null && !DILATION_SHAPES.includes(values.dilation)) {
+  console.error(`--dilation must be one of ${DILATION_SHAPES.join(', ')} (got "${values.dilation}")`)
+  process.exit(1)
+}
+const rasterSettings = {
+  binarize: values.binarize ?? 'fixed',
+  invert: INVERT_FLAGS[values.invert ?? 'auto'],
+  dilationShape: values.dilation ?? 'square',
+}
+// Commas inside rgb(…) / hsl(…) belong to the color, not the list.
+function splitColorList(raw) {
+  const specs = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] === '(') depth++
+    else if (raw[i] === ')') depth = Math.max(0, depth - 1)
+    else if (raw[i] === ',' && depth === 0) {
+      specs.push(raw.slice(start, i))
+      start = i + 1
+    }
+  }
+  specs.push(raw.slice(start))
+  return specs.map((c) => c.trim()).filter(Boolean)
+}
+
+const pickedColors = values.colors ? splitColorList(values.colors) : []
+
+const inputDir = resolve(positionals[0])
+const outDir = resolve(values.out || join(inputDir, 'preprocessed'))
+if (!existsSync(inputDir) || !statSync(inputDir).isDirectory()) {
+  console.error(`input dir not found: ${inputDir}`)
+  process.exit(1)
+}
+mkdirSync(outDir, { recursive: true })
+
+/**
+ * Produce the pre-manufacturability black SVG for one file, mirroring the
+ * browser's branch selection. Returns `{ branch, svg, colors, raster? }`
+ * (`raster` is preprocessRaster's stats); `svg` is
+ * null when the file can't be converted headlessly (multi-color SVG or
+ * color raster with no matching --colors, or an SVG with neither fills nor strokes — the browser
+ * rasterizes those via canvas, which Node doesn't have).
+ */
+async function toIntermediate(path) {
+  const ext = extname(path).toLowerCase()
+  if (RASTER_EXTENSIONS.has(ext)) {
+    const bytes = new Uint8Array(readFileSync(path))
+    const colors = await listRasterColors(bytes)
+    if (colors.length > 1 && colors.some((c) => !c.neutral)) {
+      const palette = colors.map((c) => c.id)
+      const picked = palette.filter((id) =>
+        pickedColors.some((spec) => spec.toUpperCase() === id)
+      )
+      if (picked.length === 0) {
+        return { branch: 'raster_colors', svg: null, colors }
+      }
+      const { svg, stats } = await preprocessRaster(bytes, {
+        maxLogoDimMm: settings.maxLogoDimMm,
+        colors: picked,
+        palette,
+        ...rasterSettings,
+      })
+      return { branch: 'raster_colors', svg, colors, raster: stats }
+    }
+    const { svg, stats } = await preprocessRaster(bytes, {
+      maxLogoDimMm: settings.maxLogoDimMm,
+      ...rasterSettings,
+    })
+    return { branch: 'raster', svg, colors: [], raster: stats }
+  }
+
+  const text = readFileSync(path, 'utf8')
+  const colors = listColors(text)
+  if (colors.length > 1) {
+    if (pickedColors.length === 0) {
+      return { branch: 'color_select', svg: null, colors }
+    }
+    const { svg, warnings } = selectByColor(text, { colors: pickedColors })
+    return { branch: 'color_select', svg, colors, warnings }
+  }
+  const [only] = colors
+  if (only && only.nPaths > 0 && only.nStrokes > 0) {
+    const { svg, warnings } = selectByColor(text, { colors: [only.id] })
+    return { branch: 'color_select', svg, colors, warnings }
+  }
+  if (!only || only.nPaths === 0) {
+    const strokeSvg = strokesToBlackSvg(text)
+    return { branch: 'strokes', svg: strokeSvg, colors }
+  }
+  return { branch: 'passthrough', svg: text, colors }
+}
+
+const inputs = readdirSync(inputDir)
+  .filter((name) => {
+    const ext = extname(name).toLowerCase()
+    return RASTER_EXTENSIONS.has(ext) || SVG_EXTENSIONS.has(ext)
+  })
+  .filter((name) => !name.endsWith('.black.svg'))
+  .sort()
+
+if (inputs.length === 0) {
+  console.error(`no raster or SVG files in ${inputDir}`)
+  process.exit(1)
+}
+
+let failures = 0
+for (const name of inputs) {
+  const stem = basename(name, extname(name))
+  const report = { input: name, settings }
+  process.stdout.write(`${name} … `)
+  try {
+    const {
+      branch,
+      svg,
+      colors,
+      raster,
+      warnings = [],
+    } = await toIntermediate(join(inputDir, name))
+    report.branch = branch
+    if (raster) {
+      report.raster = raster
+    }
+    if (colors.length > 0) {
+      report.colors = colors.map((c) => c.id)
+    }
+    if (branch === 'color_select') {
+      report.selectedColors = colors.length > 1 ? pickedColors : [colors[0].id]
+    }
+    if (branch === 'raster_colors' && raster) {
+      report.selectedColors = raster.colors
+    }
+
+    if (svg == null) {
+      report.error = {
+        color_select: 'multi-color SVG — rerun with --colors to pick the cut',
+        raster_colors: 'color raster — rerun with --colors to pick clusters from `colors`',
+      }[branch] ?? 'no fills or strokes — needs the browser rasterize fallback'
+      failures += 1
+    } else {
+      const result = applyManufacturability(svg, settings)
+      const outPath = join(outDir, `${stem}.black.svg`)
+      writeFileSync(outPath, result.svg)
+      report.output = basename(outPath)
+      report.islandsKept = parseSvgToPolygons(result.svg).polygons.length
+      report.droppedThin = result.droppedThin
+      report.droppedSmall = result.droppedSmall
+      report.narrowGaps = result.narrowGaps
+      report.smallHoles = result.smallHoles
+      report.erodedAway = result.erodedAway
+      report.bridges = result.bridges
+      report.nodes = result.nodes
+      const { islandOutlinesMm, ...measures } = result.measures
+      report.measures = measures
+      report.estimate = estimateProduction(
+        result.measures,
+        settings.nozzleDiameterMm > 0 ? { lineWidthMm: settings.nozzleDiameterMm } : {}
+      )
+      report.warnings = [...warnings, ...result.warnings]
+    }
+  } catch (err) {
+    report.error = err.message || String(err)
+    failures += 1
+  }
+  writeFileSync(
+    join(outDir, `${stem}.report.json`),
+    JSON.stringify(report, null, 2) + '\n'
+  )
+  const summary = report.error
+    ? `FAILED (${report.error})`
+    : `${report.islandsKept} island(s)` +
+      (report.droppedThin ? `, ${report.droppedThin} thin dropped` : '') +
+      (report.droppedSmall ? `, ${report.droppedSmall} small dropped` : '') +
+      (report.narrowGaps ? `, ${report.narrowGaps} narrow gap(s)` : '') +
+      (report.smallHoles ? `, ${report.smallHoles} small hole(s)` : '') +
+      (report.erodedAway ? `, ${report.erodedAway} eroded away` : '') +
+      (report.bridges ? `, ${report.bridges} bridge(s) added` : '')
+  console.log(`[${report.branch ?? '?'}] ${summary}`)
+}
+
+console.log(`processed ${inputs.length - failures}/${inputs.length} file(s)`)
+console.log(`  -> ${outDir}`)
+process.exit(failures > 0 ? 1 : 0)
@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { Canvas } from '@react-three/fiber'
 import { EffectComposer, Bloom } from '@react-three/postprocessing'
 import InfinityMirrorScene from './components/InfinityMirrorScene'
@@ -7,6 +7,7 @@ import CustomArtModal from './components/CustomArtModal'
 import ExportModal from './components/ExportModal'
 import InfoPopover from './components/InfoPopover'
 import './components/ControlsLayout.css'
+import { iconScaleFor, iconSizeMm } from './utils/iconSize'
 import {
   serializeConfiguration,
   captureCanvasSnapshot,
@@ -14,6 +15,7 @@ import {
   downloadZipFile,
   sendToManufacturer
 } from './utils/exportUtils'
+import { runPreprocessTask } from './preprocess/workerClient'
 
 /**
  * Main App Component
@@ -113,6 +115,14 @@ function App() {
   )
   const [customSvgPath, setCustomSvgPath] = useState(null)
   const [customArtFileName, setCustomArtFileName] = useState(null)
+  // Quote figures for the custom art (cut length, LEDs, job time), written
+  // into configuration.json on export.
+  const [productionEstimate, setProductionEstimate] = useState(null)
+  // Kerf-compensated cut / engrave SVG for the laser, from the Custom Art
+  // modal; exported alongside the custom SVG.
+  const [customLaserSvg, setCustomLaserSvg] = useState(null)
+  // Neon-flex centerline (open paths), when the modal's neon mode is on.
+  const [customNeonSvg, setCustomNeonSvg] = useState(null)
 
   // Mobile drawer state. Above the CSS breakpoint (900px) the panel is
   // pinned and this flag is ignored. Below it, .controls-aside.open
@@ -200,6 +210,13 @@ function App() {
   const [iconPositionY, setIconPositionY] = useState(_initial('iconPositionY'))
   const [edgeThickness, setEdgeThickness] = useState(_initial('edgeThickness'))
 
+  // Real size of the icon in the mirror, so the Custom Art flow can size
+  // its manufacturability thresholds against what actually gets printed.
+  const iconSize = useMemo(
+    () => iconSizeMm({ frameWidthMm: frameWidth, frameHeightMm: frameHeight, iconScale }),
+    [frameWidth, frameHeight, iconScale]
+  )
+
   // Reflection depth
   const [reflectionDepth, setReflectionDepth] = useState(_initial('reflectionDepth'))
 
@@ -331,6 +348,22 @@ function App() {
     setIsExportModalOpen(true)
   }
 
+  // The custom art's cut as a mm DXF for the export ZIP, built in the
+  // preprocess worker at the icon's printed size, in cut order. Optional like the
+  // snapshot: a failure leaves it out rather than failing the export.
+  const buildCustomDxf = async () => {
+    if (shapeType !== 'custom' || !customSvgPath) return null
+    try {
+      return await runPreprocessTask('svgToDxf', [
+        customSvgPath,
+        { artSizeMm: iconSize.longestSideMm, sequence: true },
+      ])
+    } catch (error) {
+      console.error('Error building DXF:', error)
+      return null
+    }
+  }
+
   const handleExportDownload = async (customerInfo) => {
     setIsExporting(true)
     try {
@@ -352,6 +385,7 @@ function App() {
         autoOrbit,
         enableBloom,
         lightIntensity,
+        production: productionEstimate,
       })
 
       // Capture canvas snapshot
@@ -359,7 +393,11 @@ function App() {
       const snapshot = await captureCanvasSnapshot(canvas)
 
       // Create ZIP file
-      const zipBlob = await createExportZip(config, snapshot, customerInfo, customSvgPath)
+      const zipBlob = await createExportZip(config, snapshot, customerInfo, customSvgPath, {
+        dxf: await buildCustomDxf(),
+        laserSvg: customLaserSvg,
+        neonSvg: customNeonSvg,
+      })
 
       // Download the file
       const filename = `infinity-mirror-${customerInfo.name?.replace(/\s+/g, '-') || 'config'}-${Date.now()}.zip`
@@ -397,6 +435,7 @@ function App() {
         autoOrbit,
         enableBloom,
         lightIntensity,
+        production: productionEstimate,
       })
 
       // Capture canvas snapshot
@@ -404,7 +443,11 @@ function App() {
       const snapshot = await captureCanvasSnapshot(canvas)
 
       // Create ZIP file
-      const zipBlob = await createExportZip(config, snapshot, customerInfo, customSvgPath)
+      const zipBlob = await createExportZip(config, snapshot, customerInfo, customSvgPath, {
+        dxf: await buildCustomDxf(),
+        laserSvg: customLaserSvg,
+        neonSvg: customNeonSvg,
+      })
 
       // Manufacturer endpoint comes from build-time env (VITE_MANUFACTURER_ENDPOINT).
       // When not set, the Send-to-Manufacturer button is hidden in ExportModal —
@@ -586,6 +629,12 @@ function App() {
         onClose={handleCloseCustomArt}
         onPreprocessed={handlePreprocessed}
         onFileNameChange={setCustomArtFileName}
+        onProductionEstimate={setProductionEstimate}
+        onLaserOutput={setCustomLaserSvg}
+        onNeonOutput={setCustomNeonSvg}
+        onUseDocumentSize={(longestSideMm) => setIconScale(iconScaleFor(longestSideMm))}
+        iconSize={iconSize}
+        units={units}
       />
 
       {/* Export Modal */}
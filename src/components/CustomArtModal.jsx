@@ -22,6 +22,12 @@ export default function CustomArtModal({
   onPreprocessed,
   onFileNameChange,
   onError,
+  onProductionEstimate,
+  onLaserOutput,
+  onNeonOutput,
+  onUseDocumentSize,
+  iconSize,
+  units,
 }) {
   const [hasOpenedOnce, setHasOpenedOnce] = useState(false)
   useEffect(() => {
@@ -55,6 +61,12 @@ export default function CustomArtModal({
             onPreprocessed={onPreprocessed}
             onFileNameChange={onFileNameChange}
             onError={onError}
+            onProductionEstimate={onProductionEstimate}
+            onLaserOutput={onLaserOutput}
+            onNeonOutput={onNeonOutput}
+            onUseDocumentSize={onUseDocumentSize}
+            iconSize={iconSize}
+            units={units}
           />
         </div>
         <div className="modal-footer">
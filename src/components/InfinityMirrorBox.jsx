@@ -1,6 +1,7 @@
 import { useMemo } from 'react'
 import * as THREE from 'three'
 import ReflectionLayers from './ReflectionLayers'
+import { ICON_SCENE_SCALE } from '../utils/iconSize'
 
 /**
  * InfinityMirrorBox - The main 3D mirror box geometry
@@ -100,7 +101,7 @@ export default function InfinityMirrorBox({
         shapeType={shapeType}
         customSvgPath={customSvgPath}
         color={lightColor}
-        scale={iconScale * 1.5}
+        scale={iconScale * ICON_SCENE_SCALE}
         rotation={iconRotation}
         position={[
           iconPosition[0] * 5,
@@ -0,0 +1,220 @@
+import { useEffect, useState } from 'react'
+
+import { runPreprocessTask } from '../preprocess/workerClient'
+import { isAbortError } from '../preprocess/progress'
+import { DEFAULT_KERF_MM, LASER_COLORS, LASER_OPERATIONS } from '../preprocess/outputDefaults'
+import { RECOMPUTE_DEBOUNCE_MS, SIMPLIFY_TOLERANCE_MM, polygonsPath, styles } from './preprocessUi'
+
+/**
+ * Laser output (laser.js) for the last manufacturability result:
+ * kerf-compensated cuts and engraved islands, re-run in the worker as the
+ * settings change. Per-island overrides are indexed like the result's
+ * islands and reset whenever the art changes, as the islands themselves
+ * may have. The SVG goes to `onLaserOutput` (null without a result).
+ */
+export function useLaserOutput({ processedSvg, maxLogoDimMm, artSizeMm, onLaserOutput, onError }) {
+  const [open, setOpen] = useState(false)
+  const [kerfMm, setKerfMm] = useState(DEFAULT_KERF_MM)
+  const [defaultOperation, setDefaultOperation] = useState('cut')
+  const [operations, setOperations] = useState([])
+  // Inside-first, travel-minimizing cut order (sequence.js).
+  const [optimizeCutOrder, setOptimizeCutOrder] = useState(true)
+  const [laser, setLaser] = useState(null)
+
+  useEffect(() => {
+    setOperations([])
+  }, [processedSvg])
+
+  useEffect(() => {
+    if (!processedSvg) {
+      setLaser(null)
+      onLaserOutput?.(null)
+      return
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const result = await runPreprocessTask(
+          'applyLaserOutput',
+          [
+            processedSvg,
+            {
+              kerfMm,
+              defaultOperation,
+              operations,
+              sequence: optimizeCutOrder,
+              simplifyToleranceMm: SIMPLIFY_TOLERANCE_MM,
+              maxLogoDimMm,
+              artSizeMm,
+            },
+          ],
+          { signal: controller.signal }
+        )
+        setLaser(result)
+        onLaserOutput?.(result.svg)
+      } catch (err) {
+        if (isAbortError(err)) return
+        onError(err.message)
+      }
+    }, RECOMPUTE_DEBOUNCE_MS)
+    return () => {
+      controller.abort()
+      clearTimeout(timer)
+    }
+  }, [processedSvg, kerfMm, defaultOperation, operations, optimizeCutOrder, artSizeMm])
+
+  const toggleOperation = (i) => {
+    const current = laser.islands[i].operation
+    setOperations((ops) => {
+      const next = [...ops]
+      next[i] = current === 'cut' ? 'engrave' : 'cut'
+      return next
+    })
+  }
+
+  // A new default applies to every island, overrides included.
+  const chooseDefaultOperation = (op) => {
+    setDefaultOperation(op)
+    setOperations([])
+  }
+
+  const reset = () => {
+    setOpen(false)
+    setKerfMm(DEFAULT_KERF_MM)
+    setDefaultOperation('cut')
+    setOptimizeCutOrder(true)
+  }
+
+  return {
+    laser,
+    open,
+    setOpen,
+    kerfMm,
+    setKerfMm,
+    defaultOperation,
+    chooseDefaultOperation,
+    optimizeCutOrder,
+    setOptimizeCutOrder,
+    toggleOperation,
+    reset,
+  }
+}
+
+/**
+ * LaserOutput — the collapsible laser preview, where clicking an island
+ * switches it between cut and engrave, with the kerf and cut-order
+ * settings. `output` is useLaserOutput's return value.
+ */
+export default function LaserOutput({ output }) {
+  const { laser, open, setOpen } = output
+  if (!laser) return null
+  return (
+    <>
+      <button type="button" onClick={() => setOpen((v) => !v)} style={styles.advancedToggle}>
+        {open ? '▾' : '▸'} Laser output
+      </button>
+      {open && (
+        <div style={styles.control}>
+          <svg
+            viewBox={`${laser.viewBox.x} ${laser.viewBox.y} ${laser.viewBox.w} ${laser.viewBox.h}`}
+            preserveAspectRatio="xMidYMid meet"
+            style={styles.outputPreview}
+          >
+            {laser.islands.map((island, i) => (
+              <g key={i} onClick={() => output.toggleOperation(i)} style={styles.laserIsland}>
+                <path
+                  d={polygonsPath([island.outline])}
+                  fillRule="evenodd"
+                  fill={island.operation === 'engrave' ? LASER_COLORS.engrave : 'transparent'}
+                />
+                {island.operation === 'cut' && (
+                  <path
+                    d={polygonsPath(island.paths)}
+                    fill="none"
+                    stroke={LASER_COLORS.cut}
+                    strokeWidth={1}
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+                <title>
+                  Island {i + 1}: {island.operation} — click to switch
+                </title>
+              </g>
+            ))}
+          </svg>
+          <div style={styles.subnote}>
+            {laser.cut} cut (red), {laser.engrave} engraved (blue). Click
+            an island to switch it.
+          </div>
+          {laser.warnings.length > 0 && (
+            <div style={styles.warning}>{laser.warnings.join(' ')}</div>
+          )}
+
+          <label style={styles.label}>Default for islands</label>
+          <div style={styles.nozzleRow}>
+            {LASER_OPERATIONS.map((op) => {
+              const active = output.defaultOperation === op
+              return (
+                <button
+                  key={op}
+                  type="button"
+                  onClick={() => output.chooseDefaultOperation(op)}
+                  style={{
+                    ...styles.nozzleChip,
+                    ...(active ? styles.nozzleChipActive : null),
+                  }}
+                >
+                  {op}
+                </button>
+              )
+            })}
+          </div>
+
+          <label style={styles.label}>
+            Kerf: {output.kerfMm === 0 ? 'off' : `${output.kerfMm.toFixed(2)} mm`}
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.01"
+            value={output.kerfMm}
+            onChange={(e) => output.setKerfMm(Number(e.target.value))}
+            style={styles.slider}
+          />
+          <label style={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={output.optimizeCutOrder}
+              onChange={(e) => output.setOptimizeCutOrder(e.target.checked)}
+              style={styles.checkbox}
+            />
+            Optimize cut order
+          </label>
+          {laser.travelMm && (
+            <div style={styles.statsRow}>
+              Rapid travel: {laser.travelMm.before.toFixed(0)} mm →{' '}
+              {laser.travelMm.after.toFixed(0)} mm
+              {laser.travelMm.before > 0 &&
+                ` (${Math.round(
+                  (100 * (laser.travelMm.before - laser.travelMm.after)) /
+                    laser.travelMm.before
+                )}% less)`}
+            </div>
+          )}
+          <div style={styles.subnote}>
+            Cuts inside a shape run before the shape itself, each from
+            the point nearest the last, in the order that keeps beam-off
+            travel shortest.
+          </div>
+          <div style={styles.subnote}>
+            Cuts run kerf/2 inside each island's outline so the beam's
+            width leaves the opening at its drawn size. Exported as
+            custom-icon.laser.svg: red hairline = cut, blue fill =
+            engrave.
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
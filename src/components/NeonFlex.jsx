@@ -0,0 +1,219 @@
+import { useEffect, useState } from 'react'
+
+import { runPreprocessTask } from '../preprocess/workerClient'
+import { isAbortError } from '../preprocess/progress'
+import { DEFAULT_NEON_OPTIONS } from '../preprocess/outputDefaults'
+import { RECOMPUTE_DEBOUNCE_MS, formatLength, polygonsPath, styles } from './preprocessUi'
+
+/**
+ * Neon-flex mode (neon.js) for the last manufacturability result: the
+ * art's centerline as runs of LED neon flex, checked against the minimum
+ * bend radius and longest run per feed. Off by default, as skeletonizing
+ * is the heaviest step after the trace. The open-path SVG goes to
+ * `onNeonOutput` (null while the mode is off).
+ */
+export function useNeonFlex({ processedSvg, maxLogoDimMm, artSizeMm, onNeonOutput, onError }) {
+  const [open, setOpen] = useState(false)
+  const [enabled, setEnabled] = useState(false)
+  const [minBendRadiusMm, setMinBendRadiusMm] = useState(DEFAULT_NEON_OPTIONS.minBendRadiusMm)
+  const [maxRunLengthMm, setMaxRunLengthMm] = useState(DEFAULT_NEON_OPTIONS.maxRunLengthMm)
+  const [pruneMm, setPruneMm] = useState(DEFAULT_NEON_OPTIONS.pruneMm)
+  const [neon, setNeon] = useState(null)
+
+  useEffect(() => {
+    if (!processedSvg || !enabled) {
+      setNeon(null)
+      onNeonOutput?.(null)
+      return
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const result = await runPreprocessTask(
+          'applyNeonFlex',
+          [
+            processedSvg,
+            {
+              minBendRadiusMm,
+              maxRunLengthMm,
+              pruneMm,
+              maxLogoDimMm,
+              artSizeMm,
+            },
+          ],
+          { signal: controller.signal }
+        )
+        setNeon(result)
+        onNeonOutput?.(result.svg)
+      } catch (err) {
+        if (isAbortError(err)) return
+        onError(err.message)
+      }
+    }, RECOMPUTE_DEBOUNCE_MS)
+    return () => {
+      controller.abort()
+      clearTimeout(timer)
+    }
+  }, [processedSvg, enabled, minBendRadiusMm, maxRunLengthMm, pruneMm, artSizeMm])
+
+  const reset = () => {
+    setOpen(false)
+    setEnabled(false)
+    setMinBendRadiusMm(DEFAULT_NEON_OPTIONS.minBendRadiusMm)
+    setMaxRunLengthMm(DEFAULT_NEON_OPTIONS.maxRunLengthMm)
+    setPruneMm(DEFAULT_NEON_OPTIONS.pruneMm)
+  }
+
+  return {
+    neon,
+    open,
+    setOpen,
+    enabled,
+    setEnabled,
+    minBendRadiusMm,
+    setMinBendRadiusMm,
+    maxRunLengthMm,
+    setMaxRunLengthMm,
+    pruneMm,
+    setPruneMm,
+    reset,
+  }
+}
+
+/**
+ * NeonFlex — the collapsible neon-flex toggle, preview and limits, with
+ * violations circled on the preview. `flex` is useNeonFlex's return value;
+ * `outlines` (the laser islands' outlines, when there are some) are drawn
+ * underneath the runs for reference.
+ */
+export default function NeonFlex({ flex, outlines, units }) {
+  const { neon, open, setOpen, minBendRadiusMm, maxRunLengthMm } = flex
+  return (
+    <>
+      <button type="button" onClick={() => setOpen((v) => !v)} style={styles.advancedToggle}>
+        {open ? '▾' : '▸'} Neon flex
+      </button>
+      {open && (
+        <div style={styles.control}>
+          <label style={{ ...styles.checkboxLabel, marginTop: 0 }}>
+            <input
+              type="checkbox"
+              checked={flex.enabled}
+              onChange={(e) => flex.setEnabled(e.target.checked)}
+              style={styles.checkbox}
+            />
+            Lay neon flex along the centerline
+          </label>
+          {flex.enabled && !neon && <div style={styles.subnote}>Tracing centerline…</div>}
+          {neon && (
+            <>
+              <svg
+                viewBox={`${neon.viewBox.x} ${neon.viewBox.y} ${neon.viewBox.w} ${neon.viewBox.h}`}
+                preserveAspectRatio="xMidYMid meet"
+                style={{ ...styles.outputPreview, marginTop: '10px' }}
+              >
+                {outlines && <path d={polygonsPath(outlines)} fillRule="evenodd" fill="#e6e6e6" />}
+                {neon.runs.map((run, i) => (
+                  <path
+                    key={i}
+                    d={
+                      run.points
+                        .map((p, j) => `${j === 0 ? 'M' : 'L'}${p.x} ${p.y}`)
+                        .join(' ') + (run.closed ? ' Z' : '')
+                    }
+                    fill="none"
+                    stroke={run.violations.length > 0 ? '#d9534f' : '#000000'}
+                    strokeWidth={2}
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                ))}
+                {neon.runs.flatMap((run, i) =>
+                  run.violations.map((v, j) => (
+                    <circle
+                      key={`${i}-${j}`}
+                      cx={v.at.x}
+                      cy={v.at.y}
+                      r={Math.max(neon.viewBox.w, neon.viewBox.h) / 40}
+                      fill="rgba(217, 83, 79, 0.25)"
+                      stroke="#d9534f"
+                      strokeWidth={1}
+                      vectorEffect="non-scaling-stroke"
+                      style={styles.neonViolation}
+                    >
+                      <title>
+                        {v.kind === 'bend'
+                          ? `Bend of ${v.radiusMm.toFixed(1)} mm radius, ` +
+                            `under the ${minBendRadiusMm} mm minimum`
+                          : `Run of ${formatLength(v.lengthMm, units)} passes ` +
+                            `the ${formatLength(maxRunLengthMm, units)} limit here`}
+                      </title>
+                    </circle>
+                  ))
+                )}
+              </svg>
+              <div style={styles.statsRow}>
+                {neon.runs.length} run(s), {formatLength(neon.totalLengthMm, units)} of flex
+              </div>
+              {neon.violations > 0 ? (
+                <div style={styles.warning}>
+                  {neon.violations} violation(s) circled: bends tighter than{' '}
+                  {minBendRadiusMm} mm or runs longer than{' '}
+                  {formatLength(maxRunLengthMm, units)}.
+                </div>
+              ) : (
+                <div style={styles.subnote}>
+                  Every run is within the bend and length limits.
+                </div>
+              )}
+              {neon.warnings.length > 0 && (
+                <div style={styles.warning}>{neon.warnings.join(' ')}</div>
+              )}
+            </>
+          )}
+
+          <label style={styles.label}>Min bend radius: {minBendRadiusMm} mm</label>
+          <input
+            type="range"
+            min="5"
+            max="100"
+            step="1"
+            value={minBendRadiusMm}
+            onChange={(e) => flex.setMinBendRadiusMm(Number(e.target.value))}
+            style={styles.slider}
+          />
+          <label style={styles.label}>
+            Max run length: {formatLength(maxRunLengthMm, units)}
+          </label>
+          <input
+            type="range"
+            min="500"
+            max="10000"
+            step="500"
+            value={maxRunLengthMm}
+            onChange={(e) => flex.setMaxRunLengthMm(Number(e.target.value))}
+            style={styles.slider}
+          />
+          <label style={styles.label}>
+            Spur pruning: {flex.pruneMm === 0 ? 'off' : `${flex.pruneMm} mm`}
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="10"
+            step="0.5"
+            value={flex.pruneMm}
+            onChange={(e) => flex.setPruneMm(Number(e.target.value))}
+            style={styles.slider}
+          />
+          <div style={styles.subnote}>
+            Centerline branches shorter than the pruning length are
+            dropped. Exported as custom-icon.neon.svg: one open path
+            per run, for routing the groove.
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
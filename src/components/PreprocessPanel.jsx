@@ -1,8 +1,26 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
+
+import { runPreprocessTask } from '../preprocess/workerClient'
+import { isAbortError } from '../preprocess/progress'
+import { svgPhysicalSize } from '../preprocess/physicalSize'
+import { printedSizeMm } from '../utils/iconSize'
+import LaserOutput, { useLaserOutput } from './LaserOutput'
+import NeonFlex, { useNeonFlex } from './NeonFlex'
+import ProductionEstimate, { useProductionEstimate } from './ProductionEstimate'
+import {
+  RECOMPUTE_DEBOUNCE_MS,
+  SIMPLIFY_TOLERANCE_MM,
+  formatSize,
+  polygonsPath,
+  styles,
+} from './preprocessUi'
 
 // Preprocessing pulls in jimp/potrace/clipper-lib (~200 KB after gzip) and
 // is only needed once the user uploads a file. Lazy-load on first use so
 // the initial bundle stays slim for visitors who only browse the presets.
+// The heavy entry points (preprocessRaster, applyManufacturability) run in
+// the preprocess worker instead; this copy serves the quick color/stroke
+// helpers that stay on the main thread.
 let _preprocessModulePromise = null
 function getPreprocessModule() {
   if (!_preprocessModulePromise) {
@@ -11,6 +29,63 @@ function getPreprocessModule() {
   return _preprocessModulePromise
 }
 
+// File types the upload accepts: SVG plus every raster format
+// preprocessRaster decodes (WebP via the browser's own decoder).
+const UPLOAD_ACCEPT = [
+  '.svg', 'image/svg+xml',
+  '.jpg', '.jpeg', 'image/jpeg',
+  '.png', 'image/png',
+  '.webp', 'image/webp',
+  '.gif', 'image/gif',
+  '.bmp', 'image/bmp',
+  '.tif', '.tiff', 'image/tiff',
+].join(',')
+
+// Human labels for the worker's stage-level progress events.
+const STAGE_LABELS = {
+  decode: 'Decoding image',
+  threshold: 'Thresholding',
+  dilate: 'Thickening strokes',
+  trace: 'Tracing outlines',
+  xor: 'Assembling holes',
+  spaces: 'Checking gaps and holes',
+  nozzle: 'Nozzle rounding',
+  floors: 'Applying size floors',
+  bridges: 'Adding bridges',
+  simplify: 'Simplifying outlines',
+}
+
+// Overlay colors for applyManufacturability's diagnostics: red where
+// material was dropped, amber where it was reshaped (cut, added, rounded),
+// an amber outline alone for violations only flagged.
+const DIAGNOSTIC_STYLES = {
+  removed: { fill: 'rgba(229, 57, 53, 0.55)', stroke: '#e53935' },
+  reshaped: { fill: 'rgba(255, 179, 0, 0.55)', stroke: '#ffb300' },
+  flagged: { fill: 'none', stroke: '#ffb300' },
+}
+
+// Picker swatch fill: solid fills show their color, gradients a left-to-
+// right strip of their stops (radial ones too — the strip reads better at
+// 36px than a tiny radial blob would).
+function swatchBackground(entry) {
+  if (!entry.gradient) return entry.hex
+  const stops = entry.gradient.stops.map(
+    (s) => `${s.hex} ${Math.round(s.offset * 100)}%`
+  )
+  if (stops.length === 1) stops.push(stops[0])
+  return `linear-gradient(to right, ${stops.join(', ')})`
+}
+
+// Swatch tooltip tail: how many shapes fill / stroke in this color, or for
+// a raster color cluster how much of the image it covers.
+function paintCounts(entry) {
+  if (entry.share != null) return `${(entry.share * 100).toFixed(1)}% of image`
+  const parts = []
+  if (entry.nPaths > 0) parts.push(`${entry.nPaths} fill(s)`)
+  if (entry.nStrokes > 0) parts.push(`${entry.nStrokes} stroke(s)`)
+  return parts.join(', ')
+}
+
 // Stroke-only SVG → PNG bytes. The browser natively draws SVG strokes when
 // we render via an <img> into a canvas, so we let it do the heavy lifting.
 // The result feeds straight into preprocessRaster (binarize → dilate →
@@ -52,15 +127,16 @@ async function rasterizeSvgToBytes(svgText, targetSize = RASTERIZE_TARGET_PX) {
 }
 
 /**
- * PreprocessPanel — accepts a JPG/PNG/SVG, walks the user through whatever
+ * PreprocessPanel — accepts a raster image or SVG, walks the user through whatever
  * preprocessing the input needs (raster trace + manufacturability for JPGs,
- * color-pick + manufacturability for multi-fill SVGs, manufacturability-only
- * for already-black SVGs), and hands the resulting black SVG to the parent
- * via `onPreprocessed`.
+ * color-pick + manufacturability for multi-fill SVGs and color rasters,
+ * manufacturability-only for already-black SVGs), and hands the resulting
+ * black SVG to the parent via `onPreprocessed`.
  *
  * The state machine has three stops:
  *   - idle       : no file uploaded yet (or user reset)
- *   - picking    : a multi-color SVG was uploaded, awaiting color selection
+ *   - picking    : a multi-color SVG or color raster was uploaded, awaiting
+ *                  color selection
  *   - ready      : preprocessing complete; `customSvgPath` reflects the result.
  *                  Adjusting the manufacturability sliders re-runs against
  *                  the cached pre-manufacturability SVG.
@@ -68,11 +144,40 @@ async function rasterizeSvgToBytes(svgText, targetSize = RASTERIZE_TARGET_PX) {
  * The manufacturability sliders edit live values; any change re-runs
  * applyManufacturability against the cached intermediate. This makes the
  * "what does the printer actually see?" loop instant without re-tracing.
+ * Traces and manufacturability runs happen in the preprocess worker; a new
+ * slider value or upload aborts whatever run is still in flight.
+ *
+ * `iconSize` (utils/iconSize.js `iconSizeMm`) is how big the icon comes
+ * out in the mirror; the mm thresholds are applied at that size, so a
+ * change of icon scale or frame re-runs manufacturability too, and traces
+ * a raster upload again (its stroke thickening is in mm as well). Without
+ * it the art is assumed to span MAX_LOGO_DIM_MM.
+ *
+ * An uploaded SVG whose width/height carry absolute units (physicalSize.js)
+ * has a size of its own; the panel shows the art at that size and offers
+ * it through `onUseDocumentSize(longestSideMm)`, for the caller to set the
+ * icon scale to.
+ *
+ * Three output sections follow every result, each a hook for its state
+ * and worker run plus a component for its UI:
+ *   - ProductionEstimate: quote figures, handed up through
+ *     `onProductionEstimate` as `{ measures, estimate, options }` — or null
+ *     once there's no result — for the export's configuration.json.
+ *   - LaserOutput: kerf-compensated cuts and engraved islands; its SVG goes
+ *     up through `onLaserOutput` (null without one) for the export ZIP.
+ *   - NeonFlex: opt-in centerline runs of LED neon flex; the open-path SVG
+ *     goes up through `onNeonOutput` (null while the mode is off).
  */
 export default function PreprocessPanel({
   onPreprocessed,
   onError,
   onFileNameChange,
+  onProductionEstimate,
+  onLaserOutput,
+  onNeonOutput,
+  onUseDocumentSize,
+  iconSize,
+  units = 'mm',
 }) {
   // Warm the lazy preprocess module on mount. The module pulls in
   // jimp/potrace/clipper-lib (~200 KB after gzip) and isn't fetched
@@ -85,8 +190,19 @@ export default function PreprocessPanel({
 
   const [stage, setStage] = useState('idle') // 'idle' | 'picking' | 'ready'
   const [busy, setBusy] = useState(false)
+  // Latest stage event from the worker ({stage, step, total}) or null.
+  const [progress, setProgress] = useState(null)
+  // Abort handle for the in-flight upload trace, so a reset or a second
+  // upload abandons the first instead of racing it.
+  const uploadAbortRef = useRef(null)
   const [warning, setWarning] = useState(null)
+  // Warnings from building the intermediate SVG (e.g. masks selectByColor
+  // couldn't apply). Kept apart from `warning`, which each manufacturability
+  // re-run overwrites.
+  const [sourceWarning, setSourceWarning] = useState(null)
   const [stats, setStats] = useState(null)
+  // The uploaded SVG's own physical size, when it declares one.
+  const [documentSize, setDocumentSize] = useState(null)
   const [errorMessage, setErrorMessage] = useState(null)
   // Track filename separately: <input type="file"> clears its value on every
   // open() so we'd see "No file chosen" again after re-selecting the same file.
@@ -109,6 +225,12 @@ export default function PreprocessPanel({
   // multi-color SVG state: original SVG text + the list of distinct fills.
   const [coloredSvg, setColoredSvg] = useState(null)
   const [colorList, setColorList] = useState([])
+  // Color raster state: the uploaded bytes, traced once clusters are picked.
+  // colorList then holds listRasterColors' clusters.
+  const [coloredRaster, setColoredRaster] = useState(null)
+  // What the current raster trace ran on — `{ bytes, opts, sizeMm }` — so
+  // a change of printed size can trace it again.
+  const [rasterSource, setRasterSource] = useState(null)
 
   // Nozzle diameters the printer can actually swap to. Continuous values
   // would imply we support arbitrary nozzles, which we don't — pick from
@@ -121,16 +243,21 @@ export default function PreprocessPanel({
   //     (anything smaller than the nozzle's own footprint can't print as
   //     a discrete island)
   //   - min feature width = nozzle diameter (one stroke wide, no thinner)
+  // The gap and hole floors start off: they erode material the art has,
+  // so they're only applied once the user sets them.
   const minIslandFromNozzle = (d) =>
     Math.ceil(Math.PI * (d / 2) * (d / 2) * 10) / 10
   const minFeatureFromNozzle = (d) => d
 
-  // Visualizer-internal: maxLogoDim only affects the unit conversion for
-  // the manufacturability thresholds, not anything visible in the 3D
-  // preview. Hard-coded to the previous slider default — users with a
-  // strong opinion about absolute mm thresholds can adjust min-island /
-  // min-feature directly.
+  // Fallback size for the mm → SVG-unit conversion when no `iconSize` is
+  // passed.
   const MAX_LOGO_DIM_MM = 100
+  const artSizeMm = iconSize?.longestSideMm
+  // Raster traces thicken strokes by a mm amount, taking the image's
+  // longest side as the art's printed size.
+  const traceSizeMm = artSizeMm > 0 ? artSizeMm : MAX_LOGO_DIM_MM
+  // Within this fraction of the document's size, the icon is already at it.
+  const DOCUMENT_SIZE_MATCH = 0.005
 
   const [nozzleDiameterMm, setNozzleDiameterMm] = useState(DEFAULT_NOZZLE)
   const [minIslandAreaMm2, setMinIslandAreaMm2] = useState(
@@ -139,11 +266,20 @@ export default function PreprocessPanel({
   const [minFeatureWidthMm, setMinFeatureWidthMm] = useState(
     minFeatureFromNozzle(DEFAULT_NOZZLE)
   )
-  // If the user moves min-island or min-feature manually, stop yanking
-  // them around when nozzle changes. Resets to false on full reset().
+  const [minGapMm, setMinGapMm] = useState(0)
+  const [minHoleAreaMm2, setMinHoleAreaMm2] = useState(0)
+  // If the user moves a floor slider manually, stop yanking it around
+  // when nozzle changes. Resets to false on full reset().
   const [minIslandOverridden, setMinIslandOverridden] = useState(false)
   const [minFeatureOverridden, setMinFeatureOverridden] = useState(false)
 
+  // Bridges tying islands that float inside holes to the surrounding
+  // material. Off by default — most art has none, and bridges change the
+  // look of the piece.
+  const BRIDGE_COUNT_OPTIONS = [1, 2, 3, 4]
+  const [bridgeWidthMm, setBridgeWidthMm] = useState(0)
+  const [bridgeCount, setBridgeCount] = useState(2)
+
   const handleNozzleChange = (d) => {
     setNozzleDiameterMm(d)
     if (!minIslandOverridden) setMinIslandAreaMm2(minIslandFromNozzle(d))
@@ -155,39 +291,62 @@ export default function PreprocessPanel({
   // to look at the 3D canvas. Kept in addition to onPreprocessed (which
   // also receives the SVG) so the thumbnail lives inside this component.
   const [processedSvg, setProcessedSvg] = useState(null)
+  // Where the last manufacturability run dropped or reshaped the art,
+  // drawn over the thumbnail: { viewBox, items }.
+  const [diagnostics, setDiagnostics] = useState(null)
 
   // Re-run manufacturability whenever a slider changes. Slider drags
   // can pile up dozens of re-runs per second on dense art, so debounce
-  // both the start (wait until the user pauses) and the cancellation
-  // (drop in-flight work if a new value lands).
-  const RECOMPUTE_DEBOUNCE_MS = 150
+  // the start (wait until the user pauses) and abort the worker run if a
+  // new value lands mid-computation.
   useEffect(() => {
     if (!intermediateSvg) return
-    let cancelled = false
+    const controller = new AbortController()
     const timer = setTimeout(async () => {
       try {
-        const { applyManufacturability } = await getPreprocessModule()
-        if (cancelled) return
-        const result = applyManufacturability(intermediateSvg, {
-          nozzleDiameterMm,
-          minIslandAreaMm2,
-          minFeatureWidthMm,
-          maxLogoDimMm: MAX_LOGO_DIM_MM,
-        })
-        if (cancelled) return
+        const result = await runPreprocessTask(
+          'applyManufacturability',
+          [
+            intermediateSvg,
+            {
+              nozzleDiameterMm,
+              minIslandAreaMm2,
+              minFeatureWidthMm,
+              minGapMm,
+              minHoleAreaMm2,
+              maxLogoDimMm: MAX_LOGO_DIM_MM,
+              artSizeMm,
+              bridgeWidthMm,
+              bridgeCount,
+              simplifyToleranceMm: SIMPLIFY_TOLERANCE_MM,
+            },
+          ],
+          { signal: controller.signal, onProgress: setProgress }
+        )
+        setProgress(null)
         setWarning(result.warnings.length ? result.warnings.join(' ') : null)
         setStats({
           droppedThin: result.droppedThin,
           droppedSmall: result.droppedSmall,
+          narrowGaps: result.narrowGaps,
+          smallHoles: result.smallHoles,
+          erodedAway: result.erodedAway,
+          bridges: result.bridges,
+          sizeMm: result.sizeMm,
+          unitsPerMm: result.unitsPerMm,
+          measures: result.measures,
         })
         setProcessedSvg(result.svg)
+        setDiagnostics({ viewBox: result.viewBox, items: result.diagnostics })
         onPreprocessed(result.svg)
       } catch (err) {
-        if (!cancelled) reportError(err.message)
+        if (isAbortError(err)) return
+        setProgress(null)
+        reportError(err.message)
       }
     }, RECOMPUTE_DEBOUNCE_MS)
     return () => {
-      cancelled = true
+      controller.abort()
       clearTimeout(timer)
     }
   }, [
@@ -195,24 +354,65 @@ export default function PreprocessPanel({
     nozzleDiameterMm,
     minIslandAreaMm2,
     minFeatureWidthMm,
+    minGapMm,
+    minHoleAreaMm2,
+    artSizeMm,
+    bridgeWidthMm,
+    bridgeCount,
   ])
 
+  const laserOutput = useLaserOutput({
+    processedSvg,
+    maxLogoDimMm: MAX_LOGO_DIM_MM,
+    artSizeMm,
+    onLaserOutput,
+    onError: reportError,
+  })
+  const neonFlex = useNeonFlex({
+    processedSvg,
+    maxLogoDimMm: MAX_LOGO_DIM_MM,
+    artSizeMm,
+    onNeonOutput,
+    onError: reportError,
+  })
+  const quote = useProductionEstimate({
+    measures: stats?.measures,
+    nozzleDiameterMm,
+    onProductionEstimate,
+  })
+
   const reset = () => {
+    uploadAbortRef.current?.abort()
+    uploadAbortRef.current = null
+    setBusy(false)
+    setProgress(null)
     setStage('idle')
     setIntermediateSvg(null)
     setColoredSvg(null)
+    setColoredRaster(null)
+    setRasterSource(null)
     setColorList([])
     setWarning(null)
+    setSourceWarning(null)
     setStats(null)
+    setDocumentSize(null)
     setErrorMessage(null)
     setSelectedFileName(null)
     setProcessedSvg(null)
+    setDiagnostics(null)
     setAdvancedOpen(false)
     setNozzleDiameterMm(DEFAULT_NOZZLE)
     setMinIslandAreaMm2(minIslandFromNozzle(DEFAULT_NOZZLE))
     setMinFeatureWidthMm(minFeatureFromNozzle(DEFAULT_NOZZLE))
+    setMinGapMm(0)
+    setMinHoleAreaMm2(0)
     setMinIslandOverridden(false)
     setMinFeatureOverridden(false)
+    setBridgeWidthMm(0)
+    setBridgeCount(2)
+    quote.reset()
+    laserOutput.reset()
+    neonFlex.reset()
     setPickedColors([])
     setThumbnailHidden(false)
   }
@@ -223,6 +423,59 @@ export default function PreprocessPanel({
   // signal that defaults aren't working for their art.
   const [advancedOpen, setAdvancedOpen] = useState(false)
 
+  // Real dimensions of the icon in the mirror, once a run has measured it.
+  const printedSize =
+    iconSize && stats?.sizeMm ? printedSizeMm(stats.sizeMm, iconSize.openingMm) : null
+
+  // The art at the document's own size. Every intermediate SVG keeps the
+  // upload's user units, so the output's extent in them converts directly.
+  const documentArtMm =
+    documentSize && stats?.unitsPerMm && stats.sizeMm.w > 0
+      ? {
+          w: stats.sizeMm.w * stats.unitsPerMm * documentSize.mmPerUnit.x,
+          h: stats.sizeMm.h * stats.unitsPerMm * documentSize.mmPerUnit.y,
+        }
+      : null
+  const documentLongestMm = documentArtMm ? Math.max(documentArtMm.w, documentArtMm.h) : 0
+  const atDocumentSize =
+    documentArtMm &&
+    artSizeMm > 0 &&
+    Math.abs(artSizeMm - documentLongestMm) <= DOCUMENT_SIZE_MATCH * documentLongestMm
+
+  // Trace raster bytes in the worker at the current printed size. `opts`
+  // adds to the panel's defaults (e.g. picked color clusters).
+  const runRasterTrace = async (bytes, opts, signal) => {
+    const { svg } = await runPreprocessTask(
+      'preprocessRaster',
+      [bytes, { maxLogoDimMm: traceSizeMm, ...opts }],
+      { signal, onProgress: setProgress }
+    )
+    setProgress(null)
+    setRasterSource({ bytes, opts, sizeMm: traceSizeMm })
+    return svg
+  }
+
+  // A new printed size changes how many pixels the stroke thickening is,
+  // so the raster behind the current art is traced again at that size.
+  useEffect(() => {
+    if (!rasterSource || rasterSource.sizeMm === traceSizeMm) return
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const svg = await runRasterTrace(rasterSource.bytes, rasterSource.opts, controller.signal)
+        setIntermediateSvg(svg)
+      } catch (err) {
+        if (isAbortError(err)) return
+        setProgress(null)
+        reportError(err.message)
+      }
+    }, RECOMPUTE_DEBOUNCE_MS)
+    return () => {
+      controller.abort()
+      clearTimeout(timer)
+    }
+  }, [rasterSource, traceSizeMm])
+
   const handleFileUpload = async (e) => {
     const file = e.target.files[0]
     e.target.value = '' // allow re-selecting the same file
@@ -232,21 +485,29 @@ export default function PreprocessPanel({
     setSelectedFileName(file.name)
     onFileNameChange?.(file.name)
     setBusy(true)
+    const controller = new AbortController()
+    uploadAbortRef.current = controller
+    const traceRaster = (bytes) => runRasterTrace(bytes, {}, controller.signal)
     try {
       const isSvg =
         file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')
 
-      const { preprocessRaster, listColors, strokesToBlackSvg } =
+      const { listColors, selectByColor, strokesToBlackSvg } =
         await getPreprocessModule()
 
       if (isSvg) {
         const text = await file.text()
+        setDocumentSize(svgPhysicalSize(text))
         // Branch on what the SVG actually contains:
-        //   >1 fills   → color picker (user picks which is the cut)
-        //   1 fill     → passthrough (already-black SVG)
-        //   0 fills    → try vector stroke-to-fill (lossless, exact source
-        //                stroke widths); if no strokes either, fall back to
-        //                rasterize-then-trace via canvas.
+        //   >1 colors      → color picker (user picks which is the cut)
+        //   1 color, fills and strokes
+        //                  → select it: strokes become ribbons merged with
+        //                    the fills into one black SVG
+        //   1 fill color   → passthrough (already-black SVG)
+        //   strokes only / nothing listed
+        //                  → try vector stroke-to-fill (lossless, exact
+        //                    source stroke widths); if no strokes either,
+        //                    fall back to rasterize-then-trace via canvas.
         const colors = listColors(text)
         if (colors.length > 1) {
           setColoredSvg(text)
@@ -254,7 +515,15 @@ export default function PreprocessPanel({
           setStage('picking')
           return
         }
-        if (colors.length === 0) {
+        const [only] = colors
+        if (only && only.nPaths > 0 && only.nStrokes > 0) {
+          const { svg, warnings } = selectByColor(text, { colors: [only.id] })
+          setSourceWarning(warnings.length ? warnings.join(' ') : null)
+          setIntermediateSvg(svg)
+          setStage('ready')
+          return
+        }
+        if (!only || only.nPaths === 0) {
           const strokeSvg = strokesToBlackSvg(text)
           if (strokeSvg) {
             setIntermediateSvg(strokeSvg)
@@ -263,7 +532,7 @@ export default function PreprocessPanel({
           }
           // No fills, no strokes — rasterize via canvas as last resort.
           const buf = await rasterizeSvgToBytes(text)
-          const { svg } = await preprocessRaster(buf, { maxLogoDimMm: MAX_LOGO_DIM_MM })
+          const svg = await traceRaster(buf)
           setIntermediateSvg(svg)
           setStage('ready')
           return
@@ -273,23 +542,41 @@ export default function PreprocessPanel({
         return
       }
 
-      // Raster path (JPG / PNG / anything not SVG).
+      // Raster path (JPG / PNG / WebP / GIF / BMP / TIFF). Artwork with any real
+      // color goes to the picker — a luminance threshold can't tell a red
+      // logo from a blue background; greyscale art traces straight away.
       const buf = new Uint8Array(await file.arrayBuffer())
-      const { svg } = await preprocessRaster(buf, { maxLogoDimMm: MAX_LOGO_DIM_MM })
+      const colors = await runPreprocessTask('listRasterColors', [buf], {
+        signal: controller.signal,
+      })
+      if (colors.length > 1 && colors.some((c) => !c.neutral)) {
+        setColoredRaster(buf)
+        setColorList(colors)
+        setStage('picking')
+        return
+      }
+      const svg = await traceRaster(buf)
       setIntermediateSvg(svg)
       setStage('ready')
     } catch (err) {
+      // Superseded by reset() or a newer upload, which own the state now.
+      if (isAbortError(err)) return
+      setProgress(null)
       // Clear the half-processed intermediate without nuking the error
       // message we're about to render (reset() would have cleared it).
       setStage('idle')
       setIntermediateSvg(null)
       setColoredSvg(null)
+      setColoredRaster(null)
       setColorList([])
       setWarning(null)
       setStats(null)
       reportError(err.message || String(err))
     } finally {
-      setBusy(false)
+      if (uploadAbortRef.current === controller) {
+        uploadAbortRef.current = null
+        setBusy(false)
+      }
     }
   }
 
@@ -304,24 +591,44 @@ export default function PreprocessPanel({
   }
 
   const applyPickedColors = async () => {
-    if (!coloredSvg || pickedColors.length === 0) return
+    if (!(coloredSvg || coloredRaster) || pickedColors.length === 0) return
     setBusy(true)
+    const controller = new AbortController()
+    uploadAbortRef.current = controller
     try {
+      if (coloredRaster) {
+        const svg = await runRasterTrace(
+          coloredRaster,
+          { colors: pickedColors, palette: colorList.map((c) => c.id) },
+          controller.signal
+        )
+        setIntermediateSvg(svg)
+        setStage('ready')
+        return
+      }
       const { selectByColor } = await getPreprocessModule()
-      const { svg } = selectByColor(coloredSvg, { colors: pickedColors })
+      const { svg, warnings } = selectByColor(coloredSvg, { colors: pickedColors })
+      setSourceWarning(warnings.length ? warnings.join(' ') : null)
       setIntermediateSvg(svg)
       setStage('ready')
     } catch (err) {
+      if (isAbortError(err)) return
+      setProgress(null)
       reportError(err.message)
     } finally {
-      setBusy(false)
+      if (uploadAbortRef.current === controller) {
+        uploadAbortRef.current = null
+        setBusy(false)
+      }
     }
   }
 
   return (
     <div>
       <div style={styles.control}>
-        <label style={styles.label}>Upload JPG, PNG, or SVG:</label>
+        <label style={styles.label}>
+          Upload an image (JPG, PNG, WebP, GIF, BMP, TIFF) or SVG:
+        </label>
         {/* Custom-styled file input. The native <input type="file"> always
             renders a browser "Choose File / No file chosen" label that we
             can't restyle and that we don't want showing the stale "No file
@@ -332,7 +639,7 @@ export default function PreprocessPanel({
           <span>{selectedFileName || 'Choose file…'}</span>
           <input
             type="file"
-            accept=".svg,image/svg+xml,.jpg,.jpeg,.png,image/jpeg,image/png"
+            accept={UPLOAD_ACCEPT}
             onChange={handleFileUpload}
             disabled={busy}
             style={styles.hiddenInput}
@@ -340,28 +647,38 @@ export default function PreprocessPanel({
         </label>
       </div>
 
-      {busy && <div style={styles.info}>Processing…</div>}
+      {(busy || progress) && (
+        <div style={styles.info}>
+          {progress
+            ? `${STAGE_LABELS[progress.stage] || progress.stage}… (${progress.step}/${progress.total})`
+            : 'Processing…'}
+        </div>
+      )}
       {errorMessage && <div style={styles.error}>{errorMessage}</div>}
 
       {stage === 'picking' && (
         <div style={styles.control}>
           <label style={styles.label}>
-            Which color(s) make up the cut? ({colorList.length} fills found)
+            Which color(s) make up the cut? ({colorList.length} colors found)
           </label>
           <div style={styles.swatchGrid}>
             {colorList.map((c) => {
-              const picked = pickedColors.includes(c.hex)
+              const picked = pickedColors.includes(c.id)
               return (
                 <button
-                  key={c.hex}
-                  onClick={() => togglePickedColor(c.hex)}
+                  key={c.id}
+                  onClick={() => togglePickedColor(c.id)}
                   disabled={busy}
                   style={{
                     ...styles.swatch,
-                    backgroundColor: c.hex,
+                    background: swatchBackground(c),
                     ...(picked ? styles.swatchPicked : null),
                   }}
-                  title={`${c.hex} — ${c.nPaths} path(s)`}
+                  title={
+                    c.gradient
+                      ? `${c.gradient.type} gradient ${c.id} (avg ${c.hex}) — ${paintCounts(c)}`
+                      : `${c.hex} — ${paintCounts(c)}`
+                  }
                 >
                   {picked ? '✓' : ''}
                 </button>
@@ -409,26 +726,105 @@ export default function PreprocessPanel({
                 </button>
               </div>
               {!thumbnailHidden && (
-                <img
-                  src={`data:image/svg+xml;utf8,${encodeURIComponent(processedSvg)}`}
-                  alt="Preprocessed artwork preview"
-                  style={styles.thumbnail}
-                />
+                <div style={styles.thumbnailFrame}>
+                  <img
+                    src={`data:image/svg+xml;utf8,${encodeURIComponent(processedSvg)}`}
+                    alt="Preprocessed artwork preview"
+                    style={styles.thumbnail}
+                  />
+                  {diagnostics?.items.length > 0 && (
+                    <svg
+                      viewBox={`${diagnostics.viewBox.x} ${diagnostics.viewBox.y} ${diagnostics.viewBox.w} ${diagnostics.viewBox.h}`}
+                      preserveAspectRatio="xMidYMid meet"
+                      style={styles.diagnosticOverlay}
+                    >
+                      {diagnostics.items.map((item, i) => (
+                        <path
+                          key={i}
+                          d={polygonsPath(item.polygons)}
+                          fillRule="evenodd"
+                          {...DIAGNOSTIC_STYLES[item.effect]}
+                          strokeWidth={1.5}
+                          vectorEffect="non-scaling-stroke"
+                          style={styles.diagnosticRegion}
+                        >
+                          <title>{item.label}</title>
+                        </path>
+                      ))}
+                    </svg>
+                  )}
+                </div>
+              )}
+              {!thumbnailHidden && diagnostics?.items.length > 0 && (
+                <div style={styles.subnote}>
+                  Red = removed, amber = reshaped. Hover a mark for its
+                  measurement.
+                </div>
               )}
             </div>
           )}
 
-          {warning && <div style={styles.warning}>{warning}</div>}
-          {stats && (stats.droppedThin > 0 || stats.droppedSmall > 0) && (
+          {printedSize && (
             <div style={styles.statsRow}>
-              {stats.droppedThin > 0 && (
-                <span>Dropped {stats.droppedThin} hairline(s) </span>
-              )}
-              {stats.droppedSmall > 0 && (
-                <span>Dropped {stats.droppedSmall} speck(s)</span>
+              Printed size: {formatSize(printedSize, units)}
+              {printedSize.clipped && ' (clipped to the mirror opening)'} —
+              change it with Icon Transform → Scale.
+            </div>
+          )}
+          {documentArtMm && (
+            <div style={styles.statsRow}>
+              Document size: {formatSize(documentArtMm, units)} (authored in{' '}
+              {documentSize.unit})
+              {atDocumentSize && ' — in use.'}
+              {!atDocumentSize && onUseDocumentSize && (
+                <button
+                  type="button"
+                  onClick={() => onUseDocumentSize(documentLongestMm)}
+                  style={styles.documentSizeButton}
+                >
+                  Use the document's real size
+                </button>
               )}
             </div>
           )}
+          {sourceWarning && <div style={styles.warning}>{sourceWarning}</div>}
+          {warning && <div style={styles.warning}>{warning}</div>}
+          {stats &&
+            (stats.droppedThin > 0 ||
+              stats.droppedSmall > 0 ||
+              stats.narrowGaps > 0 ||
+              stats.smallHoles > 0 ||
+              stats.erodedAway > 0 ||
+              stats.bridges > 0) && (
+              <div style={styles.statsRow}>
+                {stats.droppedThin > 0 && (
+                  <span>Dropped {stats.droppedThin} hairline(s) </span>
+                )}
+                {stats.droppedSmall > 0 && (
+                  <span>Dropped {stats.droppedSmall} speck(s) </span>
+                )}
+                {stats.narrowGaps > 0 && (
+                  <span>Widened {stats.narrowGaps} gap(s) </span>
+                )}
+                {stats.smallHoles > 0 && (
+                  <span>Grew {stats.smallHoles} hole(s) </span>
+                )}
+                {stats.erodedAway > 0 && (
+                  <span>Eroded away {stats.erodedAway} island(s) </span>
+                )}
+                {stats.bridges > 0 && <span>Added {stats.bridges} bridge(s)</span>}
+              </div>
+            )}
+
+          <ProductionEstimate quote={quote} units={units} />
+          <LaserOutput output={laserOutput} />
+          {processedSvg && (
+            <NeonFlex
+              flex={neonFlex}
+              outlines={laserOutput.laser?.islands.map((island) => island.outline)}
+              units={units}
+            />
+          )}
 
           <button
             type="button"
@@ -528,6 +924,85 @@ export default function PreprocessPanel({
                   </div>
                 )}
               </div>
+
+              <div style={styles.control}>
+                <label style={styles.label}>
+                  Min gap: {minGapMm === 0 ? 'off' : `${minGapMm.toFixed(2)} mm`}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value={minGapMm}
+                  onChange={(e) => setMinGapMm(Number(e.target.value))}
+                  style={styles.slider}
+                />
+                <div style={styles.subnote}>
+                  Widens spaces narrower than this — between islands and across
+                  holes — so they don't fuse in production. Off by default; about
+                  one nozzle width is a safe start.
+                </div>
+              </div>
+
+              <div style={styles.control}>
+                <label style={styles.label}>
+                  Min hole area:{' '}
+                  {minHoleAreaMm2 === 0 ? 'off' : `${minHoleAreaMm2.toFixed(1)} mm²`}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="10"
+                  step="0.1"
+                  value={minHoleAreaMm2}
+                  onChange={(e) => setMinHoleAreaMm2(Number(e.target.value))}
+                  style={styles.slider}
+                />
+                <div style={styles.subnote}>
+                  Grows holes smaller than this so they don't close up. Off by
+                  default.
+                </div>
+              </div>
+
+              <div style={styles.control}>
+                <label style={styles.label}>
+                  Bridge width: {bridgeWidthMm === 0 ? 'off' : `${bridgeWidthMm.toFixed(1)} mm`}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="3"
+                  step="0.1"
+                  value={bridgeWidthMm}
+                  onChange={(e) => setBridgeWidthMm(Number(e.target.value))}
+                  style={styles.slider}
+                />
+                <div style={styles.subnote}>
+                  Ties islands floating inside holes (the dot in a ring) to the
+                  material around them, so they don't fall out of the cut.
+                </div>
+                {bridgeWidthMm > 0 && (
+                  <div style={styles.nozzleRow}>
+                    {BRIDGE_COUNT_OPTIONS.map((n) => {
+                      const active = bridgeCount === n
+                      return (
+                        <button
+                          key={n}
+                          type="button"
+                          onClick={() => setBridgeCount(n)}
+                          style={{
+                            ...styles.nozzleChip,
+                            ...(active ? styles.nozzleChipActive : null),
+                          }}
+                        >
+                          {n} per island
+                        </button>
+                      )
+                    })}
+                  </div>
+                )}
+              </div>
             </>
           )}
         </>
@@ -535,231 +1010,3 @@ export default function PreprocessPanel({
     </div>
   )
 }
-
-const styles = {
-  section: {
-    marginBottom: '24px',
-    paddingBottom: '16px',
-    borderBottom: '1px solid #333',
-  },
-  sectionTitle: {
-    margin: '0 0 12px 0',
-    fontSize: '14px',
-    fontWeight: '600',
-    textTransform: 'uppercase',
-    color: '#999',
-  },
-  control: {
-    marginBottom: '12px',
-  },
-  label: {
-    display: 'block',
-    marginBottom: '6px',
-    fontSize: '13px',
-    color: '#ccc',
-  },
-  uploadButton: {
-    display: 'block',
-    width: '100%',
-    padding: '10px 12px',
-    fontSize: '13px',
-    color: '#ffffff',
-    backgroundColor: '#2a2a2a',
-    border: '1px solid #555',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    textAlign: 'center',
-    overflow: 'hidden',
-    textOverflow: 'ellipsis',
-    whiteSpace: 'nowrap',
-    boxSizing: 'border-box',
-  },
-  hiddenInput: {
-    position: 'absolute',
-    width: '1px',
-    height: '1px',
-    padding: 0,
-    margin: '-1px',
-    overflow: 'hidden',
-    clip: 'rect(0, 0, 0, 0)',
-    border: 0,
-  },
-  slider: {
-    width: '100%',
-    height: '4px',
-    borderRadius: '2px',
-    backgroundColor: '#444',
-    outline: 'none',
-    cursor: 'pointer',
-  },
-  info: {
-    margin: '8px 0',
-    padding: '8px',
-    backgroundColor: '#1a3340',
-    color: '#9cd0ff',
-    borderRadius: '4px',
-    fontSize: '12px',
-  },
-  error: {
-    margin: '8px 0',
-    padding: '8px',
-    backgroundColor: '#441111',
-    color: '#ff6666',
-    borderRadius: '4px',
-    fontSize: '12px',
-  },
-  warning: {
-    margin: '8px 0',
-    padding: '8px',
-    backgroundColor: '#4a3a10',
-    color: '#ffd066',
-    borderRadius: '4px',
-    fontSize: '12px',
-  },
-  statsRow: {
-    marginTop: '4px',
-    fontSize: '11px',
-    color: '#999',
-  },
-  note: {
-    marginTop: '6px',
-    padding: '8px',
-    backgroundColor: '#2a2a2a',
-    borderRadius: '4px',
-    color: '#999',
-    fontSize: '11px',
-    lineHeight: '1.4',
-  },
-  subnote: {
-    marginTop: '4px',
-    color: '#777',
-    fontSize: '11px',
-    lineHeight: '1.4',
-  },
-  swatchGrid: {
-    display: 'flex',
-    flexWrap: 'wrap',
-    gap: '6px',
-  },
-  swatch: {
-    width: '36px',
-    height: '36px',
-    borderWidth: '2px',
-    borderStyle: 'solid',
-    borderColor: '#444',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    padding: 0,
-    fontSize: '14px',
-    fontWeight: 700,
-    color: '#000',
-    textShadow: '0 0 4px #fff, 0 0 4px #fff',
-  },
-  swatchPicked: {
-    borderColor: '#00ffff',
-    boxShadow: '0 0 0 2px #00ffff inset',
-  },
-  applyPickedButton: {
-    width: '100%',
-    marginTop: '8px',
-    padding: '8px 12px',
-    fontSize: '13px',
-    backgroundColor: '#00ffff',
-    color: '#000',
-    border: 'none',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    fontFamily: 'inherit',
-    fontWeight: 600,
-  },
-  applyPickedButtonDisabled: {
-    backgroundColor: '#2a2a2a',
-    color: '#777',
-    cursor: 'not-allowed',
-  },
-  nozzleRow: {
-    display: 'flex',
-    flexWrap: 'wrap',
-    gap: '4px',
-  },
-  nozzleChip: {
-    flex: '1 1 0',
-    minWidth: 0,
-    padding: '6px 4px',
-    fontSize: '12px',
-    backgroundColor: '#2a2a2a',
-    color: '#ccc',
-    borderWidth: '1px',
-    borderStyle: 'solid',
-    borderColor: '#444',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    fontFamily: 'inherit',
-  },
-  nozzleChipActive: {
-    backgroundColor: '#00ffff',
-    color: '#000',
-    borderColor: '#00ffff',
-    fontWeight: 600,
-  },
-  previewMismatchWarn: {
-    marginTop: '6px',
-    padding: '6px 8px',
-    backgroundColor: '#4a3a10',
-    color: '#ffd066',
-    borderRadius: '4px',
-    fontSize: '11px',
-    lineHeight: '1.4',
-  },
-  thumbnailWrap: {
-    marginBottom: '12px',
-  },
-  thumbnailHeader: {
-    display: 'flex',
-    alignItems: 'center',
-    justifyContent: 'space-between',
-    gap: '8px',
-    marginBottom: '6px',
-  },
-  thumbnailToggle: {
-    padding: '3px 8px',
-    fontSize: '11px',
-    color: '#999',
-    backgroundColor: 'transparent',
-    borderWidth: '1px',
-    borderStyle: 'solid',
-    borderColor: '#444',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    fontFamily: 'inherit',
-    flexShrink: 0,
-  },
-  thumbnail: {
-    width: '100%',
-    aspectRatio: '1 / 1',
-    backgroundColor: '#ffffff',
-    borderWidth: '1px',
-    borderStyle: 'solid',
-    borderColor: '#444',
-    borderRadius: '4px',
-    objectFit: 'contain',
-    padding: '8px',
-    boxSizing: 'border-box',
-  },
-  advancedToggle: {
-    display: 'block',
-    width: '100%',
-    marginTop: '8px',
-    padding: '8px 10px',
-    fontSize: '12px',
-    color: '#ccc',
-    backgroundColor: 'transparent',
-    borderWidth: '1px',
-    borderStyle: 'solid',
-    borderColor: '#444',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    textAlign: 'left',
-    fontFamily: 'inherit',
-  },
-}
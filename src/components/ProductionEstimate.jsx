@@ -0,0 +1,159 @@
+import { useEffect, useMemo, useState } from 'react'
+
+import { DEFAULT_PRODUCTION_OPTIONS, estimateProduction } from '../preprocess/analysis'
+import { formatArea, formatDuration, formatLength, styles } from './preprocessUi'
+
+// Quoting rates for the production estimate. Strip densities are the
+// stock reels; feeds are what the shop's machines run at.
+const LED_DENSITY_OPTIONS = [30, 60, 96, 144]
+
+/**
+ * Quote figures (analysis.js) for the last manufacturability result, at
+ * the rates the user picks. Cheap, so rate changes recompute here rather
+ * than re-running manufacturability; the printer lays one nozzle-wide line
+ * (the default width with rounding off).
+ *
+ * `production` is `{ measures, estimate, options }`, or null without
+ * `measures`, and is handed to `onProductionEstimate` whenever it changes.
+ */
+export function useProductionEstimate({ measures, nozzleDiameterMm, onProductionEstimate }) {
+  const [open, setOpen] = useState(false)
+  const [ledsPerMeter, setLedsPerMeter] = useState(DEFAULT_PRODUCTION_OPTIONS.ledsPerMeter)
+  const [laserFeedMmPerS, setLaserFeedMmPerS] = useState(
+    DEFAULT_PRODUCTION_OPTIONS.laserFeedMmPerS
+  )
+  const [printFeedMmPerS, setPrintFeedMmPerS] = useState(
+    DEFAULT_PRODUCTION_OPTIONS.printFeedMmPerS
+  )
+
+  const production = useMemo(() => {
+    if (!measures) return null
+    const options = {
+      ...DEFAULT_PRODUCTION_OPTIONS,
+      ledsPerMeter,
+      laserFeedMmPerS,
+      printFeedMmPerS,
+      lineWidthMm: nozzleDiameterMm || DEFAULT_PRODUCTION_OPTIONS.lineWidthMm,
+    }
+    // configuration.json gets the totals; the per-island outlines only
+    // feed the LED count.
+    const { cutLengthMm, outlineLengthMm, litAreaMm2, islands, holes } = measures
+    return {
+      measures: { cutLengthMm, outlineLengthMm, litAreaMm2, islands, holes },
+      estimate: estimateProduction(measures, options),
+      options,
+    }
+  }, [measures, ledsPerMeter, laserFeedMmPerS, printFeedMmPerS, nozzleDiameterMm])
+  useEffect(() => {
+    onProductionEstimate?.(production)
+  }, [production])
+
+  const reset = () => {
+    setOpen(false)
+    setLedsPerMeter(DEFAULT_PRODUCTION_OPTIONS.ledsPerMeter)
+    setLaserFeedMmPerS(DEFAULT_PRODUCTION_OPTIONS.laserFeedMmPerS)
+    setPrintFeedMmPerS(DEFAULT_PRODUCTION_OPTIONS.printFeedMmPerS)
+  }
+
+  return {
+    production,
+    open,
+    setOpen,
+    ledsPerMeter,
+    setLedsPerMeter,
+    laserFeedMmPerS,
+    setLaserFeedMmPerS,
+    printFeedMmPerS,
+    setPrintFeedMmPerS,
+    reset,
+  }
+}
+
+/**
+ * ProductionEstimate — the collapsible quote under the preview, with its
+ * rate controls. `quote` is useProductionEstimate's return value.
+ */
+export default function ProductionEstimate({ quote, units }) {
+  const { production, open, setOpen } = quote
+  if (!production) return null
+  return (
+    <>
+      <button type="button" onClick={() => setOpen((v) => !v)} style={styles.advancedToggle}>
+        {open ? '▾' : '▸'} Production estimate
+      </button>
+      {open && (
+        <div style={styles.control}>
+          <div style={styles.estimateGrid}>
+            <span>Cut length</span>
+            <span>{formatLength(production.measures.cutLengthMm, units)}</span>
+            <span>Lit area</span>
+            <span>{formatArea(production.measures.litAreaMm2, units)}</span>
+            <span>Islands / holes</span>
+            <span>
+              {production.measures.islands} / {production.measures.holes}
+            </span>
+            <span>LED strip</span>
+            <span>
+              {formatLength(production.estimate.ledStripLengthMm, units)},{' '}
+              {production.estimate.ledCount} LEDs
+            </span>
+            <span>Power</span>
+            <span>{production.estimate.powerW.toFixed(1)} W</span>
+            <span>Laser time</span>
+            <span>{formatDuration(production.estimate.laserTimeS)}</span>
+            <span>Print time</span>
+            <span>{formatDuration(production.estimate.printTimeS)}</span>
+          </div>
+
+          <label style={styles.label}>LED density: {quote.ledsPerMeter} LEDs/m</label>
+          <div style={styles.nozzleRow}>
+            {LED_DENSITY_OPTIONS.map((n) => {
+              const active = quote.ledsPerMeter === n
+              return (
+                <button
+                  key={n}
+                  type="button"
+                  onClick={() => quote.setLedsPerMeter(n)}
+                  style={{
+                    ...styles.nozzleChip,
+                    ...(active ? styles.nozzleChipActive : null),
+                  }}
+                >
+                  {n}
+                </button>
+              )
+            })}
+          </div>
+
+          <label style={styles.label}>Laser feed: {quote.laserFeedMmPerS} mm/s</label>
+          <input
+            type="range"
+            min="1"
+            max="100"
+            step="1"
+            value={quote.laserFeedMmPerS}
+            onChange={(e) => quote.setLaserFeedMmPerS(Number(e.target.value))}
+            style={styles.slider}
+          />
+
+          <label style={styles.label}>Print speed: {quote.printFeedMmPerS} mm/s</label>
+          <input
+            type="range"
+            min="10"
+            max="300"
+            step="5"
+            value={quote.printFeedMmPerS}
+            onChange={(e) => quote.setPrintFeedMmPerS(Number(e.target.value))}
+            style={styles.slider}
+          />
+          <div style={styles.subnote}>
+            Rough figures for quoting: one strip per island along its
+            outline, {DEFAULT_PRODUCTION_OPTIONS.wattsPerLed} W per LED at
+            full white, a {DEFAULT_PRODUCTION_OPTIONS.printHeightMm} mm solid
+            print in {DEFAULT_PRODUCTION_OPTIONS.layerHeightMm} mm layers.
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
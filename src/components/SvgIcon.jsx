@@ -1,6 +1,7 @@
 import { memo, useMemo } from 'react'
 import * as THREE from 'three'
 
+import { ICON_TARGET_UNITS } from '../utils/iconSize'
 import { clipPolygon } from '../utils/svgClip'
 import { parseSvgToPolygons } from '../preprocess/svgParse'
 import { offsetPolygons } from '../preprocess/manufacturability'
@@ -74,7 +75,7 @@ function SvgIconImpl({
         }
         if (minX === Infinity) return createFallbackGeometry()
 
-        const targetSize = 10
+        const targetSize = ICON_TARGET_UNITS
         const maxDim = Math.max(maxX - minX, maxY - minY) || 1
         const scaleFactor = targetSize / maxDim
         const centerX = (minX + maxX) / 2
@@ -0,0 +1,344 @@
+/**
+ * Styles and formatting shared by PreprocessPanel and the output sections
+ * it renders (ProductionEstimate, LaserOutput, NeonFlex).
+ */
+
+// Worker re-runs wait this long after the last input change, so a slider
+// drag starts one run when the user pauses instead of dozens along the way.
+export const RECOMPUTE_DEBOUNCE_MS = 150
+
+// Output outlines are simplified within this much of the art, which keeps
+// node counts in CAM software down without a visible change. The writers
+// default to none; the panel opts in for the manufacturable and laser SVGs.
+export const SIMPLIFY_TOLERANCE_MM = 0.05
+
+// "120 × 80 mm" / "4.72 × 3.15 in", matching the frame controls' units.
+export function formatSize({ w, h }, units) {
+  return units === 'in'
+    ? `${(w / 25.4).toFixed(2)} × ${(h / 25.4).toFixed(2)} in`
+    : `${Math.round(w)} × ${Math.round(h)} mm`
+}
+
+export function formatLength(mm, units) {
+  return units === 'in' ? `${(mm / 25.4).toFixed(1)} in` : `${(mm / 1000).toFixed(2)} m`
+}
+
+export function formatArea(mm2, units) {
+  return units === 'in'
+    ? `${(mm2 / 645.16).toFixed(1)} in²`
+    : `${(mm2 / 100).toFixed(1)} cm²`
+}
+
+export function formatDuration(seconds) {
+  const s = Math.round(seconds)
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}m`
+  return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`
+}
+
+// Polygons → one even-odd `d` string.
+export function polygonsPath(polygons) {
+  return polygons
+    .flatMap((poly) => [poly.outer, ...poly.holes])
+    .filter((ring) => ring.length > 0)
+    .map((ring) => `M${ring.map((p) => `${p.x},${p.y}`).join('L')}Z`)
+    .join('')
+}
+
+export const styles = {
+  section: {
+    marginBottom: '24px',
+    paddingBottom: '16px',
+    borderBottom: '1px solid #333',
+  },
+  sectionTitle: {
+    margin: '0 0 12px 0',
+    fontSize: '14px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    color: '#999',
+  },
+  control: {
+    marginBottom: '12px',
+  },
+  label: {
+    display: 'block',
+    marginBottom: '6px',
+    fontSize: '13px',
+    color: '#ccc',
+  },
+  uploadButton: {
+    display: 'block',
+    width: '100%',
+    padding: '10px 12px',
+    fontSize: '13px',
+    color: '#ffffff',
+    backgroundColor: '#2a2a2a',
+    border: '1px solid #555',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    textAlign: 'center',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    boxSizing: 'border-box',
+  },
+  hiddenInput: {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    padding: 0,
+    margin: '-1px',
+    overflow: 'hidden',
+    clip: 'rect(0, 0, 0, 0)',
+    border: 0,
+  },
+  slider: {
+    width: '100%',
+    height: '4px',
+    borderRadius: '2px',
+    backgroundColor: '#444',
+    outline: 'none',
+    cursor: 'pointer',
+  },
+  info: {
+    margin: '8px 0',
+    padding: '8px',
+    backgroundColor: '#1a3340',
+    color: '#9cd0ff',
+    borderRadius: '4px',
+    fontSize: '12px',
+  },
+  error: {
+    margin: '8px 0',
+    padding: '8px',
+    backgroundColor: '#441111',
+    color: '#ff6666',
+    borderRadius: '4px',
+    fontSize: '12px',
+  },
+  warning: {
+    margin: '8px 0',
+    padding: '8px',
+    backgroundColor: '#4a3a10',
+    color: '#ffd066',
+    borderRadius: '4px',
+    fontSize: '12px',
+  },
+  statsRow: {
+    marginTop: '4px',
+    fontSize: '11px',
+    color: '#999',
+  },
+  estimateGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'auto 1fr',
+    gap: '2px 12px',
+    marginBottom: '10px',
+    fontSize: '12px',
+    color: '#ccc',
+  },
+  note: {
+    marginTop: '6px',
+    padding: '8px',
+    backgroundColor: '#2a2a2a',
+    borderRadius: '4px',
+    color: '#999',
+    fontSize: '11px',
+    lineHeight: '1.4',
+  },
+  subnote: {
+    marginTop: '4px',
+    color: '#777',
+    fontSize: '11px',
+    lineHeight: '1.4',
+  },
+  swatchGrid: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+  },
+  swatch: {
+    width: '36px',
+    height: '36px',
+    borderWidth: '2px',
+    borderStyle: 'solid',
+    borderColor: '#444',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    padding: 0,
+    fontSize: '14px',
+    fontWeight: 700,
+    color: '#000',
+    textShadow: '0 0 4px #fff, 0 0 4px #fff',
+  },
+  swatchPicked: {
+    borderColor: '#00ffff',
+    boxShadow: '0 0 0 2px #00ffff inset',
+  },
+  applyPickedButton: {
+    width: '100%',
+    marginTop: '8px',
+    padding: '8px 12px',
+    fontSize: '13px',
+    backgroundColor: '#00ffff',
+    color: '#000',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+    fontWeight: 600,
+  },
+  documentSizeButton: {
+    display: 'block',
+    width: '100%',
+    marginTop: '6px',
+    padding: '6px 10px',
+    fontSize: '12px',
+    backgroundColor: '#2a2a2a',
+    color: '#ccc',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: '#444',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+  },
+  applyPickedButtonDisabled: {
+    backgroundColor: '#2a2a2a',
+    color: '#777',
+    cursor: 'not-allowed',
+  },
+  nozzleRow: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+  },
+  nozzleChip: {
+    flex: '1 1 0',
+    minWidth: 0,
+    padding: '6px 4px',
+    fontSize: '12px',
+    backgroundColor: '#2a2a2a',
+    color: '#ccc',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: '#444',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+  },
+  nozzleChipActive: {
+    backgroundColor: '#00ffff',
+    color: '#000',
+    borderColor: '#00ffff',
+    fontWeight: 600,
+  },
+  previewMismatchWarn: {
+    marginTop: '6px',
+    padding: '6px 8px',
+    backgroundColor: '#4a3a10',
+    color: '#ffd066',
+    borderRadius: '4px',
+    fontSize: '11px',
+    lineHeight: '1.4',
+  },
+  thumbnailWrap: {
+    marginBottom: '12px',
+  },
+  thumbnailHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '8px',
+    marginBottom: '6px',
+  },
+  thumbnailToggle: {
+    padding: '3px 8px',
+    fontSize: '11px',
+    color: '#999',
+    backgroundColor: 'transparent',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: '#444',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+    flexShrink: 0,
+  },
+  thumbnailFrame: {
+    position: 'relative',
+  },
+  thumbnail: {
+    display: 'block',
+    width: '100%',
+    aspectRatio: '1 / 1',
+    backgroundColor: '#ffffff',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: '#444',
+    borderRadius: '4px',
+    objectFit: 'contain',
+    padding: '8px',
+    boxSizing: 'border-box',
+  },
+  // Sits over the thumbnail's content box (inside its 1px border + 8px
+  // padding) so the shared viewBox lines up with the image.
+  diagnosticOverlay: {
+    position: 'absolute',
+    top: '9px',
+    left: '9px',
+    width: 'calc(100% - 18px)',
+    height: 'calc(100% - 18px)',
+    pointerEvents: 'none',
+  },
+  diagnosticRegion: {
+    pointerEvents: 'visiblePainted',
+    cursor: 'help',
+  },
+  outputPreview: {
+    display: 'block',
+    width: '100%',
+    aspectRatio: '1 / 1',
+    marginBottom: '6px',
+    backgroundColor: '#ffffff',
+    border: '1px solid #444',
+    borderRadius: '4px',
+    boxSizing: 'border-box',
+  },
+  laserIsland: {
+    cursor: 'pointer',
+  },
+  neonViolation: {
+    cursor: 'help',
+  },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    marginTop: '10px',
+    fontSize: '13px',
+    color: '#ccc',
+    cursor: 'pointer',
+  },
+  checkbox: {
+    marginRight: '8px',
+    width: '16px',
+    height: '16px',
+    cursor: 'pointer',
+  },
+  advancedToggle: {
+    display: 'block',
+    width: '100%',
+    marginTop: '8px',
+    padding: '8px 10px',
+    fontSize: '12px',
+    color: '#ccc',
+    backgroundColor: 'transparent',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: '#444',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    textAlign: 'left',
+    fontFamily: 'inherit',
+  },
+}
@@ -0,0 +1,103 @@
+/**
+ * Production estimates: geometry measured at the printed size, and the
+ * LED / power / job-time arithmetic on top of it.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { estimateProduction, measureGeometry } from '../analysis.js'
+import { applyManufacturability } from '../manufacturability.js'
+import { square } from './shapes.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+// A 40-unit square frame around a 20-unit hole, plus a loose 10-unit square.
+const POLYGONS = [
+  { outer: square(0, 0, 40), holes: [square(10, 10, 20)] },
+  { outer: square(60, 0, 10), holes: [] },
+]
+
+describe('measureGeometry', () => {
+  it('measures cut length, lit area and counts in mm', () => {
+    // 2 SVG units per mm.
+    const m = measureGeometry(POLYGONS, 2)
+    expect(m.cutLengthMm).toBeCloseTo((160 + 80 + 40) / 2, 9)
+    expect(m.outlineLengthMm).toBeCloseTo((160 + 40) / 2, 9)
+    expect(m.islandOutlinesMm).toEqual([80, 20])
+    expect(m.litAreaMm2).toBeCloseTo((1600 - 400 + 100) / 4, 9)
+    expect(m.islands).toBe(2)
+    expect(m.holes).toBe(1)
+  })
+
+  it('is all zeros with no geometry', () => {
+    expect(measureGeometry([], 1)).toEqual({
+      cutLengthMm: 0,
+      outlineLengthMm: 0,
+      litAreaMm2: 0,
+      islands: 0,
+      holes: 0,
+      islandOutlinesMm: [],
+    })
+  })
+})
+
+describe('estimateProduction', () => {
+  const measures = measureGeometry(POLYGONS, 1)
+
+  it('cuts a strip per island to whole LEDs, at least one each', () => {
+    // 100 LEDs/m → 10mm pitch: the 160mm outline takes 16, the 40mm one 4.
+    const est = estimateProduction(measures, { ledsPerMeter: 100, wattsPerLed: 0.25 })
+    expect(est.ledCount).toBe(20)
+    expect(est.ledStripLengthMm).toBeCloseTo(200, 9)
+    expect(est.powerW).toBeCloseTo(5, 9)
+
+    const sparse = estimateProduction(measures, { ledsPerMeter: 5 })
+    // 200mm pitch: neither outline fits a whole LED, both still get one.
+    expect(sparse.ledCount).toBe(2)
+  })
+
+  it('times the laser by cut length and pierces', () => {
+    const est = estimateProduction(measures, { laserFeedMmPerS: 10, pierceTimeS: 1 })
+    // 280mm at 10mm/s plus 3 rings pierced.
+    expect(est.laserTimeS).toBeCloseTo(28 + 3, 9)
+  })
+
+  it('times the print by walls plus solid fill per layer', () => {
+    const est = estimateProduction(measures, {
+      printFeedMmPerS: 50,
+      lineWidthMm: 0.5,
+      layerHeightMm: 0.2,
+      printHeightMm: 3,
+    })
+    // 15 layers of (280mm walls + 1300mm² / 0.5mm fill) at 50mm/s.
+    expect(est.printTimeS).toBeCloseTo((15 * (280 + 2600)) / 50, 6)
+  })
+
+  it('rejects a non-positive LED density', () => {
+    expect(() => estimateProduction(measures, { ledsPerMeter: 0 })).toThrow(RangeError)
+  })
+})
+
+describe('applyManufacturability measures', () => {
+  it('measures the final geometry at the printed size', () => {
+    // tiny_specks: a 60-unit square and four 2-unit specks over 10..190.
+    // Printed 18mm across → 10 units per mm.
+    const svg = readFileSync(join(FIXTURES, 'tiny_specks.svg'), 'utf8')
+    const kept = applyManufacturability(svg, { nozzleDiameterMm: 0, artSizeMm: 18 })
+    expect(kept.measures.islands).toBe(5)
+    expect(kept.measures.holes).toBe(0)
+    expect(kept.measures.cutLengthMm).toBeCloseTo(24 + 4 * 0.8, 6)
+    expect(kept.measures.litAreaMm2).toBeCloseTo(36 + 4 * 0.04, 6)
+
+    const dropped = applyManufacturability(svg, {
+      minIslandAreaMm2: 0.05,
+      nozzleDiameterMm: 0,
+      artSizeMm: 18,
+    })
+    expect(dropped.measures.islands).toBe(1)
+    expect(dropped.measures.litAreaMm2).toBeCloseTo(36, 6)
+  })
+})
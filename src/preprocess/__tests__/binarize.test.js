@@ -0,0 +1,195 @@
+/**
+ * Unit tests for raster binarization: alpha compositing, Otsu, the local
+ * adaptive modes and inverted-artwork detection — plus the demo W rendered
+ * as awkward rasters (transparent, unevenly lit, inverted) through
+ * preprocessRaster.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import Jimp from 'jimp'
+
+import { binarize, greyscaleOverWhite, otsuThreshold } from '../binarize.js'
+import { preprocessRaster } from '../raster.js'
+import { parseSvgToPolygons, polygonArea } from '../svgParse.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+// Grey image from a per-pixel function.
+function greyImage(w, h, fn) {
+  const grey = new Uint8Array(w * h)
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) grey[y * w + x] = fn(x, y)
+  }
+  return grey
+}
+
+function errorRate(mask, w, h, isInk) {
+  let wrong = 0
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (mask[y * w + x] !== (isInk(x, y) ? 1 : 0)) wrong += 1
+    }
+  }
+  return wrong / (w * h)
+}
+
+describe('greyscaleOverWhite', () => {
+  it('composites alpha over white', () => {
+    const rgba = new Uint8Array([
+      0, 0, 0, 0, // transparent black → paper
+      0, 0, 0, 255, // opaque black
+      0, 0, 0, 128, // half-transparent black
+      200, 100, 50, 255, // opaque color: Rec. 709 luma, floored
+    ])
+    const grey = greyscaleOverWhite(rgba, 4, 1)
+    expect(Array.from(grey)).toEqual([255, 0, 127, 117])
+  })
+})
+
+describe('otsuThreshold', () => {
+  it('splits a bimodal histogram between its modes', () => {
+    const grey = greyImage(100, 10, (x) => (x < 30 ? 90 + (x % 5) : 160 + (x % 7)))
+    const t = otsuThreshold(grey)
+    expect(t).toBeGreaterThan(94)
+    expect(t).toBeLessThanOrEqual(160)
+  })
+})
+
+describe('binarize', () => {
+  // Paper lit unevenly left → right (110..250) with ink 80 levels darker:
+  // too much drift for any one global threshold.
+  const W = 240
+  const H = 120
+  const isInk = (x, y) => (y > 40 && y < 60) || (x % 40 > 15 && x % 40 < 22)
+  const paper = (x) => Math.round(110 + (140 * x) / (W - 1))
+  const scan = greyImage(W, H, (x, y) => paper(x) - (isInk(x, y) ? 80 : 0))
+
+  it('keeps fixed mode at raster.py semantics (grey < threshold)', () => {
+    const grey = new Uint8Array([0, 127, 128, 255])
+    const { mask, threshold } = binarize(grey, 4, 1, { invert: false })
+    expect(Array.from(mask)).toEqual([1, 1, 0, 0])
+    expect(threshold).toBe(128)
+  })
+
+  it('loses an unevenly lit scan with any single global threshold', () => {
+    for (const mode of ['fixed', 'otsu']) {
+      const { mask } = binarize(scan, W, H, { mode, invert: false })
+      expect(errorRate(mask, W, H, isInk)).toBeGreaterThan(0.1)
+    }
+  })
+
+  for (const mode of ['sauvola', 'bradley']) {
+    it(`recovers the same scan with ${mode}`, () => {
+      const { mask, threshold } = binarize(scan, W, H, { mode, windowPx: 31 })
+      expect(threshold).toBeNull()
+      expect(errorRate(mask, W, H, isInk)).toBeLessThan(0.03)
+    })
+
+    it(`keeps ${mode} fills wider than the window solid`, () => {
+      const isBlock = (x, y) => x > 40 && x < 200 && y > 20 && y < 100
+      const grey = greyImage(W, H, (x, y) => (isBlock(x, y) ? 30 : 235))
+      const { mask } = binarize(grey, W, H, { mode, windowPx: 15 })
+      // Only the corners, where a window barely reaches paper, may notch.
+      expect(errorRate(mask, W, H, isBlock)).toBeLessThan(0.01)
+      for (let y = 28; y < 93; y++) {
+        for (let x = 48; x < 193; x++) expect(mask[y * W + x]).toBe(1)
+      }
+    })
+  }
+
+  it('detects light-on-dark artwork and inverts it', () => {
+    const isMark = (x, y) => x > 20 && x < 60 && y > 20 && y < 40
+    const grey = greyImage(80, 60, (x, y) => (isMark(x, y) ? 240 : 20))
+    const auto = binarize(grey, 80, 60, { mode: 'otsu' })
+    expect(auto.inverted).toBe(true)
+    expect(errorRate(auto.mask, 80, 60, isMark)).toBe(0)
+    const forced = binarize(grey, 80, 60, { mode: 'otsu', invert: false })
+    expect(forced.inverted).toBe(false)
+    expect(errorRate(forced.mask, 80, 60, (x, y) => !isMark(x, y))).toBe(0)
+  })
+
+  it('rejects unknown modes', () => {
+    expect(() => binarize(new Uint8Array(1), 1, 1, { mode: 'magic' })).toThrow(RangeError)
+  })
+})
+
+describe('preprocessRaster on rendered demo W rasters', () => {
+  const SCALE = 2
+  const { polygons: demo, viewBox } = parseSvgToPolygons(
+    readFileSync(join(FIXTURES, 'demo_W_black.canonical.svg'), 'utf8')
+  )
+  const demoArea = demo.reduce((sum, p) => sum + polygonArea(p), 0) * SCALE * SCALE
+  const rings = demo.flatMap((p) => [p.outer, ...p.holes])
+
+  // Even-odd point-in-shape test at a pixel center, in demo units.
+  function inDemo(px, py) {
+    const x = (px + 0.5) / SCALE + viewBox.x
+    const y = (py + 0.5) / SCALE + viewBox.y
+    let hit = false
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i]
+        const b = ring[j]
+        if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+          hit = !hit
+        }
+      }
+    }
+    return hit
+  }
+
+  async function render(pixel) {
+    const w = Math.ceil(viewBox.w * SCALE)
+    const h = Math.ceil(viewBox.h * SCALE)
+    const image = new Jimp(w, h)
+    image.scan(0, 0, w, h, (x, y, idx) => {
+      const [r, g, b, a] = pixel(x, y, inDemo(x, y), w)
+      image.bitmap.data[idx] = r
+      image.bitmap.data[idx + 1] = g
+      image.bitmap.data[idx + 2] = b
+      image.bitmap.data[idx + 3] = a
+    })
+    return new Uint8Array(await image.getBufferAsync(Jimp.MIME_PNG))
+  }
+
+  function expectDemoShape(svg) {
+    const { polygons } = parseSvgToPolygons(svg)
+    expect(polygons).toHaveLength(1)
+    expect(polygons[0].holes).toHaveLength(1)
+    const area = polygonArea(polygons[0])
+    expect(Math.abs(area - demoArea) / demoArea).toBeLessThan(0.03)
+  }
+
+  it('treats transparent pixels as paper whatever RGB they carry', async () => {
+    // Transparent background stored as black RGB; the W is opaque navy.
+    const bytes = await render((x, y, ink) => (ink ? [20, 30, 90, 255] : [0, 0, 0, 0]))
+    const { svg, stats } = await preprocessRaster(bytes, { thicknessMm: 0 })
+    expect(stats.inverted).toBe(false)
+    expectDemoShape(svg)
+  })
+
+  it('traces an unevenly lit, grainy scan with sauvola', async () => {
+    // Deterministic ±8 grain over the lighting falloff.
+    const grain = (x, y) => (Math.abs((x * 73856093) ^ (y * 19349663)) % 17) - 8
+    const bytes = await render((x, y, ink, w) => {
+      const v = Math.round(120 + (120 * x) / w) - (ink ? 80 : 0) + grain(x, y)
+      return [v, v, v, 255]
+    })
+    const { svg, stats } = await preprocessRaster(bytes, {
+      thicknessMm: 0,
+      binarize: 'sauvola',
+    })
+    expect(stats).toMatchObject({ binarize: 'sauvola', threshold: null })
+    expectDemoShape(svg)
+  })
+
+  it('traces light-on-dark artwork once inverted', async () => {
+    const bytes = await render((x, y, ink) => (ink ? [250, 250, 250, 255] : [10, 10, 10, 255]))
+    const auto = await preprocessRaster(bytes, { thicknessMm: 0, binarize: 'otsu' })
+    expect(auto.stats.inverted).toBe(true)
+    expectDemoShape(auto.svg)
+  })
+})
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for clip-path / mask resolution, checked through both
+ * consumers: parseSvgToPolygons and selectByColor.
+ */
+import { describe, it, expect } from 'vitest'
+
+import { parseSvgToPolygons, polygonArea } from '../svgParse.js'
+import { listColors, selectByColor } from '../colorSelect.js'
+import { applyManufacturability } from '../manufacturability.js'
+
+function svg(body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`
+}
+
+function bbox({ outer }) {
+  const xs = outer.map((p) => p.x)
+  const ys = outer.map((p) => p.y)
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+    .map((v) => Math.round(v * 100) / 100)
+}
+
+// Run an SVG through both paths and return the polygons each produced.
+function bothPaths(text) {
+  const parsed = parseSvgToPolygons(text)
+  const { svg: out, kept, warnings } = selectByColor(text, { colors: ['#FF0000'] })
+  return {
+    parsed,
+    selected: { kept, warnings, polygons: parseSvgToPolygons(out).polygons },
+  }
+}
+
+const BIG_RED = '<rect fill="#ff0000" width="100" height="100"'
+
+describe('clip-path', () => {
+  it('intersects the shape with a userSpaceOnUse clipPath', () => {
+    const text = svg(`
+      <defs><clipPath id="c"><rect x="10" y="20" width="30" height="40"/></clipPath></defs>
+      ${BIG_RED} clip-path="url(#c)"/>
+    `)
+    for (const { polygons, warnings } of Object.values(bothPaths(text))) {
+      expect(polygons).toHaveLength(1)
+      expect(bbox(polygons[0])).toEqual([10, 20, 40, 60])
+      expect(warnings).toEqual([])
+    }
+  })
+
+  it('applies a clip on an ancestor group in that group\'s user space', () => {
+    const text = svg(`
+      <clipPath id="c"><rect width="10" height="10"/></clipPath>
+      <g transform="translate(50,50)" clip-path="url(#c)">${BIG_RED}/></g>
+    `)
+    for (const { polygons } of Object.values(bothPaths(text))) {
+      expect(polygons.map(bbox)).toEqual([[50, 50, 60, 60]])
+    }
+  })
+
+  it('maps objectBoundingBox clips through the element bbox', () => {
+    const text = svg(`
+      <clipPath id="c" clipPathUnits="objectBoundingBox">
+        <rect x="0.5" y="0" width="0.5" height="0.5"/>
+      </clipPath>
+      <rect fill="#ff0000" x="20" y="20" width="40" height="40" clip-path="url(#c)"/>
+    `)
+    for (const { polygons } of Object.values(bothPaths(text))) {
+      expect(polygons.map(bbox)).toEqual([[40, 20, 60, 40]])
+    }
+  })
+
+  it('intersects nested clips and honors clip-rule', () => {
+    const text = svg(`
+      <clipPath id="outer"><rect width="50" height="100"/></clipPath>
+      <clipPath id="ring">
+        <path clip-rule="evenodd" d="M0,0 H100 V100 H0 Z M25,25 H75 V75 H25 Z"/>
+      </clipPath>
+      <g clip-path="url(#outer)">${BIG_RED} clip-path="url(#ring)"/></g>
+    `)
+    for (const { polygons } of Object.values(bothPaths(text))) {
+      // Left half of a 100×100 square with a 50×50 hole: 5000 − 1250.
+      const area = polygons.reduce((sum, p) => sum + polygonArea(p), 0)
+      expect(area).toBeCloseTo(3750, 0)
+    }
+  })
+
+  it('drops shapes clipped away entirely', () => {
+    const text = svg(`
+      <clipPath id="c"><rect x="200" width="10" height="10"/></clipPath>
+      ${BIG_RED} clip-path="url(#c)"/>
+    `)
+    const { parsed, selected } = bothPaths(text)
+    expect(parsed.polygons).toHaveLength(0)
+    expect(selected.kept).toBe(0)
+  })
+
+  it('ignores dangling clip-path references', () => {
+    const text = svg(`${BIG_RED} clip-path="url(#nope)"/>`)
+    for (const { polygons, warnings } of Object.values(bothPaths(text))) {
+      expect(polygons.map(bbox)).toEqual([[0, 0, 100, 100]])
+      expect(warnings).toEqual([])
+    }
+  })
+
+  it('resolves clips drawn as a <use> of a shape in <defs>, as Illustrator writes them', () => {
+    const text =
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 100 100">' +
+      '<defs><rect id="SVGID_1_" x="10" y="10" width="30" height="30"/>' +
+      '<clipPath id="SVGID_2_"><use xlink:href="#SVGID_1_" x="5" overflow="visible"/></clipPath></defs>' +
+      '<g clip-path="url(#SVGID_2_)"><rect fill="#ff0000" width="100" height="100"/></g></svg>'
+    for (const { polygons, warnings } of Object.values(bothPaths(text))) {
+      expect(polygons.map(bbox)).toEqual([[15, 10, 45, 40]])
+      expect(warnings).toEqual([])
+    }
+    expect(listColors(text).map((c) => c.hex)).toEqual(['#FF0000'])
+  })
+
+  it('warns and cuts unclipped when the clip is text', () => {
+    const text = svg(`
+      <clipPath id="c"><text x="10" y="50">Hi</text></clipPath>
+      ${BIG_RED} clip-path="url(#c)"/>
+    `)
+    for (const { polygons, warnings } of Object.values(bothPaths(text))) {
+      expect(polygons.map(bbox)).toEqual([[0, 0, 100, 100]])
+      expect(warnings).toEqual([
+        'Clip path #c contains <text> — shapes it trims are cut unclipped.',
+      ])
+    }
+  })
+
+  it('never cuts clipPath content as artwork', () => {
+    const text = svg(`<clipPath id="c"><rect width="10" height="10"/></clipPath>`)
+    expect(parseSvgToPolygons(text).polygons).toHaveLength(0)
+  })
+})
+
+describe('mask', () => {
+  it('treats an opaque-white mask as a clip, black content punching holes', () => {
+    const text = svg(`
+      <mask id="m">
+        <rect fill="#fff" x="10" y="10" width="80" height="80"/>
+        <rect fill="black" x="40" y="40" width="20" height="20"/>
+      </mask>
+      ${BIG_RED} mask="url(#m)"/>
+    `)
+    for (const { polygons, warnings } of Object.values(bothPaths(text))) {
+      expect(polygons).toHaveLength(1)
+      expect(bbox(polygons[0])).toEqual([10, 10, 90, 90])
+      expect(polygons[0].holes).toHaveLength(1)
+      expect(warnings).toEqual([])
+    }
+  })
+
+  const unresolvable = {
+    'gray content': `<mask id="m"><rect fill="#808080" width="50" height="50"/></mask>`,
+    'partial opacity': `<mask id="m"><rect fill="#fff" opacity="0.5" width="50" height="50"/></mask>`,
+    gradients: `<mask id="m"><rect fill="url(#g)" width="50" height="50"/></mask>`,
+    images: `<mask id="m"><image href="a.png" width="50" height="50"/></mask>`,
+  }
+  for (const [name, mask] of Object.entries(unresolvable)) {
+    it(`warns and cuts unmasked for ${name}`, () => {
+      const text = svg(`${mask}${BIG_RED} mask="url(#m)"/>`)
+      for (const { polygons, warnings } of Object.values(bothPaths(text))) {
+        expect(polygons.map(bbox)).toEqual([[0, 0, 100, 100]])
+        expect(warnings).toHaveLength(1)
+        expect(warnings[0]).toMatch(/^Mask #m /)
+      }
+    })
+  }
+
+  it('warns once about a missing mask, and applyManufacturability passes it on', () => {
+    const text = svg(`${BIG_RED} mask="url(#gone)"/><rect fill="#ff0000" mask="url(#gone)" width="5" height="5"/>`)
+    expect(parseSvgToPolygons(text).warnings).toEqual([
+      'Mask #gone could not be found — shapes it trims are cut unmasked.',
+    ])
+    const { warnings } = applyManufacturability(text, { nozzleDiameterMm: 0 })
+    expect(warnings).toContain(
+      'Mask #gone could not be found — shapes it trims are cut unmasked.'
+    )
+  })
+})
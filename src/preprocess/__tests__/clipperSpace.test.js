@@ -0,0 +1,111 @@
+/**
+ * Clipper's integer space: per-document decimal scaling into the working
+ * range, and the same results for the same art drawn at any scale — from
+ * a 0–1 normalized icon to coordinates far past the old fixed ×1000's
+ * range.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { WORKING_RANGE, clipperSpaceFor, createClipperSpace } from '../clipperSpace.js'
+import { applyManufacturability } from '../manufacturability.js'
+import { parseSvgToPolygons, polygonArea } from '../svgParse.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+// nested_holes.svg (a disc with a ring-shaped hole and a disc inside it,
+// on a 200-unit viewBox) redrawn at `k` times the size.
+function nestedHolesAt(k, offset = 0) {
+  const source = readFileSync(join(FIXTURES, 'nested_holes.svg'), 'utf8')
+  const d = source.match(/\sd="([^"]*)"/)[1]
+  const size = 200 * k
+  const transform = `translate(${offset} ${offset}) scale(${k})`
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${offset} ${offset} ${size} ${size}">` +
+    `<path transform="${transform}" d="${d}" fill-rule="evenodd"/>` +
+    '</svg>'
+  )
+}
+
+const SCALES = [1e-3, 1, 1e4, 1e13]
+
+describe('createClipperSpace', () => {
+  it('scales each box by a power of ten into the working range', () => {
+    for (const extent of [1e-6, 0.2, 1, 180, 2e5, 3e12]) {
+      const space = createClipperSpace({ x0: 0, y0: 0, x1: extent, y1: extent / 2 })
+      const [a, b] = space.toPath([{ x: 0, y: 0 }, { x: extent, y: extent / 2 }])
+      const half = Math.max(Math.abs(a.X), Math.abs(b.X))
+      expect(half).toBeLessThanOrEqual(WORKING_RANGE)
+      expect(half).toBeGreaterThan(WORKING_RANGE / 10)
+      const decade = Math.log10(space.scale)
+      expect(decade).toBeCloseTo(Math.round(decade), 9)
+    }
+  })
+
+  it('centers far-off boxes on the origin', () => {
+    const ring = [
+      { x: 5e8, y: -5e8 },
+      { x: 5e8 + 10, y: -5e8 },
+      { x: 5e8 + 10, y: -5e8 + 10 },
+    ]
+    const space = clipperSpaceFor([ring])
+    for (const p of space.toPath(ring)) {
+      expect(Math.abs(p.X)).toBeLessThanOrEqual(WORKING_RANGE)
+      expect(Math.abs(p.Y)).toBeLessThanOrEqual(WORKING_RANGE)
+    }
+    expect(space.toRing(space.toPath(ring))).toEqual(ring)
+  })
+
+  it('hands decimal coordinates back exactly', () => {
+    const ring = [
+      { x: 10, y: 12.5 },
+      { x: 190.125, y: 12.5 },
+      { x: 0.001, y: 170.3 },
+    ]
+    const space = clipperSpaceFor([ring])
+    expect(space.toRing(space.toPath(ring))).toEqual(ring)
+  })
+
+  it('sizes offsets and arc accuracy to the box', () => {
+    const small = createClipperSpace({ x0: 0, y0: 0, x1: 1, y1: 1 })
+    const large = createClipperSpace({ x0: 0, y0: 0, x1: 1e6, y1: 1e6 })
+    expect(small.toDelta(0.01) / small.arcTolerance).toBeCloseTo(
+      large.toDelta(1e4) / large.arcTolerance,
+      6
+    )
+    // Room for an offset counts into the box.
+    expect(clipperSpaceFor([[{ x: 0, y: 0 }]], 1).scale).toBe(1e7)
+  })
+})
+
+describe('extreme viewBoxes', () => {
+  const reference = parseSvgToPolygons(nestedHolesAt(1)).polygons
+
+  it('parses the same art at any scale', () => {
+    const area = (polygons) => polygons.reduce((sum, p) => sum + polygonArea(p), 0)
+    for (const k of SCALES) {
+      const { polygons } = parseSvgToPolygons(nestedHolesAt(k, 3 * k))
+      expect(polygons).toHaveLength(reference.length)
+      expect(area(polygons) / (k * k)).toBeCloseTo(area(reference), 3)
+      const counts = (ps) => ps.map((p) => p.outer.length).sort((a, b) => a - b)
+      expect(counts(polygons)).toEqual(counts(reference))
+    }
+  })
+
+  it('applies the same manufacturability rules at any scale', () => {
+    const opts = { nozzleDiameterMm: 0.6, minGapMm: 1, minFeatureWidthMm: 0.5 }
+    const base = applyManufacturability(nestedHolesAt(1), opts)
+    for (const k of SCALES) {
+      const result = applyManufacturability(nestedHolesAt(k, -7 * k), opts)
+      expect(result.unitsPerMm / k).toBeCloseTo(base.unitsPerMm, 9)
+      expect(result.sizeMm.w).toBeCloseTo(base.sizeMm.w, 4)
+      expect(result.sizeMm.h).toBeCloseTo(base.sizeMm.h, 4)
+      expect(result.measures.litAreaMm2).toBeCloseTo(base.measures.litAreaMm2, 2)
+      expect(result.measures.cutLengthMm).toBeCloseTo(base.measures.cutLengthMm, 2)
+      expect(result.nodes.before).toBe(base.nodes.before)
+    }
+  })
+})
@@ -0,0 +1,269 @@
+/**
+ * Unit tests for the color_select port: fill resolution (CSS cascade,
+ * inheritance, hidden shapes), gradients and stroke paints as seen through
+ * listColors / selectByColor.
+ * End-to-end parity against the Python canonicals lives in parity.test.js.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { listColors, selectByColor } from '../colorSelect.js'
+import { parseSvgToPolygons } from '../svgParse.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const TORTURE = join(HERE, '..', '..', '..', 'torture test')
+
+function svg(body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`
+}
+
+const hexes = (text) => listColors(text).map((c) => c.hex).sort()
+
+describe('fill resolution via <style> rules', () => {
+  it('applies class, id and type selectors', () => {
+    const text = svg(`
+      <style>
+        .red { fill: #ff0000 }
+        #blue { fill: blue }
+        circle { fill: #00ff00 }
+      </style>
+      <rect class="red" x="0" y="0" width="10" height="10"/>
+      <rect id="blue" x="20" y="0" width="10" height="10"/>
+      <circle cx="50" cy="50" r="5"/>
+    `)
+    expect(hexes(text)).toEqual(['#0000FF', '#00FF00', '#FF0000'])
+  })
+
+  it('ranks by specificity, then source order, over presentation attributes', () => {
+    const text = svg(`
+      <style>
+        #a { fill: #0000ff }
+        rect.c { fill: #00ff00 }
+        .c { fill: #ff0000 }
+        .d { fill: #111111 }
+        .d { fill: #222222 }
+      </style>
+      <rect id="a" class="c" fill="#ffffff" width="10" height="10"/>
+      <rect class="c" fill="#ffffff" x="20" width="10" height="10"/>
+      <rect class="d" x="40" width="10" height="10"/>
+    `)
+    expect(hexes(text)).toEqual(['#0000FF', '#00FF00', '#222222'])
+  })
+
+  it('matches descendant and child combinators', () => {
+    const text = svg(`
+      <style>
+        .logo path { fill: #ff0000 }
+        .logo > rect { fill: #0000ff }
+      </style>
+      <g class="logo">
+        <g><path d="M0,0 h10 v10 h-10 Z"/></g>
+        <rect x="20" width="10" height="10"/>
+        <g><rect x="40" width="10" height="10" fill="#00ff00"/></g>
+      </g>
+    `)
+    expect(hexes(text)).toEqual(['#0000FF', '#00FF00', '#FF0000'])
+  })
+
+  it('lets !important stylesheet rules beat inline style', () => {
+    const text = svg(`
+      <style>.x { fill: #ff0000 !important }</style>
+      <rect class="x" style="fill:#0000ff" width="10" height="10"/>
+    `)
+    expect(hexes(text)).toEqual(['#FF0000'])
+  })
+
+  it('inherits fills declared by a rule on an ancestor group', () => {
+    const text = svg(`
+      <style>.grp { fill: #123456 }</style>
+      <g class="grp"><rect width="10" height="10"/></g>
+    `)
+    expect(hexes(text)).toEqual(['#123456'])
+  })
+
+  it('sees the snowflake .cls-1 rule as fill:none (stroke-only art)', () => {
+    const text = readFileSync(
+      join(TORTURE, 'cold-snowflake-svgrepo-com.svg'),
+      'utf8'
+    )
+    const colors = listColors(text)
+    expect(colors).toHaveLength(1)
+    expect(colors[0]).toMatchObject({ hex: '#020202', nPaths: 0 })
+    expect(colors[0].nStrokes).toBeGreaterThan(0)
+  })
+})
+
+describe('hidden shapes never reach the cut', () => {
+  const hiddenCases = {
+    'display:none on an ancestor': `<g style="display:none"><rect fill="#ff0000" width="10" height="10"/></g>`,
+    'display="none" attribute': `<rect display="none" fill="#ff0000" width="10" height="10"/>`,
+    'visibility:hidden': `<rect style="visibility:hidden" fill="#ff0000" width="10" height="10"/>`,
+    'inherited visibility': `<g visibility="hidden"><rect fill="#ff0000" width="10" height="10"/></g>`,
+    'opacity:0 on a group': `<g opacity="0"><rect fill="#ff0000" width="10" height="10"/></g>`,
+    'fill-opacity:0 via class': `<style>.t{fill-opacity:0}</style><rect class="t" fill="#ff0000" width="10" height="10"/>`,
+  }
+  for (const [name, body] of Object.entries(hiddenCases)) {
+    it(`skips ${name}`, () => {
+      const text = svg(`${body}<rect fill="#000000" x="50" width="10" height="10"/>`)
+      expect(hexes(text)).toEqual(['#000000'])
+      const { kept } = selectByColor(text, { colors: ['#FF0000'] })
+      expect(kept).toBe(0)
+    })
+  }
+
+  it('lets visibility:visible re-show a child of a hidden group', () => {
+    const text = svg(
+      `<g visibility="hidden"><rect visibility="visible" fill="#ff0000" width="10" height="10"/></g>`
+    )
+    expect(hexes(text)).toEqual(['#FF0000'])
+  })
+})
+
+describe('gradient fills', () => {
+  const text = svg(`
+    <defs>
+      <linearGradient id="ramp">
+        <stop offset="0" stop-color="#ff0000"/>
+        <stop offset="100%" style="stop-color:#0000ff"/>
+      </linearGradient>
+      <linearGradient id="ramp2" xlink:href="#ramp" x1="0" x2="0" y2="1"
+        xmlns:xlink="http://www.w3.org/1999/xlink"/>
+      <radialGradient id="glow" href="#ramp"/>
+      <linearGradient id="empty"/>
+    </defs>
+    <rect fill="url(#ramp)" width="10" height="10"/>
+    <rect fill="url(#ramp2)" x="20" width="10" height="10"/>
+    <circle style="fill:url('#glow')" cx="50" cy="50" r="5"/>
+    <rect fill="url(#empty)" x="40" width="10" height="10"/>
+    <rect fill="#000000" x="60" width="10" height="10"/>
+  `)
+
+  it('lists each referenced gradient with an averaged swatch and its stops', () => {
+    const byId = Object.fromEntries(listColors(text).map((c) => [c.id, c]))
+    expect(Object.keys(byId).sort()).toEqual([
+      '#000000',
+      'url(#glow)',
+      'url(#ramp)',
+      'url(#ramp2)',
+    ])
+    expect(byId['url(#ramp)'].hex).toBe('#800080')
+    expect(byId['url(#ramp)'].gradient).toEqual({
+      type: 'linear',
+      stops: [
+        { offset: 0, hex: '#FF0000', opacity: 1 },
+        { offset: 1, hex: '#0000FF', opacity: 1 },
+      ],
+    })
+    // Stops inherited through href, type from the referencing element.
+    expect(byId['url(#glow)'].gradient.type).toBe('radial')
+    expect(byId['url(#ramp2)'].gradient.stops).toHaveLength(2)
+    expect(byId['#000000'].gradient).toBeUndefined()
+  })
+
+  it('selects gradient shapes by id, never by their swatch color', () => {
+    expect(selectByColor(text, { colors: ['url(#ramp2)'] }).kept).toBe(1)
+    expect(selectByColor(text, { colors: ['#glow'] }).kept).toBe(1)
+    expect(selectByColor(text, { colors: ['#800080'] }).kept).toBe(0)
+  })
+
+  it('lets the shared parent gradient pick every gradient inheriting from it', () => {
+    expect(selectByColor(text, { colors: ['url(#ramp)'] }).kept).toBe(3)
+    expect(selectByColor(text, { colors: ['url(#ramp)', '#000'] }).kept).toBe(4)
+  })
+})
+
+describe('stroke paints', () => {
+  // Whether (x, y) falls inside the cut geometry of a black SVG.
+  function covered(svgText, x, y) {
+    const { polygons } = parseSvgToPolygons(svgText)
+    const inside = (ring) => {
+      let hit = false
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i]
+        const b = ring[j]
+        if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+          hit = !hit
+        }
+      }
+      return hit
+    }
+    return polygons.some((p) => inside(p.outer) && !p.holes.some(inside))
+  }
+
+  it('lists stroke colors alongside fills, counted separately', () => {
+    const text = svg(`
+      <rect fill="#ff0000" stroke="#0000ff" stroke-width="2" width="10" height="10"/>
+      <line stroke="#ff0000" x1="20" y1="0" x2="20" y2="50"/>
+    `)
+    const byId = Object.fromEntries(listColors(text).map((c) => [c.id, c]))
+    expect(byId['#FF0000']).toMatchObject({ nPaths: 1, nStrokes: 1 })
+    expect(byId['#0000FF']).toMatchObject({ nPaths: 0, nStrokes: 1 })
+  })
+
+  it('skips strokes that are transparent or zero-width', () => {
+    const text = svg(`
+      <rect fill="none" stroke="#ff0000" stroke-opacity="0" width="10" height="10"/>
+      <rect fill="none" stroke="#00ff00" stroke-width="0" width="10" height="10"/>
+    `)
+    expect(listColors(text)).toEqual([])
+  })
+
+  it('selects strokes by color as filled ribbons', () => {
+    const text = svg(`
+      <rect fill="#000000" x="60" width="10" height="10"/>
+      <line stroke="#ff0000" stroke-width="4" x1="10" y1="50" x2="40" y2="50"/>
+    `)
+    const { svg: out, kept } = selectByColor(text, { colors: ['#ff0000'] })
+    expect(kept).toBe(1)
+    expect(covered(out, 25, 51.5)).toBe(true)
+    expect(covered(out, 25, 53)).toBe(false)
+    expect(covered(out, 65, 5)).toBe(false)
+  })
+
+  it('scales stroke width through transforms', () => {
+    const text = svg(`
+      <g transform="scale(2)">
+        <line stroke="#ff0000" stroke-width="2" x1="5" y1="25" x2="20" y2="25"/>
+      </g>
+    `)
+    const { svg: out } = selectByColor(text, { colors: ['#ff0000'] })
+    // Centerline at y=50, ribbon 4 units wide.
+    expect(covered(out, 25, 51.5)).toBe(true)
+    expect(covered(out, 25, 52.5)).toBe(false)
+  })
+
+  it('unions a stroke over its fill instead of XOR-ing it out', () => {
+    // Ring with a hole; a stroke of the same color crosses the hole and
+    // overlaps the ring. Under a naive evenodd merge the overlaps would cut.
+    const text = svg(`
+      <path fill="#000000" fill-rule="evenodd"
+        d="M10 10 H90 V90 H10 Z M30 30 V70 H70 V30 Z"/>
+      <line stroke="#000000" stroke-width="4" x1="0" y1="50" x2="100" y2="50"/>
+    `)
+    const { svg: out, kept } = selectByColor(text, { colors: ['#000'] })
+    expect(kept).toBe(2)
+    expect(covered(out, 20, 50)).toBe(true) // ring ∩ stroke
+    expect(covered(out, 50, 50)).toBe(true) // stroke across the hole
+    expect(covered(out, 50, 40)).toBe(false) // rest of the hole stays open
+    expect(covered(out, 20, 20)).toBe(true) // ring
+    expect(covered(out, 5, 20)).toBe(false)
+  })
+
+  it('trims stroke ribbons to their clip-path', () => {
+    const text = svg(`
+      <clipPath id="c"><rect width="50" height="100"/></clipPath>
+      <line clip-path="url(#c)" stroke="#ff0000" stroke-width="4" x1="10" y1="50" x2="90" y2="50"/>
+    `)
+    const { svg: out } = selectByColor(text, { colors: ['#ff0000'] })
+    expect(covered(out, 40, 50)).toBe(true)
+    expect(covered(out, 60, 50)).toBe(false)
+  })
+
+  it('leaves fill-only selections as per-shape paths', () => {
+    const text = svg(`<circle fill="#ff0000" cx="50" cy="50" r="10"/>`)
+    const { svg: out } = selectByColor(text, { colors: ['#ff0000'] })
+    expect(out).toContain(' a10,10 ')
+  })
+})
@@ -0,0 +1,54 @@
+/**
+ * Dilation speed: the per-pixel MaxFilter scan raster.js used to run
+ * against dilate.js, on the fox fixture binarized at 1024 px — where
+ * thicknessMm 0.1, 0.4, 1 and 2.5 come to radii of 1, 4, 10 and 26 px.
+ *
+ *   npm run bench
+ */
+import { bench, describe } from 'vitest'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import Jimp from 'jimp'
+
+import { binarize, greyscaleOverWhite } from '../binarize.js'
+import { dilateMask } from '../dilate.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const SIZE = 1024
+
+const image = await Jimp.read(join(HERE, 'fixtures', 'fox.jpg'))
+image.resize(SIZE, SIZE)
+const { mask } = binarize(greyscaleOverWhite(image.bitmap.data, SIZE, SIZE), SIZE, SIZE)
+
+// The scan, as raster.js ran it: every pixel reads its whole window until
+// it meets foreground.
+function maxFilterScan(mask, w, h, radius) {
+  const out = new Uint8Array(w * h)
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const y0 = Math.max(0, y - radius)
+      const y1 = Math.min(h - 1, y + radius)
+      const x0 = Math.max(0, x - radius)
+      const x1 = Math.min(w - 1, x + radius)
+      let hit = 0
+      for (let yy = y0; yy <= y1 && !hit; yy++) {
+        for (let xx = x0; xx <= x1; xx++) {
+          if (mask[yy * w + xx]) { hit = 1; break }
+        }
+      }
+      out[y * w + x] = hit
+    }
+  }
+  return out
+}
+
+// The scan takes seconds per run at the larger radii.
+const SLOW = { time: 0, iterations: 3, warmupTime: 0, warmupIterations: 1 }
+
+for (const radius of [1, 4, 10, 26]) {
+  describe(`radius ${radius} px`, () => {
+    bench('MaxFilter scan', () => { maxFilterScan(mask, SIZE, SIZE, radius) }, SLOW)
+    bench('square', () => { dilateMask(mask, SIZE, SIZE, radius) })
+    bench('disc', () => { dilateMask(mask, SIZE, SIZE, radius, { shape: 'disc' }) })
+  })
+}
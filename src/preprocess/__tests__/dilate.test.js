@@ -0,0 +1,106 @@
+/**
+ * Raster dilation: both structuring elements match a brute-force window
+ * exactly — the square pixel for pixel with raster.py's MaxFilter — and
+ * preprocessRaster traces with whichever `dilationShape` asks for.
+ */
+import { describe, it, expect } from 'vitest'
+import Jimp from 'jimp'
+
+import { dilateMask } from '../dilate.js'
+import { preprocessRaster } from '../raster.js'
+import { parseSvgToPolygons, polygonArea } from '../svgParse.js'
+
+// Deterministic sparse mask (a small LCG, so failures reproduce).
+function speckleMask(w, h, density, seed = 1) {
+  const mask = new Uint8Array(w * h)
+  let state = seed
+  for (let i = 0; i < mask.length; i++) {
+    state = (state * 1664525 + 1013904223) >>> 0
+    mask[i] = state / 2 ** 32 < density ? 1 : 0
+  }
+  return mask
+}
+
+// Every pixel with a foreground pixel at an offset `inWindow` accepts.
+function bruteForce(mask, w, h, r, inWindow) {
+  const out = new Uint8Array(w * h)
+  const reach = Math.floor(r)
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!mask[y * w + x]) continue
+      for (let dy = -reach; dy <= reach; dy++) {
+        for (let dx = -reach; dx <= reach; dx++) {
+          const xx = x + dx
+          const yy = y + dy
+          if (xx < 0 || yy < 0 || xx >= w || yy >= h) continue
+          if (inWindow(dx, dy)) out[yy * w + xx] = 1
+        }
+      }
+    }
+  }
+  return out
+}
+
+const MASKS = [[0.002, 1], [0.02, 2], [0.3, 3]].map(([density, seed]) =>
+  speckleMask(61, 37, density, seed)
+)
+
+const count = (mask) => mask.reduce((sum, v) => sum + v, 0)
+
+describe('dilateMask', () => {
+  it("matches MaxFilter's square window", () => {
+    for (const mask of MASKS) {
+      for (const r of [1, 3, 7, 40]) {
+        expect(dilateMask(mask, 61, 37, r)).toEqual(bruteForce(mask, 61, 37, r, () => true))
+      }
+    }
+  })
+
+  it('matches a brute-force disc', () => {
+    for (const mask of MASKS) {
+      for (const r of [1, 2.5, 3, 7, 40]) {
+        const disc = (dx, dy) => dx * dx + dy * dy <= r * r
+        expect(dilateMask(mask, 61, 37, r, { shape: 'disc' })).toEqual(
+          bruteForce(mask, 61, 37, r, disc)
+        )
+      }
+    }
+  })
+
+  it('grows a pixel into a square or a disc', () => {
+    const mask = new Uint8Array(21 * 21)
+    mask[10 * 21 + 10] = 1
+    expect(count(dilateMask(mask, 21, 21, 10))).toBe(21 * 21)
+    const disc = dilateMask(mask, 21, 21, 10, { shape: 'disc' })
+    expect(disc[10 * 21 + 0]).toBe(1)
+    expect(disc[0]).toBe(0)
+    // Lattice points within a radius-10 disc.
+    expect(count(disc)).toBe(317)
+  })
+
+  it('copies the mask for a zero radius and rejects unknown shapes', () => {
+    const mask = speckleMask(8, 8, 0.2)
+    const out = dilateMask(mask, 8, 8, 0)
+    expect(out).toEqual(mask)
+    expect(out).not.toBe(mask)
+    expect(() => dilateMask(mask, 8, 8, 2, { shape: 'diamond' })).toThrow(RangeError)
+  })
+})
+
+describe('preprocessRaster dilationShape', () => {
+  it('thickens by a square unless asked for a disc', async () => {
+    // One black pixel on a 100 px image: 1 px per mm at maxLogoDimMm 100.
+    const image = new Jimp(100, 100, 0xffffffff)
+    image.setPixelColor(0x000000ff, 50, 50)
+    const bytes = await image.getBufferAsync(Jimp.MIME_PNG)
+    const area = async (opts) => {
+      const { svg } = await preprocessRaster(bytes, { thicknessMm: 10, turdsize: 0, ...opts })
+      return parseSvgToPolygons(svg).polygons.reduce((sum, p) => sum + polygonArea(p), 0)
+    }
+    const square = await area({})
+    const disc = await area({ dilationShape: 'disc' })
+    expect(square).toBeCloseTo(21 * 21, -1)
+    expect(disc / (Math.PI * 10 * 10)).toBeGreaterThan(0.95)
+    expect(disc / (Math.PI * 10 * 10)).toBeLessThan(1.05)
+  })
+})
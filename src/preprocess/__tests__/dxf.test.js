@@ -0,0 +1,110 @@
+/**
+ * DXF export: closed R12 POLYLINEs on the OUTERS / HOLES layers, in mm at
+ * the printed size, y flipped up — checked by reading the file back.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { DXF_LAYERS, parseDxfPolylines, polygonsToDxf, svgToDxf } from '../dxf.js'
+import { parseSvgToPolygons, ringArea } from '../svgParse.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+function bounds(points) {
+  const xs = points.map((p) => p.x)
+  const ys = points.map((p) => p.y)
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) }
+}
+
+describe('polygonsToDxf', () => {
+  // SVG units, y down: a 40×20 bar with a 10×10 hole near its top edge.
+  const polygons = [
+    {
+      outer: [
+        { x: 10, y: 10 },
+        { x: 50, y: 10 },
+        { x: 50, y: 30 },
+        { x: 10, y: 30 },
+      ],
+      holes: [
+        [
+          { x: 20, y: 12 },
+          { x: 30, y: 12 },
+          { x: 30, y: 22 },
+          { x: 20, y: 22 },
+        ],
+      ],
+    },
+  ]
+
+  it('writes a millimetre R12 DXF with both layers declared', () => {
+    const dxf = polygonsToDxf(polygons)
+    expect(dxf).toMatch(/\$ACADVER\n1\nAC1009\n/)
+    // R12 entities carry no handles (5) or subclass markers (100).
+    const codes = dxf.split('\n').filter((_, i) => i % 2 === 0)
+    expect(codes).not.toContain('5')
+    expect(codes).not.toContain('100')
+    expect(dxf).toContain('LTYPE\n2\nCONTINUOUS\n')
+    expect(dxf).toMatch(/\$INSUNITS\n70\n4\n/)
+    expect(dxf).toContain(`LAYER\n2\n${DXF_LAYERS.outers}\n`)
+    expect(dxf).toContain(`LAYER\n2\n${DXF_LAYERS.holes}\n`)
+    expect(dxf.trimEnd().endsWith('0\nEOF')).toBe(true)
+  })
+
+  it('round-trips rings as closed polylines, scaled and flipped to y-up', () => {
+    const [outer, hole] = parseDxfPolylines(polygonsToDxf(polygons, { unitsPerMm: 2 }))
+    expect(outer.layer).toBe(DXF_LAYERS.outers)
+    expect(hole.layer).toBe(DXF_LAYERS.holes)
+    expect(outer.closed && hole.closed).toBe(true)
+
+    // Lower-left of the art on the origin, 2 SVG units per mm.
+    expect(bounds(outer.points)).toEqual({ x0: 0, y0: 0, x1: 20, y1: 10 })
+    // The hole hugs the bar's top edge in SVG, so it does in y-up DXF too.
+    expect(bounds(hole.points)).toEqual({ x0: 5, y0: 4, x1: 10, y1: 9 })
+
+    expect(ringArea(outer.points)).toBeGreaterThan(0)
+    expect(ringArea(hole.points)).toBeLessThan(0)
+  })
+})
+
+describe('svgToDxf', () => {
+  const svg = readFileSync(join(FIXTURES, 'nested_holes.svg'), 'utf8')
+  const { polygons } = parseSvgToPolygons(svg)
+
+  it('keeps every ring and vertex of the parsed polygons', () => {
+    const polylines = parseDxfPolylines(svgToDxf(svg))
+    const outers = polylines.filter((p) => p.layer === DXF_LAYERS.outers)
+    const holes = polylines.filter((p) => p.layer === DXF_LAYERS.holes)
+    expect(outers).toHaveLength(polygons.length)
+    expect(holes).toHaveLength(polygons.reduce((n, p) => n + p.holes.length, 0))
+    expect(outers.map((p) => p.points.length)).toEqual(polygons.map((p) => p.outer.length))
+  })
+
+  it('scales to the viewBox size, or to the art size when given', () => {
+    // 200-unit viewBox at 100mm; the art spans 160 units of it.
+    const byViewBox = parseDxfPolylines(svgToDxf(svg, { maxLogoDimMm: 100 }))
+    const b = bounds(byViewBox.flatMap((p) => p.points))
+    expect(b.x1 - b.x0).toBeCloseTo(80, 1)
+    expect(b.y1 - b.y0).toBeCloseTo(80, 1)
+
+    const byArt = parseDxfPolylines(svgToDxf(svg, { artSizeMm: 50 }))
+    const a = bounds(byArt.flatMap((p) => p.points))
+    expect(a.x1 - a.x0).toBeCloseTo(50, 6)
+    expect(a.y1 - a.y0).toBeCloseTo(50, 6)
+  })
+
+  it('round-trips areas in mm²', () => {
+    const unitsPerMm = 4
+    const polylines = parseDxfPolylines(polygonsToDxf(polygons, { unitsPerMm }))
+    const expected = polygons
+      .flatMap((p) => [p.outer, ...p.holes])
+      .map((ring) => Math.abs(ringArea(ring)) / unitsPerMm ** 2)
+    const actual = polylines.map((p) => Math.abs(ringArea(p.points)))
+    for (let i = 0; i < expected.length; i++) {
+      expect(actual[i]).toBeCloseTo(expected[i], 4)
+    }
+  })
+})
@@ -0,0 +1,142 @@
+/**
+ * Curve flattening to a chord tolerance: Béziers and arcs stay within it
+ * with points in proportion to their size, and parseSvgToPolygons reads
+ * the tolerance in mm against the document's size.
+ */
+import { describe, it, expect } from 'vitest'
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js'
+
+import { curveTolerance, flattenSubPath } from '../flatten.js'
+import { parseSvgToPolygons, strokesToBlackSvg } from '../svgParse.js'
+
+function subPathOf(d) {
+  const data = new SVGLoader().parse(
+    `<svg xmlns="http://www.w3.org/2000/svg"><path d="${d}"/></svg>`
+  )
+  return data.paths[0].subPaths[0]
+}
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const len2 = dx * dx + dy * dy
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0
+  return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy)
+}
+
+// Furthest any point of the true curve lies from the polyline.
+function deviation(subPath, polyline) {
+  let worst = 0
+  for (let i = 0; i <= 2000; i++) {
+    const p = subPath.getPointAt(i / 2000)
+    let best = Infinity
+    for (let j = 1; j < polyline.length; j++) {
+      best = Math.min(best, segmentDistance(p, polyline[j - 1], polyline[j]))
+    }
+    worst = Math.max(worst, best)
+  }
+  return worst
+}
+
+// Worst chord sagitta of a ring flattened from a circle.
+function circleDeviation(ring, cx, cy, r) {
+  let worst = 0
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i]
+    const b = ring[(i + 1) % ring.length]
+    worst = Math.max(worst, r - Math.hypot((a.x + b.x) / 2 - cx, (a.y + b.y) / 2 - cy))
+  }
+  return worst
+}
+
+const circleSvg = (attrs, circles) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>` +
+  circles.map(([cx, cy, r]) => `<circle cx="${cx}" cy="${cy}" r="${r}"/>`).join('') +
+  '</svg>'
+
+describe('flattenSubPath', () => {
+  it('keeps cubic and quadratic Béziers within the tolerance', () => {
+    for (const d of ['M0 0 C 30 80 70 -80 100 0', 'M0 0 Q 50 90 100 0']) {
+      const subPath = subPathOf(d)
+      const coarse = flattenSubPath(subPath, 0.5)
+      const fine = flattenSubPath(subPath, 0.01)
+      expect(deviation(subPath, coarse)).toBeLessThanOrEqual(0.5)
+      expect(deviation(subPath, fine)).toBeLessThanOrEqual(0.01)
+      expect(fine.length).toBeGreaterThan(coarse.length * 3)
+      expect(fine[0]).toEqual({ x: 0, y: 0 })
+      expect(fine[fine.length - 1]).toEqual({ x: 100, y: 0 })
+    }
+  })
+
+  it('steps arcs by their radius and keeps their extreme points', () => {
+    const arc = (r, x) => `A ${r} ${r} 0 1 0 ${x}`
+    const circle = (cx, cy, r) =>
+      subPathOf(`M ${cx - r} ${cy} ${arc(r, `${cx + r} ${cy}`)} ${arc(r, `${cx - r} ${cy}`)} Z`)
+    const small = flattenSubPath(circle(10, 10, 1), 0.01)
+    const large = flattenSubPath(circle(100, 100, 100), 0.01)
+    expect(small.length).toBeLessThan(40)
+    expect(large.length).toBeGreaterThan(small.length * 5)
+    expect(circleDeviation(large, 100, 100, 100)).toBeLessThanOrEqual(0.01)
+    for (const [x, y] of [[0, 100], [100, 0], [200, 100], [100, 200]]) {
+      expect(large.some((p) => Math.hypot(p.x - x, p.y - y) < 1e-9)).toBe(true)
+    }
+  })
+
+  it('leaves lines alone', () => {
+    expect(flattenSubPath(subPathOf('M0 0 L10 0 L10 10 Z'), 0.01)).toEqual([
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 10, y: 10 },
+      { x: 0, y: 0 },
+    ])
+  })
+})
+
+describe('curveTolerance', () => {
+  const rootOf = (attrs) =>
+    new DOMParser().parseFromString(circleSvg(attrs, []), 'image/svg+xml').documentElement
+
+  it('converts mm to user units by the document size', () => {
+    // 500 units across 50mm.
+    const sized = rootOf('width="50mm" height="50mm" viewBox="0 0 500 500"')
+    expect(curveTolerance(sized)).toBeCloseTo(0.1, 9)
+    // Unitless: the viewBox's longest side is taken as 100mm.
+    const unitless = rootOf('viewBox="0 0 400 200"')
+    expect(curveTolerance(unitless, { curveToleranceMm: 0.05 })).toBeCloseTo(0.2, 9)
+    // No size at all: the geometry's extent stands in.
+    expect(curveTolerance(rootOf(''), { extent: 1000 })).toBeCloseTo(0.1, 9)
+    expect(curveTolerance(unitless, { unitsPerMm: 3 })).toBeCloseTo(0.03, 9)
+    expect(() => curveTolerance(rootOf(''), { curveToleranceMm: 0 })).toThrow(RangeError)
+  })
+})
+
+describe('parseSvgToPolygons curve tolerance', () => {
+  it('flattens to curveToleranceMm at the document size', () => {
+    // 10 units per mm: 0.01mm is 0.1 units.
+    const svg = circleSvg('width="50mm" height="50mm" viewBox="0 0 500 500"', [[250, 250, 200]])
+    const [fine] = parseSvgToPolygons(svg).polygons
+    const [coarse] = parseSvgToPolygons(svg, { curveToleranceMm: 0.1 }).polygons
+    expect(circleDeviation(fine.outer, 250, 250, 200)).toBeLessThanOrEqual(0.1 + 1e-3)
+    expect(circleDeviation(coarse.outer, 250, 250, 200)).toBeLessThanOrEqual(1 + 1e-3)
+    expect(fine.outer.length).toBeGreaterThan(coarse.outer.length * 2)
+  })
+
+  it('gives a tiny serif fewer points than a large arc', () => {
+    const svg = circleSvg('viewBox="0 0 100 100"', [[5, 5, 0.5], [55, 55, 40]])
+    const rings = parseSvgToPolygons(svg).polygons.map((p) => p.outer)
+    const [serif, arc] = rings.sort((a, b) => a.length - b.length)
+    // The old fixed sampling gave every circle 64 points.
+    expect(serif.length).toBeLessThan(32)
+    expect(arc.length).toBeGreaterThan(64)
+  })
+
+  it('applies to stroked line art too', () => {
+    const svg =
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+      '<path d="M10 50 A 40 40 0 0 1 90 50" fill="none" stroke="#000" stroke-width="2"/></svg>'
+    const points = (opts) =>
+      parseSvgToPolygons(strokesToBlackSvg(svg, opts)).polygons[0].outer.length
+    const fine = points({ curveToleranceMm: 0.001 })
+    expect(fine).toBeGreaterThan(points({ curveToleranceMm: 0.1 }) * 3)
+  })
+})
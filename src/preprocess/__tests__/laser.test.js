@@ -0,0 +1,102 @@
+/**
+ * Laser output: cuts inset by kerf/2 (outers shrink, holes grow), engraved
+ * islands untouched, and the red-hairline / blue-fill SVG convention.
+ */
+import { describe, it, expect } from 'vitest'
+
+import { LASER_COLORS, applyLaserOutput } from '../laser.js'
+import { parseSvgToPolygons, polygonsToSvg, ringArea } from '../svgParse.js'
+import { square } from './shapes.js'
+
+// 100-unit viewBox at the default 100mm: one SVG unit per mm.
+const VIEWBOX = { x: 0, y: 0, w: 100, h: 100 }
+
+// A 40mm frame around a 20mm hole, a 10mm square, and a 0.1mm speck;
+// the art spans 5..85.
+const ART = polygonsToSvg(
+  [
+    { outer: square(5, 5, 40), holes: [square(15, 15, 20)] },
+    { outer: square(60, 10, 10), holes: [] },
+    { outer: square(84.9, 84.9, 0.1), holes: [] },
+  ],
+  VIEWBOX
+)
+
+// Island indices (parseSvgToPolygons order) by left edge.
+const ORDER = parseSvgToPolygons(ART).polygons.map((p) => Math.min(...p.outer.map((q) => q.x)))
+const FRAME = ORDER.findIndex((x) => Math.abs(x - 5) < 1e-6)
+const SQUARE = ORDER.findIndex((x) => Math.abs(x - 60) < 1e-6)
+const SPECK = ORDER.findIndex((x) => Math.abs(x - 84.9) < 1e-6)
+
+const area = (ring) => Math.abs(ringArea(ring))
+
+function assign(ops) {
+  const operations = []
+  for (const [index, op] of ops) operations[index] = op
+  return operations
+}
+
+describe('applyLaserOutput', () => {
+  it('insets cut outers and grows their holes by half the kerf', () => {
+    const { islands } = applyLaserOutput(ART, { kerfMm: 0.4 })
+    const [frame] = islands[FRAME].paths
+    expect(islands[FRAME].operation).toBe('cut')
+    expect(area(frame.outer)).toBeCloseTo(39.6 * 39.6, 1)
+    // Growing a hole rounds its corners: between the inset square's area
+    // and that plus the 0.2mm-wide band along its sides.
+    expect(area(frame.holes[0])).toBeGreaterThan(20 * 20 + 4 * 20 * 0.2 - 0.1)
+    expect(area(frame.holes[0])).toBeLessThan(20.4 * 20.4)
+    expect(area(islands[SQUARE].paths[0].outer)).toBeCloseTo(9.6 * 9.6, 1)
+  })
+
+  it('leaves geometry as drawn with no kerf', () => {
+    const { islands } = applyLaserOutput(ART, { kerfMm: 0 })
+    expect(islands[SQUARE].paths[0].outer).toEqual(islands[SQUARE].outline.outer)
+  })
+
+  it('engraves the islands assigned to it, as drawn', () => {
+    const result = applyLaserOutput(ART, {
+      kerfMm: 0.4,
+      operations: assign([[SQUARE, 'engrave']]),
+    })
+    expect(result.islands[FRAME].operation).toBe('cut')
+    expect(result.islands[SQUARE].operation).toBe('engrave')
+    expect(result.islands[SQUARE].paths).toEqual([result.islands[SQUARE].outline])
+
+    const allEngraved = applyLaserOutput(ART, { defaultOperation: 'engrave' })
+    expect(allEngraved.cut).toBe(0)
+    expect(allEngraved.engrave).toBe(3)
+  })
+
+  it('engraves islands too small to survive the kerf, with a warning', () => {
+    const { islands, cut, engrave, warnings } = applyLaserOutput(ART, { kerfMm: 0.4 })
+    expect(islands[SPECK].operation).toBe('engrave')
+    expect(cut).toBe(2)
+    expect(engrave).toBe(1)
+    expect(warnings.join(' ')).toMatch(/1 island\(s\) narrower than the 0.4mm kerf/)
+  })
+
+  it('writes red hairline cuts and blue filled engraving at the printed size', () => {
+    const { svg } = applyLaserOutput(ART, {
+      kerfMm: 0.4,
+      operations: assign([[SQUARE, 'engrave']]),
+      artSizeMm: 80,
+    })
+    expect(svg).toMatch(/width="100mm" height="100mm"/)
+    const engrave = svg.match(/<g id="engrave"([^>]*)>([\s\S]*?)<\/g>/)
+    const cut = svg.match(/<g id="cut"([^>]*)>([\s\S]*?)<\/g>/)
+    expect(engrave[1]).toContain(`fill="${LASER_COLORS.engrave}"`)
+    expect(cut[1]).toContain('fill="none"')
+    expect(cut[1]).toContain(`stroke="${LASER_COLORS.cut}"`)
+    expect(cut[1]).toContain('stroke-width="0.01"')
+    expect(engrave[2].match(/<path/g)).toHaveLength(2)
+    expect(cut[2].match(/<path/g)).toHaveLength(1)
+    // Engraving runs before the cuts.
+    expect(svg.indexOf('id="engrave"')).toBeLessThan(svg.indexOf('id="cut"'))
+  })
+
+  it('rejects unknown operations', () => {
+    expect(() => applyLaserOutput(ART, { defaultOperation: 'score' })).toThrow(RangeError)
+    expect(() => applyLaserOutput(ART, { operations: ['etch'] })).toThrow(RangeError)
+  })
+})
@@ -8,8 +8,10 @@ import { readFileSync } from 'node:fs'
 import { dirname, join } from 'node:path'
 import { fileURLToPath } from 'node:url'
 
+import { addBridges } from '../bridges.js'
 import { applyManufacturability } from '../manufacturability.js'
 import { parseSvgToPolygons, polygonArea } from '../svgParse.js'
+import { circle, rect } from './shapes.js'
 
 const HERE = dirname(fileURLToPath(import.meta.url))
 const FIXTURES = join(HERE, 'fixtures')
@@ -160,4 +162,389 @@ describe('applyManufacturability', () => {
       expect(after.polygons).toHaveLength(before.polygons.length)
     })
   })
+
+  describe('negative space (minGapMm, minHoleAreaMm2)', () => {
+    // 200x200 viewBox → unitsPerMm = 2, as above.
+    const svgOf = (d) =>
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">' +
+      `<path d="${d}" fill="#000" fill-rule="evenodd"/></svg>`
+    const rect = (x, y, w, h) => `M${x} ${y}h${w}v${h}h${-w}Z`
+    const bounds = (ring) => ({
+      x0: Math.min(...ring.map((p) => p.x)),
+      x1: Math.max(...ring.map((p) => p.x)),
+      y0: Math.min(...ring.map((p) => p.y)),
+      y1: Math.max(...ring.map((p) => p.y)),
+    })
+    // Two 40x40 squares 1 SVG-u (0.5mm) apart.
+    const twoSquares = svgOf(rect(20, 20, 40, 40) + rect(61, 20, 40, 40))
+
+    it('widens a gap between islands by eroding both neighbors', () => {
+      const { svg, narrowGaps, warnings } = applyManufacturability(twoSquares, {
+        minGapMm: 2,
+        nozzleDiameterMm: 0,
+      })
+      expect(narrowGaps).toBe(1)
+      expect(warnings.join(' ')).toMatch(/1 gap\(s\) narrower than 2mm widened/)
+      const [left, right] = parseSvgToPolygons(svg)
+        .polygons.map((p) => bounds(p.outer))
+        .sort((a, b) => a.x0 - b.x0)
+      expect(right.x0 - left.x1).toBeGreaterThanOrEqual(4 - 1e-3)
+      // Only the facing sides move.
+      expect(left.x0).toBeCloseTo(20, 3)
+      expect(right.x1).toBeCloseTo(101, 3)
+    })
+
+    it('only counts the gap in flag mode', () => {
+      const { svg, narrowGaps, warnings } = applyManufacturability(twoSquares, {
+        minGapMm: 2,
+        nozzleDiameterMm: 0,
+        negativeSpace: 'flag',
+      })
+      expect(narrowGaps).toBe(1)
+      expect(warnings.join(' ')).toMatch(/will fuse in production/)
+      const [left, right] = parseSvgToPolygons(svg)
+        .polygons.map((p) => bounds(p.outer))
+        .sort((a, b) => a.x0 - b.x0)
+      expect(right.x0 - left.x1).toBeCloseTo(1, 3)
+    })
+
+    it('only measures islands the floors keep', () => {
+      // A 2x2 speck (1mm²) 1 SVG-u from a square, under the area floor.
+      const { svg, narrowGaps, droppedSmall } = applyManufacturability(
+        svgOf(rect(20, 20, 40, 40) + rect(61, 30, 2, 2)),
+        { minGapMm: 2, minIslandAreaMm2: 2, nozzleDiameterMm: 0 }
+      )
+      expect(droppedSmall).toBe(1)
+      expect(narrowGaps).toBe(0)
+      const [square] = parseSvgToPolygons(svg).polygons
+      expect(bounds(square.outer).x1).toBeCloseTo(60, 3)
+    })
+
+    it('finds each pinch in a row of close islands', () => {
+      // Three squares 1 SVG-u apart, and one well clear of them.
+      const { narrowGaps } = applyManufacturability(
+        svgOf(
+          rect(10, 20, 20, 20) +
+            rect(31, 20, 20, 20) +
+            rect(52, 20, 20, 20) +
+            rect(120, 120, 20, 20)
+        ),
+        { minGapMm: 2, nozzleDiameterMm: 0 }
+      )
+      expect(narrowGaps).toBe(2)
+    })
+
+    it('ignores gaps at or above the floor', () => {
+      const { narrowGaps } = applyManufacturability(
+        svgOf(rect(20, 20, 40, 40) + rect(70, 20, 40, 40)),
+        { minGapMm: 2, nozzleDiameterMm: 0 }
+      )
+      expect(narrowGaps).toBe(0)
+    })
+
+    it('widens a slot narrower than the gap', () => {
+      // 60x60 square with a 40x2 slot.
+      const { svg, narrowGaps } = applyManufacturability(
+        svgOf(rect(20, 20, 60, 60) + rect(30, 49, 40, 2)),
+        { minGapMm: 2, nozzleDiameterMm: 0 }
+      )
+      expect(narrowGaps).toBe(1)
+      const [poly] = parseSvgToPolygons(svg).polygons
+      expect(poly.holes).toHaveLength(1)
+      // Grown by (gap − width)/2 = 1 SVG-u a side, to the 4 SVG-u floor.
+      const slot = bounds(poly.holes[0])
+      expect(slot.y1 - slot.y0).toBeGreaterThanOrEqual(4 - 1e-3)
+      expect(slot.y1 - slot.y0).toBeLessThan(4.1)
+    })
+
+    it('cuts each side only as deep as the gap needs', () => {
+      // Two 1.6 SVG-u (0.8mm) bars 0.4 SVG-u (0.2mm) apart; a 1.2mm gap
+      // takes 0.5mm (1 SVG-u) off each.
+      const bars = svgOf(rect(20, 20, 1.6, 40) + rect(22, 20, 1.6, 40))
+      const { svg, narrowGaps, erodedAway } = applyManufacturability(bars, {
+        minGapMm: 1.2,
+        nozzleDiameterMm: 0,
+      })
+      expect(narrowGaps).toBe(1)
+      expect(erodedAway).toBe(0)
+      const [left, right] = parseSvgToPolygons(svg)
+        .polygons.map((p) => bounds(p.outer))
+        .sort((a, b) => a.x0 - b.x0)
+      expect(left.x1 - left.x0).toBeCloseTo(0.6, 2)
+      expect(right.x0 - left.x1).toBeCloseTo(2.4, 2)
+    })
+
+    it('sends what erosion leaves back through the floors', () => {
+      const bars = svgOf(rect(20, 20, 1.6, 40) + rect(22, 20, 1.6, 40))
+      const { svg, droppedThin, warnings } = applyManufacturability(bars, {
+        minGapMm: 1.2,
+        minFeatureWidthMm: 0.5,
+        nozzleDiameterMm: 0,
+      })
+      // 0.3mm slivers, under the 0.5mm width floor.
+      expect(droppedThin).toBe(2)
+      expect(parseSvgToPolygons(svg).polygons).toHaveLength(0)
+      expect(warnings).toEqual([
+        '2 island(s) dropped — narrower than 0.5mm.',
+        '1 gap(s) narrower than 1.2mm widened by eroding the neighbors.',
+      ])
+    })
+
+    it('counts islands eroded away entirely', () => {
+      // A 1 SVG-u sliver 1 SVG-u from a big square loses 1.5 SVG-u.
+      const { erodedAway, diagnostics, warnings } = applyManufacturability(
+        svgOf(rect(20, 20, 40, 40) + rect(61, 20, 1, 40)),
+        { minGapMm: 2, nozzleDiameterMm: 0 }
+      )
+      expect(erodedAway).toBe(1)
+      expect(diagnostics.filter((d) => d.effect === 'removed')).toHaveLength(1)
+      expect(warnings.join(' ')).toMatch(/1 island\(s\) dropped — eroded away/)
+    })
+
+    it('grows holes under the area floor', () => {
+      // 60x60 square with a 4x4 hole: 16 SVG-u² = 4mm².
+      const text = svgOf(rect(20, 20, 60, 60) + rect(48, 48, 4, 4))
+      const holeArea = (svg) =>
+        polygonArea({ outer: parseSvgToPolygons(svg).polygons[0].holes[0], holes: [] })
+
+      const grown = applyManufacturability(text, {
+        minHoleAreaMm2: 10,
+        nozzleDiameterMm: 0,
+      })
+      expect(grown.smallHoles).toBe(1)
+      expect(grown.warnings.join(' ')).toMatch(/1 hole\(s\) smaller than 10mm² grown/)
+      expect(holeArea(grown.svg)).toBeGreaterThanOrEqual(40 * 0.99)
+      expect(holeArea(grown.svg)).toBeLessThan(40 * 1.05)
+
+      const flagged = applyManufacturability(text, {
+        minHoleAreaMm2: 10,
+        nozzleDiameterMm: 0,
+        negativeSpace: 'flag',
+      })
+      expect(flagged.smallHoles).toBe(1)
+      expect(holeArea(flagged.svg)).toBeCloseTo(16, 3)
+    })
+
+    it('rejects unknown modes', () => {
+      expect(() =>
+        applyManufacturability(twoSquares, { negativeSpace: 'fill' })
+      ).toThrow(RangeError)
+    })
+  })
+
+  describe('bridges (bridgeWidthMm)', () => {
+    // nested_holes.svg: disc r=80 with an r=50 hole, and an r=20 disc
+    // floating in the hole. unitsPerMm = 200/100 = 2, so 2mm = 4 SVG-u.
+    it('ties the inner disc to the ring with evenly spaced bridges', () => {
+      const { svg, bridges, warnings } = applyManufacturability(
+        loadFixture('nested_holes.svg'),
+        { bridgeWidthMm: 2, bridgeCount: 2, nozzleDiameterMm: 0 }
+      )
+      expect(bridges).toBe(2)
+      expect(warnings.join(' ')).toMatch(/2 bridge\(s\) added — 1 island/)
+      const { polygons } = parseSvgToPolygons(svg)
+      // One piece; the annulus gap is cut in two equal halves.
+      expect(polygons).toHaveLength(1)
+      expect(polygons[0].holes).toHaveLength(2)
+      const [a, b] = polygons[0].holes.map((h) => polygonArea({ outer: h, holes: [] }))
+      expect(a / b).toBeCloseTo(1, 2)
+      // Annulus gap minus two 4-wide, ~30-long bridges (the flattened
+      // circles make the gap a little narrower).
+      const gap = Math.PI * (50 * 50 - 20 * 20)
+      expect(a + b).toBeGreaterThan(gap - 2 * 4 * 32)
+      expect(a + b).toBeLessThan(gap - 2 * 4 * 28)
+    })
+
+    it('leaves floating islands alone when off', () => {
+      const { svg, bridges } = applyManufacturability(
+        loadFixture('nested_holes.svg'),
+        { nozzleDiameterMm: 0 }
+      )
+      expect(bridges).toBe(0)
+      expect(parseSvgToPolygons(svg).polygons).toHaveLength(2)
+    })
+
+    it('places a single bridge across the shortest gap', () => {
+      const square = (x0, y0, x1, y1) => [
+        { x: x0, y: y0 },
+        { x: x1, y: y0 },
+        { x: x1, y: y1 },
+        { x: x0, y: y1 },
+      ]
+      const frame = { outer: square(0, 0, 200, 200), holes: [square(20, 20, 180, 180)] }
+      const island = { outer: square(140, 90, 170, 110), holes: [] }
+      const result = addBridges([frame, island], { width: 4, count: 1 })
+      expect(result.islands).toBe(1)
+      expect(result.bridges).toHaveLength(1)
+      const [{ from, to }] = result.bridges
+      expect(from.x).toBeCloseTo(170)
+      expect(to.x).toBeCloseTo(180)
+      expect(to.y).toBeCloseTo(from.y)
+      expect(result.polygons).toHaveLength(1)
+      expect(polygonArea(result.polygons[0])).toBeCloseTo(
+        200 * 200 - 160 * 160 + 30 * 20 + 10 * 4,
+        0
+      )
+    })
+
+    it('samples a finely drawn island by arc length, not per vertex', () => {
+      const frame = { outer: rect(0, 0, 200, 200), holes: [rect(20, 20, 160, 160)] }
+      const island = { outer: circle(100, 100, 30, 40000), holes: [] }
+      const started = performance.now()
+      const result = addBridges([frame, island], { width: 4, count: 1 })
+      expect(performance.now() - started).toBeLessThan(2000)
+      expect(result.bridges).toHaveLength(1)
+      const [{ from, to }] = result.bridges
+      expect(Math.hypot(to.x - from.x, to.y - from.y)).toBeCloseTo(50, 0)
+      expect(result.polygons).toHaveLength(1)
+    })
+
+    it('does not bridge separate top-level shapes', () => {
+      const tri = (x) => [
+        { x, y: 0 },
+        { x: x + 10, y: 0 },
+        { x, y: 10 },
+      ]
+      const result = addBridges(
+        [{ outer: tri(0), holes: [] }, { outer: tri(20), holes: [] }],
+        { width: 2 }
+      )
+      expect(result.bridges).toHaveLength(0)
+      expect(result.polygons).toHaveLength(2)
+    })
+  })
+
+  describe('diagnostics', () => {
+    const byKind = (diagnostics, kind) => diagnostics.filter((d) => d.kind === kind)
+
+    it('returns each dropped island with its measured width or area', () => {
+      const thin = applyManufacturability(loadFixture('hairline.svg'), {
+        minFeatureWidthMm: 2,
+        nozzleDiameterMm: 0,
+      })
+      const [strip] = byKind(thin.diagnostics, 'thin')
+      expect(strip.effect).toBe('removed')
+      // The 1 SVG-u strip is 0.5mm at unitsPerMm = 2.
+      expect(strip.widthMm).toBeCloseTo(0.5, 2)
+      expect(strip.label).toMatch(/0\.50mm wide/)
+      expect(polygonArea(strip.polygons[0])).toBeCloseTo(100, 0)
+
+      const small = applyManufacturability(loadFixture('tiny_specks.svg'), {
+        minIslandAreaMm2: 50,
+        nozzleDiameterMm: 0,
+      })
+      const specks = byKind(small.diagnostics, 'small')
+      expect(specks).toHaveLength(4)
+      for (const speck of specks) {
+        expect(speck.effect).toBe('removed')
+        expect(speck.areaMm2).toBeCloseTo(1, 3)
+      }
+      expect(small.viewBox).toMatchObject({ w: 200, h: 200 })
+    })
+
+    it('returns the corners nozzle rounding reshaped', () => {
+      // 1mm nozzle → r = 1 SVG-u: each 90° corner of the 60x60 square
+      // loses r²(1 - π/4) ≈ 0.215 SVG-u² = 0.054mm².
+      const { diagnostics } = applyManufacturability(loadFixture('tiny_specks.svg'), {
+        nozzleDiameterMm: 1,
+      })
+      const corners = byKind(diagnostics, 'nozzle').filter((d) => d.areaMm2 < 0.1)
+      expect(corners.length).toBeGreaterThanOrEqual(4)
+      for (const corner of corners) {
+        expect(corner.effect).toBe('reshaped')
+        expect(corner.areaMm2).toBeCloseTo(0.054, 2)
+        expect(corner.label).toMatch(/Nozzle rounding removed/)
+      }
+    })
+
+    it('returns gaps as reshaped, or flagged when not fixed', () => {
+      const svg =
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 200">' +
+        '<path d="M20 20h40v40h-40Z M61 20h40v40h-40Z" fill="#000"/></svg>'
+      const fixed = applyManufacturability(svg, { minGapMm: 2, nozzleDiameterMm: 0 })
+      const [gap] = byKind(fixed.diagnostics, 'gap')
+      expect(gap.effect).toBe('reshaped')
+      expect(gap.widthMm).toBeCloseTo(0.5, 3)
+      // Material cut from both squares: 40 tall, ~1.5 SVG-u deep each side.
+      expect(gap.polygons).toHaveLength(2)
+
+      const flagged = applyManufacturability(svg, {
+        minGapMm: 2,
+        nozzleDiameterMm: 0,
+        negativeSpace: 'flag',
+      })
+      expect(byKind(flagged.diagnostics, 'gap')[0].effect).toBe('flagged')
+    })
+
+    it('is empty when nothing changed', () => {
+      const { diagnostics } = applyManufacturability(loadFixture('tiny_specks.svg'), {
+        nozzleDiameterMm: 0,
+      })
+      expect(diagnostics).toEqual([])
+    })
+  })
+
+  describe('printed size (artSizeMm)', () => {
+    // tiny_specks' art spans 10..190 (180 SVG-u). Printed 18mm across,
+    // that's 10 SVG-u per mm, so a speck (4 SVG-u²) is 0.04mm².
+    it('scales the floors by the art bbox instead of the viewBox', () => {
+      const opts = { minIslandAreaMm2: 0.05, nozzleDiameterMm: 0 }
+      const byViewBox = applyManufacturability(loadFixture('tiny_specks.svg'), opts)
+      expect(byViewBox.droppedSmall).toBe(0)
+
+      const printed = applyManufacturability(loadFixture('tiny_specks.svg'), {
+        ...opts,
+        artSizeMm: 18,
+      })
+      expect(printed.droppedSmall).toBe(4)
+    })
+
+    it('reports the output size in mm', () => {
+      const kept = applyManufacturability(loadFixture('tiny_specks.svg'), {
+        nozzleDiameterMm: 0,
+        artSizeMm: 18,
+      })
+      expect(kept.sizeMm.w).toBeCloseTo(18, 6)
+      expect(kept.sizeMm.h).toBeCloseTo(18, 6)
+      // Back in SVG units, the art's 180.
+      expect(kept.sizeMm.w * kept.unitsPerMm).toBeCloseTo(180, 6)
+
+      const dropped = applyManufacturability(loadFixture('tiny_specks.svg'), {
+        minIslandAreaMm2: 0.05,
+        nozzleDiameterMm: 0,
+        artSizeMm: 18,
+      })
+      expect(dropped.sizeMm.w).toBeCloseTo(6, 6)
+      expect(dropped.sizeMm.h).toBeCloseTo(6, 6)
+    })
+  })
+
+  describe('progress + cancellation', () => {
+    it('reports each stage in order', () => {
+      const stages = []
+      applyManufacturability(loadFixture('tiny_specks.svg'), {
+        onProgress: (p) => stages.push(`${p.stage} ${p.step}/${p.total}`),
+      })
+      expect(stages).toEqual([
+        'xor 1/6',
+        'nozzle 2/6',
+        'floors 3/6',
+        'spaces 4/6',
+        'bridges 5/6',
+        'simplify 6/6',
+      ])
+    })
+
+    it('throws an AbortError when the signal is aborted mid-run', () => {
+      const controller = new AbortController()
+      const run = () =>
+        applyManufacturability(loadFixture('tiny_specks.svg'), {
+          signal: controller.signal,
+          onProgress: (p) => {
+            if (p.stage === 'nozzle') controller.abort()
+          },
+        })
+      expect(run).toThrow(expect.objectContaining({ name: 'AbortError' }))
+    })
+  })
 })
@@ -0,0 +1,100 @@
+/**
+ * Neon-flex mode: bend-radius and run-length checks on the centerline,
+ * and the open-path SVG it exports.
+ */
+import { describe, it, expect } from 'vitest'
+
+import { applyNeonFlex } from '../neon.js'
+import { polygonsToSvg } from '../svgParse.js'
+import { circle } from './shapes.js'
+
+// 100-unit viewBox at the default 100mm: one SVG unit per mm.
+const VIEWBOX = { x: 0, y: 0, w: 100, h: 100 }
+
+// An 8mm-wide ring whose centerline is a 20mm-radius circle (125.7mm round).
+const RING = polygonsToSvg(
+  [{ outer: circle(50, 50, 24), holes: [circle(50, 50, 16).reverse()] }],
+  VIEWBOX
+)
+
+// An L of 8mm strokes: its centerline turns a sharp corner at (14, 86).
+const ELL = polygonsToSvg(
+  [
+    {
+      outer: [
+        { x: 10, y: 10 },
+        { x: 18, y: 10 },
+        { x: 18, y: 82 },
+        { x: 90, y: 82 },
+        { x: 90, y: 90 },
+        { x: 10, y: 90 },
+      ],
+      holes: [],
+    },
+  ],
+  VIEWBOX
+)
+
+describe('applyNeonFlex', () => {
+  it('passes a ring bent gentler than the minimum radius', () => {
+    const { runs, violations, totalLengthMm } = applyNeonFlex(RING, { minBendRadiusMm: 10 })
+    expect(runs).toHaveLength(1)
+    expect(runs[0].closed).toBe(true)
+    expect(violations).toBe(0)
+    // Measured on the skeleton, so to within a cell or so of wobble.
+    expect(runs[0].minRadiusMm).toBeGreaterThan(16)
+    expect(totalLengthMm).toBeCloseTo(2 * Math.PI * 20, -1)
+  })
+
+  it('flags a ring bent tighter than the minimum radius', () => {
+    const [run] = applyNeonFlex(RING, { minBendRadiusMm: 30 }).runs
+    expect(run.violations.length).toBeGreaterThan(0)
+    for (const v of run.violations) {
+      expect(v.kind).toBe('bend')
+      expect(v.radiusMm).toBeGreaterThan(15)
+      expect(v.radiusMm).toBeLessThan(30)
+    }
+  })
+
+  it('flags a sharp corner where it is', () => {
+    const [run] = applyNeonFlex(ELL, { minBendRadiusMm: 10 }).runs
+    expect(run.violations).toHaveLength(1)
+    const [v] = run.violations
+    expect(v.kind).toBe('bend')
+    expect(Math.hypot(v.at.x - 14, v.at.y - 86)).toBeLessThan(5)
+  })
+
+  it('flags a run longer than the maximum where it passes it', () => {
+    const [run] = applyNeonFlex(RING, { minBendRadiusMm: 10, maxRunLengthMm: 100 }).runs
+    expect(run.violations).toHaveLength(1)
+    const [v] = run.violations
+    expect(v.kind).toBe('length')
+    expect(v.lengthMm).toBeCloseTo(run.lengthMm, 6)
+    // 100mm along a 20mm-radius circle from wherever the run starts.
+    expect(Math.hypot(v.at.x - 50, v.at.y - 50)).toBeCloseTo(20, 0)
+    const start = run.points[0]
+    const chord = 2 * 20 * Math.sin(100 / 20 / 2)
+    expect(Math.abs(Math.hypot(v.at.x - start.x, v.at.y - start.y) - chord)).toBeLessThan(1)
+  })
+
+  it('exports the centerline as open paths at the printed size, marking violations', () => {
+    const { svg } = applyNeonFlex(ELL, { minBendRadiusMm: 10, artSizeMm: 160 })
+    expect(svg).toMatch(/width="200mm" height="200mm"/)
+    const group = svg.match(/<g id="centerline"([^>]*)>([\s\S]*?)<\/g>/)
+    expect(group[1]).toContain('fill="none"')
+    const paths = group[2].match(/<path [^>]*\/>/g)
+    expect(paths).toHaveLength(1)
+    expect(paths[0]).not.toMatch(/Z"/)
+    expect(paths[0]).toContain('data-violations="bend"')
+
+    const clean = applyNeonFlex(RING, { minBendRadiusMm: 10 }).svg
+    expect(clean).not.toContain('data-violations')
+    // A ring is still a closed path.
+    expect(clean).toMatch(/ Z"/)
+  })
+
+  it('rejects non-positive limits', () => {
+    expect(() => applyNeonFlex(RING, { minBendRadiusMm: 0 })).toThrow(RangeError)
+    expect(() => applyNeonFlex(RING, { maxRunLengthMm: -1 })).toThrow(RangeError)
+  })
+})
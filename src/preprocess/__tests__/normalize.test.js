@@ -0,0 +1,123 @@
+/**
+ * Unit tests for <use>/<symbol>/<defs> expansion, checked through both
+ * consumers: parseSvgToPolygons (SVGLoader path) and listColors /
+ * selectByColor (DOM-walk path).
+ */
+import { describe, it, expect } from 'vitest'
+
+import { expandUseElements, normalizeSvgText } from '../normalize.js'
+import { parseSvgToPolygons } from '../svgParse.js'
+import { listColors, selectByColor } from '../colorSelect.js'
+
+function svg(body) {
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" ` +
+    `xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 100 100">${body}</svg>`
+  )
+}
+
+function bboxes(text) {
+  return parseSvgToPolygons(text)
+    .polygons.map(({ outer }) => {
+      const xs = outer.map((p) => p.x)
+      const ys = outer.map((p) => p.y)
+      return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+        .map((v) => Math.round(v * 100) / 100)
+    })
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+}
+
+const SQUARE = '<rect id="sq" width="10" height="10"/>'
+
+describe('expandUseElements', () => {
+  it('places each <use> of a <defs> shape at its x/y and transform', () => {
+    const text = svg(`
+      <defs>${SQUARE}</defs>
+      <use href="#sq" x="20" y="0"/>
+      <use xlink:href="#sq" transform="translate(50,50) scale(2)"/>
+    `)
+    expect(bboxes(text)).toEqual([
+      [20, 0, 30, 10],
+      [50, 50, 70, 70],
+    ])
+  })
+
+  it('applies the use transform before its x/y offset', () => {
+    const text = svg(`<defs>${SQUARE}</defs><use href="#sq" x="5" transform="scale(2)"/>`)
+    expect(bboxes(text)).toEqual([[10, 0, 30, 20]])
+  })
+
+  it('fits a <symbol> viewBox into the use width/height (xMidYMid meet)', () => {
+    const text = svg(`
+      <symbol id="s" viewBox="0 0 10 10"><rect width="10" height="10"/></symbol>
+      <use href="#s" x="0" y="0" width="40" height="20"/>
+    `)
+    // 10×10 scaled to 20×20, centered horizontally in a 40-wide box.
+    expect(bboxes(text)).toEqual([[10, 0, 30, 20]])
+  })
+
+  it('never draws <symbol> content where it is declared', () => {
+    const text = svg(`<symbol id="s"><rect width="10" height="10"/></symbol>`)
+    expect(parseSvgToPolygons(text).polygons).toHaveLength(0)
+  })
+
+  it('expands uses nested inside referenced content', () => {
+    const text = svg(`
+      <defs>
+        ${SQUARE}
+        <g id="pair"><use href="#sq"/><use href="#sq" x="20"/></g>
+      </defs>
+      <use href="#pair" y="50"/>
+    `)
+    expect(bboxes(text)).toEqual([
+      [0, 50, 10, 60],
+      [20, 50, 30, 60],
+    ])
+  })
+
+  it('drops self-referencing and dangling uses instead of looping', () => {
+    const doc = new DOMParser().parseFromString(
+      svg(`<g id="loop"><use href="#loop"/></g><use href="#missing"/><use href="other.svg#sq"/>`),
+      'image/svg+xml'
+    )
+    expandUseElements(doc)
+    expect(doc.getElementsByTagName('use')).toHaveLength(0)
+  })
+
+  it('leaves use-free documents untouched', () => {
+    const text = svg(SQUARE)
+    expect(normalizeSvgText(text)).toBe(text)
+  })
+})
+
+describe('color selection sees instanced geometry', () => {
+  const text = svg(`
+    <style>.accent { fill: #00ff00 }</style>
+    <defs>
+      <path id="p" d="M0,0 h10 v10 h-10 Z"/>
+      <rect width="100" height="100" fill="#ff0000"/>
+    </defs>
+    <use href="#p" fill="#0000ff"/>
+    <use href="#p" x="20" fill="#0000ff"/>
+    <use href="#p" x="40" class="accent"/>
+  `)
+
+  it('inherits fill from the <use> and ignores un-referenced <defs>', () => {
+    const counts = listColors(text)
+      .map(({ hex, nPaths }) => [hex, nPaths])
+      .sort(([a], [b]) => a.localeCompare(b))
+    expect(counts).toEqual([
+      ['#0000FF', 2],
+      ['#00FF00', 1],
+    ])
+  })
+
+  it('emits each instance at its placed position', () => {
+    const { svg: out, kept } = selectByColor(text, { colors: ['#0000FF'] })
+    expect(kept).toBe(2)
+    expect(bboxes(out)).toEqual([
+      [0, 0, 10, 10],
+      [20, 0, 30, 10],
+    ])
+  })
+})
@@ -46,6 +46,15 @@ const FIXTURES_CATALOG = [
     pipeline: 'raster',
     opts: {},
   },
+  // The local binarization modes must land on the same clean scan. (Otsu
+  // picks 131 here, next to the fixed 128; binarize.test.js covers it.)
+  ...['sauvola', 'bradley'].map((binarize) => ({
+    name: 'fox.jpg',
+    label: `fox.jpg (${binarize})`,
+    canonical: 'fox.canonical.svg',
+    pipeline: 'raster',
+    opts: { binarize },
+  })),
   {
     name: 'Washington_Huskies_logo.svg',
     canonical: 'Washington_Huskies_logo.canonical.svg',
@@ -202,7 +211,16 @@ function symmetricDifferenceRatio(svgA, svgB) {
 
 /* ---------------- The pipeline dispatch under test ---------------- */
 
-async function runPipeline(fx) {
+// Each fixture's output feeds several metric checks; the raster trace is
+// slow enough to run only once per catalog entry.
+const pipelineRuns = new Map()
+
+function runPipeline(fx) {
+  if (!pipelineRuns.has(fx)) pipelineRuns.set(fx, executePipeline(fx))
+  return pipelineRuns.get(fx)
+}
+
+async function executePipeline(fx) {
   const inputPath = join(FIXTURES, fx.name)
   if (fx.pipeline === 'passthrough') {
     return readFileSync(inputPath, 'utf8')
@@ -237,7 +255,7 @@ describe('preprocessor parity vs IM_SVG_Maker canonicals', () => {
   })
 
   for (const fx of FIXTURES_CATALOG) {
-    describe(fx.name, () => {
+    describe(fx.label ?? fx.name, () => {
       const inputPath = join(FIXTURES, fx.name)
       const canonicalPath = join(FIXTURES, fx.canonical)
 
@@ -0,0 +1,87 @@
+/**
+ * Physical size from root width/height units: CSS absolute units only,
+ * mapped onto the viewBox per preserveAspectRatio.
+ */
+import { describe, it, expect } from 'vitest'
+
+import { lengthToUserUnits, parseSvgLength, svgPhysicalSize } from '../physicalSize.js'
+
+const svg = (attrs) => `<svg xmlns="http://www.w3.org/2000/svg" ${attrs}></svg>`
+
+describe('parseSvgLength', () => {
+  it('splits a number from its unit', () => {
+    expect(parseSvgLength('120mm')).toEqual({ value: 120, unit: 'mm' })
+    expect(parseSvgLength(' 4.5 IN ')).toEqual({ value: 4.5, unit: 'in' })
+    expect(parseSvgLength('1e2')).toEqual({ value: 100, unit: '' })
+    expect(parseSvgLength('50%')).toEqual({ value: 50, unit: '%' })
+    expect(parseSvgLength('auto')).toBeNull()
+    expect(parseSvgLength(null)).toBeNull()
+  })
+
+  it('converts absolute units to user units (px at 96 per inch)', () => {
+    expect(lengthToUserUnits('1in')).toBeCloseTo(96, 9)
+    expect(lengthToUserUnits('72pt')).toBeCloseTo(96, 9)
+    expect(lengthToUserUnits('6pc')).toBeCloseTo(96, 9)
+    expect(lengthToUserUnits('25.4mm')).toBeCloseTo(96, 9)
+    expect(lengthToUserUnits('2.54cm')).toBeCloseTo(96, 9)
+    expect(lengthToUserUnits('200')).toBe(200)
+    expect(lengthToUserUnits('10em')).toBeNaN()
+  })
+})
+
+describe('svgPhysicalSize', () => {
+  it('maps an absolute viewport onto the viewBox', () => {
+    const size = svgPhysicalSize(svg('width="120mm" height="60mm" viewBox="0 0 240 120"'))
+    expect(size.widthMm).toBe(120)
+    expect(size.heightMm).toBe(60)
+    expect(size.unit).toBe('mm')
+    expect(size.mmPerUnit).toEqual({ x: 0.5, y: 0.5 })
+  })
+
+  it('reads every CSS absolute unit', () => {
+    for (const [length, mm] of [
+      ['4in', 101.6],
+      ['10cm', 100],
+      ['288pt', 101.6],
+      ['24pc', 101.6],
+      ['384px', 101.6],
+    ]) {
+      const size = svgPhysicalSize(svg(`width="${length}" height="${length}" viewBox="0 0 10 10"`))
+      expect(size.widthMm).toBeCloseTo(mm, 9)
+      expect(size.mmPerUnit.x).toBeCloseTo(mm / 10, 9)
+    }
+  })
+
+  it('fits the viewBox per preserveAspectRatio', () => {
+    // A 100×50 viewBox in a 100mm square viewport.
+    const base = 'width="100mm" height="100mm" viewBox="0 0 100 50"'
+    expect(svgPhysicalSize(svg(base)).mmPerUnit).toEqual({ x: 1, y: 1 })
+    expect(
+      svgPhysicalSize(svg(`${base} preserveAspectRatio="xMinYMin slice"`)).mmPerUnit
+    ).toEqual({ x: 2, y: 2 })
+    expect(svgPhysicalSize(svg(`${base} preserveAspectRatio="none"`)).mmPerUnit).toEqual({
+      x: 1,
+      y: 2,
+    })
+  })
+
+  it('derives a missing side from the viewBox aspect ratio', () => {
+    const size = svgPhysicalSize(svg('width="2in" viewBox="0 0 200 100"'))
+    expect(size.widthMm).toBeCloseTo(50.8, 9)
+    expect(size.heightMm).toBeCloseTo(25.4, 9)
+    expect(size.mmPerUnit.x).toBeCloseTo(0.254, 9)
+  })
+
+  it('takes user units as px without a viewBox', () => {
+    const size = svgPhysicalSize(svg('width="120mm" height="80mm"'))
+    expect(size.mmPerUnit.x).toBeCloseTo(25.4 / 96, 9)
+  })
+
+  it('has no size without absolute units', () => {
+    expect(svgPhysicalSize(svg('width="200" height="100" viewBox="0 0 200 100"'))).toBeNull()
+    expect(svgPhysicalSize(svg('width="100%" height="100%" viewBox="0 0 200 100"'))).toBeNull()
+    expect(svgPhysicalSize(svg('viewBox="0 0 200 100"'))).toBeNull()
+    // A unit on one side, a bare number on the other: ambiguous.
+    expect(svgPhysicalSize(svg('width="100mm" height="50" viewBox="0 0 200 100"'))).toBeNull()
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * Raster color clusters: quantizeColors / classifyPixels on synthetic
+ * bitmaps, and listRasterColors → preprocessRaster({ colors }) tracing a
+ * red logo off a blue background that no luminance threshold separates.
+ */
+import { describe, it, expect } from 'vitest'
+import Jimp from 'jimp'
+
+import { classifyPixels, quantizeColors, rgbToLab } from '../quantize.js'
+import { listRasterColors, preprocessRaster } from '../raster.js'
+import { parseSvgToPolygons, polygonArea } from '../svgParse.js'
+
+const W = 160
+const H = 120
+const CX = 80
+const CY = 60
+const R = 36
+
+const RED = [200, 40, 40]
+const BLUE = [40, 60, 190]
+
+// Red disc on blue, edge anti-aliased by 4×4 supersampling, with a little
+// deterministic JPEG-ish noise.
+function discBitmap() {
+  const data = new Uint8Array(W * H * 4)
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      let inside = 0
+      for (let sy = 0; sy < 4; sy++) {
+        for (let sx = 0; sx < 4; sx++) {
+          const dx = x + (sx + 0.5) / 4 - CX
+          const dy = y + (sy + 0.5) / 4 - CY
+          if (dx * dx + dy * dy < R * R) inside += 1
+        }
+      }
+      const t = inside / 16
+      const noise = ((x * 31 + y * 17) % 7) - 3
+      const p = (y * W + x) * 4
+      for (let c = 0; c < 3; c++) {
+        data[p + c] = Math.round(RED[c] * t + BLUE[c] * (1 - t)) + noise
+      }
+      data[p + 3] = 255
+    }
+  }
+  return data
+}
+
+async function pngOf(data) {
+  const image = new Jimp(W, H)
+  image.bitmap.data.set(data)
+  return new Uint8Array(await image.getBufferAsync(Jimp.MIME_PNG))
+}
+
+function labDistance(hex, rgb) {
+  const [l1, a1, b1] = rgbToLab(...rgb)
+  const n = parseInt(hex.slice(1), 16)
+  const [l2, a2, b2] = rgbToLab(n >> 16, (n >> 8) & 255, n & 255)
+  return Math.hypot(l1 - l2, a1 - a2, b1 - b2)
+}
+
+describe('rgbToLab', () => {
+  it('maps white, black and a saturated red to their Lab values', () => {
+    const [lw, aw, bw] = rgbToLab(255, 255, 255)
+    expect(lw).toBeCloseTo(100, 1)
+    expect(Math.hypot(aw, bw)).toBeLessThan(0.5)
+    expect(rgbToLab(0, 0, 0)[0]).toBeCloseTo(0, 5)
+    const [lr, ar, br] = rgbToLab(255, 0, 0)
+    expect(lr).toBeCloseTo(53.24, 1)
+    expect(ar).toBeCloseTo(80.09, 1)
+    expect(br).toBeCloseTo(67.2, 1)
+  })
+})
+
+describe('quantizeColors', () => {
+  const data = discBitmap()
+
+  it('finds the two inks and folds the anti-aliased fringe away', () => {
+    const colors = quantizeColors(data, W, H)
+    expect(colors).toHaveLength(2)
+    const [blue, red] = colors
+    expect(labDistance(blue.hex, BLUE)).toBeLessThan(5)
+    expect(labDistance(red.hex, RED)).toBeLessThan(5)
+    expect(red.share).toBeCloseTo((Math.PI * R * R) / (W * H), 2)
+    expect(colors.every((c) => c.id === c.hex && !c.neutral)).toBe(true)
+    expect(blue.nPixels + red.nPixels).toBe(W * H)
+  })
+
+  it('caps the palette at maxColors', () => {
+    const ramp = new Uint8Array(W * H * 4)
+    for (let i = 0; i < W * H; i++) {
+      const x = i % W
+      ramp.set([Math.round((x * 255) / (W - 1)), 128, 255 - x, 255], i * 4)
+    }
+    expect(quantizeColors(ramp, W, H, { maxColors: 4 }).length).toBeLessThanOrEqual(4)
+    expect(quantizeColors(ramp, W, H, { maxColors: 4 }).length).toBeGreaterThan(1)
+  })
+
+  it('marks black-on-white artwork neutral and treats transparency as white', () => {
+    const bw = new Uint8Array(W * H * 4)
+    for (let i = 0; i < W * H; i++) {
+      // Left half opaque black, right half transparent black.
+      bw.set([0, 0, 0, i % W < W / 2 ? 255 : 0], i * 4)
+    }
+    const colors = quantizeColors(bw, W, H)
+    expect(colors.map((c) => c.hex).sort()).toEqual(['#000000', '#FFFFFF'])
+    expect(colors.every((c) => c.neutral)).toBe(true)
+  })
+})
+
+describe('classifyPixels', () => {
+  it('labels pixels by nearest palette color, as quantizeColors counted them', () => {
+    const data = discBitmap()
+    const colors = quantizeColors(data, W, H)
+    const labels = classifyPixels(data, W, H, colors.map((c) => c.id))
+    const counts = colors.map(() => 0)
+    for (const l of labels) counts[l] += 1
+    expect(counts).toEqual(colors.map((c) => c.nPixels))
+    expect(labels[CY * W + CX]).toBe(1)
+    expect(labels[0]).toBe(0)
+  })
+
+  it('rejects palettes it cannot use', () => {
+    const data = new Uint8Array(4)
+    expect(() => classifyPixels(data, 1, 1, [])).toThrow(RangeError)
+    expect(() => classifyPixels(data, 1, 1, ['url(#g)'])).toThrow(TypeError)
+  })
+})
+
+describe('raster color selection', () => {
+  it('traces a red logo off a blue background the luminance path loses', async () => {
+    const bytes = await pngOf(discBitmap())
+    const colors = await listRasterColors(bytes)
+    const palette = colors.map((c) => c.id)
+    const red = colors.find((c) => labDistance(c.hex, RED) < 5).id
+    const blue = colors.find((c) => labDistance(c.hex, BLUE) < 5).id
+
+    // Both inks are darker than 128: a fixed threshold keeps the whole frame.
+    const byLuminance = await preprocessRaster(bytes, { thicknessMm: 0, invert: false })
+    const [everything] = parseSvgToPolygons(byLuminance.svg).polygons
+    expect(polygonArea({ outer: everything.outer })).toBeGreaterThan(0.95 * W * H)
+
+    const disc = await preprocessRaster(bytes, { thicknessMm: 0, colors: [red], palette })
+    expect(disc.stats).toMatchObject({ binarize: null, colors: [red] })
+    const discPolys = parseSvgToPolygons(disc.svg).polygons
+    expect(discPolys).toHaveLength(1)
+    const discArea = Math.PI * R * R
+    expect(Math.abs(polygonArea(discPolys[0]) - discArea) / discArea).toBeLessThan(0.03)
+
+    const background = await preprocessRaster(bytes, { thicknessMm: 0, colors: [blue], palette })
+    const [frame] = parseSvgToPolygons(background.svg).polygons
+    const frameArea = W * H - discArea
+    expect(frame.holes.length).toBeGreaterThan(0)
+    expect(Math.abs(polygonArea(frame) - frameArea) / frameArea).toBeLessThan(0.03)
+  })
+
+  it('rejects picks missing from the palette', async () => {
+    const bytes = await pngOf(discBitmap())
+    await expect(
+      preprocessRaster(bytes, { colors: ['#00FF00'], palette: ['#FF0000', '#0000FF'] })
+    ).rejects.toThrow(RangeError)
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * preprocessRaster decoding: the formats Jimp reads, EXIF orientation, the
+ * WebP guard outside a browser, and the downsampling guardrail.
+ */
+import { describe, it, expect } from 'vitest'
+import Jimp from 'jimp'
+
+import { listRasterColors, preprocessRaster } from '../raster.js'
+import { parseSvgToPolygons } from '../svgParse.js'
+
+// 80×40 white image with a black bar over the left quarter.
+function barImage(w = 80, h = 40) {
+  const image = new Jimp(w, h, 0xffffffff)
+  image.scan(0, 0, Math.round(w / 4), h, (x, y, idx) => {
+    image.bitmap.data.set([0, 0, 0, 255], idx)
+  })
+  return image
+}
+
+// Splice an EXIF APP1 segment carrying only an Orientation tag into a JPEG.
+function withOrientation(jpeg, orientation) {
+  const tiff = Buffer.from([
+    0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8, // big-endian TIFF header, IFD at 8
+    0, 1, // one entry
+    0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0, // Orientation SHORT
+    0, 0, 0, 0, // no next IFD
+  ])
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff])
+  const length = payload.length + 2
+  const app1 = Buffer.concat([Buffer.from([0xff, 0xe1, length >> 8, length & 255]), payload])
+  return Buffer.concat([jpeg.subarray(0, 2), app1, jpeg.subarray(2)])
+}
+
+function bbox(svg) {
+  const { polygons, viewBox } = parseSvgToPolygons(svg)
+  const xs = polygons.flatMap((p) => p.outer.map((q) => q.x))
+  const ys = polygons.flatMap((p) => p.outer.map((q) => q.y))
+  return {
+    n: polygons.length,
+    viewBox,
+    x0: Math.min(...xs),
+    x1: Math.max(...xs),
+    y0: Math.min(...ys),
+    y1: Math.max(...ys),
+  }
+}
+
+describe('preprocessRaster decoding', () => {
+  for (const mime of [Jimp.MIME_BMP, Jimp.MIME_GIF, Jimp.MIME_TIFF]) {
+    it(`traces ${mime}`, async () => {
+      const bytes = await barImage().getBufferAsync(mime)
+      const { svg } = await preprocessRaster(bytes, { thicknessMm: 0 })
+      const b = bbox(svg)
+      expect(b.n).toBe(1)
+      expect(b.viewBox).toMatchObject({ w: 80, h: 40 })
+      expect(b.x1).toBeCloseTo(20, 0)
+    })
+  }
+
+  it('turns a JPEG upright from its EXIF orientation', async () => {
+    const jpeg = await barImage().getBufferAsync(Jimp.MIME_JPEG)
+    // 6 = stored rotated 90° counter-clockwise: upright, the bar is on top.
+    const { svg } = await preprocessRaster(withOrientation(jpeg, 6), { thicknessMm: 0 })
+    const b = bbox(svg)
+    expect(b.viewBox).toMatchObject({ w: 40, h: 80 })
+    expect(b.y0).toBeCloseTo(0, 0)
+    expect(b.y1).toBeCloseTo(20, 0)
+    expect(b.x1 - b.x0).toBeGreaterThan(38)
+  })
+
+  it('asks for a browser to decode WebP', async () => {
+    const webp = Buffer.from('RIFF\x10\0\0\0WEBPVP8 ', 'latin1')
+    await expect(preprocessRaster(webp)).rejects.toThrow(/WebP/)
+  })
+})
+
+describe('downsampling guardrail', () => {
+  it('shrinks images past maxDimPx before tracing', async () => {
+    const bytes = await barImage(800, 400).getBufferAsync(Jimp.MIME_PNG)
+    const { svg, stats } = await preprocessRaster(bytes, { thicknessMm: 0, maxDimPx: 200 })
+    expect(stats.downscale).toBe(4)
+    const b = bbox(svg)
+    expect(b.viewBox).toMatchObject({ w: 200, h: 100 })
+    expect(b.x1).toBeCloseTo(50, 0)
+  })
+
+  it('leaves images within the limit alone', async () => {
+    const bytes = await barImage().getBufferAsync(Jimp.MIME_PNG)
+    const { stats } = await preprocessRaster(bytes, { thicknessMm: 0 })
+    expect(stats.downscale).toBe(1)
+  })
+
+  it('applies to color clustering too', async () => {
+    const bytes = await barImage(800, 400).getBufferAsync(Jimp.MIME_PNG)
+    const colors = await listRasterColors(bytes, { maxDimPx: 200 })
+    expect(colors.reduce((n, c) => n + c.nPixels, 0)).toBe(200 * 100)
+  })
+})
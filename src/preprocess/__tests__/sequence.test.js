@@ -0,0 +1,123 @@
+/**
+ * Cut sequencing: inside-first ordering, entry points and winding, and
+ * less rapid travel than polygonsToSvg's order — through the laser SVG
+ * and DXF writers too.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { DXF_LAYERS, parseDxfPolylines, polygonsToDxf } from '../dxf.js'
+import { applyLaserOutput } from '../laser.js'
+import { sequenceCuts } from '../sequence.js'
+import { parseSvgToPolygons, polygonsToSvg, ringArea } from '../svgParse.js'
+import { square } from './shapes.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+// A 6×6 grid of 4-unit squares in a scrambled order, each with a hole.
+function scrambledGrid() {
+  const cells = []
+  for (let row = 0; row < 6; row++) {
+    for (let col = 0; col < 6; col++) {
+      cells.push({
+        outer: square(col * 10, row * 10, 4),
+        holes: [square(col * 10 + 1, row * 10 + 1, 2)],
+      })
+    }
+  }
+  // Deterministic shuffle: stride through the cells.
+  return cells.map((_, i) => cells[(i * 17) % cells.length])
+}
+
+const sameRing = (a, b) =>
+  a.length === b.length && a.every((p) => b.some((q) => q.x === p.x && q.y === p.y))
+
+describe('sequenceCuts', () => {
+  it('cuts every ring inside another before it', () => {
+    const { polygons } = parseSvgToPolygons(
+      readFileSync(join(FIXTURES, 'nested_holes.svg'), 'utf8')
+    )
+    const { rings } = sequenceCuts(polygons)
+    expect(rings).toHaveLength(3)
+    // Inner disc, then the hole around it, then the outer disc.
+    const areas = rings.map((r) => Math.abs(ringArea(r.points)))
+    expect(areas[0]).toBeLessThan(areas[1])
+    expect(areas[1]).toBeLessThan(areas[2])
+    expect(rings.map((r) => r.kind)).toEqual(['outer', 'hole', 'outer'])
+
+    const grid = sequenceCuts(scrambledGrid())
+    for (let i = 0; i < grid.rings.length; i++) {
+      const ring = grid.rings[i]
+      if (ring.kind !== 'hole') continue
+      const outerAt = grid.rings.findIndex((r) => r.kind === 'outer' && r.polygon === ring.polygon)
+      expect(outerAt).toBeGreaterThan(i)
+    }
+  })
+
+  it('starts each ring at a vertex and winds outers and holes opposite ways', () => {
+    const polygons = scrambledGrid()
+    const { rings } = sequenceCuts(polygons)
+    expect(rings).toHaveLength(72)
+    for (const ring of rings) {
+      const source = polygons[ring.polygon]
+      const original = ring.kind === 'outer' ? source.outer : source.holes[0]
+      expect(sameRing(ring.points, original)).toBe(true)
+      // Negative shoelace area is counter-clockwise on screen (y down).
+      expect(ringArea(ring.points) < 0).toBe(ring.kind === 'outer')
+    }
+  })
+
+  it('starts each ring at the vertex nearest the previous one', () => {
+    const { rings } = sequenceCuts([
+      { outer: square(0, 0, 4), holes: [] },
+      { outer: square(10, 0, 4), holes: [] },
+    ], { start: { x: 0, y: 0 } })
+    expect(rings[0].points[0]).toEqual({ x: 0, y: 0 })
+    expect(rings[1].points[0]).toEqual({ x: 10, y: 0 })
+  })
+
+  it('cuts rapid travel well below the unordered order', () => {
+    const { travel } = sequenceCuts(scrambledGrid())
+    expect(travel.after).toBeLessThan(travel.before / 3)
+    // 36 cells 10 apart, plus a hop into each hole and out of it: the
+    // whole grid can't be toured in much less than 35 × 10.
+    expect(travel.after).toBeGreaterThan(340)
+  })
+
+  it('is empty for no geometry', () => {
+    expect(sequenceCuts([])).toEqual({ rings: [], travel: { before: 0, after: 0 } })
+  })
+})
+
+describe('sequenced output', () => {
+  const polygons = scrambledGrid()
+
+  it('writes one laser cut path per ring in cut order, with the travel', () => {
+    const svg = polygonsToSvg(polygons, { x: 0, y: 0, w: 100, h: 100 })
+    const plain = applyLaserOutput(svg, { kerfMm: 0 })
+    expect(plain.travelMm).toBeNull()
+
+    const ordered = applyLaserOutput(svg, { kerfMm: 0, sequence: true })
+    const cut = ordered.svg.match(/<g id="cut"[^>]*>([\s\S]*?)<\/g>/)[1]
+    expect(cut.match(/<path/g)).toHaveLength(72)
+    expect(ordered.travelMm.after).toBeLessThan(ordered.travelMm.before)
+    expect(ordered.svg).toMatch(/rapid travel [\d.]+ mm -> [\d.]+ mm/)
+  })
+
+  it('writes DXF rings in cut order, holes before their outers', () => {
+    const polylines = parseDxfPolylines(polygonsToDxf(polygons, { sequence: true }))
+    expect(polylines).toHaveLength(72)
+    expect(polylines[0].layer).toBe(DXF_LAYERS.holes)
+    expect(polylines.filter((p) => p.layer === DXF_LAYERS.holes)).toHaveLength(36)
+    // Winding survives the flip: outers still counter-clockwise (y up).
+    for (const p of polylines) {
+      expect(ringArea(p.points) > 0).toBe(p.layer === DXF_LAYERS.outers)
+    }
+    expect(polygonsToDxf(polygons, { sequence: true })).toMatch(
+      /^999\nCut order optimized: rapid travel [\d.]+ mm -> [\d.]+ mm\n/
+    )
+  })
+})
@@ -0,0 +1,24 @@
+/**
+ * Ring factories for the tests that build their art in code rather than
+ * load it from fixtures/. Rings are point arrays, as in svgParse's Polygon.
+ */
+
+export function rect(x0, y0, w, h) {
+  return [
+    { x: x0, y: y0 },
+    { x: x0 + w, y: y0 },
+    { x: x0 + w, y: y0 + h },
+    { x: x0, y: y0 + h },
+  ]
+}
+
+export function square(x0, y0, size) {
+  return rect(x0, y0, size, size)
+}
+
+export function circle(cx, cy, r, n = 128) {
+  return Array.from({ length: n }, (_, i) => ({
+    x: cx + r * Math.cos((2 * Math.PI * i) / n),
+    y: cy + r * Math.sin((2 * Math.PI * i) / n),
+  }))
+}
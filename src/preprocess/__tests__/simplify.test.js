@@ -0,0 +1,184 @@
+/**
+ * Output simplification: Douglas–Peucker and Bézier refitting stay within
+ * the tolerance (Hausdorff, both ways), keep corners, and cut the node
+ * count polygonsToSvg / applyManufacturability emit.
+ */
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { applyManufacturability } from '../manufacturability.js'
+import { outlineRing, simplifyRingIndices } from '../simplify.js'
+import { countPathNodes, parseSvgToPolygons, polygonsToSvg } from '../svgParse.js'
+import { circle } from './shapes.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+const VIEWBOX = { x: 0, y: 0, w: 100, h: 100 }
+
+// Square outline with `perSide` vertices along each edge, plus a ripple of
+// `noise` so a zero-tolerance pass would keep them all.
+function denseSquare(x0, y0, size, perSide, noise = 0) {
+  const ring = []
+  const corners = [
+    [x0, y0],
+    [x0 + size, y0],
+    [x0 + size, y0 + size],
+    [x0, y0 + size],
+  ]
+  for (let c = 0; c < 4; c++) {
+    const [ax, ay] = corners[c]
+    const [bx, by] = corners[(c + 1) % 4]
+    for (let i = 0; i < perSide; i++) {
+      const t = i / perSide
+      const wobble = i === 0 ? 0 : noise * Math.sin(i * 1.7)
+      ring.push({
+        x: ax + (bx - ax) * t + (by === ay ? 0 : wobble),
+        y: ay + (by - ay) * t + (bx === ax ? 0 : wobble),
+      })
+    }
+  }
+  return ring
+}
+
+function segmentDistance(p, a, b) {
+  const abx = b.x - a.x
+  const aby = b.y - a.y
+  const len2 = abx * abx + aby * aby
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * abx + (p.y - a.y) * aby) / len2)) : 0
+  return Math.hypot(p.x - a.x - abx * t, p.y - a.y - aby * t)
+}
+
+function ringDistance(p, ring) {
+  let best = Infinity
+  for (let i = 0; i < ring.length; i++) {
+    best = Math.min(best, segmentDistance(p, ring[i], ring[(i + 1) % ring.length]))
+  }
+  return best
+}
+
+// Symmetric Hausdorff distance between two closed rings' vertex sets and
+// outlines (dense enough rings make this the curve distance).
+function hausdorff(a, b) {
+  let d = 0
+  for (const p of a) d = Math.max(d, ringDistance(p, b))
+  for (const p of b) d = Math.max(d, ringDistance(p, a))
+  return d
+}
+
+// Re-read an emitted ring with curves flattened finely.
+function reparse(svg) {
+  return parseSvgToPolygons(svg, { curveToleranceMm: 0.001 }).polygons
+}
+
+describe('simplifyRingIndices', () => {
+  it('drops vertices within the tolerance and keeps the corners', () => {
+    const ring = denseSquare(10, 10, 50, 40, 0.01)
+    const kept = simplifyRingIndices(ring, 0.05)
+    expect(kept.map((i) => ring[i])).toEqual([
+      { x: 10, y: 10 },
+      { x: 60, y: 10 },
+      { x: 60, y: 60 },
+      { x: 10, y: 60 },
+    ])
+  })
+
+  it('keeps slivers that would collapse below a triangle', () => {
+    const sliver = [
+      { x: 0, y: 0 },
+      { x: 5, y: 0.01 },
+      { x: 10, y: 0 },
+      { x: 5, y: -0.01 },
+    ]
+    expect(simplifyRingIndices(sliver, 1)).toEqual([0, 1, 2, 3])
+  })
+
+  it('is a no-op at zero tolerance', () => {
+    const ring = circle(50, 50, 20, 64)
+    expect(simplifyRingIndices(ring, 0)).toHaveLength(64)
+  })
+})
+
+describe('polygonsToSvg output simplification', () => {
+  const ring = circle(50, 50, 30, 2000)
+  const polygons = [{ outer: ring, holes: [circle(50, 50, 10, 800)] }]
+
+  it('writes every vertex at six decimals without a tolerance', () => {
+    const svg = polygonsToSvg(polygons, VIEWBOX)
+    expect(countPathNodes(svg)).toBe(2800)
+    expect(svg).toContain('M80.000000,50.000000')
+  })
+
+  for (const tolerance of [0.01, 0.1, 0.5]) {
+    it(`stays within ${tolerance} of the input with lines`, () => {
+      const svg = polygonsToSvg(polygons, VIEWBOX, { tolerance })
+      expect(svg).not.toContain('C')
+      expect(countPathNodes(svg)).toBeLessThan(2800 / 5)
+      const [out] = reparse(svg)
+      expect(hausdorff(out.outer, ring)).toBeLessThanOrEqual(tolerance)
+      expect(hausdorff(out.holes[0], polygons[0].holes[0])).toBeLessThanOrEqual(tolerance)
+    })
+
+    it(`stays within ${tolerance} of the input with refit curves`, () => {
+      const lines = polygonsToSvg(polygons, VIEWBOX, { tolerance })
+      const curves = polygonsToSvg(polygons, VIEWBOX, { tolerance, fitCurves: true })
+      expect(curves).toContain('C')
+      expect(countPathNodes(curves)).toBeLessThan(countPathNodes(lines))
+      const [out] = reparse(curves)
+      expect(hausdorff(out.outer, ring)).toBeLessThanOrEqual(tolerance)
+      expect(hausdorff(out.holes[0], polygons[0].holes[0])).toBeLessThanOrEqual(tolerance)
+    })
+  }
+
+  it('keeps corners sharp and edges straight when refitting', () => {
+    const square = denseSquare(10, 10, 50, 40)
+    const { segments } = outlineRing(square, 0.05, { fitCurves: true })
+    expect(segments).toHaveLength(4)
+    expect(segments.every((s) => !s.c1)).toBe(true)
+  })
+
+  it('mixes lines and curves on a rounded rectangle', () => {
+    // 40×20 rectangle with 5-unit corner radii, densely sampled.
+    const ring = []
+    const arcs = [
+      [55, 25, 0],
+      [55, 35, 0.5],
+      [25, 35, 1],
+      [25, 25, 1.5],
+    ]
+    for (const [cx, cy, start] of arcs) {
+      for (let i = 0; i <= 50; i++) {
+        const a = Math.PI * (start + (0.5 * i) / 50) - Math.PI / 2
+        ring.push({ x: cx + 5 * Math.cos(a), y: cy + 5 * Math.sin(a) })
+      }
+    }
+    const polygons = [{ outer: ring, holes: [] }]
+    const lines = polygonsToSvg(polygons, VIEWBOX, { tolerance: 0.02 })
+    const svg = polygonsToSvg(polygons, VIEWBOX, { tolerance: 0.02, fitCurves: true })
+    expect(svg).toMatch(/C/)
+    expect(svg).toMatch(/L/)
+    expect(countPathNodes(svg)).toBeLessThan(countPathNodes(lines) / 2)
+    const [out] = reparse(svg)
+    expect(hausdorff(out.outer, ring)).toBeLessThanOrEqual(0.02)
+  })
+})
+
+describe('applyManufacturability node counts', () => {
+  const fox = readFileSync(join(FIXTURES, 'fox.canonical.svg'), 'utf8')
+
+  it('reports nodes before and after simplification', () => {
+    // Off unless asked for.
+    const exact = applyManufacturability(fox)
+    expect(exact.nodes.after).toBe(exact.nodes.before)
+
+    const simplified = applyManufacturability(fox, { simplifyToleranceMm: 0.05 })
+    expect(simplified.nodes.before).toBe(exact.nodes.before)
+    expect(simplified.nodes.after).toBeLessThan(simplified.nodes.before / 2)
+
+    const curved = applyManufacturability(fox, { simplifyToleranceMm: 0.05, fitCurves: true })
+    expect(curved.nodes.after).toBeLessThan(simplified.nodes.after)
+    expect(reparse(curved.svg)).toHaveLength(reparse(exact.svg).length)
+  })
+})
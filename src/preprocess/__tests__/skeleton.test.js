@@ -0,0 +1,90 @@
+/**
+ * Centerline skeletonization: one polyline down the middle of each
+ * stroke, split at junctions, spurs pruned below the threshold, and closed
+ * loops for rings.
+ */
+import { describe, it, expect } from 'vitest'
+
+import { skeletonize } from '../skeleton.js'
+import { circle, rect } from './shapes.js'
+
+const CELL = 0.25
+
+// A 100×10 bar with a 6×7 bump on its top edge at x 30..36.
+const BUMPED_BAR = [
+  {
+    outer: [
+      { x: 0, y: 45 },
+      { x: 30, y: 45 },
+      { x: 30, y: 38 },
+      { x: 36, y: 38 },
+      { x: 36, y: 45 },
+      { x: 100, y: 45 },
+      { x: 100, y: 55 },
+      { x: 0, y: 55 },
+    ],
+    holes: [],
+  },
+]
+
+describe('skeletonize', () => {
+  it('runs a bar’s centerline down its middle', () => {
+    const { centerlines, cellSize } = skeletonize([{ outer: rect(0, 45, 100, 10), holes: [] }])
+    expect(cellSize).toBe(CELL)
+    expect(centerlines).toHaveLength(1)
+    const [line] = centerlines
+    expect(line.closed).toBe(false)
+    for (const p of line.points) expect(Math.abs(p.y - 50)).toBeLessThan(2 * CELL)
+    // Thinning stops half a stroke width short of each end.
+    const xs = line.points.map((p) => p.x).sort((a, b) => a - b)
+    expect(xs[0]).toBeCloseTo(5, 0)
+    expect(xs[xs.length - 1]).toBeCloseTo(95, 0)
+  })
+
+  it('splits centerlines at a junction', () => {
+    const plus = [
+      [40, 0], [60, 0], [60, 40], [100, 40], [100, 60], [60, 60],
+      [60, 100], [40, 100], [40, 60], [0, 60], [0, 40], [40, 40],
+    ].map(([x, y]) => ({ x, y }))
+    const { centerlines } = skeletonize([{ outer: plus, holes: [] }])
+    expect(centerlines).toHaveLength(4)
+    for (const { points } of centerlines) {
+      // Every arm runs out from the centre.
+      const ends = [points[0], points[points.length - 1]]
+      expect(ends.some((p) => Math.hypot(p.x - 50, p.y - 50) < 1)).toBe(true)
+      expect(ends.some((p) => Math.hypot(p.x - 50, p.y - 50) > 35)).toBe(true)
+    }
+  })
+
+  it('prunes spurs shorter than the threshold', () => {
+    expect(skeletonize(BUMPED_BAR, { pruneLength: 0 }).centerlines).toHaveLength(3)
+    const { centerlines } = skeletonize(BUMPED_BAR, { pruneLength: 10 })
+    // The bump's spur is gone and the bar is one line again.
+    expect(centerlines).toHaveLength(1)
+    for (const p of centerlines[0].points) expect(Math.abs(p.y - 50)).toBeLessThan(2 * CELL)
+  })
+
+  it('traces a ring as one closed centerline at its mid radius', () => {
+    const { centerlines } = skeletonize([
+      { outer: circle(50, 50, 50), holes: [circle(50, 50, 40).reverse()] },
+    ])
+    expect(centerlines).toHaveLength(1)
+    expect(centerlines[0].closed).toBe(true)
+    for (const p of centerlines[0].points) {
+      expect(Math.abs(Math.hypot(p.x - 50, p.y - 50) - 45)).toBeLessThan(2 * CELL)
+    }
+  })
+
+  it('drops art too small to leave a centerline past the threshold', () => {
+    const { centerlines, dropped } = skeletonize([
+      { outer: rect(0, 45, 100, 10), holes: [] },
+      { outer: circle(50, 20, 2), holes: [] },
+    ])
+    expect(centerlines).toHaveLength(1)
+    expect(dropped).toBe(1)
+  })
+
+  it('is empty for no geometry', () => {
+    expect(skeletonize([])).toEqual({ centerlines: [], cellSize: 0, dropped: 0 })
+  })
+})
@@ -0,0 +1,188 @@
+/**
+ * Stroke → ribbon conversion: caps, joins, miter limits, dashes and closed
+ * subpaths, both on the raw helpers and through strokesToBlackSvg (which
+ * also honors non-rendered containers and clip-paths).
+ */
+import { describe, it, expect } from 'vitest'
+
+import { dashPolylines, strokeRibbons } from '../stroke.js'
+import { parseSvgToPolygons, strokesToBlackSvg, unionRings } from '../svgParse.js'
+
+const pt = (x, y) => ({ x, y })
+const open = (...points) => ({ points, closed: false })
+
+function insideRing(ring, x, y) {
+  let hit = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i]
+    const b = ring[j]
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      hit = !hit
+    }
+  }
+  return hit
+}
+
+function covers(polygons, x, y) {
+  return polygons.some(
+    (p) => insideRing(p.outer, x, y) && !p.holes.some((h) => insideRing(h, x, y))
+  )
+}
+
+const ribbonCovers = (ribbons, x, y) => covers(unionRings(ribbons), x, y)
+
+// Horizontal 10-unit centerline.
+const LINE = [open(pt(0, 0), pt(10, 0))]
+
+describe('stroke-linecap', () => {
+  it('ends butt caps flush with the endpoints', () => {
+    const r = strokeRibbons(LINE, 2, { linecap: 'butt' })
+    expect(ribbonCovers(r, 9.9, 0.5)).toBe(true)
+    expect(ribbonCovers(r, 10.5, 0)).toBe(false)
+  })
+
+  it('extends square caps by half the width', () => {
+    const r = strokeRibbons(LINE, 2, { linecap: 'square' })
+    expect(ribbonCovers(r, 10.9, 0.9)).toBe(true)
+    expect(ribbonCovers(r, 11.1, 0)).toBe(false)
+  })
+
+  it('rounds round caps', () => {
+    const r = strokeRibbons(LINE, 2, { linecap: 'round' })
+    expect(ribbonCovers(r, 10.9, 0)).toBe(true)
+    expect(ribbonCovers(r, 10.9, 0.9)).toBe(false)
+  })
+
+  it('defaults to butt, the SVG initial value', () => {
+    expect(ribbonCovers(strokeRibbons(LINE, 2), 10.5, 0)).toBe(false)
+  })
+})
+
+describe('stroke-linejoin and stroke-miterlimit', () => {
+  // Right angle at (10, 0); the outer corner of a 2-wide stroke is (11, -1).
+  const CORNER = [open(pt(0, 0), pt(10, 0), pt(10, 10))]
+
+  it('keeps a sharp miter corner within the limit', () => {
+    const r = strokeRibbons(CORNER, 2, { linejoin: 'miter' })
+    expect(ribbonCovers(r, 10.9, -0.9)).toBe(true)
+  })
+
+  it('rounds round joins', () => {
+    const r = strokeRibbons(CORNER, 2, { linejoin: 'round' })
+    expect(ribbonCovers(r, 10.9, -0.9)).toBe(false)
+    expect(ribbonCovers(r, 10.6, -0.6)).toBe(true)
+  })
+
+  it('cuts the corner off bevel joins', () => {
+    const r = strokeRibbons(CORNER, 2, { linejoin: 'bevel' })
+    expect(ribbonCovers(r, 10.95, -0.95)).toBe(false)
+  })
+
+  it('squares off miters past the limit', () => {
+    // A 20° spike: its miter is ~5.8 widths long, the tip ~2.9 units out
+    // from (20, 0) along the bisector.
+    const spike = [open(pt(0, 0), pt(20, 0), pt(0, 7.28))]
+    const tip = (limit) =>
+      ribbonCovers(
+        strokeRibbons(spike, 1, { linejoin: 'miter', miterlimit: limit }),
+        22.5,
+        -0.44
+      )
+    expect(tip(10)).toBe(true)
+    expect(tip(4)).toBe(false)
+  })
+})
+
+describe('closed subpaths', () => {
+  const square = { points: [pt(0, 0), pt(10, 0), pt(10, 10), pt(0, 10)], closed: true }
+
+  it('joins the start vertex instead of capping it', () => {
+    const r = strokeRibbons([square], 2, { linecap: 'butt', linejoin: 'miter' })
+    // Outer corner at the start/end vertex is filled, the interior isn't.
+    expect(ribbonCovers(r, -0.9, -0.9)).toBe(true)
+    expect(ribbonCovers(r, 5, 5)).toBe(false)
+  })
+})
+
+describe('stroke-dasharray', () => {
+  it('splits a line into dashes honoring the offset', () => {
+    const dashes = dashPolylines([open(pt(0, 0), pt(10, 0))], [3, 2], 1)
+    const spans = dashes.map(({ points }) => [points[0].x, points[points.length - 1].x])
+    expect(spans).toEqual([
+      [0, 2],
+      [4, 7],
+      [9, 10],
+    ])
+    expect(dashes.every((d) => d.closed === false)).toBe(true)
+  })
+
+  it('carries the pattern around corners and closed subpaths', () => {
+    const square = { points: [pt(0, 0), pt(4, 0), pt(4, 4), pt(0, 4)], closed: true }
+    const dashes = dashPolylines([square], [6, 2])
+    // Perimeter 16: dashes [0,6) and [8,14).
+    expect(dashes).toHaveLength(2)
+    expect(dashes[0].points).toEqual([pt(0, 0), pt(4, 0), pt(4, 2)])
+    expect(dashes[1].points).toEqual([pt(4, 4), pt(0, 4), pt(0, 2)])
+  })
+
+  it('leaves gaps in the ribbon and caps each dash', () => {
+    const r = strokeRibbons(LINE, 1, { dashArray: [2, 2], linecap: 'butt' })
+    expect(ribbonCovers(r, 1, 0)).toBe(true)
+    expect(ribbonCovers(r, 3, 0)).toBe(false)
+    const rounded = strokeRibbons(LINE, 1, { dashArray: [2, 2], linecap: 'round' })
+    expect(ribbonCovers(rounded, 2.3, 0)).toBe(true)
+  })
+
+  it('draws zero-length dashes as dots only under round or square caps', () => {
+    // Dots at 0, 4 and 8.
+    const dots = (linecap) => strokeRibbons(LINE, 1, { dashArray: [0, 4], linecap })
+    expect(dots('butt')).toHaveLength(0)
+    expect(dots('round')).toHaveLength(3)
+    expect(ribbonCovers(dots('square'), 4.4, 0.4)).toBe(true)
+  })
+})
+
+describe('strokesToBlackSvg', () => {
+  const svg = (body) =>
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`
+
+  it('reads caps and dashes from stylesheet rules', () => {
+    const out = strokesToBlackSvg(
+      svg(`
+        <style>.d { stroke-dasharray: 10 10; stroke-linecap: square }</style>
+        <line class="d" stroke="#000" stroke-width="4" x1="10" y1="50" x2="90" y2="50"/>
+      `)
+    )
+    const { polygons } = parseSvgToPolygons(out)
+    // Dashes 10–20, 30–40, 50–60, 70–80, each extended by 2 per side.
+    expect(polygons).toHaveLength(4)
+    expect(covers(polygons, 8.5, 50)).toBe(true)
+    expect(covers(polygons, 25, 50)).toBe(false)
+  })
+
+  it('strokes rect outlines as closed loops', () => {
+    const out = strokesToBlackSvg(
+      svg(`<rect fill="none" stroke="#000" stroke-width="4" x="10" y="10" width="80" height="80"/>`)
+    )
+    const { polygons } = parseSvgToPolygons(out)
+    expect(polygons).toHaveLength(1)
+    expect(polygons[0].holes).toHaveLength(1)
+    expect(covers(polygons, 8.5, 8.5)).toBe(true)
+  })
+  it('skips strokes that only paint by reference and trims clipped ones', () => {
+    const out = strokesToBlackSvg(
+      svg(`
+        <defs><line id="unused" stroke="#000" stroke-width="4" x1="10" y1="10" x2="90" y2="10"/></defs>
+        <clipPath id="left"><rect x="0" y="0" width="50" height="100"/></clipPath>
+        <mask id="m"><line stroke="#fff" stroke-width="4" x1="10" y1="90" x2="90" y2="90"/></mask>
+        <line clip-path="url(#left)" stroke="#000" stroke-width="4" x1="10" y1="50" x2="90" y2="50"/>
+      `)
+    )
+    const { polygons } = parseSvgToPolygons(out)
+    expect(polygons).toHaveLength(1)
+    expect(covers(polygons, 30, 50)).toBe(true)
+    expect(covers(polygons, 70, 50)).toBe(false)
+    expect(covers(polygons, 50, 10)).toBe(false)
+    expect(covers(polygons, 50, 90)).toBe(false)
+  })
+})
@@ -104,6 +104,30 @@ describe('polygonsToSvg', () => {
   })
 })
 
+describe('document size', () => {
+  const square = '<path d="M0 0 H10 V10 H0 Z"/>'
+
+  it('returns the physical size the width/height units give', () => {
+    const { physicalSize } = parseSvgToPolygons(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="4in" height="2in" viewBox="0 0 200 100">${square}</svg>`
+    )
+    expect(physicalSize.widthMm).toBeCloseTo(101.6, 9)
+    expect(physicalSize.mmPerUnit.x).toBeCloseTo(0.508, 9)
+
+    const unitless = parseSvgToPolygons(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100">${square}</svg>`
+    )
+    expect(unitless.physicalSize).toBeNull()
+  })
+
+  it('sizes a viewBox-less document in user units (px), not raw numbers', () => {
+    const { viewBox } = parseSvgToPolygons(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="1in" height="0.5in">${square}</svg>`
+    )
+    expect(viewBox).toEqual({ x: 0, y: 0, w: 96, h: 48 })
+  })
+})
+
 describe('area helpers', () => {
   it('ringArea uses the shoelace formula (positive for CCW, negative for CW)', () => {
     const ccw = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 3 }, { x: 0, y: 3 }]
@@ -0,0 +1,61 @@
+/**
+ * The worker's side of the message protocol: tasks dispatched by name,
+ * progress forwarded under the request id, and failures posted back as
+ * `{ name, message }` rather than thrown.
+ */
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { MANUFACTURABILITY_STAGES } from '../progress.js'
+
+const HERE = dirname(fileURLToPath(import.meta.url))
+const FIXTURES = join(HERE, 'fixtures')
+
+const posted = []
+
+beforeAll(async () => {
+  vi.stubGlobal('postMessage', (message) => posted.push(message))
+  await import('../worker.js')
+})
+
+afterAll(() => {
+  vi.unstubAllGlobals()
+})
+
+async function send(message) {
+  posted.length = 0
+  await self.onmessage({ data: message })
+  return posted.slice()
+}
+
+describe('preprocess worker', () => {
+  it('runs the named task and posts its result', async () => {
+    const svg =
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+      '<rect width="4" height="4" fill="#f00"/><rect x="5" width="4" height="4" fill="#00f"/></svg>'
+    const [message] = await send({ id: 7, task: 'listColors', args: [svg] })
+    expect(message).toMatchObject({ id: 7, type: 'result' })
+    expect(message.result.map((c) => c.hex).sort()).toEqual(['#0000FF', '#FF0000'])
+  })
+
+  it('forwards progress before the result', async () => {
+    const svg = readFileSync(join(FIXTURES, 'tiny_specks.svg'), 'utf8')
+    const messages = await send({ id: 3, task: 'applyManufacturability', args: [svg, {}] })
+    const progress = messages.filter((m) => m.type === 'progress')
+    expect(progress.map((m) => m.stage)).toEqual(MANUFACTURABILITY_STAGES)
+    expect(progress.every((m) => m.id === 3 && m.total === progress.length)).toBe(true)
+    expect(messages[messages.length - 1]).toMatchObject({ id: 3, type: 'result' })
+  })
+
+  it('posts errors back with their name', async () => {
+    const [unknown] = await send({ id: 1, task: 'noSuchTask', args: [] })
+    expect(unknown).toMatchObject({ id: 1, type: 'error', name: 'Error' })
+    expect(unknown.message).toMatch(/unknown task "noSuchTask"/)
+
+    const thrown = (await send({ id: 2, task: 'preprocessRaster', args: [null] })).pop()
+    expect(thrown).toMatchObject({ id: 2, type: 'error', name: 'TypeError' })
+    expect(thrown.message).toMatch(/input is required/)
+  })
+})
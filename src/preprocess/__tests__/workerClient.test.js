@@ -0,0 +1,123 @@
+/**
+ * The main-thread client against a scripted stand-in for the Worker:
+ * results, errors and progress routed to the right caller, crashes failing
+ * everything in flight, and an abort restarting only its own task kind's
+ * worker.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Records what it's sent; the test plays the worker's replies.
+class FakeWorker {
+  static all = []
+
+  constructor() {
+    this.sent = []
+    this.terminated = false
+    FakeWorker.all.push(this)
+  }
+
+  postMessage(message) {
+    this.sent.push(message)
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+
+  reply(data) {
+    this.onmessage({ data })
+  }
+}
+
+const workerFor = (task) =>
+  FakeWorker.all.filter((w) => !w.terminated && w.sent.some((m) => m.task === task))
+
+let runPreprocessTask
+
+beforeEach(async () => {
+  FakeWorker.all = []
+  vi.stubGlobal('Worker', FakeWorker)
+  vi.resetModules()
+  ;({ runPreprocessTask } = await import('../workerClient.js'))
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('runPreprocessTask', () => {
+  it('resolves with the result and reports progress on the way', async () => {
+    const onProgress = vi.fn()
+    const run = runPreprocessTask('applyManufacturability', ['<svg/>', {}], { onProgress })
+    const [worker] = FakeWorker.all
+    const [{ id, task, args }] = worker.sent
+    expect(task).toBe('applyManufacturability')
+    expect(args).toEqual(['<svg/>', {}])
+
+    worker.reply({ id, type: 'progress', stage: 'xor', step: 1, total: 6 })
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'xor', step: 1, total: 6 })
+    worker.reply({ id, type: 'result', result: { svg: '<svg/>' } })
+    await expect(run).resolves.toEqual({ svg: '<svg/>' })
+  })
+
+  it('rejects with the error the task threw', async () => {
+    const run = runPreprocessTask('preprocessRaster', [null])
+    const [worker] = FakeWorker.all
+    worker.reply({ id: worker.sent[0].id, type: 'error', name: 'TypeError', message: 'bad input' })
+    await expect(run).rejects.toMatchObject({ name: 'TypeError', message: 'bad input' })
+  })
+
+  it('fails everything in flight when the worker crashes', async () => {
+    const first = runPreprocessTask('preprocessRaster', ['a'])
+    const second = runPreprocessTask('preprocessRaster', ['b'])
+    const [worker] = FakeWorker.all
+    worker.onerror({ message: 'module failed to load' })
+    await expect(first).rejects.toThrow('module failed to load')
+    await expect(second).rejects.toThrow('module failed to load')
+    expect(worker.terminated).toBe(true)
+
+    // The next call gets a fresh worker.
+    runPreprocessTask('preprocessRaster', ['c'])
+    expect(FakeWorker.all).toHaveLength(2)
+  })
+
+  it('reuses one worker per task kind', () => {
+    runPreprocessTask('applyManufacturability', ['a'])
+    runPreprocessTask('applyManufacturability', ['b'])
+    runPreprocessTask('applyLaserOutput', ['c'])
+    expect(FakeWorker.all).toHaveLength(2)
+    expect(workerFor('applyManufacturability')[0].sent).toHaveLength(2)
+  })
+
+  it('restarts only the aborted task kind, replaying its other tasks', async () => {
+    const controller = new AbortController()
+    const aborted = runPreprocessTask('applyManufacturability', ['a'], {
+      signal: controller.signal,
+    })
+    const survivor = runPreprocessTask('applyManufacturability', ['b'])
+    const laser = runPreprocessTask('applyLaserOutput', ['c'])
+    const [manufacturing, laserWorker] = FakeWorker.all
+
+    controller.abort()
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' })
+    expect(manufacturing.terminated).toBe(true)
+    expect(laserWorker.terminated).toBe(false)
+
+    const [restarted] = workerFor('applyManufacturability')
+    expect(restarted).not.toBe(manufacturing)
+    expect(restarted.sent.map((m) => m.args)).toEqual([['b']])
+    restarted.reply({ id: restarted.sent[0].id, type: 'result', result: 'B' })
+    laserWorker.reply({ id: laserWorker.sent[0].id, type: 'result', result: 'C' })
+    await expect(survivor).resolves.toBe('B')
+    await expect(laser).resolves.toBe('C')
+  })
+
+  it('rejects an already-aborted signal without posting', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await expect(
+      runPreprocessTask('preprocessRaster', ['a'], { signal: controller.signal })
+    ).rejects.toMatchObject({ name: 'AbortError' })
+    expect(FakeWorker.all).toHaveLength(0)
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * Production estimates for quoting.
+ *
+ * Two steps, so the cheap one can re-run on its own:
+ *
+ *   - `measureGeometry(polygons, unitsPerMm)` measures the final geometry
+ *     at its real physical size — cut length, lit area, island and hole
+ *     counts. applyManufacturability returns it as `measures`.
+ *   - `estimateProduction(measures, opts)` turns those into LED strip,
+ *     power and job-time figures for a given LED density and feed rates.
+ *     Plain arithmetic, so the UI recomputes it on every rate change
+ *     without re-running manufacturability.
+ *
+ * The model: each island is lit by its own strip run along its outline,
+ * cut to whole LEDs; the laser cuts every ring once, piercing at each; the
+ * printer fills the lit area solid, plus its walls, layer by layer.
+ *
+ * Only geometry.js imported, on purpose: the panel and the export path
+ * call `estimateProduction` on the main thread, and svgParse would drag
+ * clipper-lib into the main bundle with it.
+ */
+import { ringArea, ringPerimeter } from './geometry.js'
+
+/**
+ * @typedef {Object} GeometryMeasures
+ * @property {number} cutLengthMm   every outline, outer and hole
+ * @property {number} outlineLengthMm  outer outlines only (where strips run)
+ * @property {number} litAreaMm2   material area: outers minus holes
+ * @property {number} islands
+ * @property {number} holes
+ * @property {number[]} islandOutlinesMm  per-island outer outline length
+ */
+
+/**
+ * @typedef {Object} ProductionEstimate
+ * @property {number} ledStripLengthMm  strip cut to whole LEDs, all islands
+ * @property {number} ledCount
+ * @property {number} powerW  every LED at full brightness
+ * @property {number} laserTimeS
+ * @property {number} printTimeS
+ */
+
+export const DEFAULT_PRODUCTION_OPTIONS = {
+  ledsPerMeter: 60,
+  // 5V WS2812-class pixel at full white (60mA).
+  wattsPerLed: 0.3,
+  laserFeedMmPerS: 20,
+  pierceTimeS: 0.5,
+  printFeedMmPerS: 60,
+  lineWidthMm: 0.6,
+  layerHeightMm: 0.2,
+  printHeightMm: 3,
+}
+
+/**
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @param {number} unitsPerMm  SVG units per mm at the printed size
+ * @returns {GeometryMeasures}
+ */
+export function measureGeometry(polygons, unitsPerMm) {
+  let cutLength = 0
+  let litArea = 0
+  let holes = 0
+  const islandOutlinesMm = []
+  for (const poly of polygons) {
+    const outline = ringPerimeter(poly.outer)
+    islandOutlinesMm.push(outline / unitsPerMm)
+    cutLength += outline
+    litArea += Math.abs(ringArea(poly.outer))
+    for (const hole of poly.holes) {
+      cutLength += ringPerimeter(hole)
+      litArea -= Math.abs(ringArea(hole))
+    }
+    holes += poly.holes.length
+  }
+  return {
+    cutLengthMm: cutLength / unitsPerMm,
+    outlineLengthMm: islandOutlinesMm.reduce((a, b) => a + b, 0),
+    litAreaMm2: Math.max(0, litArea) / (unitsPerMm * unitsPerMm),
+    islands: polygons.length,
+    holes,
+    islandOutlinesMm,
+  }
+}
+
+/**
+ * @param {GeometryMeasures} measures
+ * @param {Partial<typeof DEFAULT_PRODUCTION_OPTIONS>} [opts]
+ * @returns {ProductionEstimate}
+ */
+export function estimateProduction(measures, opts = {}) {
+  const {
+    ledsPerMeter,
+    wattsPerLed,
+    laserFeedMmPerS,
+    pierceTimeS,
+    printFeedMmPerS,
+    lineWidthMm,
+    layerHeightMm,
+    printHeightMm,
+  } = { ...DEFAULT_PRODUCTION_OPTIONS, ...opts }
+  if (!(ledsPerMeter > 0)) {
+    throw new RangeError(`estimateProduction: ledsPerMeter must be positive, got ${ledsPerMeter}`)
+  }
+
+  // Strips only cut between LEDs, and even a tiny island needs one.
+  const pitchMm = 1000 / ledsPerMeter
+  let ledCount = 0
+  for (const outline of measures.islandOutlinesMm) {
+    ledCount += Math.max(1, Math.floor(outline / pitchMm))
+  }
+
+  const pierces = measures.islands + measures.holes
+  const laserTimeS =
+    laserFeedMmPerS > 0 ? measures.cutLengthMm / laserFeedMmPerS + pierces * pierceTimeS : 0
+
+  // Per layer: the walls, then the lit area filled solid at one line width.
+  // (The epsilon keeps 3 / 0.2 from rounding up to 16 layers.)
+  const layers = layerHeightMm > 0 ? Math.ceil(printHeightMm / layerHeightMm - 1e-9) : 0
+  const layerPathMm = lineWidthMm > 0 ? measures.cutLengthMm + measures.litAreaMm2 / lineWidthMm : 0
+  const printTimeS = printFeedMmPerS > 0 ? (layers * layerPathMm) / printFeedMmPerS : 0
+
+  return {
+    ledStripLengthMm: ledCount * pitchMm,
+    ledCount,
+    powerW: ledCount * wattsPerLed,
+    laserTimeS,
+    printTimeS,
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Greyscale + binarization for raster uploads.
+ *
+ * raster.py greyscales and applies a fixed threshold of 128. That holds up
+ * for clean black-on-white artwork but not for:
+ *
+ *   - low-contrast scans and phone photos, where ink and paper sit close
+ *     together or lighting drifts across the page;
+ *   - transparent PNGs, whose transparent pixels still carry RGB — often
+ *     black — and so used to come out as foreground;
+ *   - light-on-dark artwork, where the "logo" is the light part.
+ *
+ * So pixels are first composited over white (alpha-aware luminance, with
+ * Jimp's Rec. 709 weights so opaque images grey exactly as before), then
+ * classified by one of:
+ *
+ *   fixed     grey < threshold (default 128 — raster.py parity)
+ *   otsu      one global threshold maximizing between-class variance
+ *   sauvola   per-pixel T = m·(1 + k·(s/128 − 1)) over a window (k 0.2)
+ *   bradley   per-pixel T = m·(1 − k) over a window (k 0.15)
+ *
+ * Local windows come from integral images, so cost doesn't grow with the
+ * window. A window with practically no contrast (std dev under
+ * `minContrast`, about the noise floor of a clean scan) sits wholly inside
+ * a solid fill or blank paper; the local rules would call it paper either
+ * way, hollowing out fills wider than the window, so it takes the global
+ * Otsu decision instead.
+ *
+ * Finally, if most of the image border came out as foreground the artwork
+ * is light-on-dark and the mask flips (`invert: 'auto'`); `invert: true /
+ * false` forces it either way.
+ */
+
+export const BINARIZE_MODES = ['fixed', 'otsu', 'sauvola', 'bradley']
+
+const DEFAULT_K = { sauvola: 0.2, bradley: 0.15 }
+
+// Sauvola's dynamic range of the standard deviation, for 8-bit grey.
+const SAUVOLA_R = 128
+
+const DEFAULT_MIN_CONTRAST = 3
+
+// Fraction of border pixels that must be foreground to call it inverted.
+const INVERTED_BORDER_FRACTION = 0.5
+
+/**
+ * RGBA → 8-bit grey, composited over white.
+ * @param {Uint8Array|Buffer} rgba  Jimp bitmap data
+ * @returns {Uint8Array}
+ */
+export function greyscaleOverWhite(rgba, w, h) {
+  const grey = new Uint8Array(w * h)
+  for (let i = 0, p = 0; i < grey.length; i++, p += 4) {
+    const lum = 0.2126 * rgba[p] + 0.7152 * rgba[p + 1] + 0.0722 * rgba[p + 2]
+    const a = rgba[p + 3]
+    grey[i] = Math.floor((lum * a + 255 * (255 - a)) / 255)
+  }
+  return grey
+}
+
+/**
+ * Otsu's global threshold, in the `grey < threshold` convention the fixed
+ * mode uses.
+ * @param {Uint8Array} grey
+ * @returns {number}
+ */
+export function otsuThreshold(grey) {
+  const hist = new Float64Array(256)
+  for (let i = 0; i < grey.length; i++) hist[grey[i]] += 1
+  let sumAll = 0
+  for (let v = 0; v < 256; v++) sumAll += v * hist[v]
+
+  let best = 0
+  let bestVar = -1
+  let wBelow = 0
+  let sumBelow = 0
+  for (let t = 0; t < 255; t++) {
+    wBelow += hist[t]
+    sumBelow += t * hist[t]
+    const wAbove = grey.length - wBelow
+    if (wBelow === 0 || wAbove === 0) continue
+    const diff = sumBelow / wBelow - (sumAll - sumBelow) / wAbove
+    const between = wBelow * wAbove * diff * diff
+    if (between > bestVar) {
+      bestVar = between
+      best = t
+    }
+  }
+  return best + 1
+}
+
+// Summed-area tables of grey and grey², (w+1)×(h+1) with a zero border.
+function integralImages(grey, w, h) {
+  const stride = w + 1
+  const sum = new Float64Array(stride * (h + 1))
+  const sq = new Float64Array(stride * (h + 1))
+  for (let y = 0; y < h; y++) {
+    let rowSum = 0
+    let rowSq = 0
+    for (let x = 0; x < w; x++) {
+      const v = grey[y * w + x]
+      rowSum += v
+      rowSq += v * v
+      const i = (y + 1) * stride + x + 1
+      sum[i] = sum[i - stride] + rowSum
+      sq[i] = sq[i - stride] + rowSq
+    }
+  }
+  return { sum, sq, stride }
+}
+
+function adaptiveMask(grey, w, h, mode, { windowPx, k, minContrast, globalThreshold }) {
+  const half = Math.max(1, Math.floor(windowPx / 2))
+  const { sum, sq, stride } = integralImages(grey, w, h)
+  const mask = new Uint8Array(w * h)
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.max(0, y - half)
+    const y1 = Math.min(h, y + half + 1)
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.max(0, x - half)
+      const x1 = Math.min(w, x + half + 1)
+      const n = (x1 - x0) * (y1 - y0)
+      const a = y0 * stride + x0
+      const b = y0 * stride + x1
+      const c = y1 * stride + x0
+      const d = y1 * stride + x1
+      const mean = (sum[d] - sum[b] - sum[c] + sum[a]) / n
+      const variance = (sq[d] - sq[b] - sq[c] + sq[a]) / n - mean * mean
+      const std = Math.sqrt(Math.max(0, variance))
+      const v = grey[y * w + x]
+      let fg
+      if (std < minContrast) {
+        fg = v < globalThreshold
+      } else if (mode === 'sauvola') {
+        fg = v <= mean * (1 + k * (std / SAUVOLA_R - 1))
+      } else {
+        fg = v <= mean * (1 - k)
+      }
+      mask[y * w + x] = fg ? 1 : 0
+    }
+  }
+  return mask
+}
+
+function borderForegroundFraction(mask, w, h) {
+  let fg = 0
+  let n = 0
+  const count = (i) => {
+    fg += mask[i]
+    n += 1
+  }
+  for (let x = 0; x < w; x++) {
+    count(x)
+    if (h > 1) count((h - 1) * w + x)
+  }
+  for (let y = 1; y < h - 1; y++) {
+    count(y * w)
+    if (w > 1) count(y * w + w - 1)
+  }
+  return n === 0 ? 0 : fg / n
+}
+
+/**
+ * Classify each pixel as foreground (1) or background (0).
+ *
+ * @param {Uint8Array} grey  from greyscaleOverWhite
+ * @param {number} w
+ * @param {number} h
+ * @param {Object} [opts]
+ * @param {'fixed'|'otsu'|'sauvola'|'bradley'} [opts.mode='fixed']
+ * @param {number} [opts.threshold=128]   fixed mode only
+ * @param {number} [opts.windowPx]        local window side; default ~1/8 of
+ *                                        the longer image side, ≥ 15
+ * @param {number} [opts.k]               sauvola 0.2 / bradley 0.15
+ * @param {number} [opts.minContrast=3]   local std dev below which the
+ *                                        global Otsu decision applies
+ * @param {'auto'|boolean} [opts.invert='auto']
+ * @returns {{mask: Uint8Array, threshold: number|null, inverted: boolean}}
+ *   `threshold` is the global cut used (null for the local modes).
+ */
+export function binarize(grey, w, h, opts = {}) {
+  const {
+    mode = 'fixed',
+    threshold = 128,
+    windowPx = Math.max(15, Math.round(Math.max(w, h) / 8)),
+    minContrast = DEFAULT_MIN_CONTRAST,
+    invert = 'auto',
+  } = opts
+  if (!BINARIZE_MODES.includes(mode)) {
+    throw new RangeError(
+      `binarize: unknown mode "${mode}" (expected ${BINARIZE_MODES.join(', ')})`
+    )
+  }
+
+  let mask
+  let cut = null
+  if (mode === 'fixed' || mode === 'otsu') {
+    cut = mode === 'fixed' ? threshold : otsuThreshold(grey)
+    mask = new Uint8Array(grey.length)
+    for (let i = 0; i < grey.length; i++) mask[i] = grey[i] < cut ? 1 : 0
+  } else {
+    mask = adaptiveMask(grey, w, h, mode, {
+      windowPx,
+      k: opts.k ?? DEFAULT_K[mode],
+      minContrast,
+      globalThreshold: otsuThreshold(grey),
+    })
+  }
+
+  const inverted =
+    invert === 'auto'
+      ? borderForegroundFraction(mask, w, h) > INVERTED_BORDER_FRACTION
+      : Boolean(invert)
+  if (inverted) {
+    for (let i = 0; i < mask.length; i++) mask[i] ^= 1
+  }
+  return { mask, threshold: cut, inverted }
+}
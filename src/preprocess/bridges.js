@@ -0,0 +1,184 @@
+/**
+ * Bridges for floating islands.
+ *
+ * An island that sits inside another polygon's hole (the inner disc of
+ * nested_holes.svg, the dot inside a ring) comes out of the cut as a loose
+ * piece — the stencil problem. `addBridges` finds every such island and
+ * ties it to the material around its hole with straight bridges of a fixed
+ * width, then unions everything back into `{outer, holes}` polygons (so a
+ * bridged island stops being its own top-level polygon).
+ *
+ * Placement: the island's outline is sampled and each sample paired with
+ * the nearest point on the surrounding hole; a candidate bridge's gap is
+ * the widest pairing under its footprint. The shortest of those gaps
+ * gets the first bridge; with `count` > 1 the outline is split into
+ * `count` equal arcs centered on that first bridge and each arc takes its
+ * own shortest gap, so bridges spread around the island rather than
+ * bunching at one narrow spot.
+ */
+import { closestOnRing, containsPoint, ringArea, ringPerimeter } from './geometry.js'
+import { unionRings } from './svgParse.js'
+
+// Outline samples per island are spaced at half the bridge width, capped
+// at this many: rating the samples is quadratic in their number, and
+// pairing them with the hole is linear in it times the hole's vertices.
+const MAX_SAMPLES = 256
+
+// Gaps within this ratio of an arc's shortest count as ties, broken toward
+// the arc's center (keeps evenly-spaced bridges on round islands, where
+// every gap is the same up to flattening noise).
+const GAP_TIE_RATIO = 1.05
+
+// `count` points evenly spaced by arc length along a closed ring, with
+// their arc-length position `s`. Vertices between them aren't sampled, so
+// a finely drawn outline costs no more than a coarse one.
+function sampleRing(ring, perimeter, count) {
+  const spacing = perimeter / count
+  const samples = []
+  let s = 0
+  let k = 0
+  for (let i = 0; i < ring.length && k < count; i++) {
+    const a = ring[i]
+    const b = ring[(i + 1) % ring.length]
+    const len = Math.hypot(b.x - a.x, b.y - a.y)
+    while (k < count && k * spacing < s + len) {
+      const t = (k * spacing - s) / len
+      samples.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, s: k * spacing })
+      k += 1
+    }
+    s += len
+  }
+  return samples
+}
+
+/**
+ * Pick `count` island→hole gaps: the shortest overall, then the shortest
+ * within each of the other equal arcs of the island outline.
+ */
+function pickGaps(island, hole, width, count) {
+  const perimeter = ringPerimeter(island)
+  // A whole number of samples per arc, so every arc's center is a sample.
+  const perArc = Math.max(
+    1,
+    Math.min(Math.floor(MAX_SAMPLES / count), Math.ceil(perimeter / (width / 2) / count))
+  )
+  const sampleCount = perArc * count
+  const samples = sampleRing(island, perimeter, sampleCount)
+  const gaps = samples.map((p) => {
+    const { point, distance } = closestOnRing(p, hole)
+    return { from: { x: p.x, y: p.y }, to: point, distance, s: p.s }
+  })
+  // A bridge spans `width` of the island outline, so rate each gap by the
+  // widest one under its footprint — keeps bridges off corners, where half
+  // the bridge would hang beside the island.
+  for (const g of gaps) {
+    g.span = 0
+    for (const o of gaps) {
+      const d = Math.abs(o.s - g.s)
+      if (Math.min(d, perimeter - d) <= width / 2) g.span = Math.max(g.span, o.distance)
+    }
+  }
+  let first = gaps[0]
+  for (const g of gaps) if (g.span < first.span) first = g
+
+  const arc = perimeter / count
+  const picked = [first]
+  for (let k = 1; k < count; k++) {
+    const center = first.s + k * arc
+    // Signed arc-length offset of a gap from this arc's center.
+    const offset = (g) => {
+      let d = (g.s - center) % perimeter
+      if (d > perimeter / 2) d -= perimeter
+      if (d < -perimeter / 2) d += perimeter
+      return d
+    }
+    const inArc = gaps.filter((g) => Math.abs(offset(g)) <= arc / 2)
+    if (inArc.length === 0) continue
+    const shortest = Math.min(...inArc.map((g) => g.span))
+    let best = null
+    for (const g of inArc) {
+      if (g.span > shortest * GAP_TIE_RATIO) continue
+      if (!best || Math.abs(offset(g)) < Math.abs(offset(best))) best = g
+    }
+    picked.push(best)
+  }
+  return picked
+}
+
+// Rectangle `width` wide from `from` to `to`, overhanging both ends by
+// half the width so it overlaps the island and the surrounding material
+// even where their outlines curve away.
+function bridgeRing({ from, to }, width) {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const len = Math.hypot(dx, dy)
+  const ux = dx / len
+  const uy = dy / len
+  const h = width / 2
+  const a = { x: from.x - ux * h, y: from.y - uy * h }
+  const b = { x: to.x + ux * h, y: to.y + uy * h }
+  return [
+    { x: a.x - uy * h, y: a.y + ux * h },
+    { x: b.x - uy * h, y: b.y + ux * h },
+    { x: b.x + uy * h, y: b.y - ux * h },
+    { x: a.x + uy * h, y: a.y - ux * h },
+  ]
+}
+
+function oriented(ring, positive) {
+  return ringArea(ring) > 0 === positive ? ring : [...ring].reverse()
+}
+
+/**
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @param {Object} opts
+ * @param {number} opts.width  bridge width (SVG units); 0 disables bridging
+ * @param {number} [opts.count=2]  bridges per floating island
+ * @returns {{
+ *   polygons: import('./svgParse.js').Polygon[],
+ *   bridges: { from: import('./svgParse.js').Point, to: import('./svgParse.js').Point }[],
+ *   islands: number,
+ * }}  `islands` counts the floating islands that got bridged; `bridges`
+ *   runs from a point on each island to the hole edge it is tied to
+ */
+export function addBridges(polygons, { width, count = 2 }) {
+  if (!(width > 0) || count < 1 || polygons.length < 2) {
+    return { polygons, bridges: [], islands: 0 }
+  }
+
+  const bridges = []
+  let islands = 0
+  for (const island of polygons) {
+    const probe = island.outer[0]
+    // The innermost hole around the island is what it needs tying to.
+    let hole = null
+    let holeArea = Infinity
+    for (const other of polygons) {
+      if (other === island) continue
+      for (const h of other.holes) {
+        const area = Math.abs(ringArea(h))
+        if (area < holeArea && containsPoint(h, probe)) {
+          hole = h
+          holeArea = area
+        }
+      }
+    }
+    if (!hole) continue
+    const gaps = pickGaps(island.outer, hole, width, Math.round(count))
+      .filter((g) => g.distance > 0)
+    if (gaps.length === 0) continue
+    islands += 1
+    bridges.push(...gaps.map(({ from, to }) => ({ from, to })))
+  }
+  if (bridges.length === 0) return { polygons, bridges, islands }
+
+  // Nonzero union: outers wind one way, holes the other, bridges like
+  // outers — so bridges fill hole space and merge into the material.
+  const rings = []
+  for (const poly of polygons) {
+    rings.push(oriented(poly.outer, true))
+    for (const h of poly.holes) rings.push(oriented(h, false))
+  }
+  for (const bridge of bridges) rings.push(oriented(bridgeRing(bridge, width), true))
+  return { polygons: unionRings(rings), bridges, islands }
+}
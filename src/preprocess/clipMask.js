@@ -0,0 +1,309 @@
+/**
+ * `clip-path` / `mask` → cut-geometry regions.
+ *
+ * Brand logos often trim shapes with a `<clipPath>` (or, less often, a
+ * luminance `<mask>`) rather than baking the trim into the path data. Both
+ * consumers of SVG geometry — selectByColor (DOM walk) and
+ * parseSvgToPolygons (SVGLoader) — ask `regionFor(el)` for the area an
+ * element is allowed to paint in, then intersect its flattened rings with
+ * that region via Clipper.
+ *
+ * What resolves:
+ *   - `clip-path="url(#id)"` on the element or any ancestor (nested clips
+ *     intersect). Each clipPath child contributes its geometry under its
+ *     own `clip-rule`; children union. `clipPathUnits="objectBoundingBox"`
+ *     maps through the referencing element's bbox. `<use>` content arrives
+ *     already inlined (normalize.js).
+ *   - `mask="url(#id)"` when the mask is "simple": only basic shapes filled
+ *     opaque white (reveal) or opaque black (hide), no strokes, gradients,
+ *     images or partial opacity. Content is applied in paint order, so a
+ *     black shape over white punches a hole. That's the same on/off region
+ *     a clip gives.
+ *
+ * Anything else — soft masks, dangling mask references, clip text, CSS
+ * basic-shape `clip-path` functions — can't become a hard cut edge; the element is cut
+ * unclipped and a warning says so. Dangling `clip-path` references are
+ * ignored silently, as browsers do.
+ *
+ * Regions are rings in absolute (root user-space) coordinates, non-
+ * overlapping with outers and holes wound opposite ways; `null` means
+ * "unrestricted", `[]` means "clipped away".
+ */
+import SvgPath from 'svgpath'
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js'
+import ClipperLib from 'clipper-lib'
+
+import { clipperSpaceFor, ringsBounds } from './clipperSpace.js'
+import { parseColorSpec } from './color.js'
+import { parseOpacity } from './cssStyle.js'
+import { DEFAULT_CURVE_TOLERANCE_MM, flattenSubPath } from './flatten.js'
+import {
+  collectIds,
+  composeTransform,
+  elementToD,
+  isShapeElement,
+  localName,
+  urlRefId,
+} from './shapes.js'
+
+// Mask content we can't turn into an on/off region.
+const UNSUPPORTED_MASK_CONTENT = new Set(['image', 'text', 'use', 'foreignobject'])
+// Clip content with no outline we can read. `<use>` is normally inlined
+// by normalize.js first; one left over couldn't be resolved.
+const UNSUPPORTED_CLIP_CONTENT = new Set(['text', 'use'])
+
+function fillType(rule) {
+  return rule === 'evenodd'
+    ? ClipperLib.PolyFillType.pftEvenOdd
+    : ClipperLib.PolyFillType.pftNonZero
+}
+
+// One Clipper boolean op on rings, in the space of their joint box.
+function execute(clipType, subject, subjectFill, clip) {
+  const space = clipperSpaceFor(clip ? subject.concat(clip) : subject)
+  const c = new ClipperLib.Clipper()
+  c.AddPaths(space.toPaths(subject), ClipperLib.PolyType.ptSubject, true)
+  if (clip) c.AddPaths(space.toPaths(clip), ClipperLib.PolyType.ptClip, true)
+  const out = []
+  c.Execute(clipType, out, subjectFill, ClipperLib.PolyFillType.pftNonZero)
+  return space.toRings(out)
+}
+
+function intersectRegions(a, b) {
+  if (a === null) return b
+  if (b === null) return a
+  if (a.length === 0 || b.length === 0) return []
+  return execute(
+    ClipperLib.ClipType.ctIntersection,
+    a,
+    ClipperLib.PolyFillType.pftNonZero,
+    b
+  )
+}
+
+/**
+ * Flatten a path d-string into closed polylines the same way
+ * parseSvgToPolygons does (SVGLoader, curves within `tolerance` per
+ * flatten.js; by default DEFAULT_CURVE_TOLERANCE_MM, as if a unit were a
+ * mm).
+ * @param {string} d
+ * @param {number} [tolerance]
+ * @returns {{x: number, y: number}[][]}
+ */
+export function flattenPathD(d, tolerance = DEFAULT_CURVE_TOLERANCE_MM) {
+  const data = new SVGLoader().parse(
+    `<svg xmlns="http://www.w3.org/2000/svg"><path d="${d}"/></svg>`
+  )
+  const rings = []
+  for (const shapePath of data.paths) {
+    for (const subPath of shapePath.subPaths) {
+      const pts = flattenSubPath(subPath, tolerance)
+      if (pts.length >= 3) rings.push(pts)
+    }
+  }
+  return rings
+}
+
+/**
+ * Intersect rings (absolute coords, filled under `fillRule`) with a region
+ * from `regionFor`. Returns the surviving rings — outers and holes with
+ * opposite winding, non-overlapping, so either fill rule renders them.
+ *
+ * @param {{x: number, y: number}[][]} rings
+ * @param {{x: number, y: number}[][]|null} region
+ * @param {'nonzero'|'evenodd'} [fillRule='nonzero']
+ */
+export function clipRingsToRegion(rings, region, fillRule = 'nonzero') {
+  if (region === null) return rings
+  if (region.length === 0 || rings.length === 0) return []
+  return execute(ClipperLib.ClipType.ctIntersection, rings, fillType(fillRule), region)
+}
+
+/**
+ * @param {Document} doc
+ * @param {ReturnType<import('./cssStyle.js').createStyleResolver>} styles
+ * @param {{curveTolerance?: number}} [opts]  as flattenPathD's `tolerance`
+ * @returns {{
+ *   regionFor: (el: Element) => {x: number, y: number}[][] | null,
+ *   warnings: string[],
+ * }}
+ */
+export function createClipResolver(doc, styles, opts = {}) {
+  const { curveTolerance = DEFAULT_CURVE_TOLERANCE_MM } = opts
+  const ids = collectIds(doc)
+  const warnings = []
+  const warned = new Set()
+  const ownRegions = new WeakMap() // referencing element → region|null
+
+  const warn = (key, message) => {
+    if (warned.has(key)) return
+    warned.add(key)
+    warnings.push(message)
+  }
+
+  function shapePaths(el, transformStr) {
+    const d = elementToD(el)
+    if (!d) return []
+    const abs = transformStr ? new SvgPath(d).transform(transformStr).toString() : d
+    return flattenPathD(abs, curveTolerance)
+  }
+
+  function contentShapes(container) {
+    return Array.from(container.getElementsByTagName('*')).filter(isShapeElement)
+  }
+
+  // Bbox of `el`'s geometry in its own user space (before its transform).
+  function localBBox(el) {
+    const shapes = isShapeElement(el) ? [el] : contentShapes(el)
+    const b = ringsBounds(shapes.flatMap((s) => shapePaths(s, composeTransform(s, el))))
+    if (b.x0 === Infinity) return null
+    return { x: b.x0, y: b.y0, w: b.x1 - b.x0, h: b.y1 - b.y0 }
+  }
+
+  // Transform from a clipPath/mask's content into absolute coordinates
+  // when referenced from `ref`; null if objectBoundingBox can't resolve.
+  function contentTransform(container, unitsAttr, ref) {
+    const parts = [composeTransform(ref)]
+    if (container.getAttribute(unitsAttr) === 'objectBoundingBox') {
+      const bb = localBBox(ref)
+      if (!bb || bb.w === 0 || bb.h === 0) return null
+      parts.push(`translate(${bb.x},${bb.y}) scale(${bb.w},${bb.h})`)
+    }
+    parts.push(container.getAttribute('transform') || '')
+    return parts.filter(Boolean).join(' ')
+  }
+
+  // Returns the region, or a string describing why the clip can't be read.
+  function clipPathRegion(clipPath, ref) {
+    for (const el of Array.from(clipPath.getElementsByTagName('*'))) {
+      const tag = localName(el)
+      if (UNSUPPORTED_CLIP_CONTENT.has(tag)) return `contains <${tag}>`
+    }
+    const base = contentTransform(clipPath, 'clipPathUnits', ref)
+    if (base === null) return []
+    let region = []
+    for (const s of contentShapes(clipPath)) {
+      if (!styles.isRendered(s)) continue
+      const t = [base, composeTransform(s, clipPath)].filter(Boolean).join(' ')
+      const paths = shapePaths(s, t)
+      if (paths.length === 0) continue
+      region = execute(
+        ClipperLib.ClipType.ctUnion,
+        region.concat(paths),
+        fillType(styles.get(s, 'clip-rule')),
+        null
+      )
+    }
+    return region
+  }
+
+  // Returns the region, or a string describing why the mask isn't simple.
+  function maskRegion(mask, ref) {
+    for (const el of Array.from(mask.getElementsByTagName('*'))) {
+      const tag = localName(el)
+      if (UNSUPPORTED_MASK_CONTENT.has(tag)) return `contains <${tag}>`
+    }
+    const base = contentTransform(mask, 'maskContentUnits', ref)
+    if (base === null) return []
+    let region = []
+    for (const s of contentShapes(mask)) {
+      if (!styles.isRendered(s)) continue
+      const stroke = styles.get(s, 'stroke')
+      if (stroke && stroke !== 'none') return 'uses stroked content'
+      const fill = styles.get(s, 'fill')
+      if (fill === 'none') continue
+      // Undeclared fill is black — it hides, like any explicit black.
+      const key = fill == null ? { r: 0, g: 0, b: 0 } : parseColorSpec(fill)
+      if (key === null) return `uses fill "${fill}"`
+      let alpha = parseOpacity(styles.get(s, 'fill-opacity'))
+      for (let cur = s; cur && cur !== mask; cur = cur.parentNode) {
+        alpha *= parseOpacity(styles.get(cur, 'opacity'))
+      }
+      if (alpha === 0) continue
+      const white = key.r === 255 && key.g === 255 && key.b === 255
+      const black = key.r === 0 && key.g === 0 && key.b === 0
+      if (alpha !== 1 || !(white || black)) return 'has partial transparency'
+      const t = [base, composeTransform(s, mask)].filter(Boolean).join(' ')
+      const piece = execute(
+        ClipperLib.ClipType.ctUnion,
+        shapePaths(s, t),
+        fillType(styles.get(s, 'fill-rule')),
+        null
+      )
+      region = execute(
+        white ? ClipperLib.ClipType.ctUnion : ClipperLib.ClipType.ctDifference,
+        region,
+        ClipperLib.PolyFillType.pftNonZero,
+        piece
+      )
+    }
+    return region
+  }
+
+  // Region imposed by `el`'s own clip-path / mask (not its ancestors').
+  function ownRegion(el) {
+    if (ownRegions.has(el)) return ownRegions.get(el)
+    let region = null
+
+    const clipValue = styles.get(el, 'clip-path')
+    if (clipValue && clipValue !== 'none') {
+      const refId = urlRefId(clipValue)
+      const target = refId ? ids.get(refId) : null
+      if (!refId) {
+        warn(
+          `clip:${clipValue}`,
+          `clip-path "${clipValue}" isn't supported — shapes it trims are cut unclipped.`
+        )
+      } else if (target && localName(target) === 'clippath') {
+        const result = clipPathRegion(target, el)
+        if (typeof result === 'string') {
+          warn(
+            `clip:#${refId}`,
+            `Clip path #${refId} ${result} — shapes it trims are cut unclipped.`
+          )
+        } else {
+          region = intersectRegions(region, result)
+        }
+      }
+    }
+
+    const maskValue = styles.get(el, 'mask')
+    if (maskValue && maskValue !== 'none') {
+      const refId = urlRefId(maskValue)
+      const target = refId ? ids.get(refId) : null
+      const result =
+        target && localName(target) === 'mask'
+          ? maskRegion(target, el)
+          : 'could not be found'
+      if (typeof result === 'string') {
+        const label = refId ? `#${refId}` : maskValue
+        warn(
+          `mask:${label}`,
+          `Mask ${label} ${result} — shapes it trims are cut unmasked.`
+        )
+      } else {
+        region = intersectRegions(region, result)
+      }
+    }
+
+    ownRegions.set(el, region)
+    return region
+  }
+
+  /** Paintable region for `el` after every clip/mask up the tree. */
+  function regionFor(el) {
+    let region = null
+    for (let cur = el; cur && cur.nodeType === 1; cur = cur.parentNode) {
+      region = intersectRegions(region, ownRegion(cur))
+      if (region !== null && region.length === 0) break
+    }
+    return region
+  }
+
+  return { regionFor, warnings }
+}
+
+/** Cheap pre-check so documents without clips skip the resolver. */
+export function mayHaveClipOrMask(svgText) {
+  return /clip-path|mask/i.test(svgText)
+}
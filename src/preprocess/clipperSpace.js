@@ -0,0 +1,175 @@
+/**
+ * The integer space Clipper works in.
+ *
+ * Clipper only takes integer coordinates, and its fast path only covers
+ * ±47,453,132 (beyond that it switches to slow 128-bit products, and past
+ * ±4.5e15 it throws). A fixed multiplier can't suit every document: ×1000
+ * puts a CAD export in microns well outside the fast range, and leaves a
+ * 0–1 normalized icon a thousand steps across.
+ *
+ * So each document gets its own space: its bounding box is centered on
+ * the origin and scaled by the largest power of ten that keeps its
+ * longest side within ±WORKING_RANGE. A decimal scale, like the old ×1000,
+ * hands back coordinates with that many decimal places exactly as they
+ * went in. Geometry goes in through `toPath(s)` and results come back
+ * through `toRing(s)` / `toPolygons` in the caller's own units; distances
+ * (offset deltas) go in through `toDelta`. Round-join accuracy is set
+ * relative to the box too (`arcTolerance`), so offsets come out with the
+ * same vertex density whatever units the document was drawn in.
+ *
+ * Build one space per document and share it between every Clipper call
+ * on it, so their results line up on the same grid.
+ */
+
+// Most a box's half-side is scaled to. Leaves ~3× headroom inside
+// Clipper's fast range for offsets that grow the geometry past its box.
+export const WORKING_RANGE = 2 ** 24
+
+// Arc accuracy of round joins, as a fraction of the box's longest side
+// (0.00025 units on a 100-unit icon).
+const ARC_TOLERANCE = 1 / 400000
+
+// Clipper's own floor for the arc tolerance, in working units.
+const MIN_ARC_TOLERANCE = 0.25
+
+/**
+ * @param {{x: number, y: number}[][]} rings
+ * @returns {{x0: number, y0: number, x1: number, y1: number}}  Infinite
+ *   when there are no points
+ */
+export function ringsBounds(rings) {
+  const b = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity }
+  for (const ring of rings) {
+    for (const { x, y } of ring) {
+      if (x < b.x0) b.x0 = x; if (x > b.x1) b.x1 = x
+      if (y < b.y0) b.y0 = y; if (y > b.y1) b.y1 = y
+    }
+  }
+  return b
+}
+
+/**
+ * Every ring of a polygon set, outers and holes alike.
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @returns {{x: number, y: number}[][]}
+ */
+export function polygonRings(polygons) {
+  return polygons.flatMap((poly) => [poly.outer, ...poly.holes])
+}
+
+// clipper-lib exposes some PolyNode/PolyTree members as functions and others
+// as properties depending on version. Normalize both styles.
+function readMember(node, name) {
+  if (node == null) return undefined
+  const m = node[name]
+  if (typeof m === 'function') return m.call(node)
+  return m
+}
+
+function getChilds(node) {
+  const c = readMember(node, 'Childs')
+  return Array.isArray(c) ? c : []
+}
+
+function isHole(node) {
+  return Boolean(readMember(node, 'IsHole'))
+}
+
+function getContour(node) {
+  return readMember(node, 'Contour') || []
+}
+
+/**
+ * @typedef {Object} ClipperSpace
+ * @property {number} scale  working units per source unit, a power of ten
+ * @property {number} arcTolerance  for ClipperOffset, in working units
+ * @property {(ring: {x: number, y: number}[]) => {X: number, Y: number}[]} toPath
+ * @property {(rings: {x: number, y: number}[][]) => {X: number, Y: number}[][]} toPaths
+ * @property {(path: {X: number, Y: number}[]) => {x: number, y: number}[]} toRing
+ * @property {(paths: {X: number, Y: number}[][]) => {x: number, y: number}[][]} toRings
+ * @property {(distance: number) => number} toDelta  a source-unit distance
+ *   in working units
+ * @property {(polyTree: Object) => import('./svgParse.js').Polygon[]} toPolygons
+ *   a PolyTree result as `{outer, holes}` polygons
+ */
+
+/**
+ * @param {{x0: number, y0: number, x1: number, y1: number}} bounds
+ * @param {number} [margin=0]  room around the box the results may reach
+ *   (an offset's distance), counted into its extent
+ * @returns {ClipperSpace}
+ */
+export function createClipperSpace(bounds, margin = 0) {
+  const extent = Math.max(bounds.x1 - bounds.x0, bounds.y1 - bounds.y0) + 2 * margin
+  const finite = Number.isFinite(extent) && extent > 0
+  const scale = finite ? 10 ** Math.floor(Math.log10((2 * WORKING_RANGE) / extent)) : 1
+  // The center in whole working units: points scale and round first, then
+  // shift, so a decimal coordinate comes back as the same double.
+  const cx = finite ? Math.round(((bounds.x0 + bounds.x1) / 2) * scale) : 0
+  const cy = finite ? Math.round(((bounds.y0 + bounds.y1) / 2) * scale) : 0
+
+  const toPath = (ring) =>
+    ring.map((p) => ({
+      X: Math.round(p.x * scale) - cx,
+      Y: Math.round(p.y * scale) - cy,
+    }))
+  const toRing = (path) => path.map((p) => ({ x: (p.X + cx) / scale, y: (p.Y + cy) / scale }))
+
+  /**
+   * Walk a PolyTree, emitting `{outer, holes}` polygons. Recurses through
+   * `child.Childs` so islands nested inside holes (the inner-disc case in
+   * nested_holes.svg) come out as their own top-level polygons — matches
+   * Python's `MultiPolygon.geoms` semantics exactly.
+   */
+  function collect(node, polygons) {
+    if (!node) return
+    const contour = getContour(node)
+    if (!isHole(node) && contour.length >= 3) {
+      const outer = toRing(contour)
+      const holes = []
+      for (const child of getChilds(node)) {
+        const childContour = getContour(child)
+        if (isHole(child) && childContour.length >= 3) {
+          holes.push(toRing(childContour))
+        }
+        // Grandchildren of an outer node (whether through a hole or
+        // directly) are nested-inside-hole islands; surface them as
+        // separate polygons.
+        for (const grandchild of getChilds(child)) {
+          collect(grandchild, polygons)
+        }
+      }
+      polygons.push({ outer, holes })
+    } else {
+      for (const child of getChilds(node)) {
+        collect(child, polygons)
+      }
+    }
+  }
+
+  return {
+    scale,
+    arcTolerance: Math.max(MIN_ARC_TOLERANCE, finite ? extent * scale * ARC_TOLERANCE : 0),
+    toPath,
+    toPaths: (rings) => rings.map(toPath),
+    toRing,
+    toRings: (paths) => paths.map(toRing),
+    toDelta: (distance) => distance * scale,
+    toPolygons(polyTree) {
+      const polygons = []
+      // PolyTree's synthetic root holds the top-level outers in Childs.
+      for (const child of getChilds(polyTree)) collect(child, polygons)
+      return polygons
+    },
+  }
+}
+
+/**
+ * The space for a set of rings' bounding box.
+ * @param {{x: number, y: number}[][]} rings
+ * @param {number} [margin=0]  as for createClipperSpace
+ * @returns {ClipperSpace}
+ */
+export function clipperSpaceFor(rings, margin = 0) {
+  return createClipperSpace(ringsBounds(rings), margin)
+}
@@ -0,0 +1,344 @@
+/**
+ * Computed-style resolution for SVG documents — just enough of the CSS
+ * cascade for the preprocess pipeline to see the same paint a browser
+ * renders.
+ *
+ * Port-adjacent to what svgelements' reify=True gives the Python tool:
+ * presentation attributes, `<style>` rules and inline `style` combine per
+ * property, then inherit down the tree. Browsers do this for us via
+ * getComputedStyle, but jsdom/xmldom don't apply `<style>` blocks to SVG,
+ * so Illustrator exports (`.cls-1{fill:none;stroke:…}`) came out unstyled.
+ *
+ * Cascade order, lowest → highest precedence:
+ *   1. presentation attribute (`fill="red"`)
+ *   2. `<style>` rules, by specificity then source order
+ *   3. inline `style="…"`
+ *   4. `!important` `<style>` rules
+ *   5. `!important` inline declarations
+ *
+ * Selector support: type, `*`, `.class`, `#id`, `[attr]`, `[attr=value]`,
+ * compound selectors, descendant and child (`>`) combinators, comma lists.
+ * Rules using anything else (pseudo-classes, sibling combinators) are
+ * skipped rather than guessed at; @-rules are ignored wholesale.
+ */
+
+import { localName } from './shapes.js'
+
+// Properties that inherit from the parent when not set on the element.
+// `opacity` and `display` don't inherit, but both hide whole subtrees —
+// isRendered() walks ancestors for those instead.
+const INHERITED = new Set([
+  'clip-rule',
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'stroke',
+  'stroke-opacity',
+  'stroke-width',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'stroke-miterlimit',
+  'stroke-dasharray',
+  'stroke-dashoffset',
+  'visibility',
+])
+
+// Presentation attributes that apply to the element (and so its subtree)
+// without inheriting. Callers read them per-ancestor.
+const NON_INHERITED = new Set([
+  'clip-path',
+  'display',
+  'mask',
+  'opacity',
+  'stop-color',
+  'stop-opacity',
+])
+
+/* ---------------- Stylesheet parsing ---------------- */
+
+function stripComments(css) {
+  return css.replace(/\/\*[\s\S]*?\*\//g, '')
+}
+
+/**
+ * Parse `prop: value [!important]; …` into a list of declarations.
+ */
+export function parseDeclarations(text) {
+  const out = []
+  if (!text) return out
+  for (const chunk of text.split(';')) {
+    const colon = chunk.indexOf(':')
+    if (colon < 0) continue
+    const prop = chunk.slice(0, colon).trim().toLowerCase()
+    let value = chunk.slice(colon + 1).trim()
+    if (!prop || !value) continue
+    let important = false
+    const bang = value.match(/!\s*important\s*$/i)
+    if (bang) {
+      important = true
+      value = value.slice(0, bang.index).trim()
+    }
+    out.push({ prop, value, important })
+  }
+  return out
+}
+
+/**
+ * Split a stylesheet into `{ selectorText, body }` rules, skipping
+ * @-rules (and their nested blocks) entirely.
+ */
+function splitRules(css) {
+  const rules = []
+  let i = 0
+  while (i < css.length) {
+    const open = css.indexOf('{', i)
+    if (open < 0) break
+    const prelude = css.slice(i, open).trim()
+    // Find the matching close brace (at-rules like @media nest).
+    let depth = 1
+    let j = open + 1
+    while (j < css.length && depth > 0) {
+      if (css[j] === '{') depth++
+      else if (css[j] === '}') depth--
+      j++
+    }
+    if (!prelude.startsWith('@')) {
+      rules.push({ selectorText: prelude, body: css.slice(open + 1, j - 1) })
+    }
+    i = j
+  }
+  return rules
+}
+
+/* ---------------- Selectors ---------------- */
+
+const COMPOUND_PART = /^(\*|[a-zA-Z][\w-]*)|\.([\w-]+)|#([\w-]+)|\[\s*([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/y
+
+/**
+ * Parse one compound selector (`path.cls-1#a[fill]`) into a matcher spec,
+ * or null if it uses syntax we don't support.
+ */
+function parseCompound(text) {
+  const spec = { tag: null, classes: [], id: null, attrs: [] }
+  let pos = 0
+  while (pos < text.length) {
+    COMPOUND_PART.lastIndex = pos
+    const m = COMPOUND_PART.exec(text)
+    if (!m || m.index !== pos) return null
+    if (m[1]) {
+      if (pos !== 0) return null
+      spec.tag = m[1] === '*' ? null : m[1].toLowerCase()
+    } else if (m[2]) spec.classes.push(m[2])
+    else if (m[3]) spec.id = m[3]
+    else {
+      const value = m[5] ?? m[6] ?? m[7]
+      spec.attrs.push({ name: m[4], value: value ?? null })
+    }
+    pos = COMPOUND_PART.lastIndex
+  }
+  return spec
+}
+
+/**
+ * Parse a complex selector into compounds (right-most last) joined by
+ * combinators, plus its specificity [ids, classes+attrs, types].
+ */
+function parseSelector(text) {
+  const tokens = text
+    .trim()
+    .replace(/\s*>\s*/g, ' > ')
+    .split(/\s+/)
+    .filter(Boolean)
+  const compounds = []
+  const combinators = []
+  let pendingChild = false
+  for (const tok of tokens) {
+    if (tok === '>') {
+      if (compounds.length === 0 || pendingChild) return null
+      pendingChild = true
+      continue
+    }
+    const spec = parseCompound(tok)
+    if (!spec) return null
+    if (compounds.length > 0) combinators.push(pendingChild ? '>' : ' ')
+    pendingChild = false
+    compounds.push(spec)
+  }
+  if (compounds.length === 0 || pendingChild) return null
+  let a = 0, b = 0, c = 0
+  for (const spec of compounds) {
+    if (spec.id) a++
+    b += spec.classes.length + spec.attrs.length
+    if (spec.tag) c++
+  }
+  return { compounds, combinators, specificity: a * 1e6 + b * 1e3 + c }
+}
+
+function classList(el) {
+  const cls = el.getAttribute('class')
+  return cls ? cls.split(/\s+/).filter(Boolean) : []
+}
+
+function matchesCompound(el, spec) {
+  if (spec.tag && localName(el) !== spec.tag) return false
+  if (spec.id && el.getAttribute('id') !== spec.id) return false
+  if (spec.classes.length > 0) {
+    const have = classList(el)
+    for (const c of spec.classes) if (!have.includes(c)) return false
+  }
+  for (const { name, value } of spec.attrs) {
+    if (!el.hasAttribute(name)) return false
+    if (value !== null && el.getAttribute(name) !== value) return false
+  }
+  return true
+}
+
+function parentElement(el) {
+  const p = el.parentNode
+  return p && p.nodeType === 1 ? p : null
+}
+
+function matchesSelector(el, sel, idx = sel.compounds.length - 1) {
+  if (!matchesCompound(el, sel.compounds[idx])) return false
+  if (idx === 0) return true
+  const combinator = sel.combinators[idx - 1]
+  if (combinator === '>') {
+    const parent = parentElement(el)
+    return parent != null && matchesSelector(parent, sel, idx - 1)
+  }
+  for (let anc = parentElement(el); anc; anc = parentElement(anc)) {
+    if (matchesSelector(anc, sel, idx - 1)) return true
+  }
+  return false
+}
+
+/* ---------------- The resolver ---------------- */
+
+function collectRules(doc) {
+  const rules = []
+  let order = 0
+  for (const styleEl of Array.from(doc.getElementsByTagName('style'))) {
+    const css = stripComments(styleEl.textContent || '')
+    for (const { selectorText, body } of splitRules(css)) {
+      const decls = parseDeclarations(body)
+      if (decls.length === 0) continue
+      for (const part of selectorText.split(',')) {
+        const selector = parseSelector(part)
+        if (!selector) continue
+        rules.push({ selector, decls, order: order++ })
+      }
+    }
+  }
+  return rules
+}
+
+/**
+ * Build a resolver over one parsed SVG document. Results are memoized per
+ * element, so create one resolver per document pass.
+ *
+ * @param {Document} doc
+ * @returns {{
+ *   get: (el: Element, prop: string) => string|null,
+ *   isRendered: (el: Element) => boolean,
+ * }}
+ */
+export function createStyleResolver(doc) {
+  const rules = collectRules(doc)
+  const cascaded = new WeakMap() // el → Map(prop → value) before inheritance
+  const computed = new WeakMap() // el → Map(prop → value|null)
+
+  function cascade(el) {
+    let map = cascaded.get(el)
+    if (map) return map
+    // Each declaration is ranked by the tuple [important, origin (0 attr /
+    // 1 sheet / 2 inline), specificity, source order], compared
+    // lexicographically; the highest rank per property wins.
+    const winners = new Map()
+    const rankOf = (important, origin, specificity, order) =>
+      [important ? 1 : 0, origin, specificity, order]
+    const cmp = (x, y) => {
+      for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) return x[i] - y[i]
+      return 0
+    }
+    const offerRanked = (prop, value, rank) => {
+      const prev = winners.get(prop)
+      if (!prev || cmp(rank, prev.rank) >= 0) winners.set(prop, { value, rank })
+    }
+
+    for (const attr of el.attributes ? Array.from(el.attributes) : []) {
+      const name = attr.name.toLowerCase()
+      if (INHERITED.has(name) || NON_INHERITED.has(name)) {
+        offerRanked(name, attr.value.trim(), rankOf(false, 0, 0, 0))
+      }
+    }
+    for (const rule of rules) {
+      if (!matchesSelector(el, rule.selector)) continue
+      for (const d of rule.decls) {
+        offerRanked(
+          d.prop,
+          d.value,
+          rankOf(d.important, 1, rule.selector.specificity, rule.order)
+        )
+      }
+    }
+    for (const d of parseDeclarations(el.getAttribute('style'))) {
+      offerRanked(d.prop, d.value, rankOf(d.important, 2, 0, 0))
+    }
+
+    map = new Map()
+    for (const [prop, { value }] of winners) map.set(prop, value)
+    cascaded.set(el, map)
+    return map
+  }
+
+  function get(el, prop) {
+    let memo = computed.get(el)
+    if (!memo) {
+      memo = new Map()
+      computed.set(el, memo)
+    }
+    if (memo.has(prop)) return memo.get(prop)
+    const own = cascade(el).get(prop)
+    let value
+    const parent = parentElement(el)
+    if (own != null && own !== 'inherit') {
+      value = own
+    } else if ((own === 'inherit' || INHERITED.has(prop)) && parent) {
+      value = get(parent, prop)
+    } else {
+      value = null
+    }
+    memo.set(prop, value)
+    return value
+  }
+
+  /**
+   * False when the element can't paint anything: `display:none` or
+   * `opacity:0` on it or any ancestor, or `visibility` hidden/collapse.
+   */
+  function isRendered(el) {
+    const vis = get(el, 'visibility')
+    if (vis === 'hidden' || vis === 'collapse') return false
+    for (let cur = el; cur; cur = parentElement(cur)) {
+      const own = cascade(cur)
+      if ((own.get('display') || '').toLowerCase() === 'none') return false
+      if (own.has('opacity') && parseOpacity(own.get('opacity')) === 0) return false
+    }
+    return true
+  }
+
+  return { get, isRendered }
+}
+
+/**
+ * Parse an opacity value (`0.5`, `50%`) into [0, 1]. Unparseable or missing
+ * values count as fully opaque, matching the CSS initial value.
+ */
+export function parseOpacity(value) {
+  if (value == null) return 1
+  const s = String(value).trim()
+  const n = parseFloat(s)
+  if (!Number.isFinite(n)) return 1
+  const v = s.endsWith('%') ? n / 100 : n
+  return Math.max(0, Math.min(1, v))
+}
@@ -0,0 +1,132 @@
+/**
+ * Dilation of a binary mask, in time independent of the radius.
+ *
+ * raster.py thickens the thresholded art with PIL's `MaxFilter(2r+1)`,
+ * which scans a square window per pixel: O(w·h·r²), enough at 1024 px and
+ * a thick `thicknessMm` to outweigh the trace itself.
+ *
+ * Here a pixel is foreground when some foreground pixel lies within `r` of
+ * it, found by a distance transform instead: the distance to the nearest
+ * foreground pixel down each column, then along each row:
+ *
+ *   square  the nearest column within r of it (Chebyshev distance) —
+ *           the same pixels as MaxFilter, so raster.py parity holds
+ *   disc    the lower envelope of the parabolas (x − q)² + column(q)²
+ *           (Felzenszwalb & Huttenlocher's exact Euclidean transform), so
+ *           diagonals and corners grow by r rather than up to √2·r
+ *
+ * Every pass is linear in the pixel count. Distances beyond `r` never
+ * matter, so they're capped at r + 1 and everything stays in small
+ * integers.
+ *
+ * The disc isn't the default: on line art, whose diagonal strokes the
+ * square widens by up to √2, it lays down noticeably less ink than
+ * raster.py (about 15% less on the fox fixture).
+ */
+
+export const DILATION_SHAPES = ['square', 'disc']
+
+/**
+ * Every pixel within `radius` of the foreground, as a new mask.
+ *
+ * @param {Uint8Array} mask  1 = foreground, row-major (binarize.js)
+ * @param {number} w
+ * @param {number} h
+ * @param {number} radius  in pixels; 0 or less copies the mask
+ * @param {Object} [opts]
+ * @param {'square'|'disc'} [opts.shape='square']  structuring element; a
+ *   square reaches floor(radius) pixels along each axis
+ * @returns {Uint8Array}
+ */
+export function dilateMask(mask, w, h, radius, opts = {}) {
+  const { shape = 'square' } = opts
+  if (!DILATION_SHAPES.includes(shape)) {
+    throw new RangeError(
+      `dilateMask: unknown shape "${shape}" (expected ${DILATION_SHAPES.join(', ')})`
+    )
+  }
+  if (!(radius > 0)) return mask.slice()
+  const far = Math.floor(radius) + 1
+  const column = columnDistances(mask, w, h, far)
+  const out = new Uint8Array(w * h)
+  const dilateRow = shape === 'square' ? squareRow(w, far) : discRow(w, far, radius)
+  for (let row = 0; row < w * h; row += w) {
+    dilateRow(column, row, out)
+  }
+  return out
+}
+
+// Vertical distance from each pixel to the nearest foreground pixel in its
+// column, capped at `far`. Swept a row at a time, for memory order.
+function columnDistances(mask, w, h, far) {
+  const column = new Int32Array(w * h)
+  for (let x = 0; x < w; x++) column[x] = mask[x] ? 0 : far
+  for (let i = w; i < w * h; i++) {
+    column[i] = mask[i] ? 0 : Math.min(far, column[i - w] + 1)
+  }
+  for (let i = w * (h - 1) - 1; i >= 0; i--) {
+    const below = column[i + w] + 1
+    if (below < column[i]) column[i] = below
+  }
+  return column
+}
+
+// A row of the square: set where some column within r horizontally has
+// foreground within r vertically.
+function squareRow(w, far) {
+  const reach = new Int32Array(w)
+  return (column, row, out) => {
+    let d = far
+    for (let x = 0; x < w; x++) {
+      d = column[row + x] < far ? 0 : Math.min(far, d + 1)
+      reach[x] = d
+    }
+    d = far
+    for (let x = w - 1; x >= 0; x--) {
+      d = column[row + x] < far ? 0 : Math.min(far, d + 1)
+      if (Math.min(d, reach[x]) < far) out[row + x] = 1
+    }
+  }
+}
+
+// A row of the disc: set where the squared Euclidean distance is ≤ r².
+function discRow(w, far, radius) {
+  const f = new Int32Array(w)
+  const v = new Int32Array(w)
+  const z = new Float64Array(w + 1)
+  const radius2 = radius * radius
+  return (column, row, out) => {
+    let any = false
+    for (let x = 0; x < w; x++) {
+      const d = column[row + x]
+      f[x] = d * d
+      if (d < far) any = true
+    }
+    if (!any) return
+
+    // Lower envelope of the parabolas (x − q)² + f[q].
+    let k = 0
+    v[0] = 0
+    z[0] = -Infinity
+    z[1] = Infinity
+    for (let q = 1; q < w; q++) {
+      let s
+      for (;;) {
+        const p = v[k]
+        s = (f[q] + q * q - f[p] - p * p) / (2 * (q - p))
+        if (s > z[k]) break
+        k--
+      }
+      k++
+      v[k] = q
+      z[k] = s
+      z[k + 1] = Infinity
+    }
+    k = 0
+    for (let x = 0; x < w; x++) {
+      while (z[k + 1] < x) k++
+      const dx = x - v[k]
+      if (dx * dx + f[v[k]] <= radius2) out[row + x] = 1
+    }
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * DXF export of the cut geometry, for laser shop CAM software.
+ *
+ * `polygonsToDxf` writes each ring of the `{outer, holes}` polygons
+ * parseSvgToPolygons returns as one closed polyline, outers on the
+ * OUTERS layer and holes on HOLES, in true millimetres ($INSUNITS 4).
+ * The file is R12 (AC1009) — POLYLINE / VERTEX / SEQEND entities, no
+ * handles, no OBJECTS section — the version every CAD and laser package
+ * still reads, and complete without the bookkeeping R2000 requires.
+ * SVG's y axis points down and DXF's up, so the art is flipped and moved
+ * to put its bounding box's lower-left corner on the origin; outers come
+ * out counter-clockwise and holes clockwise, the usual CAM convention.
+ *
+ * With `sequence`, rings go out in sequenceCuts' order — inside first,
+ * nearest-neighbor + 2-opt, each starting at its entry point — and a
+ * 999 comment up top records the rapid travel before and after.
+ *
+ * `svgToDxf` does the parse and the mm scale (unitsPerMmFor) in one go,
+ * and `parseDxfPolylines` reads the polylines back — enough DXF for
+ * round-trip checks, not a general reader.
+ */
+import { ringArea } from './geometry.js'
+import { unitsPerMmFor } from './manufacturability.js'
+import { sequenceCuts } from './sequence.js'
+import { parseSvgToPolygons } from './svgParse.js'
+
+export const DXF_LAYERS = { outers: 'OUTERS', holes: 'HOLES' }
+
+// ACI colors the layers show in CAD viewers: red outers, blue holes.
+const LAYER_COLORS = { [DXF_LAYERS.outers]: 1, [DXF_LAYERS.holes]: 5 }
+
+// Six decimals of a mm, like polygonsToSvg writes SVG units.
+const PRECISION = 6
+
+// Group code / value pairs, one per line each, as DXF wants them.
+function pairs(list) {
+  return list.map(([code, value]) => `${code}\n${value}`).join('\n')
+}
+
+// The layers' linetype has to be declared before they can name it.
+function tables(names) {
+  return [
+    [0, 'SECTION'],
+    [2, 'TABLES'],
+    [0, 'TABLE'],
+    [2, 'LTYPE'],
+    [70, 1],
+    [0, 'LTYPE'],
+    [2, 'CONTINUOUS'],
+    [70, 0],
+    [3, 'Solid line'],
+    [72, 65],
+    [73, 0],
+    [40, '0.0'],
+    [0, 'ENDTAB'],
+    [0, 'TABLE'],
+    [2, 'LAYER'],
+    [70, names.length],
+    ...names.flatMap((name) => [
+      [0, 'LAYER'],
+      [2, name],
+      [70, 0],
+      [62, LAYER_COLORS[name]],
+      [6, 'CONTINUOUS'],
+    ]),
+    [0, 'ENDTAB'],
+    [0, 'ENDSEC'],
+  ]
+}
+
+// A closed R12 polyline: the POLYLINE header (66 = vertices follow, and
+// its own 10/20/30 point, which R12 requires and ignores), one VERTEX per
+// point, then SEQEND.
+function polyline(ring, layer) {
+  return [
+    [0, 'POLYLINE'],
+    [8, layer],
+    [66, 1],
+    [10, '0.0'],
+    [20, '0.0'],
+    [30, '0.0'],
+    [70, 1],
+    ...ring.flatMap((p) => [
+      [0, 'VERTEX'],
+      [8, layer],
+      [10, p.x.toFixed(PRECISION)],
+      [20, p.y.toFixed(PRECISION)],
+      [30, '0.0'],
+    ]),
+    [0, 'SEQEND'],
+    [8, layer],
+  ]
+}
+
+/**
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @param {Object} [opts]
+ * @param {number} [opts.unitsPerMm=1]  SVG units per mm at the printed size
+ * @param {boolean} [opts.sequence=false]  write rings in cut order
+ * @returns {string}  DXF text
+ */
+export function polygonsToDxf(polygons, { unitsPerMm = 1, sequence = false } = {}) {
+  let x0 = Infinity
+  let y1 = -Infinity
+  for (const poly of polygons) {
+    for (const p of poly.outer) {
+      if (p.x < x0) x0 = p.x
+      if (p.y > y1) y1 = p.y
+    }
+  }
+  const toMm = (ring) =>
+    ring.map((p) => ({ x: (p.x - x0) / unitsPerMm, y: (y1 - p.y) / unitsPerMm }))
+  // Reversal keeps the first vertex first, so a sequenced ring still
+  // starts at its entry point.
+  const oriented = (ring, ccw) =>
+    ringArea(ring) > 0 === ccw ? ring : [ring[0], ...ring.slice(1).reverse()]
+
+  let rings = []
+  const comments = []
+  if (sequence) {
+    const cuts = sequenceCuts(polygons)
+    rings = cuts.rings
+    comments.push([
+      999,
+      `Cut order optimized: rapid travel ${(cuts.travel.before / unitsPerMm).toFixed(1)} mm` +
+        ` -> ${(cuts.travel.after / unitsPerMm).toFixed(1)} mm`,
+    ])
+  } else {
+    for (const poly of polygons) {
+      rings.push({ points: poly.outer, kind: 'outer' })
+      for (const hole of poly.holes) rings.push({ points: hole, kind: 'hole' })
+    }
+  }
+
+  const entities = []
+  for (const { points, kind } of rings) {
+    if (points.length < 3) continue
+    const outer = kind === 'outer'
+    entities.push(
+      ...polyline(oriented(toMm(points), outer), outer ? DXF_LAYERS.outers : DXF_LAYERS.holes)
+    )
+  }
+
+  return (
+    pairs([
+      ...comments,
+      [0, 'SECTION'],
+      [2, 'HEADER'],
+      [9, '$ACADVER'],
+      [1, 'AC1009'],
+      // Newer than R12, but readers skip header variables they don't know,
+      // and those that know these take the file as metric.
+      [9, '$INSUNITS'],
+      [70, 4],
+      [9, '$MEASUREMENT'],
+      [70, 1],
+      [0, 'ENDSEC'],
+      ...tables([DXF_LAYERS.outers, DXF_LAYERS.holes]),
+      [0, 'SECTION'],
+      [2, 'ENTITIES'],
+      ...entities,
+      [0, 'ENDSEC'],
+      [0, 'EOF'],
+    ]) + '\n'
+  )
+}
+
+/**
+ * Parse a black SVG and write it as DXF at its printed size.
+ * @param {string} svgString
+ * @param {{artSizeMm?: number, maxLogoDimMm?: number, sequence?: boolean}} [opts]
+ *   size as for applyManufacturability; `sequence` as for polygonsToDxf
+ * @returns {string}
+ */
+export function svgToDxf(svgString, { sequence = false, ...size } = {}) {
+  const { polygons, viewBox } = parseSvgToPolygons(svgString)
+  return polygonsToDxf(polygons, {
+    unitsPerMm: unitsPerMmFor(polygons, viewBox, size),
+    sequence,
+  })
+}
+
+/**
+ * Read back the R12 POLYLINEs of a DXF, with their VERTEX points.
+ * @param {string} text
+ * @returns {{ layer: string, closed: boolean, points: import('./svgParse.js').Point[] }[]}
+ */
+export function parseDxfPolylines(text) {
+  const lines = text.split(/\r?\n/)
+  const polylines = []
+  let current = null
+  let vertex = null
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = Number(lines[i].trim())
+    const value = lines[i + 1].trim()
+    if (code === 0) {
+      vertex = null
+      if (value === 'POLYLINE') {
+        current = { layer: '0', closed: false, points: [] }
+        polylines.push(current)
+      } else if (value === 'VERTEX' && current) {
+        vertex = { x: 0, y: 0 }
+        current.points.push(vertex)
+      } else {
+        current = null
+      }
+    } else if (vertex) {
+      if (code === 10) vertex.x = Number(value)
+      else if (code === 20) vertex.y = Number(value)
+    } else if (current) {
+      if (code === 8) current.layer = value
+      else if (code === 70) current.closed = (Number(value) & 1) === 1
+    }
+  }
+  return polylines
+}
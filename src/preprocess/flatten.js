@@ -0,0 +1,219 @@
+/**
+ * Curve flattening to a chord tolerance.
+ *
+ * SVGLoader hands back each subpath as three.js curves (lines, quadratic
+ * and cubic Béziers, elliptical arcs) already in absolute user units.
+ * `getPoints(n)` would sample every one of them n times regardless of
+ * size — a tiny serif gets as many points as a sweeping arc, and the arc
+ * still looks faceted. Here each curve gets just enough points that no
+ * chord strays more than `tolerance` from it:
+ *
+ *   - Béziers split in half (de Casteljau) until every control point lies
+ *     within tolerance of the chord. The curve lies inside its control
+ *     hull, so that bounds its distance from the chord too.
+ *   - arcs step by the angle whose sagitta on the larger radius is the
+ *     tolerance. The parameter-space step bounds an ellipse's deviation
+ *     the same way. Steps are a whole fraction of a quarter turn, so an
+ *     arc that starts on an axis — every circle and ellipse element —
+ *     keeps its extreme points, and the art its exact bounding box.
+ *
+ * The tolerance is asked for in mm; curveTolerance converts it into a
+ * document's user units.
+ */
+import { lengthToUserUnits, physicalSizeOf } from './physicalSize.js'
+
+export const DEFAULT_CURVE_TOLERANCE_MM = 0.01
+
+// The size art is printed at unless told otherwise (maxLogoDimMm).
+const ASSUMED_SIZE_MM = 100
+
+// Limits on one curve's point count, whatever the tolerance asks for.
+const MAX_BEZIER_DEPTH = 12
+const MAX_ARC_SEGMENTS = 1024 // per full turn
+
+// Curve types SVGLoader never produces still flatten, at getPoints' rate.
+const FALLBACK_DIVISIONS = 32
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const len2 = dx * dx + dy * dy
+  const along = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0
+  const t = Math.max(0, Math.min(1, along))
+  return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy)
+}
+
+// Both halves of a Bézier of any degree, split at t = 0.5.
+function splitBezier(controls) {
+  const left = [controls[0]]
+  const right = [controls[controls.length - 1]]
+  let level = controls
+  while (level.length > 1) {
+    const next = []
+    for (let i = 1; i < level.length; i++) {
+      next.push({ x: (level[i - 1].x + level[i].x) / 2, y: (level[i - 1].y + level[i].y) / 2 })
+    }
+    left.push(next[0])
+    right.unshift(next[next.length - 1])
+    level = next
+  }
+  return [left, right]
+}
+
+// Every point after the first, appended to `out`.
+function flattenBezier(controls, tolerance, out, depth = 0) {
+  const first = controls[0]
+  const last = controls[controls.length - 1]
+  const flat =
+    depth >= MAX_BEZIER_DEPTH ||
+    controls.every((p) => segmentDistance(p, first, last) <= tolerance)
+  if (flat) {
+    out.push({ x: last.x, y: last.y })
+    return
+  }
+  const [left, right] = splitBezier(controls)
+  flattenBezier(left, tolerance, out, depth + 1)
+  flattenBezier(right, tolerance, out, depth + 1)
+}
+
+// The signed sweep EllipseCurve.getPoint walks from start to end.
+function arcSweep({ aStartAngle, aEndAngle, aClockwise }) {
+  let delta = aEndAngle - aStartAngle
+  const samePoints = Math.abs(delta) < Number.EPSILON
+  while (delta < 0) delta += 2 * Math.PI
+  while (delta > 2 * Math.PI) delta -= 2 * Math.PI
+  if (delta < Number.EPSILON) delta = samePoints ? 0 : 2 * Math.PI
+  if (aClockwise && !samePoints) {
+    delta = delta === 2 * Math.PI ? -2 * Math.PI : delta - 2 * Math.PI
+  }
+  return delta
+}
+
+function arcPoints(curve, tolerance) {
+  const radius = Math.max(Math.abs(curve.xRadius), Math.abs(curve.yRadius))
+  const sweep = Math.abs(arcSweep(curve))
+  if (!(radius > 0) || sweep === 0) return [curve.getPoint(0), curve.getPoint(1)]
+  const maxStep = tolerance < radius ? 2 * Math.acos(1 - tolerance / radius) : Math.PI
+  const perQuarter = Math.min(MAX_ARC_SEGMENTS / 4, Math.ceil(Math.PI / 2 / maxStep))
+  const step = Math.PI / 2 / perQuarter
+  const points = []
+  for (let i = 0; i * step < sweep - step * 1e-6; i++) {
+    points.push(curve.getPoint((i * step) / sweep))
+  }
+  points.push(curve.getPoint(1))
+  return points
+}
+
+function curvePoints(curve, tolerance) {
+  if (curve.isLineCurve) return [curve.v1, curve.v2]
+  if (curve.isCubicBezierCurve || curve.isQuadraticBezierCurve) {
+    const controls = curve.isCubicBezierCurve
+      ? [curve.v0, curve.v1, curve.v2, curve.v3]
+      : [curve.v0, curve.v1, curve.v2]
+    const out = [{ x: controls[0].x, y: controls[0].y }]
+    flattenBezier(controls, tolerance, out)
+    return out
+  }
+  if (curve.isEllipseCurve) return arcPoints(curve, tolerance)
+  return curve.getPoints(FALLBACK_DIVISIONS)
+}
+
+/**
+ * A three.js Path (an SVGLoader subpath) as a polyline within `tolerance`
+ * of it — the drop-in for `subPath.getPoints(divisions)`: consecutive
+ * repeats dropped, and closed back to its start when it's `autoClose`.
+ *
+ * @param {import('three').Path} subPath
+ * @param {number} tolerance  max chord deviation, in the path's units
+ * @returns {{x: number, y: number}[]}
+ */
+export function flattenSubPath(subPath, tolerance) {
+  const points = []
+  let last = null
+  for (const curve of subPath.curves) {
+    for (const p of curvePoints(curve, tolerance)) {
+      if (last && last.x === p.x && last.y === p.y) continue
+      last = { x: p.x, y: p.y }
+      points.push(last)
+    }
+  }
+  if (subPath.autoClose && points.length > 1) {
+    const first = points[0]
+    if (last.x !== first.x || last.y !== first.y) points.push({ ...first })
+  }
+  return points
+}
+
+/**
+ * Longest side of the box around every curve's control points (and each
+ * arc's full ellipse) — a cheap upper bound on the geometry's extent
+ * before it's flattened.
+ * @param {import('three').ShapePath[]} shapePaths
+ * @returns {number}
+ */
+export function controlExtent(shapePaths) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  const add = (x, y) => {
+    if (x < minX) minX = x; if (x > maxX) maxX = x
+    if (y < minY) minY = y; if (y > maxY) maxY = y
+  }
+  for (const shapePath of shapePaths) {
+    for (const subPath of shapePath.subPaths) {
+      for (const curve of subPath.curves) {
+        if (curve.isEllipseCurve) {
+          const r = Math.max(Math.abs(curve.xRadius), Math.abs(curve.yRadius))
+          add(curve.aX - r, curve.aY - r)
+          add(curve.aX + r, curve.aY + r)
+        } else {
+          for (const key of ['v0', 'v1', 'v2', 'v3']) {
+            if (curve[key]) add(curve[key].x, curve[key].y)
+          }
+        }
+      }
+    }
+  }
+  return minX === Infinity ? 0 : Math.max(maxX - minX, maxY - minY)
+}
+
+/**
+ * `toleranceMm` in the user units of the document rooted at `root`.
+ *
+ * Units per mm is `unitsPerMm` when given. Otherwise a document with an
+ * absolute width/height says it (physicalSize.js); one without is taken
+ * to print at the default 100mm on its longest side — the viewBox's, else
+ * width/height's, else `extent` (e.g. controlExtent).
+ *
+ * @param {Element} root  the <svg> element
+ * @param {Object} [opts]
+ * @param {number} [opts.curveToleranceMm=DEFAULT_CURVE_TOLERANCE_MM]
+ * @param {number} [opts.unitsPerMm]
+ * @param {number} [opts.extent]  geometry extent for documents with no size
+ * @returns {number}
+ */
+export function curveTolerance(root, opts = {}) {
+  const { curveToleranceMm = DEFAULT_CURVE_TOLERANCE_MM, extent = 0 } = opts
+  let { unitsPerMm } = opts
+  if (!(curveToleranceMm > 0)) {
+    throw new RangeError('curveTolerance: curveToleranceMm must be positive')
+  }
+  if (!(unitsPerMm > 0)) {
+    const size = physicalSizeOf(root)
+    if (size) {
+      unitsPerMm = 1 / Math.max(size.mmPerUnit.x, size.mmPerUnit.y)
+    } else {
+      const longest = documentExtent(root) || extent
+      unitsPerMm = longest > 0 ? longest / ASSUMED_SIZE_MM : 1
+    }
+  }
+  return curveToleranceMm * unitsPerMm
+}
+
+function documentExtent(root) {
+  const parts = (root.getAttribute('viewBox') ?? '').trim().split(/[\s,]+/).map(Number)
+  if (parts.length === 4 && parts.every(Number.isFinite) && parts[2] > 0 && parts[3] > 0) {
+    return Math.max(parts[2], parts[3])
+  }
+  const w = lengthToUserUnits(root.getAttribute('width'))
+  const h = lengthToUserUnits(root.getAttribute('height'))
+  return w > 0 && h > 0 ? Math.max(w, h) : 0
+}
@@ -0,0 +1,88 @@
+/**
+ * Plain ring geometry shared across the pipeline: area, perimeter, bounds,
+ * point-in-ring and closest points. Rings are `{x, y}` arrays, closed
+ * implicitly (the last point joins back to the first).
+ *
+ * No imports on purpose: analysis.js runs on the main thread and pulls
+ * these in, so they can't bring clipper-lib along.
+ */
+
+/**
+ * Shoelace area of a closed ring (sign indicates orientation).
+ */
+export function ringArea(ring) {
+  if (!ring || ring.length < 3) return 0
+  let sum = 0
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i]
+    const b = ring[(i + 1) % ring.length]
+    sum += a.x * b.y - b.x * a.y
+  }
+  return sum / 2
+}
+
+export function ringPerimeter(ring) {
+  let s = 0
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i]
+    const b = ring[(i + 1) % ring.length]
+    s += Math.hypot(b.x - a.x, b.y - a.y)
+  }
+  return s
+}
+
+export function ringBounds(ring) {
+  const b = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity }
+  for (const p of ring) {
+    if (p.x < b.x0) b.x0 = p.x
+    if (p.y < b.y0) b.y0 = p.y
+    if (p.x > b.x1) b.x1 = p.x
+    if (p.y > b.y1) b.y1 = p.y
+  }
+  return b
+}
+
+// Even-odd ray cast; points on the outline can land either way.
+export function containsPoint(ring, p) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i]
+    const b = ring[j]
+    if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+export function closestOnSegment(p, a, b) {
+  const abx = b.x - a.x
+  const aby = b.y - a.y
+  const len2 = abx * abx + aby * aby
+  let t = len2 > 0 ? ((p.x - a.x) * abx + (p.y - a.y) * aby) / len2 : 0
+  t = Math.max(0, Math.min(1, t))
+  return { x: a.x + abx * t, y: a.y + aby * t }
+}
+
+export function segmentDistance(p, a, b) {
+  const q = closestOnSegment(p, a, b)
+  return Math.hypot(q.x - p.x, q.y - p.y)
+}
+
+/**
+ * Nearest point to `p` on a closed ring's outline.
+ * @returns {{point: {x:number,y:number}, distance: number}}
+ */
+export function closestOnRing(p, ring) {
+  let best = null
+  let bestD = Infinity
+  for (let i = 0; i < ring.length; i++) {
+    const q = closestOnSegment(p, ring[i], ring[(i + 1) % ring.length])
+    const d = Math.hypot(q.x - p.x, q.y - p.y)
+    if (d < bestD) {
+      bestD = d
+      best = q
+    }
+  }
+  return { point: best, distance: bestD }
+}
@@ -0,0 +1,136 @@
+/**
+ * `<linearGradient>` / `<radialGradient>` paint servers → pickable swatches.
+ *
+ * A gradient fill has no single color, so parseColorSpec rejects it and
+ * gradient-only logos had nothing to pick. colorSelect instead treats each
+ * referenced gradient as its own "color", keyed by id, with:
+ *
+ *   - stops resolved through `href` / `xlink:href` chains — a gradient with
+ *     no `<stop>` children inherits its referent's (Illustrator emits one
+ *     gradient per shape, each pointing at a shared stop list);
+ *   - a representative swatch: the stop colors averaged along the 0..1
+ *     offset axis, so a red→blue ramp reads as purple in the picker;
+ *   - the stop list itself, for a strip preview.
+ */
+import { hexOf, parseColorSpec } from './color.js'
+import { parseOpacity } from './cssStyle.js'
+import { collectIds, hrefOf, localName, urlRefId } from './shapes.js'
+
+const GRADIENT_TAGS = { lineargradient: 'linear', radialgradient: 'radial' }
+
+const BLACK = { r: 0, g: 0, b: 0 }
+
+function parseOffset(value) {
+  if (value == null) return 0
+  const s = String(value).trim()
+  const n = parseFloat(s)
+  if (!Number.isFinite(n)) return 0
+  return Math.max(0, Math.min(1, s.endsWith('%') ? n / 100 : n))
+}
+
+/**
+ * Average color of a piecewise-linear ramp over [0, 1]. The first and last
+ * stop colors extend to the ends, as SVG pads them.
+ */
+export function averageStopColor(stops) {
+  if (stops.length === 0) return BLACK
+  if (stops.length === 1) return stops[0].rgb
+  const sum = { r: 0, g: 0, b: 0 }
+  const add = (rgb, weight) => {
+    sum.r += rgb.r * weight
+    sum.g += rgb.g * weight
+    sum.b += rgb.b * weight
+  }
+  add(stops[0].rgb, stops[0].offset)
+  for (let i = 0; i + 1 < stops.length; i++) {
+    const len = stops[i + 1].offset - stops[i].offset
+    add(stops[i].rgb, len / 2)
+    add(stops[i + 1].rgb, len / 2)
+  }
+  add(stops[stops.length - 1].rgb, 1 - stops[stops.length - 1].offset)
+  return {
+    r: Math.round(sum.r),
+    g: Math.round(sum.g),
+    b: Math.round(sum.b),
+  }
+}
+
+/**
+ * @param {Document} doc
+ * @param {ReturnType<import('./cssStyle.js').createStyleResolver>} styles
+ * @returns {{ fromPaint: (paint: string|null) => Gradient|null }}
+ *
+ * @typedef {Object} Gradient
+ * @property {string} id       the referenced gradient's id
+ * @property {string[]} chain  id followed by every gradient it inherits from
+ * @property {'linear'|'radial'} type
+ * @property {{offset: number, hex: string, opacity: number}[]} stops
+ * @property {{r: number, g: number, b: number}} rgb  representative swatch
+ */
+export function createGradientResolver(doc, styles) {
+  const ids = collectIds(doc)
+  const cache = new Map()
+
+  function ownStops(el) {
+    const stops = []
+    let prev = 0
+    for (const child of Array.from(el.childNodes)) {
+      if (child.nodeType !== 1 || localName(child) !== 'stop') continue
+      // Offsets are clamped to be non-decreasing, per spec.
+      const offset = Math.max(prev, parseOffset(child.getAttribute('offset')))
+      prev = offset
+      const rgb = parseColorSpec(styles.get(child, 'stop-color')) || BLACK
+      const opacity = parseOpacity(styles.get(child, 'stop-opacity'))
+      stops.push({ offset, rgb, opacity })
+    }
+    return stops
+  }
+
+  function resolve(id) {
+    if (cache.has(id)) return cache.get(id)
+    const el = ids.get(id)
+    const type = el ? GRADIENT_TAGS[localName(el)] : undefined
+    let result = null
+    if (type) {
+      const chain = [id]
+      let stops = ownStops(el)
+      for (let cur = el; stops.length === 0; ) {
+        const next = ids.get(hrefOf(cur).replace(/^#/, ''))
+        if (!next || !GRADIENT_TAGS[localName(next)]) break
+        const nextId = next.getAttribute('id')
+        if (chain.includes(nextId)) break
+        chain.push(nextId)
+        stops = ownStops(next)
+        cur = next
+      }
+      // A gradient with no stops paints nothing; one whose stops are all
+      // transparent likewise never reaches the cut.
+      if (stops.some((s) => s.opacity > 0)) {
+        result = {
+          id,
+          chain,
+          type,
+          stops: stops.map(({ offset, rgb, opacity }) => ({
+            offset,
+            hex: hexOf(rgb),
+            opacity,
+          })),
+          rgb: averageStopColor(stops),
+        }
+      }
+    }
+    cache.set(id, result)
+    return result
+  }
+
+  /**
+   * Resolve a computed `fill` / `stroke` value; null unless it's a usable
+   * gradient.
+   */
+  function fromPaint(paint) {
+    const id = urlRefId(paint)
+    return id ? resolve(id) : null
+  }
+
+  return { fromPaint }
+}
@@ -5,14 +5,31 @@
  * consistent across implementations:
  *
  *   - preprocessRaster(file, opts)   ↔ scripts/raster_to_black_svg.py
+ *   - listRasterColors(file)         ↔ (JS only) color clusters of a raster,
+ *                                      picked via preprocessRaster's `colors`
  *   - listColors(svgString)          ↔ scripts/color_svg_to_black.py (list mode)
  *   - selectByColor(svgString, opts) ↔ scripts/color_svg_to_black.py (extract mode)
  *   - applyManufacturability(svg, opts) ↔ raster._apply_thresholds + nozzle rounding
+ *   - estimateProduction(measures, opts) ↔ (JS only) LED / job-time quote
+ *                                      figures from applyManufacturability's
+ *                                      `measures`
+ *   - svgToDxf(svg, size)             ↔ (JS only) the cut as mm DXF for the
+ *                                      export ZIP
+ *   - applyLaserOutput(svg, opts)     ↔ (JS only) kerf-compensated cut /
+ *                                      engrave SVG for laser software
+ *   - applyNeonFlex(svg, opts)        ↔ (JS only) centerline runs for LED
+ *                                      neon flex, checked against its bend
+ *                                      radius and run length
  *
  * Each function takes/returns plain strings (SVG text), so they're pure and
  * test-friendly. The 3D scene downstream consumes the output string via the
  * existing Three.js SVGLoader path.
  *
+ * preprocessRaster and applyManufacturability also take `{ signal,
+ * onProgress }` for stage-level progress and cancellation (progress.js).
+ * The browser runs them off the main thread via workerClient.js → worker.js;
+ * Node callers invoke them directly.
+ *
  * Implementation status: chunk 1 (skeleton). All modules are pass-through
  * stubs; parity tests fail loudly until each chunk lands.
  *   chunk 2: colorSelect.js
@@ -22,7 +39,11 @@
  *   chunk 6: UI wire-up (separate components, not here)
  */
 
-export { preprocessRaster } from './raster.js'
+export { listRasterColors, preprocessRaster } from './raster.js'
 export { listColors, selectByColor } from './colorSelect.js'
 export { applyManufacturability, offsetPolygons } from './manufacturability.js'
+export { estimateProduction } from './analysis.js'
+export { svgToDxf } from './dxf.js'
+export { applyLaserOutput } from './laser.js'
+export { applyNeonFlex } from './neon.js'
 export { strokesToBlackSvg } from './svgParse.js'
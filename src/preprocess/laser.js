@@ -0,0 +1,162 @@
+/**
+ * Laser output: kerf compensation and cut / engrave separation.
+ *
+ * The black art is what the laser takes out of the mirror. An island can
+ * either be cut through (the beam follows its outline) or engraved (the
+ * backing is ablated across its whole area):
+ *
+ *   - cut islands are inset by kerf/2 — outers shrink, holes grow, via
+ *     `offsetPolygons` — so the beam's own width brings the opening back
+ *     to its drawn size. An island too small to survive the inset can't
+ *     be cut at all and falls back to engraving, with a warning.
+ *   - engraved islands go out as drawn; ablation has no kerf to speak of.
+ *
+ * The SVG follows the common laser-software convention: cuts as red
+ * hairline strokes, engraving as blue fills. Its width/height are in mm
+ * at the printed size, so the laser software imports it to scale. With
+ * `sequence`, every cut ring is its own path, in sequenceCuts' order.
+ */
+import { clipperSpaceFor, polygonRings } from './clipperSpace.js'
+import { offsetPolygons, unitsPerMmFor } from './manufacturability.js'
+import { DEFAULT_KERF_MM, HAIRLINE_MM, LASER_COLORS, LASER_OPERATIONS } from './outputDefaults.js'
+import { sequenceCuts } from './sequence.js'
+import { parseSvgToPolygons, ringToD } from './svgParse.js'
+
+export { DEFAULT_KERF_MM, LASER_COLORS, LASER_OPERATIONS }
+
+function checkOperation(op, what) {
+  if (!LASER_OPERATIONS.includes(op)) {
+    throw new RangeError(
+      `applyLaserOutput: unknown ${what} "${op}" (expected ${LASER_OPERATIONS.join(', ')})`
+    )
+  }
+}
+
+/**
+ * @typedef {Object} LaserIsland
+ * @property {import('./svgParse.js').Polygon} outline  the island as drawn
+ * @property {'cut'|'engrave'} operation  what it was emitted as
+ * @property {import('./svgParse.js').Polygon[]} paths  what the laser follows:
+ *   the kerf-compensated outline for cuts, the outline itself for engraving
+ */
+
+/**
+ * @param {string} svgString  manufacturable black SVG
+ * @param {Object} [opts]
+ * @param {number} [opts.kerfMm=DEFAULT_KERF_MM]  beam kerf width; 0 turns
+ *   compensation off
+ * @param {'cut'|'engrave'} [opts.defaultOperation='cut']
+ * @param {('cut'|'engrave'|undefined)[]} [opts.operations]  per island, in
+ *   parseSvgToPolygons order; unset entries take `defaultOperation`
+ * @param {number} [opts.artSizeMm]  as for applyManufacturability
+ * @param {number} [opts.maxLogoDimMm=100]
+ * @param {number} [opts.simplifyToleranceMm=0]  outline deviation allowed
+ *   when writing the paths; 0 writes every vertex
+ * @param {boolean} [opts.sequence=false]  order the cuts for the laser
+ *   (sequence.js)
+ * @returns {{
+ *   svg: string,
+ *   viewBox: {x:number,y:number,w:number,h:number},
+ *   islands: LaserIsland[],
+ *   cut: number,
+ *   engrave: number,
+ *   travelMm: {before: number, after: number} | null,
+ *   warnings: string[],
+ * }}  `cut` / `engrave` count the islands emitted as each; `travelMm` is
+ *   the cuts' rapid travel unordered and sequenced (null without `sequence`)
+ */
+export function applyLaserOutput(svgString, opts = {}) {
+  const {
+    kerfMm = DEFAULT_KERF_MM,
+    defaultOperation = 'cut',
+    operations = [],
+    artSizeMm,
+    maxLogoDimMm = 100,
+    simplifyToleranceMm = 0,
+    sequence = false,
+  } = opts
+  checkOperation(defaultOperation, 'defaultOperation')
+  operations.forEach((op) => op == null || checkOperation(op, 'operation'))
+
+  const { polygons, viewBox, warnings: parseWarnings } = parseSvgToPolygons(svgString)
+  const warnings = [...parseWarnings]
+  const unitsPerMm = unitsPerMmFor(polygons, viewBox, { artSizeMm, maxLogoDimMm })
+  const inset = (kerfMm / 2) * unitsPerMm
+  const space = clipperSpaceFor(polygonRings(polygons))
+
+  const islands = []
+  let tooSmall = 0
+  polygons.forEach((outline, i) => {
+    const operation = operations[i] ?? defaultOperation
+    if (operation === 'engrave') {
+      islands.push({ outline, operation, paths: [outline] })
+      return
+    }
+    const paths = inset > 0 ? offsetPolygons([outline], -inset, space) : [outline]
+    if (paths.length === 0) {
+      tooSmall += 1
+      islands.push({ outline, operation: 'engrave', paths: [outline] })
+      return
+    }
+    islands.push({ outline, operation, paths })
+  })
+  if (tooSmall > 0) {
+    warnings.push(
+      `${tooSmall} island(s) narrower than the ${kerfMm}mm kerf can't be cut — engraved instead.`
+    )
+  }
+
+  const tolerance = simplifyToleranceMm * unitsPerMm
+  const pathD = (poly) =>
+    [poly.outer, ...poly.holes]
+      .map((ring) => ringToD(ring, { tolerance }))
+      .filter(Boolean)
+      .join(' ')
+  const layerPolygons = (operation) =>
+    islands.filter((island) => island.operation === operation).flatMap((island) => island.paths)
+  const layer = (polygons) =>
+    polygons.map((poly) => `    <path d="${pathD(poly)}"/>\n`).join('')
+
+  const cutPolygons = layerPolygons('cut')
+  let cutLayer = ''
+  let travelMm = null
+  let travelNote = ''
+  if (!sequence) {
+    cutLayer = layer(cutPolygons)
+  } else {
+    const cuts = sequenceCuts(cutPolygons)
+    cutLayer = layer(cuts.rings.map((ring) => ({ outer: ring.points, holes: [] })))
+    travelMm = {
+      before: cuts.travel.before / unitsPerMm,
+      after: cuts.travel.after / unitsPerMm,
+    }
+    travelNote =
+      `  <!-- cut order optimized: rapid travel ${travelMm.before.toFixed(1)} mm` +
+      ` -> ${travelMm.after.toFixed(1)} mm -->\n`
+  }
+
+  // Engraving goes first: laser software runs layers in document order,
+  // and cut-out pieces can shift before a later engrave pass.
+  const { x, y, w, h } = viewBox
+  const mm = (units) => +(units / unitsPerMm).toFixed(3)
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(w)}mm" height="${mm(h)}mm" viewBox="${x} ${y} ${w} ${h}">\n` +
+    travelNote +
+    `  <g id="engrave" fill="${LASER_COLORS.engrave}" fill-rule="evenodd" stroke="none">\n` +
+    layer(layerPolygons('engrave')) +
+    '  </g>\n' +
+    `  <g id="cut" fill="none" stroke="${LASER_COLORS.cut}" stroke-width="${HAIRLINE_MM * unitsPerMm}">\n` +
+    cutLayer +
+    '  </g>\n' +
+    '</svg>\n'
+
+  return {
+    svg,
+    viewBox,
+    islands,
+    cut: islands.filter((island) => island.operation === 'cut').length,
+    engrave: islands.filter((island) => island.operation === 'engrave').length,
+    travelMm,
+    warnings,
+  }
+}
@@ -4,7 +4,8 @@
  * inputs, so anything users see in the 3D preview reflects what'll actually
  * get cut/printed.
  *
- * Order (mirrors the Python pipeline):
+ * Order (mirrors the Python pipeline, plus the negative-space rules after
+ * the floors):
  *   1. Nozzle rounding via opening-then-closing — smooths sharp corners
  *      below the printer's reproducible radius.
  *   2. Width floor — erosion-as-predicate, drop polygons whose
@@ -13,6 +14,21 @@
  *      opening, which fractured islands at thin necks).
  *   3. Area floor — drop polygons below `minIslandAreaMm2` after nozzle
  *      rounding may have whittled them down.
+ *   4. Gap and hole floors — islands closer than `minGapMm`, holes
+ *      narrower than it and holes under `minHoleAreaMm2` would fuse or
+ *      close up in production. They're fixed by eroding the neighboring
+ *      material (`negativeSpace: 'erode'`) or only counted and warned
+ *      about (`'flag'`). Runs after the floors so it only measures islands
+ *      that actually ship; gaps under the nozzle are already fused by then.
+ *      Whatever erosion leaves goes through the width and area floors
+ *      again, and islands it removes outright are counted (`erodedAway`).
+ *   5. Bridges — with `bridgeWidthMm` set, islands floating inside another
+ *      polygon's hole get tied to the surrounding material (bridges.js).
+ *      Runs after the floors so dropped specks don't get bridged.
+ *   6. Output simplification (opt-in) — with `simplifyToleranceMm` set,
+ *      polygonsToSvg drops vertices (and with `fitCurves` refits Béziers)
+ *      within it, so CAM software gets hundreds of nodes instead of
+ *      thousands (simplify.js).
  *
  * Ports:
  *   - im_svg_maker/geometry.py nozzle rounding (`cut.buffer(-r).buffer(+r).buffer(+r).buffer(-r)`)
@@ -20,69 +36,26 @@
  */
 import ClipperLib from 'clipper-lib'
 
-import { parseSvgToPolygons, polygonsToSvg, polygonArea } from './svgParse.js'
+import { clipperSpaceFor, polygonRings } from './clipperSpace.js'
+import { containsPoint, ringBounds, ringPerimeter, segmentDistance } from './geometry.js'
+import {
+  countPathNodes,
+  parseSvgToPolygons,
+  polygonsToSvg,
+  polygonArea,
+  ringArea,
+} from './svgParse.js'
+import { measureGeometry } from './analysis.js'
+import { addBridges } from './bridges.js'
+import { MANUFACTURABILITY_STAGES, createStageReporter } from './progress.js'
 
-// Match the scale in svgParse.js so offset deltas line up with the polygon
-// integer space.
-const CLIPPER_SCALE = 1000
-
-// Clipper offset tunables. arcTolerance=0.25 in *integer* units means our
-// round joins are accurate to 0.25/1000 = 0.00025 SVG units, well below the
-// 0.5mm parity-bbox tolerance.
+// Clipper offset tunables. Round joins are accurate to the space's
+// arcTolerance (clipperSpace.js) — 0.00025 units on a 100-unit icon, well
+// below the 0.5mm parity-bbox tolerance.
 const CLIPPER_MITER_LIMIT = 2.0
-const CLIPPER_ARC_TOLERANCE = 0.25
-
-function ringToClipperPath(ring) {
-  return ring.map((p) => ({
-    X: Math.round(p.x * CLIPPER_SCALE),
-    Y: Math.round(p.y * CLIPPER_SCALE),
-  }))
-}
-
-function clipperPathToRing(path) {
-  return path.map((p) => ({ x: p.X / CLIPPER_SCALE, y: p.Y / CLIPPER_SCALE }))
-}
-
-// PolyTree members are sometimes functions, sometimes properties — same
-// adapter pattern as svgParse.
-function readMember(node, name) {
-  if (node == null) return undefined
-  const m = node[name]
-  return typeof m === 'function' ? m.call(node) : m
-}
-function getChilds(node) {
-  const c = readMember(node, 'Childs')
-  return Array.isArray(c) ? c : []
-}
-function isHole(node) {
-  return Boolean(readMember(node, 'IsHole'))
-}
-function getContour(node) {
-  return readMember(node, 'Contour') || []
-}
 
-function collectFromPolyTree(node, out) {
-  if (!node) return
-  const contour = getContour(node)
-  if (!isHole(node) && contour.length >= 3) {
-    const outer = clipperPathToRing(contour)
-    const holes = []
-    for (const child of getChilds(node)) {
-      const childContour = getContour(child)
-      if (isHole(child) && childContour.length >= 3) {
-        holes.push(clipperPathToRing(childContour))
-      }
-      for (const grandchild of getChilds(child)) {
-        collectFromPolyTree(grandchild, out)
-      }
-    }
-    out.push({ outer, holes })
-  } else {
-    for (const child of getChilds(node)) {
-      collectFromPolyTree(child, out)
-    }
-  }
-}
+// What to do about gap / hole-size violations (see step 4 above).
+export const NEGATIVE_SPACE_MODES = ['erode', 'flag']
 
 /**
  * Offset a polygon set by `delta` SVG units (positive expands, negative
@@ -91,34 +64,31 @@ function collectFromPolyTree(node, out) {
  * polygon list — offsets can both split an input polygon into pieces (if
  * erosion separates two islands previously connected by a thin neck) and
  * collapse it to nothing (if erosion exceeds the half-width everywhere).
+ *
+ * `space` is the Clipper space to work in (clipperSpace.js) — the
+ * polygons' own by default; pass the document's when offsetting pieces of
+ * it, so they all land on one grid.
+ *
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @param {number} delta
+ * @param {import('./clipperSpace.js').ClipperSpace} [space]
+ * @returns {import('./svgParse.js').Polygon[]}
  */
-export function offsetPolygons(polygons, delta) {
+export function offsetPolygons(
+  polygons,
+  delta,
+  space = clipperSpaceFor(polygonRings(polygons), Math.abs(delta))
+) {
   if (polygons.length === 0) return []
-  const co = new ClipperLib.ClipperOffset(
-    CLIPPER_MITER_LIMIT,
-    CLIPPER_ARC_TOLERANCE
+  const co = new ClipperLib.ClipperOffset(CLIPPER_MITER_LIMIT, space.arcTolerance)
+  co.AddPaths(
+    space.toPaths(polygonRings(polygons)),
+    ClipperLib.JoinType.jtRound,
+    ClipperLib.EndType.etClosedPolygon
   )
-  for (const poly of polygons) {
-    co.AddPath(
-      ringToClipperPath(poly.outer),
-      ClipperLib.JoinType.jtRound,
-      ClipperLib.EndType.etClosedPolygon
-    )
-    for (const hole of poly.holes) {
-      co.AddPath(
-        ringToClipperPath(hole),
-        ClipperLib.JoinType.jtRound,
-        ClipperLib.EndType.etClosedPolygon
-      )
-    }
-  }
   const polyTree = new ClipperLib.PolyTree()
-  co.Execute(polyTree, delta * CLIPPER_SCALE)
-  const out = []
-  for (const child of getChilds(polyTree)) {
-    collectFromPolyTree(child, out)
-  }
-  return out
+  co.Execute(polyTree, space.toDelta(delta))
+  return space.toPolygons(polyTree)
 }
 
 /**
@@ -127,12 +97,12 @@ export function offsetPolygons(polygons, delta) {
  * and concave corners under the radius threshold. Direct port of the Python
  * `cut.buffer(-r).buffer(+r).buffer(+r).buffer(-r)` chain.
  */
-function openThenClose(polygons, radius) {
+function openThenClose(polygons, radius, space) {
   if (radius <= 0) return polygons
-  const opened1 = offsetPolygons(polygons, -radius)
-  const opened2 = offsetPolygons(opened1, +radius)
-  const closed1 = offsetPolygons(opened2, +radius)
-  const closed2 = offsetPolygons(closed1, -radius)
+  const opened1 = offsetPolygons(polygons, -radius, space)
+  const opened2 = offsetPolygons(opened1, +radius, space)
+  const closed1 = offsetPolygons(opened2, +radius, space)
+  const closed2 = offsetPolygons(closed1, -radius, space)
   return closed2
 }
 
@@ -142,20 +112,356 @@ function openThenClose(polygons, radius) {
  * width/2, its narrowest cross-section is below the threshold and the
  * whole polygon gets dropped (drops-or-keeps semantics; no reshaping).
  */
-function survivesErosion(polygon, radius) {
+function survivesErosion(polygon, radius, space) {
   if (radius <= 0) return true
-  const eroded = offsetPolygons([polygon], -radius)
+  const eroded = offsetPolygons([polygon], -radius, space)
   return eroded.length > 0
 }
 
+// Bisection steps when measuring a feature's narrowest width; 12 halvings
+// of the floor radius are well under the overlay's display precision.
+const WIDTH_SEARCH_STEPS = 12
+
+/**
+ * Narrowest width of a polygon below `maxWidth`: twice the deepest erosion
+ * it survives, found by bisection on the same predicate as the width floor.
+ */
+function narrowestWidth(polygon, maxWidth, space) {
+  let lo = 0
+  let hi = maxWidth / 2
+  for (let i = 0; i < WIDTH_SEARCH_STEPS; i++) {
+    const mid = (lo + hi) / 2
+    if (survivesErosion(polygon, mid, space)) lo = mid
+    else hi = mid
+  }
+  return lo + hi
+}
+
+/**
+ * Clipper boolean op on two polygon sets. Subject polygons are disjoint
+ * `{outer, holes}` sets, so even-odd reads them right whatever their ring
+ * orientation; the clip side may be overlapping offset output, unioned
+ * under non-zero.
+ */
+function clipPolygons(subject, clip, clipType, space) {
+  const clipper = new ClipperLib.Clipper()
+  clipper.AddPaths(space.toPaths(polygonRings(subject)), ClipperLib.PolyType.ptSubject, true)
+  clipper.AddPaths(space.toPaths(polygonRings(clip)), ClipperLib.PolyType.ptClip, true)
+  const polyTree = new ClipperLib.PolyTree()
+  clipper.Execute(
+    clipType,
+    polyTree,
+    ClipperLib.PolyFillType.pftEvenOdd,
+    ClipperLib.PolyFillType.pftNonZero
+  )
+  return space.toPolygons(polyTree)
+}
+
+function polygonsBounds(polygons) {
+  return ringBounds(polygons.flatMap((poly) => poly.outer))
+}
+
+function boundsOverlap(a, b) {
+  return a.x0 <= b.x1 && b.x0 <= a.x1 && a.y0 <= b.y1 && b.y0 <= a.y1
+}
+
+/**
+ * SVG units per mm at the printed size. Via the viewBox's longest side,
+ * matching Python's `pixels_per_mm = max(w,h) / max_logo_dim_mm` — or,
+ * given the art's printed size, via its bounding box.
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @param {{x:number,y:number,w:number,h:number}} viewBox
+ * @param {{artSizeMm?: number, maxLogoDimMm?: number}} [size]
+ * @returns {number}
+ */
+export function unitsPerMmFor(polygons, viewBox, { artSizeMm, maxLogoDimMm = 100 } = {}) {
+  let longestSide = Math.max(viewBox.w, viewBox.h)
+  if (artSizeMm > 0 && polygons.length > 0) {
+    const b = polygonsBounds(polygons)
+    longestSide = Math.max(b.x1 - b.x0, b.y1 - b.y0)
+  }
+  const sizeReference = artSizeMm > 0 ? artSizeMm : maxLogoDimMm
+  return longestSide > 0 ? longestSide / sizeReference : 1
+}
+
+/**
+ * Group polygons whose `buffer(r)`s run together. One offset of the whole
+ * set unions the dilations; each polygon belongs to the union piece that
+ * covers its first vertex (which lies r inside its own dilation, so never on
+ * a piece's boundary). Only groups of two or more can hold a gap.
+ */
+function mergedGroups(polygons, r, space) {
+  const pieces = offsetPolygons(polygons, r, space).map((piece) => ({
+    piece,
+    bounds: ringBounds(piece.outer),
+    members: [],
+  }))
+  polygons.forEach((poly, i) => {
+    const p = poly.outer[0]
+    const owner = pieces.find(
+      ({ piece, bounds }) =>
+        boundsOverlap(bounds, ringBounds([p])) &&
+        containsPoint(piece.outer, p) &&
+        !piece.holes.some((hole) => containsPoint(hole, p))
+    )
+    owner?.members.push(i)
+  })
+  return pieces.map(({ members }) => members).filter((members) => members.length > 1)
+}
+
+/**
+ * Gap rule. Two islands closer than `gap` fuse in production: they show up
+ * as overlapping `buffer(gap/2)`s, and the overlap is the pinch between
+ * them. Pairs are only compared within the groups mergedGroups finds, so
+ * well-spaced art costs a single offset. A hole that vanishes under
+ * `buffer(-gap/2)` (erosion-as-predicate, as for the width floor) is
+ * narrower than `gap` everywhere and closes up.
+ *
+ * With `fix`, each side of a pinch loses the material within
+ * `(gap + width)/2` of the other island — (gap − width)/2 deep where they're
+ * closest — and narrow holes are widened by (gap − width)/2 all round, so
+ * every flagged gap ends up at least `gap` wide. Returns the possibly-
+ * modified polygons, the islands the cuts removed entirely (`eroded`), and
+ * one `{kind, region, width}` per gap found — `region` is the material cut
+ * away, or with `fix` off the pinch / hole itself.
+ */
+function enforceMinGap(polygons, gap, fix, space) {
+  const r = gap / 2
+  const found = []
+  for (const group of mergedGroups(polygons, r, space)) {
+    const dilated = group.map((i) => offsetPolygons([polygons[i]], r, space))
+    const bounds = dilated.map(polygonsBounds)
+    for (let a = 0; a < group.length; a++) {
+      for (let b = a + 1; b < group.length; b++) {
+        if (!boundsOverlap(bounds[a], bounds[b])) continue
+        const overlap = clipPolygons(
+          dilated[a],
+          dilated[b],
+          ClipperLib.ClipType.ctIntersection,
+          space
+        )
+        if (overlap.length === 0) continue
+        found.push({
+          kind: 'gap',
+          region: overlap,
+          width: polygonDistance(polygons[group[a]], polygons[group[b]], overlap),
+          pair: [polygons[group[a]], polygons[group[b]]],
+        })
+      }
+    }
+  }
+  for (const poly of polygons) {
+    for (const hole of poly.holes) {
+      const shape = { outer: hole, holes: [] }
+      if (offsetPolygons([shape], -r, space).length === 0) {
+        found.push({ kind: 'gap', region: [shape], width: narrowestWidth(shape, gap, space) })
+      }
+    }
+  }
+  if (!fix || found.length === 0) return { polygons, found, eroded: [] }
+
+  const cuts = []
+  for (const item of found) {
+    if (item.pair) {
+      // Both sides, each to the depth that brings the pinch up to `gap`.
+      const [a, b] = item.pair
+      const reach = r + item.width / 2
+      const intoA = offsetPolygons([b], reach, space)
+      const intoB = offsetPolygons([a], reach, space)
+      item.region = [
+        ...clipPolygons([a], intoA, ClipperLib.ClipType.ctIntersection, space),
+        ...clipPolygons([b], intoB, ClipperLib.ClipType.ctIntersection, space),
+      ]
+      delete item.pair
+    } else {
+      const grown = offsetPolygons(item.region, r - item.width / 2, space)
+      item.region = clipPolygons(polygons, grown, ClipperLib.ClipType.ctIntersection, space)
+    }
+    cuts.push(...item.region)
+  }
+  return { ...cutAway(polygons, cuts, space), found }
+}
+
+/**
+ * Subtract `cuts` from the polygons that reach them, keeping apart the ones
+ * cut away entirely.
+ */
+function cutAway(polygons, cuts, space) {
+  if (cuts.length === 0) return { polygons, eroded: [] }
+  const cutBounds = polygonsBounds(cuts)
+  const kept = []
+  const eroded = []
+  for (const poly of polygons) {
+    if (!boundsOverlap(ringBounds(poly.outer), cutBounds)) {
+      kept.push(poly)
+      continue
+    }
+    const pieces = clipPolygons([poly], cuts, ClipperLib.ClipType.ctDifference, space)
+    if (pieces.length === 0) eroded.push(poly)
+    else kept.push(...pieces)
+  }
+  return { polygons: kept, eroded }
+}
+
+/**
+ * Distance between two polygons' outlines, looking only near their pinch
+ * (the closest points lie inside it).
+ */
+function polygonDistance(a, b, pinch) {
+  const area = polygonsBounds(pinch)
+  const near = (poly) => {
+    const segments = []
+    for (const ring of [poly.outer, ...poly.holes]) {
+      for (let i = 0; i < ring.length; i++) {
+        const p = ring[i]
+        const q = ring[(i + 1) % ring.length]
+        const box = ringBounds([p, q])
+        if (boundsOverlap(box, area)) segments.push([p, q])
+      }
+    }
+    return segments
+  }
+  const segA = near(a)
+  const segB = near(b)
+  let best = Infinity
+  for (const [p, q] of segA) {
+    for (const [u, v] of segB) {
+      best = Math.min(
+        best,
+        segmentDistance(p, u, v),
+        segmentDistance(q, u, v),
+        segmentDistance(u, p, q),
+        segmentDistance(v, p, q)
+      )
+    }
+  }
+  return best
+}
+
+// Holes grown toward the area floor get at most this many offset passes;
+// each pass aims straight at the floor, which only undershoots on concave
+// holes.
+const HOLE_GROWTH_PASSES = 4
+
+/**
+ * Hole-area rule: holes smaller than `minArea` close up or blob over. With
+ * `fix`, each is grown by a round offset until it reaches the floor — the
+ * offset distance solved from A + P·r + π·r² (exact for convex holes) —
+ * eroding the material around it. Returns the possibly-modified polygons,
+ * the islands the growth removed entirely (`eroded`), and one
+ * `{kind, region, area}` per hole under the floor, `region` being the
+ * material cut away (or the hole, with `fix` off).
+ */
+function enforceMinHoleArea(polygons, minArea, fix, space) {
+  const found = []
+  for (const poly of polygons) {
+    for (const hole of poly.holes) {
+      const area = Math.abs(ringArea(hole))
+      if (area < minArea) {
+        found.push({ kind: 'hole', region: [{ outer: hole, holes: [] }], area })
+      }
+    }
+  }
+  if (!fix || found.length === 0) return { polygons, found, eroded: [] }
+
+  const cuts = []
+  for (const item of found) {
+    let shape = item.region
+    for (let pass = 0; pass < HOLE_GROWTH_PASSES; pass++) {
+      const area = shape.reduce((acc, p) => acc + polygonArea(p), 0)
+      if (area >= minArea) break
+      const perimeter = shape.reduce((acc, p) => acc + ringPerimeter(p.outer), 0)
+      const grow =
+        (-perimeter + Math.sqrt(perimeter * perimeter + 4 * Math.PI * (minArea - area))) /
+        (2 * Math.PI)
+      shape = offsetPolygons(shape, grow, space)
+    }
+    item.region = clipPolygons(polygons, shape, ClipperLib.ClipType.ctIntersection, space)
+    cuts.push(...shape)
+  }
+  return { ...cutAway(polygons, cuts, space), found }
+}
+
+// Reshaping slivers below this area are left out of the diagnostics.
+const MIN_DIAGNOSTIC_AREA_MM2 = 0.01
+// Before/after differences are opened by this radius first: offsets don't
+// reproduce untouched edges to the integer, and the hairline strips that
+// leaves along them would otherwise chain separate corners into one region.
+const DIAGNOSTIC_SLIVER_MM = 0.005
+
+/**
+ * Split what changed between two polygon sets into removed / added
+ * regions, each paired with its area (SVG-unit²).
+ */
+function changedRegions(before, after, { minArea, sliver }, space) {
+  const pick = (regions) =>
+    offsetPolygons(offsetPolygons(regions, -sliver, space), sliver, space)
+      .map((poly) => ({ poly, area: polygonArea(poly) }))
+      .filter(({ area }) => area >= minArea)
+  return {
+    removed: pick(clipPolygons(before, after, ClipperLib.ClipType.ctDifference, space)),
+    added: pick(clipPolygons(after, before, ClipperLib.ClipType.ctDifference, space)),
+  }
+}
+
 /**
  * @param {string} svgString
  * @param {Object} [opts]
  * @param {number} [opts.minIslandAreaMm2=0]
  * @param {number} [opts.minFeatureWidthMm=0]
  * @param {number} [opts.nozzleDiameterMm=0.6]
- * @param {number} [opts.maxLogoDimMm=100]
- * @returns {{ svg: string, droppedThin: number, droppedSmall: number, warnings: string[] }}
+ * @param {number} [opts.maxLogoDimMm=100]  mm spanned by the viewBox's
+ *   longest side, for the mm → SVG-unit conversion
+ * @param {number} [opts.artSizeMm]  mm spanned by the art's own bounding
+ *   box (longest side) — how the 3D preview sizes icons (see
+ *   utils/iconSize.js). Takes precedence over `maxLogoDimMm`.
+ * @param {number} [opts.minGapMm=0]  narrowest space allowed between
+ *   islands and across holes
+ * @param {number} [opts.minHoleAreaMm2=0]
+ * @param {'erode'|'flag'} [opts.negativeSpace='erode']  fix gap / hole
+ *   violations by eroding the material around them, or only report them
+ * @param {number} [opts.bridgeWidthMm=0]  width of the bridges holding
+ *   floating islands; 0 leaves them loose
+ * @param {number} [opts.bridgeCount=2]  bridges per floating island
+ * @param {number} [opts.simplifyToleranceMm=0]  max outline deviation of
+ *   the output simplification; 0 writes every vertex
+ * @param {boolean} [opts.fitCurves=false]  refit cubic Béziers as well
+ * @param {AbortSignal} [opts.signal]  checked between stages (see progress.js).
+ *   This function is synchronous, so an abort only lands if it fires from
+ *   `onProgress` itself; the worker gets true mid-stage cancellation by
+ *   terminating instead.
+ * @param {(e: {stage: string, step: number, total: number}) => void} [opts.onProgress]
+ * @returns {{
+ *   svg: string,
+ *   droppedThin: number,
+ *   droppedSmall: number,
+ *   narrowGaps: number,
+ *   smallHoles: number,
+ *   erodedAway: number,
+ *   bridges: number,
+ *   nodes: { before: number, after: number },
+ *   viewBox: {x:number,y:number,w:number,h:number},
+ *   sizeMm: {w: number, h: number},
+ *   unitsPerMm: number,
+ *   measures: import('./analysis.js').GeometryMeasures,
+ *   diagnostics: Diagnostic[],
+ *   warnings: string[],
+ * }}  `nodes` counts path nodes before and after output simplification;
+ *   `sizeMm` is the output's bounding box in mm, at `unitsPerMm` SVG units
+ *   per mm (unitsPerMmFor); `measures` its cut
+ *   length, lit area and counts at that size (see analysis.js);
+ *   `diagnostics` has one entry per dropped or altered region, in `viewBox`
+ *   coordinates
+ *
+ * @typedef {Object} Diagnostic
+ * @property {'gap'|'hole'|'nozzle'|'thin'|'small'|'bridge'} kind
+ * @property {'removed'|'reshaped'|'flagged'} effect  removed = dropped
+ *   islands; reshaped = material cut or added; flagged = a violation left
+ *   as-is (`negativeSpace: 'flag'`)
+ * @property {import('./svgParse.js').Polygon[]} polygons
+ * @property {number} [widthMm]  measured width (gaps, thin drops, bridges)
+ * @property {number} [areaMm2]  measured area (holes, specks, nozzle changes)
+ * @property {string} label  one-line description for tooltips
  */
 export function applyManufacturability(svgString, opts = {}) {
   const {
@@ -163,55 +469,206 @@ export function applyManufacturability(svgString, opts = {}) {
     minFeatureWidthMm = 0,
     nozzleDiameterMm = 0.6,
     maxLogoDimMm = 100,
+    artSizeMm,
+    minGapMm = 0,
+    minHoleAreaMm2 = 0,
+    negativeSpace = 'erode',
+    bridgeWidthMm = 0,
+    bridgeCount = 2,
+    simplifyToleranceMm = 0,
+    fitCurves = false,
+    signal,
+    onProgress,
   } = opts
+  if (!NEGATIVE_SPACE_MODES.includes(negativeSpace)) {
+    throw new RangeError(
+      `applyManufacturability: unknown negativeSpace "${negativeSpace}" ` +
+        `(expected ${NEGATIVE_SPACE_MODES.join(', ')})`
+    )
+  }
+  const enterStage = createStageReporter(MANUFACTURABILITY_STAGES, {
+    signal,
+    onProgress,
+  })
 
-  const { polygons, viewBox } = parseSvgToPolygons(svgString)
+  enterStage('xor')
+  const { polygons, viewBox, warnings: parseWarnings } =
+    parseSvgToPolygons(svgString)
+  // Convert mm thresholds into SVG-unit thresholds.
+  const unitsPerMm = unitsPerMmFor(polygons, viewBox, { artSizeMm, maxLogoDimMm })
   if (polygons.length === 0) {
     return {
       svg: polygonsToSvg([], viewBox),
       droppedThin: 0,
       droppedSmall: 0,
-      warnings: [],
+      narrowGaps: 0,
+      smallHoles: 0,
+      erodedAway: 0,
+      bridges: 0,
+      nodes: { before: 0, after: 0 },
+      viewBox,
+      sizeMm: { w: 0, h: 0 },
+      unitsPerMm,
+      measures: measureGeometry([], 1),
+      diagnostics: [],
+      warnings: parseWarnings,
     }
   }
 
-  // Convert mm thresholds into SVG-unit thresholds via the viewBox's
-  // longest side, matching Python's `pixels_per_mm = max(w,h) / max_logo_dim_mm`.
-  const longestSide = Math.max(viewBox.w, viewBox.h)
-  const unitsPerMm = longestSide > 0 ? longestSide / maxLogoDimMm : 1
+  // Every Clipper step below works in the document's own space.
+  const space = clipperSpaceFor(polygonRings(polygons))
+
+  // Diagnostics carry SVG-unit geometry (the output's viewBox) with mm
+  // measurements for display.
+  const diagnostics = []
+  const toMm = (units) => units / unitsPerMm
+  const toMm2 = (units2) => units2 / (unitsPerMm * unitsPerMm)
+  const changeFilter = {
+    minArea: MIN_DIAGNOSTIC_AREA_MM2 * unitsPerMm * unitsPerMm,
+    sliver: DIAGNOSTIC_SLIVER_MM * unitsPerMm,
+  }
+  const fmt = (n) => n.toFixed(2)
 
-  // 1. Nozzle round (open-then-close at r = nozzle/2).
   let working = polygons
+
+  // 1. Nozzle round (open-then-close at r = nozzle/2).
+  enterStage('nozzle')
   if (nozzleDiameterMm > 0) {
     const rUnits = (nozzleDiameterMm / 2) * unitsPerMm
-    working = openThenClose(working, rUnits)
+    const rounded = openThenClose(working, rUnits, space)
+    const { removed, added } = changedRegions(working, rounded, changeFilter, space)
+    for (const [change, regions] of [['removed', removed], ['added', added]]) {
+      for (const { poly, area } of regions) {
+        const areaMm2 = toMm2(area)
+        diagnostics.push({
+          kind: 'nozzle',
+          effect: 'reshaped',
+          polygons: [poly],
+          areaMm2,
+          label: `Nozzle rounding ${change} ${fmt(areaMm2)}mm²`,
+        })
+      }
+    }
+    working = rounded
   }
 
   // 2. Width floor — erosion-as-predicate, drop the offenders entirely.
+  // 3. Area floor — drop polygons below the area threshold (SVG-unit² space).
+  // Both run again after step 4 when it eroded anything, on what's left.
   let droppedThin = 0
-  if (minFeatureWidthMm > 0) {
-    const rUnits = (minFeatureWidthMm / 2) * unitsPerMm
-    const kept = []
-    for (const poly of working) {
-      if (survivesErosion(poly, rUnits)) kept.push(poly)
-      else droppedThin += 1
+  let droppedSmall = 0
+  const applyFloors = (input) => {
+    let kept = input
+    if (minFeatureWidthMm > 0) {
+      const rUnits = (minFeatureWidthMm / 2) * unitsPerMm
+      kept = []
+      for (const poly of input) {
+        if (survivesErosion(poly, rUnits, space)) {
+          kept.push(poly)
+          continue
+        }
+        droppedThin += 1
+        const widthMm = toMm(narrowestWidth(poly, 2 * rUnits, space))
+        diagnostics.push({
+          kind: 'thin',
+          effect: 'removed',
+          polygons: [poly],
+          widthMm,
+          label: `Dropped — ${fmt(widthMm)}mm wide, under ${minFeatureWidthMm}mm`,
+        })
+      }
     }
-    working = kept
+    if (minIslandAreaMm2 > 0) {
+      const thresholdUnits2 = minIslandAreaMm2 * unitsPerMm * unitsPerMm
+      const wide = kept
+      kept = []
+      for (const poly of wide) {
+        const area = polygonArea(poly)
+        if (area >= thresholdUnits2) {
+          kept.push(poly)
+          continue
+        }
+        droppedSmall += 1
+        const areaMm2 = toMm2(area)
+        diagnostics.push({
+          kind: 'small',
+          effect: 'removed',
+          polygons: [poly],
+          areaMm2,
+          label: `Dropped — ${fmt(areaMm2)}mm², under ${minIslandAreaMm2}mm²`,
+        })
+      }
+    }
+    return kept
   }
+  enterStage('floors')
+  working = applyFloors(working)
 
-  // 3. Area floor — drop polygons below the area threshold (SVG-unit² space).
-  let droppedSmall = 0
-  if (minIslandAreaMm2 > 0) {
-    const thresholdUnits2 = minIslandAreaMm2 * unitsPerMm * unitsPerMm
-    const kept = []
-    for (const poly of working) {
-      if (polygonArea(poly) >= thresholdUnits2) kept.push(poly)
-      else droppedSmall += 1
+  // 4. Gap and hole floors on the negative space.
+  enterStage('spaces')
+  const fixSpaces = negativeSpace === 'erode'
+  const spaceEffect = fixSpaces ? 'reshaped' : 'flagged'
+  let erodedAway = 0
+  const reportEroded = (kind, eroded, reason) => {
+    erodedAway += eroded.length
+    for (const poly of eroded) {
+      diagnostics.push({
+        kind,
+        effect: 'removed',
+        polygons: [poly],
+        areaMm2: toMm2(polygonArea(poly)),
+        label: `Dropped — eroded away ${reason}`,
+      })
+    }
+  }
+  let narrowGaps = 0
+  if (minGapMm > 0) {
+    const gapRule = enforceMinGap(working, minGapMm * unitsPerMm, fixSpaces, space)
+    working = gapRule.polygons
+    narrowGaps = gapRule.found.length
+    for (const { region, width } of gapRule.found) {
+      const widthMm = toMm(width)
+      diagnostics.push({
+        kind: 'gap',
+        effect: spaceEffect,
+        polygons: region,
+        widthMm,
+        label: fixSpaces
+          ? `${fmt(widthMm)}mm gap widened to ${minGapMm}mm`
+          : `${fmt(widthMm)}mm gap — under ${minGapMm}mm, will fuse`,
+      })
+    }
+    reportEroded('gap', gapRule.eroded, `widening a gap to ${minGapMm}mm`)
+  }
+  let smallHoles = 0
+  if (minHoleAreaMm2 > 0) {
+    const holeRule = enforceMinHoleArea(
+      working,
+      minHoleAreaMm2 * unitsPerMm * unitsPerMm,
+      fixSpaces,
+      space
+    )
+    working = holeRule.polygons
+    smallHoles = holeRule.found.length
+    for (const { region, area } of holeRule.found) {
+      const areaMm2 = toMm2(area)
+      diagnostics.push({
+        kind: 'hole',
+        effect: spaceEffect,
+        polygons: region,
+        areaMm2,
+        label: fixSpaces
+          ? `${fmt(areaMm2)}mm² hole grown to ${minHoleAreaMm2}mm²`
+          : `${fmt(areaMm2)}mm² hole — under ${minHoleAreaMm2}mm², will close up`,
+      })
     }
-    working = kept
+    reportEroded('hole', holeRule.eroded, `growing a hole to ${minHoleAreaMm2}mm²`)
   }
+  // Erosion can leave slivers and specks the floors would have dropped.
+  if (fixSpaces && narrowGaps + smallHoles > 0) working = applyFloors(working)
 
-  const warnings = []
+  // Warnings in the order the stages ran.
+  const warnings = [...parseWarnings]
   if (droppedThin > 0) {
     warnings.push(
       `${droppedThin} island(s) dropped — narrower than ${minFeatureWidthMm}mm.`
@@ -222,11 +679,83 @@ export function applyManufacturability(svgString, opts = {}) {
       `${droppedSmall} island(s) dropped — smaller than ${minIslandAreaMm2}mm² area.`
     )
   }
+  if (narrowGaps > 0) {
+    warnings.push(
+      fixSpaces
+        ? `${narrowGaps} gap(s) narrower than ${minGapMm}mm widened by eroding the neighbors.`
+        : `${narrowGaps} gap(s) narrower than ${minGapMm}mm — they will fuse in production.`
+    )
+  }
+  if (smallHoles > 0) {
+    warnings.push(
+      fixSpaces
+        ? `${smallHoles} hole(s) smaller than ${minHoleAreaMm2}mm² grown to size.`
+        : `${smallHoles} hole(s) smaller than ${minHoleAreaMm2}mm² — they will close up in production.`
+    )
+  }
+  if (erodedAway > 0) {
+    warnings.push(
+      `${erodedAway} island(s) dropped — eroded away entirely widening gaps or growing holes.`
+    )
+  }
+
+  // 5. Bridges for islands floating inside holes.
+  enterStage('bridges')
+  const bridged = addBridges(working, {
+    width: bridgeWidthMm * unitsPerMm,
+    count: bridgeCount,
+  })
+  if (bridged.bridges.length > 0) {
+    const { added } = changedRegions(working, bridged.polygons, changeFilter, space)
+    for (const { poly } of added) {
+      diagnostics.push({
+        kind: 'bridge',
+        effect: 'reshaped',
+        polygons: [poly],
+        widthMm: bridgeWidthMm,
+        label: `${bridgeWidthMm}mm bridge added`,
+      })
+    }
+    warnings.push(
+      `${bridged.bridges.length} bridge(s) added — ${bridged.islands} island(s) ` +
+        `floating inside holes tied to the surrounding material (${bridgeWidthMm}mm wide).`
+    )
+  }
+  working = bridged.polygons
+
+  // 6. Output simplification.
+  enterStage('simplify')
+  const svg = polygonsToSvg(working, viewBox, {
+    tolerance: simplifyToleranceMm * unitsPerMm,
+    fitCurves,
+  })
+  const outBounds = polygonsBounds(working)
+  const sizeMm =
+    working.length > 0
+      ? {
+          w: toMm(outBounds.x1 - outBounds.x0),
+          h: toMm(outBounds.y1 - outBounds.y0),
+        }
+      : { w: 0, h: 0 }
+  let nodesBefore = 0
+  for (const poly of working) {
+    for (const ring of [poly.outer, ...poly.holes]) nodesBefore += ring.length
+  }
 
   return {
-    svg: polygonsToSvg(working, viewBox),
+    svg,
     droppedThin,
     droppedSmall,
+    narrowGaps,
+    smallHoles,
+    erodedAway,
+    bridges: bridged.bridges.length,
+    nodes: { before: nodesBefore, after: countPathNodes(svg) },
+    viewBox,
+    sizeMm,
+    unitsPerMm,
+    measures: measureGeometry(working, unitsPerMm),
+    diagnostics,
     warnings,
   }
 }
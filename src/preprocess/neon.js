@@ -0,0 +1,255 @@
+/**
+ * Neon-flex mode: the art as runs of LED neon flex laid into a groove
+ * along its centerline (skeleton.js) instead of a cut-out fill.
+ *
+ * Two limits decide whether a run can actually be laid:
+ *
+ *   - bend radius: below the maker's minimum the flex kinks and its
+ *     diffuser cracks. Each run is resampled every quarter of that radius
+ *     and the circle through each three consecutive samples measured; a
+ *     stretch bending tighter than allowed is one violation, sited at its
+ *     tightest sample. Sharp corners in the art always land here.
+ *   - run length: one feed only drives so much flex before the far end
+ *     dims, so a longer run is flagged where it passes the limit.
+ *
+ * The export is an open-path SVG at the printed size: one stroked,
+ * unfilled path per run, for routing the groove. Runs with a violation
+ * carry a `data-violations` attribute listing the kinds.
+ */
+import { unitsPerMmFor } from './manufacturability.js'
+import { DEFAULT_NEON_OPTIONS, HAIRLINE_MM } from './outputDefaults.js'
+import { simplifyPolylineIndices, simplifyRingIndices } from './simplify.js'
+import { skeletonize } from './skeleton.js'
+import { parseSvgToPolygons } from './svgParse.js'
+
+export { DEFAULT_NEON_OPTIONS }
+
+// Bends are measured between samples this many steps either side.
+const BEND_SPAN = 2
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
+
+// Radius of the circle through a, b, c (Infinity when they're collinear).
+function circumradius(a, b, c) {
+  const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)
+  if (cross === 0) return Infinity
+  return (dist(a, b) * dist(b, c) * dist(c, a)) / (2 * Math.abs(cross))
+}
+
+// Points every `step` along the line, plus its last point.
+function resample(line, step) {
+  const out = [line[0]]
+  let carried = 0
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1]
+    const b = line[i]
+    const len = dist(a, b)
+    let t = step - carried
+    for (; t < len; t += step) {
+      out.push({ x: a.x + ((b.x - a.x) * t) / len, y: a.y + ((b.y - a.y) * t) / len })
+    }
+    carried = len - (t - step)
+  }
+  const last = line[line.length - 1]
+  if (dist(out[out.length - 1], last) > step * 1e-6) out.push(last)
+  return out
+}
+
+// The point `along` units from the line's start.
+function pointAlong(line, along) {
+  let left = along
+  for (let i = 1; i < line.length; i++) {
+    const len = dist(line[i - 1], line[i])
+    if (left <= len && len > 0) {
+      const a = line[i - 1]
+      const b = line[i]
+      return { x: a.x + ((b.x - a.x) * left) / len, y: a.y + ((b.y - a.y) * left) / len }
+    }
+    left -= len
+  }
+  return line[line.length - 1]
+}
+
+/**
+ * @typedef {Object} NeonViolation
+ * @property {'bend'|'length'} kind
+ * @property {import('./svgParse.js').Point} at  SVG units
+ * @property {number} [radiusMm]  tightest radius of a bend violation
+ * @property {number} [lengthMm]  whole run length of a length violation
+ */
+
+/**
+ * @typedef {Object} NeonRun
+ * @property {import('./svgParse.js').Point[]} points  SVG units
+ * @property {boolean} closed
+ * @property {number} lengthMm
+ * @property {number} minRadiusMm  tightest bend (Infinity for a straight run)
+ * @property {NeonViolation[]} violations
+ */
+
+/**
+ * @param {import('./skeleton.js').Centerline[]} centerlines
+ * @param {Object} opts
+ * @param {number} opts.unitsPerMm
+ * @param {number} [opts.minBendRadiusMm=DEFAULT_NEON_OPTIONS.minBendRadiusMm]
+ * @param {number} [opts.maxRunLengthMm=DEFAULT_NEON_OPTIONS.maxRunLengthMm]
+ * @returns {NeonRun[]}
+ */
+export function checkNeonRuns(centerlines, opts) {
+  const {
+    unitsPerMm,
+    minBendRadiusMm = DEFAULT_NEON_OPTIONS.minBendRadiusMm,
+    maxRunLengthMm = DEFAULT_NEON_OPTIONS.maxRunLengthMm,
+  } = opts
+  const minRadius = minBendRadiusMm * unitsPerMm
+
+  return centerlines.map(({ points, closed }) => {
+    const line = closed ? [...points, points[0]] : points
+    let length = 0
+    for (let i = 1; i < line.length; i++) length += dist(line[i - 1], line[i])
+
+    // Samples a quarter radius apart, each bend measured through the
+    // samples two either side: a half-radius baseline that rides out the
+    // skeleton's cell-sized wobble but still catches a 45° kink. Closed
+    // runs drop the repeated end sample and wrap instead.
+    const step = Math.min(minRadius / 4, length / 4)
+    const samples = step > 0 ? resample(line, step) : [...line]
+    if (closed && samples.length > 1) samples.pop()
+    const n = samples.length
+    const radii = samples.map((p, i) => {
+      const span = closed
+        ? Math.min(BEND_SPAN, Math.floor((n - 1) / 2))
+        : Math.min(BEND_SPAN, i, n - 1 - i)
+      if (span < 1) return Infinity
+      return circumradius(samples[(i + n - span) % n], p, samples[(i + span) % n])
+    })
+
+    // Group consecutive tight samples; a closed run starts the scan at a
+    // sample that isn't, so no stretch is split across the seam.
+    const violations = []
+    const first = closed ? Math.max(0, radii.findIndex((r) => r >= minRadius)) : 0
+    let tightest = -1
+    for (let k = 0; k <= n; k++) {
+      const i = (first + k) % n
+      if (k < n && radii[i] < minRadius) {
+        if (tightest < 0 || radii[i] < radii[tightest]) tightest = i
+        continue
+      }
+      if (tightest >= 0) {
+        violations.push({
+          kind: 'bend',
+          at: samples[tightest],
+          radiusMm: radii[tightest] / unitsPerMm,
+        })
+        tightest = -1
+      }
+    }
+
+    const lengthMm = length / unitsPerMm
+    if (lengthMm > maxRunLengthMm) {
+      violations.push({
+        kind: 'length',
+        at: pointAlong(line, maxRunLengthMm * unitsPerMm),
+        lengthMm,
+      })
+    }
+    return {
+      points,
+      closed,
+      lengthMm,
+      minRadiusMm: radii.reduce((min, r) => Math.min(min, r), Infinity) / unitsPerMm,
+      violations,
+    }
+  })
+}
+
+function runToD({ points, closed }) {
+  const fmt = (v) => +v.toFixed(3)
+  const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${fmt(p.x)} ${fmt(p.y)}`).join(' ')
+  return closed ? `${d} Z` : d
+}
+
+/**
+ * @param {string} svgString  manufacturable black SVG
+ * @param {Object} [opts]
+ * @param {number} [opts.minBendRadiusMm=DEFAULT_NEON_OPTIONS.minBendRadiusMm]
+ * @param {number} [opts.maxRunLengthMm=DEFAULT_NEON_OPTIONS.maxRunLengthMm]
+ * @param {number} [opts.pruneMm=DEFAULT_NEON_OPTIONS.pruneMm]  centerline
+ *   spurs shorter than this are pruned
+ * @param {number} [opts.cellMm]  skeleton raster cell; skeletonize's
+ *   default when unset
+ * @param {number} [opts.artSizeMm]  as for applyManufacturability
+ * @param {number} [opts.maxLogoDimMm=100]
+ * @returns {{
+ *   svg: string,
+ *   viewBox: {x:number,y:number,w:number,h:number},
+ *   runs: NeonRun[],
+ *   totalLengthMm: number,
+ *   violations: number,
+ *   warnings: string[],
+ * }}  `violations` counts them across all runs
+ */
+export function applyNeonFlex(svgString, opts = {}) {
+  const {
+    minBendRadiusMm = DEFAULT_NEON_OPTIONS.minBendRadiusMm,
+    maxRunLengthMm = DEFAULT_NEON_OPTIONS.maxRunLengthMm,
+    pruneMm = DEFAULT_NEON_OPTIONS.pruneMm,
+    cellMm,
+    artSizeMm,
+    maxLogoDimMm = 100,
+  } = opts
+  if (!(minBendRadiusMm > 0) || !(maxRunLengthMm > 0)) {
+    throw new RangeError('applyNeonFlex: minBendRadiusMm and maxRunLengthMm must be positive')
+  }
+
+  const { polygons, viewBox, warnings: parseWarnings } = parseSvgToPolygons(svgString)
+  const warnings = [...parseWarnings]
+  const unitsPerMm = unitsPerMmFor(polygons, viewBox, { artSizeMm, maxLogoDimMm })
+  // Bends are checked on the full cell chain; simplifying first would
+  // turn every arc into chords and corners.
+  const { centerlines, cellSize, dropped } = skeletonize(polygons, {
+    cellSize: cellMm > 0 ? cellMm * unitsPerMm : undefined,
+    pruneLength: pruneMm * unitsPerMm,
+    tolerance: 0,
+  })
+  if (dropped > 0) {
+    warnings.push(
+      `${dropped} piece(s) of art shorter than ${pruneMm}mm have no neon run and were left out.`
+    )
+  }
+
+  const runs = checkNeonRuns(centerlines, { unitsPerMm, minBendRadiusMm, maxRunLengthMm }).map(
+    (run) => {
+      const kept = run.closed
+        ? simplifyRingIndices(run.points, cellSize)
+        : simplifyPolylineIndices(run.points, cellSize)
+      return { ...run, points: kept.map((i) => run.points[i]) }
+    }
+  )
+  const { x, y, w, h } = viewBox
+  const mm = (units) => +(units / unitsPerMm).toFixed(3)
+  const paths = runs
+    .map((run) => {
+      const kinds = [...new Set(run.violations.map((v) => v.kind))]
+      const marked = kinds.length > 0 ? ` data-violations="${kinds.join(' ')}"` : ''
+      return `    <path d="${runToD(run)}"${marked}/>\n`
+    })
+    .join('')
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(w)}mm" height="${mm(h)}mm" viewBox="${x} ${y} ${w} ${h}">\n` +
+    `  <g id="centerline" fill="none" stroke="#000000" stroke-width="${HAIRLINE_MM * unitsPerMm}" stroke-linecap="round" stroke-linejoin="round">\n` +
+    paths +
+    '  </g>\n' +
+    '</svg>\n'
+
+  return {
+    svg,
+    viewBox,
+    runs,
+    totalLengthMm: runs.reduce((sum, run) => sum + run.lengthMm, 0),
+    violations: runs.reduce((sum, run) => sum + run.violations.length, 0),
+    warnings,
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Document normalization run before color selection and polygon parsing.
+ *
+ * Icon-library SVGs draw a glyph once in `<defs>` / `<symbol>` and place it
+ * with `<use href="#id" x y transform>`. Neither iterFilledShapes (which
+ * only sees real shape elements) nor SVGLoader (which ignores `<symbol>`
+ * placement and drops use x/y) handles that, so instanced geometry vanished
+ * or landed at the origin. We inline every `<use>` as a `<g>` carrying the
+ * composed transform, then drop the `<symbol>` templates — the rest of the
+ * pipeline only ever sees plain, fully expanded geometry.
+ *
+ *   <use href="#a" x="10" y="5" transform="rotate(45)" fill="red"/>
+ *     →  <g transform="rotate(45) translate(10,5)" fill="red">…clone of #a…</g>
+ *
+ * For `<symbol>` targets the symbol's own viewBox is fitted into the use's
+ * width/height (preserveAspectRatio xMidYMid meet, the SVG default).
+ */
+
+import { collectIds, hrefOf, localName } from './shapes.js'
+
+// Attributes consumed by the expansion itself; everything else on the
+// <use> (fill, class, style, …) moves onto the wrapper <g> so it still
+// inherits into the instance.
+const USE_GEOMETRY_ATTRS = new Set([
+  'x',
+  'y',
+  'width',
+  'height',
+  'href',
+  'xlink:href',
+  'transform',
+])
+
+function num(el, name, fallback = 0) {
+  const v = parseFloat(el.getAttribute(name) || '')
+  return Number.isFinite(v) ? v : fallback
+}
+
+/**
+ * Transform that fits a symbol's viewBox into the use's width × height.
+ * Returns '' when the symbol has no viewBox (its content is then used at
+ * 1:1 in the use's coordinate system).
+ */
+function symbolViewBoxTransform(symbol, use) {
+  const vbAttr = symbol.getAttribute('viewBox')
+  if (!vbAttr) return ''
+  const [vx, vy, vw, vh] = vbAttr.trim().split(/[\s,]+/).map(Number)
+  if (![vx, vy, vw, vh].every(Number.isFinite) || vw <= 0 || vh <= 0) return ''
+  // Missing width/height on the use means 100%, which for a symbol resolves
+  // to the viewBox size itself — i.e. scale 1.
+  const w = num(use, 'width', vw)
+  const h = num(use, 'height', vh)
+  const par = (symbol.getAttribute('preserveAspectRatio') || '').trim()
+  let sx = w / vw
+  let sy = h / vh
+  let tx = -vx * sx
+  let ty = -vy * sy
+  if (par !== 'none') {
+    const s = /slice/.test(par) ? Math.max(sx, sy) : Math.min(sx, sy)
+    const align = par.split(/\s+/)[0] || 'xMidYMid'
+    const fx = /xMin/.test(align) ? 0 : /xMax/.test(align) ? 1 : 0.5
+    const fy = /YMin/.test(align) ? 0 : /YMax/.test(align) ? 1 : 0.5
+    sx = sy = s
+    tx = (w - vw * s) * fx - vx * s
+    ty = (h - vh * s) * fy - vy * s
+  }
+  return `translate(${tx},${ty}) scale(${sx},${sy})`
+}
+
+function expandUse(use, ids, stack) {
+  const doc = use.ownerDocument
+  const href = hrefOf(use)
+  const target = href.startsWith('#') ? ids.get(href.slice(1)) : null
+  const parent = use.parentNode
+  // External references and cycles can't be inlined; drop the <use> so
+  // downstream parsers don't render the template at the origin instead.
+  if (!target || stack.includes(target) || !parent) {
+    if (parent) parent.removeChild(use)
+    return
+  }
+
+  const g = doc.createElementNS(use.namespaceURI, 'g')
+  for (const attr of Array.from(use.attributes)) {
+    if (USE_GEOMETRY_ATTRS.has(attr.name)) continue
+    g.setAttribute(attr.name, attr.value)
+  }
+  const transforms = []
+  const t = use.getAttribute('transform')
+  if (t) transforms.push(t.trim())
+  const x = num(use, 'x')
+  const y = num(use, 'y')
+  if (x !== 0 || y !== 0) transforms.push(`translate(${x},${y})`)
+  if (transforms.length > 0) g.setAttribute('transform', transforms.join(' '))
+
+  let instance
+  if (localName(target) === 'symbol') {
+    // A symbol renders like a <g> whose content is fitted to its viewBox;
+    // its own presentation attributes / class still apply to the content.
+    instance = doc.createElementNS(target.namespaceURI, 'g')
+    for (const attr of Array.from(target.attributes)) {
+      if (attr.name === 'viewBox' || attr.name === 'preserveAspectRatio') continue
+      instance.setAttribute(attr.name, attr.value)
+    }
+    const fit = symbolViewBoxTransform(target, use)
+    if (fit) instance.setAttribute('transform', fit)
+    for (const child of Array.from(target.childNodes)) {
+      instance.appendChild(child.cloneNode(true))
+    }
+  } else {
+    instance = target.cloneNode(true)
+  }
+  g.appendChild(instance)
+  parent.replaceChild(g, use)
+
+  // Uses inside the instance reference other templates; expand them with
+  // this target on the stack so self-references terminate.
+  const nested = Array.from(g.getElementsByTagName('use'))
+  for (const inner of nested) expandUse(inner, ids, [...stack, target])
+}
+
+/**
+ * Inline every `<use>` and remove `<symbol>` templates, in place.
+ * @param {Document} doc
+ * @returns {Document} the same document, for chaining
+ */
+export function expandUseElements(doc) {
+  const ids = collectIds(doc)
+  for (const use of Array.from(doc.getElementsByTagName('use'))) {
+    // Earlier expansions may have detached this node (uses nested inside
+    // a <use>d template are expanded via that template's clone instead).
+    if (!use.parentNode) continue
+    // Templates are expanded where they're used, but clipPath / mask
+    // content is only ever referenced as a whole (Illustrator writes every
+    // clip as a <use> of a shape in <defs>), so it's expanded in place.
+    const inReferencedContent = isInside(use, 'clippath') || isInside(use, 'mask')
+    if (isInside(use, 'symbol') || (isInside(use, 'defs') && !inReferencedContent)) continue
+    expandUse(use, ids, [])
+  }
+  for (const symbol of Array.from(doc.getElementsByTagName('symbol'))) {
+    symbol.parentNode?.removeChild(symbol)
+  }
+  return doc
+}
+
+function isInside(el, tag) {
+  for (let cur = el.parentNode; cur && cur.nodeType === 1; cur = cur.parentNode) {
+    if (localName(cur) === tag) return true
+  }
+  return false
+}
+
+/**
+ * String-in/string-out wrapper for parsers that take SVG text (SVGLoader).
+ * Returns the input unchanged when there's nothing to expand.
+ */
+export function normalizeSvgText(svgString) {
+  if (!/<(?:[\w-]+:)?(?:use|symbol)\b/.test(svgString)) return svgString
+  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml')
+  expandUseElements(doc)
+  return new XMLSerializer().serializeToString(doc)
+}
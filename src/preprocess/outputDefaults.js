@@ -0,0 +1,25 @@
+/**
+ * Defaults and conventions of the output writers (laser.js, neon.js),
+ * shared with the UI.
+ *
+ * No imports on purpose: the panel reads these on the main thread, and the
+ * writers themselves (with clipper-lib behind them) only load in the worker.
+ */
+
+export const LASER_OPERATIONS = ['cut', 'engrave']
+
+// The common laser-software convention: red strokes cut, blue fills engrave.
+export const LASER_COLORS = { cut: '#FF0000', engrave: '#0000FF' }
+
+export const DEFAULT_KERF_MM = 0.1
+
+// 6×12mm neon flex on 5m reels.
+export const DEFAULT_NEON_OPTIONS = {
+  minBendRadiusMm: 25,
+  maxRunLengthMm: 5000,
+  pruneMm: 2,
+}
+
+// Stroke width, in mm, that laser and CAM software read as a hairline: the
+// path is what gets cut, not a stroke of its own.
+export const HAIRLINE_MM = 0.01
@@ -0,0 +1,134 @@
+/**
+ * Physical size of an SVG document, from the units on its root `width` /
+ * `height`.
+ *
+ * An SVG authored as `width="120mm"` says how big it is meant to be; one
+ * with unitless lengths (or none) doesn't, and the pipeline falls back to
+ * its assumed size. The CSS absolute units count — mm, cm, Q, in, pt, pc,
+ * and px at 96 per inch. A bare number is a user unit: it carries no
+ * physical intent (every writer in this pipeline emits them), so it
+ * doesn't.
+ *
+ * The viewport that width/height give is mapped onto the viewBox per
+ * `preserveAspectRatio`: scaled uniformly to fit (`meet`, the default) or
+ * to cover (`slice`), or stretched on each axis (`none`). Alignment only
+ * shifts the art within the viewport, so it doesn't change its size.
+ *
+ * No Clipper or three.js here: the panel reads an upload's size on the
+ * main thread.
+ */
+
+export const MM_PER_CSS_UNIT = {
+  mm: 1,
+  cm: 10,
+  q: 0.25,
+  in: 25.4,
+  pt: 25.4 / 72,
+  pc: 25.4 / 6,
+  px: 25.4 / 96,
+}
+
+const LENGTH_RE = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z%]*)$/i
+
+/**
+ * @param {string|null|undefined} value  an SVG length attribute
+ * @returns {{value: number, unit: string} | null}  `unit` lower-cased,
+ *   '' for a bare number; null when it isn't a length
+ */
+export function parseSvgLength(value) {
+  const m = LENGTH_RE.exec(String(value ?? '').trim())
+  if (!m) return null
+  const n = Number(m[1])
+  return Number.isFinite(n) ? { value: n, unit: m[2].toLowerCase() } : null
+}
+
+/**
+ * A root width/height in user units (CSS px), which is what they are when
+ * there's no viewBox. NaN for relative lengths (%, em, …) and non-lengths.
+ * @param {string|null|undefined} value
+ * @returns {number}
+ */
+export function lengthToUserUnits(value) {
+  const length = parseSvgLength(value)
+  if (!length) return NaN
+  if (length.unit === '') return length.value
+  const mm = MM_PER_CSS_UNIT[length.unit]
+  return mm === undefined ? NaN : (length.value * mm) / MM_PER_CSS_UNIT.px
+}
+
+function absoluteMm(value) {
+  const length = parseSvgLength(value)
+  const mm = length && MM_PER_CSS_UNIT[length.unit]
+  return mm ? length.value * mm : NaN
+}
+
+function parseViewBoxAttr(attr) {
+  if (!attr) return null
+  const parts = attr.trim().split(/[\s,]+/).map(Number)
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null
+  if (!(parts[2] > 0 && parts[3] > 0)) return null
+  return { x: parts[0], y: parts[1], w: parts[2], h: parts[3] }
+}
+
+/**
+ * @typedef {Object} PhysicalSize
+ * @property {number} widthMm  the document's viewport
+ * @property {number} heightMm
+ * @property {{x: number, y: number}} mmPerUnit  mm per SVG user unit on
+ *   each axis (equal unless preserveAspectRatio="none")
+ * @property {string} unit  the unit the document was authored in
+ */
+
+/**
+ * @param {Element} root  the document's <svg> element
+ * @returns {PhysicalSize | null}  null unless width or height carries an
+ *   absolute unit
+ */
+export function physicalSizeOf(root) {
+  const widthAttr = root.getAttribute('width')
+  const heightAttr = root.getAttribute('height')
+  let widthMm = absoluteMm(widthAttr)
+  let heightMm = absoluteMm(heightAttr)
+  const viewBox = parseViewBoxAttr(root.getAttribute('viewBox'))
+
+  // One side given: the other follows the viewBox's aspect ratio, as a
+  // browser sizes it. A side given in anything else leaves it unknown.
+  if (!(widthMm > 0) && !(heightMm > 0)) return null
+  if (!(widthMm > 0)) {
+    if (widthAttr != null || !viewBox) return null
+    widthMm = (heightMm * viewBox.w) / viewBox.h
+  } else if (!(heightMm > 0)) {
+    if (heightAttr != null || !viewBox) return null
+    heightMm = (widthMm * viewBox.h) / viewBox.w
+  }
+  const unit = parseSvgLength(widthAttr ?? heightAttr).unit
+
+  if (!viewBox) {
+    // No viewBox: user units are CSS px.
+    const px = MM_PER_CSS_UNIT.px
+    return { widthMm, heightMm, mmPerUnit: { x: px, y: px }, unit }
+  }
+  const sx = widthMm / viewBox.w
+  const sy = heightMm / viewBox.h
+  const [align = 'xMidYMid', meetOrSlice = 'meet'] = (
+    root.getAttribute('preserveAspectRatio') ?? ''
+  )
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+  if (align === 'none') return { widthMm, heightMm, mmPerUnit: { x: sx, y: sy }, unit }
+  const s = meetOrSlice === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy)
+  return { widthMm, heightMm, mmPerUnit: { x: s, y: s }, unit }
+}
+
+/**
+ * physicalSizeOf for SVG text.
+ * @param {string} svgString
+ * @returns {PhysicalSize | null}
+ */
+export function svgPhysicalSize(svgString) {
+  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml')
+  const root = doc.documentElement
+  if (!root || root.nodeName.toLowerCase() !== 'svg') return null
+  return physicalSizeOf(root)
+}
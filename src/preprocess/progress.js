@@ -0,0 +1,52 @@
+/**
+ * Stage-level progress + cancellation shared by the long-running pipeline
+ * entry points (`preprocessRaster`, `applyManufacturability`).
+ *
+ * Both take the same two options:
+ *
+ *   - `signal`      AbortSignal. Checked at every stage boundary; an aborted
+ *                   signal throws its `reason` (a DOMException named
+ *                   "AbortError" unless the caller supplied one).
+ *   - `onProgress`  called as `{ stage, step, total }` when a stage starts.
+ *
+ * The worker (worker.js) forwards these events over postMessage; Node
+ * callers (scripts/preprocess-batch.mjs, tests) get them directly.
+ */
+
+export const RASTER_STAGES = ['decode', 'threshold', 'dilate', 'trace', 'xor']
+export const MANUFACTURABILITY_STAGES = [
+  'xor',
+  'nozzle',
+  'floors',
+  'spaces',
+  'bridges',
+  'simplify',
+]
+
+/**
+ * Build the `enterStage(name)` callback for one pipeline run. Throws if the
+ * signal was aborted since the previous stage, otherwise reports progress.
+ */
+export function createStageReporter(stages, { signal, onProgress } = {}) {
+  return function enterStage(stage) {
+    signal?.throwIfAborted()
+    onProgress?.({
+      stage,
+      step: stages.indexOf(stage) + 1,
+      total: stages.length,
+    })
+  }
+}
+
+/**
+ * Yield one macrotask. The async raster path awaits this between stages so
+ * an abort fired from a timer / message handler lands before the next
+ * heavy stage starts rather than after the whole trace.
+ */
+export function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0))
+}
+
+export function isAbortError(err) {
+  return err != null && err.name === 'AbortError'
+}
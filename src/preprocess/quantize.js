@@ -0,0 +1,353 @@
+/**
+ * Raster color quantization — the raster side of listColors / selectByColor.
+ *
+ * A luminance threshold can't separate a red logo from a blue background,
+ * so raster uploads can instead be reduced to a handful of color clusters
+ * the user picks from, exactly like SVG fills.
+ *
+ * Pixels are composited over white (as binarize.js does) and binned into a
+ * 32×32×32 RGB histogram, which keeps the cost independent of image size.
+ * In CIE Lab (where distance roughly tracks perceived difference):
+ *
+ *   1. median cut splits the bins into at most `maxColors` boxes, always
+ *      splitting the box with the widest spread, until every box is
+ *      narrower than MIN_SPLIT_RANGE;
+ *   2. k-means, seeded from the box means, refines the centers;
+ *   3. clusters covering less than `minShare` of the image (JPEG ringing,
+ *      stray specks) are folded into their nearest neighbor, as are
+ *      anti-aliasing fringes — small clusters (under FRINGE_MAX_SHARE)
+ *      whose color is a blend of two larger ones — and clusters closer
+ *      than `mergeDeltaE` are merged.
+ *
+ * Each cluster is identified by its mean color as `#RRGGBB`. The palette
+ * of ids is all classifyPixels needs to rebuild the same labelling later:
+ * each pixel belongs to the palette color nearest its histogram bin, so a
+ * worker can trace a selection without holding state between calls.
+ */
+import { hexOf, parseColorSpec } from './color.js'
+
+const BIN_BITS = 5
+const BIN_SHIFT = 8 - BIN_BITS
+const N_BINS = 1 << (3 * BIN_BITS)
+
+// Lab units; a box narrower than this on every axis is one color.
+const MIN_SPLIT_RANGE = 12
+
+const KMEANS_ITERATIONS = 10
+
+// A cluster this small lying on the sRGB segment between two others (within
+// FRINGE_RGB_DISTANCE) is an edge blend of those two, not a color of its own.
+const FRINGE_MAX_SHARE = 0.03
+const FRINGE_RGB_DISTANCE = 16
+
+// Lab chroma below which a cluster counts as grey.
+const NEUTRAL_CHROMA = 12
+
+const DEFAULT_OPTS = {
+  maxColors: 8,
+  minShare: 0.005,
+  mergeDeltaE: 10,
+}
+
+function srgbToLinear(c) {
+  const v = c / 255
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116
+}
+
+/** sRGB (0–255) → CIE Lab, D65 white. */
+export function rgbToLab(r, g, b) {
+  const lr = srgbToLinear(r)
+  const lg = srgbToLinear(g)
+  const lb = srgbToLinear(b)
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb
+  const z = (0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb) / 1.08883
+  const fx = labF(x)
+  const fy = labF(y)
+  const fz = labF(z)
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)]
+}
+
+function dist2(p, q) {
+  const dl = p[0] - q[0]
+  const da = p[1] - q[1]
+  const db = p[2] - q[2]
+  return dl * dl + da * da + db * db
+}
+
+function nearest(lab, centers) {
+  let best = 0
+  let bestD = Infinity
+  for (let c = 0; c < centers.length; c++) {
+    const d = dist2(lab, centers[c])
+    if (d < bestD) {
+      bestD = d
+      best = c
+    }
+  }
+  return best
+}
+
+// Histogram bin of each pixel, after compositing over white.
+function pixelBins(rgba, w, h) {
+  const bins = new Uint16Array(w * h)
+  for (let i = 0, p = 0; i < bins.length; i++, p += 4) {
+    const a = rgba[p + 3]
+    const over = 255 * (255 - a)
+    const r = Math.floor((rgba[p] * a + over) / 255)
+    const g = Math.floor((rgba[p + 1] * a + over) / 255)
+    const b = Math.floor((rgba[p + 2] * a + over) / 255)
+    bins[i] = ((r >> BIN_SHIFT) << (2 * BIN_BITS)) | ((g >> BIN_SHIFT) << BIN_BITS) | (b >> BIN_SHIFT)
+  }
+  return bins
+}
+
+// Lab of a bin's center color.
+function binCenterLab(bin) {
+  const half = 1 << (BIN_SHIFT - 1)
+  const r = ((bin >> (2 * BIN_BITS)) << BIN_SHIFT) + half
+  const g = (((bin >> BIN_BITS) & ((1 << BIN_BITS) - 1)) << BIN_SHIFT) + half
+  const b = ((bin & ((1 << BIN_BITS) - 1)) << BIN_SHIFT) + half
+  return rgbToLab(r, g, b)
+}
+
+function weightedMean(items, field) {
+  const out = [0, 0, 0]
+  let total = 0
+  for (const item of items) {
+    for (let k = 0; k < 3; k++) out[k] += item[field][k] * item.weight
+    total += item.weight
+  }
+  return total > 0 ? out.map((v) => v / total) : out
+}
+
+function boxSpread(box) {
+  let best = { axis: 0, range: 0 }
+  for (let axis = 0; axis < 3; axis++) {
+    let lo = Infinity
+    let hi = -Infinity
+    for (const item of box) {
+      lo = Math.min(lo, item.lab[axis])
+      hi = Math.max(hi, item.lab[axis])
+    }
+    if (hi - lo > best.range) best = { axis, range: hi - lo }
+  }
+  return best
+}
+
+function medianCut(items, maxColors) {
+  const boxes = [items]
+  while (boxes.length < maxColors) {
+    let pick = -1
+    let pickSpread = null
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].length < 2) continue
+      const spread = boxSpread(boxes[i])
+      if (spread.range >= MIN_SPLIT_RANGE && (!pickSpread || spread.range > pickSpread.range)) {
+        pick = i
+        pickSpread = spread
+      }
+    }
+    if (pick < 0) break
+    const { axis } = pickSpread
+    const box = boxes[pick].slice().sort((p, q) => p.lab[axis] - q.lab[axis])
+    const total = box.reduce((s, item) => s + item.weight, 0)
+    let acc = 0
+    let cut = 1
+    for (; cut < box.length - 1; cut++) {
+      acc += box[cut - 1].weight
+      if (acc >= total / 2) break
+    }
+    boxes.splice(pick, 1, box.slice(0, cut), box.slice(cut))
+  }
+  return boxes.map((box) => weightedMean(box, 'lab'))
+}
+
+function kMeans(items, centers) {
+  let current = centers
+  for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+    const groups = current.map(() => [])
+    for (const item of items) groups[nearest(item.lab, current)].push(item)
+    const next = groups
+      .map((group, c) => (group.length ? weightedMean(group, 'lab') : current[c]))
+    const moved = next.some((c, i) => dist2(c, current[i]) > 0.01)
+    current = next
+    if (!moved) break
+  }
+  return current
+}
+
+// Group items by nearest center, dropping empty groups.
+function groupByCenter(items, centers) {
+  const groups = centers.map(() => [])
+  for (const item of items) groups[nearest(item.lab, centers)].push(item)
+  return groups.filter((g) => g.length > 0)
+}
+
+function groupWeight(group) {
+  return group.reduce((s, item) => s + item.weight, 0)
+}
+
+// Whether `p` lies strictly between `a` and `b`, close to the segment.
+function isBlendOf(p, a, b) {
+  const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]]
+  const len2 = ab[0] * ab[0] + ab[1] * ab[1] + ab[2] * ab[2]
+  if (len2 === 0) return false
+  const t = ((p[0] - a[0]) * ab[0] + (p[1] - a[1]) * ab[1] + (p[2] - a[2]) * ab[2]) / len2
+  if (t <= 0.05 || t >= 0.95) return false
+  const closest = [a[0] + t * ab[0], a[1] + t * ab[1], a[2] + t * ab[2]]
+  return Math.sqrt(dist2(p, closest)) < FRINGE_RGB_DISTANCE
+}
+
+// Index of the next cluster to dissolve (groups sorted by weight, desc),
+// or -1 once the palette is settled.
+function pickVictim(groups, nPixels, { minShare, mergeDeltaE }) {
+  const last = groups.length - 1
+  if (last < 1) return -1
+  if (groupWeight(groups[last]) < minShare * nPixels) return last
+
+  const labs = groups.map((g) => weightedMean(g, 'lab'))
+  const rgbs = groups.map((g) => weightedMean(g, 'rgb'))
+  for (let i = last; i > 0; i--) {
+    for (let j = 0; j < i; j++) {
+      if (dist2(labs[i], labs[j]) < mergeDeltaE * mergeDeltaE) return i
+    }
+  }
+  for (let i = last; i > 1; i--) {
+    if (groupWeight(groups[i]) >= FRINGE_MAX_SHARE * nPixels) continue
+    for (let a = 0; a < i; a++) {
+      for (let b = a + 1; b < i; b++) {
+        if (isBlendOf(rgbs[i], rgbs[a], rgbs[b])) return i
+      }
+    }
+  }
+  return -1
+}
+
+/**
+ * Cluster the colors of an RGBA bitmap.
+ *
+ * @param {Uint8Array|Buffer} rgba  Jimp bitmap data
+ * @param {number} w
+ * @param {number} h
+ * @param {Object} [opts]
+ * @param {number} [opts.maxColors=8]
+ * @param {number} [opts.minShare=0.005]   smaller clusters fold into neighbors
+ * @param {number} [opts.mergeDeltaE=10]   closer clusters merge (Lab ΔE)
+ * @returns {{
+ *   id: string,
+ *   hex: string,
+ *   nPixels: number,
+ *   share: number,
+ *   neutral: boolean,
+ * }[]} ranked by pixel count, desc. `id` is the hex; `neutral` marks
+ *   near-grey clusters.
+ */
+export function quantizeColors(rgba, w, h, opts = {}) {
+  const { maxColors, minShare, mergeDeltaE } = { ...DEFAULT_OPTS, ...opts }
+  const bins = pixelBins(rgba, w, h)
+  const nPixels = bins.length
+  if (nPixels === 0) return []
+
+  // Histogram with the mean sRGB of each occupied bin.
+  const sums = new Float64Array(N_BINS * 4)
+  for (let i = 0, p = 0; i < nPixels; i++, p += 4) {
+    const s = bins[i] * 4
+    const a = rgba[p + 3]
+    const over = 255 * (255 - a)
+    sums[s] += 1
+    sums[s + 1] += Math.floor((rgba[p] * a + over) / 255)
+    sums[s + 2] += Math.floor((rgba[p + 1] * a + over) / 255)
+    sums[s + 3] += Math.floor((rgba[p + 2] * a + over) / 255)
+  }
+  const items = []
+  for (let bin = 0; bin < N_BINS; bin++) {
+    const n = sums[bin * 4]
+    if (n === 0) continue
+    const rgb = [sums[bin * 4 + 1] / n, sums[bin * 4 + 2] / n, sums[bin * 4 + 3] / n]
+    items.push({ bin, weight: n, rgb, lab: rgbToLab(...rgb) })
+  }
+
+  let groups = groupByCenter(items, kMeans(items, medianCut(items, maxColors)))
+
+  // Dissolve specks, near-duplicates and fringes one at a time, smallest
+  // first, re-assigning their bins to the remaining centers.
+  for (;;) {
+    groups.sort((p, q) => groupWeight(q) - groupWeight(p))
+    const victim = pickVictim(groups, nPixels, { minShare, mergeDeltaE })
+    if (victim < 0) break
+    const survivors = groups
+      .filter((_, i) => i !== victim)
+      .map((g) => weightedMean(g, 'lab'))
+    groups = groupByCenter(items, survivors)
+  }
+
+  // Name each cluster by its mean color, then count pixels the way
+  // classifyPixels will label them.
+  const palette = []
+  for (const group of groups) {
+    const [r, g, b] = weightedMean(group, 'rgb').map(Math.round)
+    const hex = hexOf({ r, g, b })
+    if (!palette.includes(hex)) palette.push(hex)
+  }
+  const binLabels = labelBins(palette)
+  const counts = new Array(palette.length).fill(0)
+  for (const item of items) counts[binLabels(item.bin)] += item.weight
+
+  return palette
+    .map((hex, i) => {
+      const { r, g, b } = parseColorSpec(hex)
+      const [, labA, labB] = rgbToLab(r, g, b)
+      return {
+        id: hex,
+        hex,
+        nPixels: counts[i],
+        share: counts[i] / nPixels,
+        neutral: Math.hypot(labA, labB) < NEUTRAL_CHROMA,
+      }
+    })
+    .filter((entry) => entry.nPixels > 0)
+    .sort((p, q) => q.nPixels - p.nPixels)
+}
+
+// Memoized bin → palette index.
+function labelBins(palette) {
+  const centers = palette.map((hex) => {
+    const { r, g, b } = parseColorSpec(hex)
+    return rgbToLab(r, g, b)
+  })
+  const cache = new Int16Array(N_BINS).fill(-1)
+  return (bin) => {
+    if (cache[bin] < 0) cache[bin] = nearest(binCenterLab(bin), centers)
+    return cache[bin]
+  }
+}
+
+/**
+ * Label each pixel with the index of its nearest palette color.
+ *
+ * @param {Uint8Array|Buffer} rgba
+ * @param {number} w
+ * @param {number} h
+ * @param {string[]} palette  color specs, usually quantizeColors ids
+ * @returns {Uint8Array}
+ */
+export function classifyPixels(rgba, w, h, palette) {
+  if (palette.length === 0 || palette.length > 255) {
+    throw new RangeError(`classifyPixels: palette needs 1–255 colors (got ${palette.length})`)
+  }
+  for (const spec of palette) {
+    if (!parseColorSpec(spec)) {
+      throw new TypeError(`classifyPixels: unrecognized palette color "${spec}"`)
+    }
+  }
+  const bins = pixelBins(rgba, w, h)
+  const binLabels = labelBins(palette)
+  const labels = new Uint8Array(bins.length)
+  for (let i = 0; i < bins.length; i++) labels[i] = binLabels(bins[i])
+  return labels
+}
@@ -1,13 +1,26 @@
 /**
- * Raster (JPG/PNG) → black SVG.
+ * Raster image (JPEG, PNG, WebP, GIF, BMP, TIFF) → black SVG.
  *
  * Port of im_svg_maker/raster.py. The Python version uses PIL for binarize +
  * dilate, the `potracer` Python package for trace, and shapely for the shell/
  * hole assembly XOR.
  *
  * JS port:
- *   - Jimp (pure JS, works in Node + browser) decodes the image, grayscales,
- *     applies a min-filter dilation that spreads the foreground.
+ *   - Jimp (pure JS, works in Node + browser) decodes JPEG, PNG, BMP, GIF
+ *     (first frame) and TIFF (first page), turning JPEGs upright from
+ *     their EXIF orientation as it reads them. WebP, which Jimp can't
+ *     read, goes through the browser's own decoder (createImageBitmap);
+ *     Node callers get a clear error for it instead. Images whose longer
+ *     side exceeds `maxDimPx` are downsampled first, so a 48 MP phone
+ *     photo doesn't stall thresholding and tracing;
+ *     binarize.js greyscales it over white and splits foreground from
+ *     background (fixed threshold by default — raster.py parity — or Otsu /
+ *     Sauvola / Bradley via `opts.binarize`), then dilate.js spreads the
+ *     foreground by `thicknessMm` — by a square, like raster.py's PIL
+ *     MaxFilter, or a disc via `opts.dilationShape`. Color artwork can
+ *     skip the luminance step: listRasterColors clusters the image
+ *     (quantize.js) and `opts.colors` makes the picked clusters the
+ *     foreground instead.
  *   - The `potrace` npm package (pure JS, also Jimp-based) does the actual
  *     vector trace. It internally re-thresholds the bitmap; the dilation we
  *     did upstream just thickens the eventual traced outline.
@@ -23,13 +36,21 @@
 import Jimp from 'jimp'
 import potrace from 'potrace'
 
+import { binarize, greyscaleOverWhite } from './binarize.js'
+import { dilateMask } from './dilate.js'
+import { classifyPixels, quantizeColors } from './quantize.js'
 import { parseSvgToPolygons, polygonsToSvg } from './svgParse.js'
+import { RASTER_STAGES, createStageReporter, yieldToEventLoop } from './progress.js'
 
 const DEFAULT_OPTS = {
   thicknessMm: 0.75,
+  dilationShape: 'square',
+  binarize: 'fixed',
   threshold: 128,
+  invert: 'auto',
   turdsize: 8,
   maxLogoDimMm: 100,
+  maxDimPx: 2048,
 }
 
 /**
@@ -64,81 +85,155 @@ async function toBuffer(input) {
   )
 }
 
+// RIFF....WEBP
+function isWebp(buf) {
+  return (
+    buf.length >= 12 &&
+    buf.toString('latin1', 0, 4) === 'RIFF' &&
+    buf.toString('latin1', 8, 12) === 'WEBP'
+  )
+}
+
+// Decode through the browser (main thread or worker). createImageBitmap
+// applies the image's own orientation by default.
+async function decodeWithBrowser(buf) {
+  if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas !== 'function') {
+    throw new TypeError(
+      'preprocessRaster: WebP decoding needs a browser (createImageBitmap); convert to PNG first'
+    )
+  }
+  const bitmap = await createImageBitmap(new Blob([buf]))
+  const { width, height } = bitmap
+  const ctx = new OffscreenCanvas(width, height).getContext('2d')
+  ctx.drawImage(bitmap, 0, 0)
+  bitmap.close()
+  const { data } = ctx.getImageData(0, 0, width, height)
+  return new Jimp({ data: Buffer.from(data.buffer), width, height })
+}
+
 /**
- * Spread the foreground (dark pixels) outward by `radius` pixels using a
- * min-filter (since foreground=0 / background=255 after threshold, min-filter
- * is morphological dilation of the foreground). Operates in place on `img`.
+ * Decode raster bytes into an upright Jimp image no larger than
+ * `maxDimPx` on its longer side. Downsampling uses Jimp's default resize,
+ * which averages source pixels, so thin strokes fade rather than vanish.
  *
- * Direct port of PIL's `MaxFilter(2*radius+1)` semantics on the inverted
- * binary in `raster.py`.
+ * @returns {Promise<{image: Jimp, downscale: number}>}  `downscale` is the
+ *   source pixels per output pixel (1 when the image was small enough)
  */
-function dilateForeground(img, radius) {
-  if (radius <= 0) return
-  const w = img.bitmap.width
-  const h = img.bitmap.height
-  const src = Buffer.from(img.bitmap.data)
-  const dst = img.bitmap.data
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      let minVal = 255
-      const y0 = Math.max(0, y - radius)
-      const y1 = Math.min(h - 1, y + radius)
-      const x0 = Math.max(0, x - radius)
-      const x1 = Math.min(w - 1, x + radius)
-      for (let yy = y0; yy <= y1 && minVal > 0; yy++) {
-        const rowStart = yy * w * 4
-        for (let xx = x0; xx <= x1; xx++) {
-          const v = src[rowStart + xx * 4]
-          if (v < minVal) {
-            minVal = v
-            if (minVal === 0) break
-          }
-        }
-      }
-      const idx = (y * w + x) * 4
-      dst[idx] = minVal
-      dst[idx + 1] = minVal
-      dst[idx + 2] = minVal
-      // alpha left untouched
-    }
-  }
+async function decodeRaster(input, maxDimPx) {
+  const buf = await toBuffer(input)
+  const image = isWebp(buf) ? await decodeWithBrowser(buf) : await Jimp.read(buf)
+  const { width, height } = image.bitmap
+  const longer = Math.max(width, height)
+  if (!(maxDimPx > 0) || longer <= maxDimPx) return { image, downscale: 1 }
+  const downscale = longer / maxDimPx
+  image.resize(
+    Math.max(1, Math.round(width / downscale)),
+    Math.max(1, Math.round(height / downscale))
+  )
+  return { image, downscale }
 }
 
 /**
  * @param {Buffer|ArrayBuffer|Uint8Array|Blob|File} input  raster image bytes
  * @param {Object} [opts]
  * @param {number} [opts.thicknessMm=0.75]
- * @param {number} [opts.threshold=128]
+ * @param {'square'|'disc'} [opts.dilationShape='square']  structuring
+ *   element for the thickening (see dilate.js)
+ * @param {'fixed'|'otsu'|'sauvola'|'bradley'} [opts.binarize='fixed']
+ * @param {number} [opts.threshold=128]     fixed mode: grey < threshold is foreground
+ * @param {number} [opts.windowPx]          sauvola / bradley window (see binarize.js)
+ * @param {number} [opts.k]                 sauvola / bradley sensitivity
+ * @param {'auto'|boolean} [opts.invert='auto']  light-on-dark artwork; 'auto'
+ *   flips when most of the image border comes out as foreground
+ * @param {string[]} [opts.colors]   cluster ids from listRasterColors; when
+ *   set, pixels nearest these (among `opts.palette`) are the foreground and
+ *   the binarize options are ignored
+ * @param {string[]} [opts.palette]  every id listRasterColors returned
  * @param {number} [opts.turdsize=8]
  * @param {number} [opts.maxLogoDimMm=100]
- * @returns {Promise<{ svg: string, stats: { nKept: number } }>}
+ * @param {number} [opts.maxDimPx=2048]  longer image side above which the
+ *   image is downsampled before thresholding (0 disables)
+ * @param {AbortSignal} [opts.signal]       abort between stages (see progress.js)
+ * @param {(e: {stage: string, step: number, total: number}) => void} [opts.onProgress]
+ * @returns {Promise<{
+ *   svg: string,
+ *   stats: {
+ *     nKept: number,
+ *     binarize: string|null,
+ *     threshold: number|null,
+ *     inverted: boolean,
+ *     colors?: string[],
+ *     downscale: number,
+ *   },
+ * }>}  `threshold` is the global grey cut applied (null for the local modes);
+ *   color selections report `binarize: null` and the `colors` traced.
+ *   `downscale` > 1 means the image was downsampled by that factor; the
+ *   SVG is in the downsampled pixel space
  */
 export async function preprocessRaster(input, opts = {}) {
-  const { thicknessMm, threshold, turdsize, maxLogoDimMm } = {
+  const {
+    thicknessMm,
+    dilationShape,
+    binarize: mode,
+    threshold,
+    windowPx,
+    k,
+    invert,
+    colors,
+    palette,
+    turdsize,
+    maxLogoDimMm,
+    maxDimPx,
+    signal,
+    onProgress,
+  } = {
     ...DEFAULT_OPTS,
     ...opts,
   }
+  const enterStage = createStageReporter(RASTER_STAGES, { signal, onProgress })
 
-  const buf = await toBuffer(input)
-  const image = await Jimp.read(buf)
+  enterStage('decode')
+  const { image, downscale } = await decodeRaster(input, maxDimPx)
   const w = image.bitmap.width
   const h = image.bitmap.height
 
   // Mirror raster.py's threshold convention: dark pixels < threshold become
-  // foreground (black). Jimp's `.threshold({max})` does exactly this — pixels
-  // at or below `max` become black, above become white.
-  image.greyscale()
-  image.threshold({ max: threshold })
+  // foreground (black).
+  await yieldToEventLoop()
+  enterStage('threshold')
+  const binary = colors
+    ? colorMask(image.bitmap.data, w, h, colors, palette)
+    : binarize(greyscaleOverWhite(image.bitmap.data, w, h), w, h, {
+        mode,
+        threshold,
+        windowPx,
+        k,
+        invert,
+      })
 
   // Dilate the thresholded foreground by thicknessMm worth of pixels.
-  // pixelsPerMm follows raster.py: max(w,h) / max_logo_dim_mm.
+  // pixelsPerMm follows raster.py: max(w,h) / max_logo_dim_mm. The bitmap
+  // is then rewritten as pure black / white, opaque, so potrace only ever
+  // sees the dilated result.
   const pixelsPerMm = Math.max(w, h) / maxLogoDimMm
   const thicknessPx = Math.max(0, Math.round(thicknessMm * pixelsPerMm))
-  dilateForeground(image, thicknessPx)
+  await yieldToEventLoop()
+  enterStage('dilate')
+  const mask = dilateMask(binary.mask, w, h, thicknessPx, { shape: dilationShape })
+  const data = image.bitmap.data
+  for (let i = 0, p = 0; i < mask.length; i++, p += 4) {
+    const v = mask[i] ? 0 : 255
+    data[p] = v
+    data[p + 1] = v
+    data[p + 2] = v
+    data[p + 3] = 255
+  }
 
   // Trace via potrace. The library accepts a Buffer (file bytes); we
   // serialize the post-dilate bitmap to PNG so potrace re-reads our binarized
   // pixels exactly. Passing a Jimp instance directly is not supported.
+  await yieldToEventLoop()
+  enterStage('trace')
   const pngBuffer = await image.getBufferAsync(Jimp.MIME_PNG)
   const tracedSvg = await new Promise((resolve, reject) => {
     potrace.trace(
@@ -151,6 +246,8 @@ export async function preprocessRaster(input, opts = {}) {
   // Potrace emits one <path> with many subpaths and (often) no explicit
   // fill-rule. Route through svgParse so clipper-lib's pftEvenOdd does the
   // shell/hole assembly the same way the Python pipeline does via shapely.
+  await yieldToEventLoop()
+  enterStage('xor')
   const { polygons, viewBox } = parseSvgToPolygons(tracedSvg)
 
   // Preserve the source-image viewBox in the output (matches raster.py's
@@ -159,6 +256,44 @@ export async function preprocessRaster(input, opts = {}) {
 
   return {
     svg: finalSvg,
-    stats: { nKept: polygons.length },
+    stats: {
+      nKept: polygons.length,
+      binarize: colors ? null : mode,
+      threshold: binary.threshold,
+      inverted: binary.inverted,
+      ...(colors ? { colors } : null),
+      downscale,
+    },
+  }
+}
+
+// Foreground = pixels whose nearest palette cluster was picked.
+function colorMask(rgba, w, h, colors, palette = colors) {
+  const picked = new Set(colors)
+  const unknown = colors.filter((id) => !palette.includes(id))
+  if (unknown.length > 0) {
+    throw new RangeError(`preprocessRaster: colors not in palette: ${unknown.join(', ')}`)
   }
+  const labels = classifyPixels(rgba, w, h, palette)
+  const selected = palette.map((id) => picked.has(id))
+  const mask = new Uint8Array(labels.length)
+  for (let i = 0; i < labels.length; i++) mask[i] = selected[labels[i]] ? 1 : 0
+  return { mask, threshold: null, inverted: false }
+}
+
+/**
+ * Cluster a raster's colors for the picker — the raster counterpart of
+ * listColors. Pass the returned ids back to preprocessRaster as `palette`,
+ * and the picked ones as `colors`.
+ *
+ * @param {Buffer|ArrayBuffer|Uint8Array|Blob|File} input
+ * @param {Object} [opts]  see quantizeColors (maxColors, minShare,
+ *   mergeDeltaE), plus `maxDimPx` as for preprocessRaster
+ * @returns {Promise<ReturnType<typeof quantizeColors>>}
+ */
+export async function listRasterColors(input, opts = {}) {
+  const { maxDimPx = DEFAULT_OPTS.maxDimPx, ...quantizeOpts } = opts
+  const { image } = await decodeRaster(input, maxDimPx)
+  const { data, width, height } = image.bitmap
+  return quantizeColors(data, width, height, quantizeOpts)
 }
@@ -0,0 +1,212 @@
+/**
+ * Cut sequencing for laser jobs.
+ *
+ * polygonsToSvg writes rings in whatever order Clipper's PolyTree walk
+ * produced, each starting wherever its first vertex happens to be.
+ * `sequenceCuts` reorders them for the laser:
+ *
+ *   - a ring lying inside another is cut first — holes before their
+ *     outers, islands in a hole before the hole — so nothing drops out or
+ *     shifts before the cuts inside it are done;
+ *   - each ring starts at its vertex nearest the head's position, and runs
+ *     counter-clockwise for outers, clockwise for holes (as seen on
+ *     screen), the CAM convention dxf.js writes;
+ *   - the order is built nearest-neighbor, then improved by 2-opt moves
+ *     that keep the inside-first rule.
+ *
+ * Travel is the head's rapid (beam-off) distance from `start` through
+ * every ring's entry point; a closed ring ends where it started.
+ */
+import { containsPoint, ringArea, ringBounds } from './geometry.js'
+
+// 2-opt is O(n²) per pass; past this many rings the nearest-neighbor
+// order stands on its own.
+const MAX_TWO_OPT_RINGS = 1000
+const MAX_TWO_OPT_PASSES = 20
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
+
+// Lower bound on the distance from `p` to anything inside `b`.
+function boundsDistance(b, p) {
+  const dx = Math.max(b.x0 - p.x, 0, p.x - b.x1)
+  const dy = Math.max(b.y0 - p.y, 0, p.y - b.y1)
+  return Math.hypot(dx, dy)
+}
+
+function nearestVertex(ring, p) {
+  let best = 0
+  let bestD = Infinity
+  for (let i = 0; i < ring.length; i++) {
+    const d = dist(ring[i], p)
+    if (d < bestD) {
+      bestD = d
+      best = i
+    }
+  }
+  return best
+}
+
+/**
+ * Ring `points` rotated to start at vertex `start`, then wound the way
+ * its kind runs (negative shoelace area is counter-clockwise on screen,
+ * y pointing down). Reversal keeps the start vertex first.
+ */
+function entered(points, start, kind) {
+  const rotated = [...points.slice(start), ...points.slice(0, start)]
+  const ccw = ringArea(rotated) < 0
+  if (ccw === (kind === 'outer')) return rotated
+  return [rotated[0], ...rotated.slice(1).reverse()]
+}
+
+function travelOf(order, entries, start) {
+  let total = 0
+  let head = start
+  for (const i of order) {
+    total += dist(head, entries[i])
+    head = entries[i]
+  }
+  return total
+}
+
+/**
+ * @param {import('./svgParse.js').Polygon[]} polygons
+ * @param {Object} [opts]
+ * @param {import('./svgParse.js').Point} [opts.start]  where the head sits
+ *   before the job; defaults to the art's top-left corner
+ * @returns {{
+ *   rings: { points: import('./svgParse.js').Point[], kind: 'outer'|'hole', polygon: number }[],
+ *   travel: { before: number, after: number },
+ * }}  rings in cut order, each starting at its entry point; `travel` is
+ *   the rapid distance (SVG units) of polygonsToSvg's order and of this one
+ */
+export function sequenceCuts(polygons, opts = {}) {
+  const rings = []
+  polygons.forEach((poly, polygon) => {
+    if (poly.outer.length > 0) rings.push({ points: poly.outer, kind: 'outer', polygon })
+    for (const hole of poly.holes) {
+      if (hole.length > 0) rings.push({ points: hole, kind: 'hole', polygon })
+    }
+  })
+  const n = rings.length
+  const bounds = rings.map((r) => ringBounds(r.points))
+  const start = opts.start ?? {
+    x: Math.min(...bounds.map((b) => b.x0)),
+    y: Math.min(...bounds.map((b) => b.y0)),
+  }
+  if (n === 0) return { rings: [], travel: { before: 0, after: 0 } }
+
+  const before = travelOf(
+    rings.map((_, i) => i),
+    rings.map((r) => r.points[0]),
+    start
+  )
+
+  // containers[i]: rings that enclose ring i, so must be cut after it.
+  // Rings don't cross, so one vertex inside decides it.
+  const areas = rings.map((r) => Math.abs(ringArea(r.points)))
+  const containers = rings.map(() => [])
+  const pending = new Array(n).fill(0)
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === j || areas[i] >= areas[j]) continue
+      const a = bounds[i]
+      const b = bounds[j]
+      if (a.x0 < b.x0 || a.y0 < b.y0 || a.x1 > b.x1 || a.y1 > b.y1) continue
+      if (containsPoint(rings[j].points, rings[i].points[0])) {
+        containers[i].push(j)
+        pending[j] += 1
+      }
+    }
+  }
+
+  // Nearest neighbor over the rings whose insides are all cut.
+  const order = []
+  const entryIndex = new Array(n)
+  const done = new Uint8Array(n)
+  let head = start
+  while (order.length < n) {
+    let best = -1
+    let bestD = Infinity
+    for (let i = 0; i < n; i++) {
+      if (done[i] || pending[i] > 0 || boundsDistance(bounds[i], head) >= bestD) continue
+      const v = nearestVertex(rings[i].points, head)
+      const d = dist(rings[i].points[v], head)
+      if (d < bestD) {
+        bestD = d
+        best = i
+        entryIndex[i] = v
+      }
+    }
+    done[best] = 1
+    order.push(best)
+    for (const c of containers[best]) pending[c] -= 1
+    head = rings[best].points[entryIndex[best]]
+  }
+
+  // 2-opt with entry points held fixed: reversing order[i..k] only
+  // changes its two boundary hops, and is allowed unless it puts a ring
+  // after one of its containers.
+  const entries = rings.map((r, i) => r.points[entryIndex[i]])
+  if (n <= MAX_TWO_OPT_RINGS) {
+    const pos = new Int32Array(n)
+    const point = (p) => (p < 0 ? start : entries[order[p]])
+    const keepsInsideFirst = (i, k) => {
+      for (let p = i; p <= k; p++) {
+        for (const c of containers[order[p]]) {
+          if (pos[c] >= i && pos[c] <= k) return false
+        }
+      }
+      return true
+    }
+    for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+      order.forEach((r, p) => {
+        pos[r] = p
+      })
+      let improved = false
+      for (let i = 0; i < n - 1; i++) {
+        for (let k = i + 1; k < n; k++) {
+          const prev = point(i - 1)
+          const a = point(i)
+          const b = point(k)
+          const next = k + 1 < n ? point(k + 1) : null
+          const old = dist(prev, a) + (next ? dist(b, next) : 0)
+          const now = dist(prev, b) + (next ? dist(a, next) : 0)
+          if (now >= old - 1e-9 || !keepsInsideFirst(i, k)) continue
+          order.splice(i, k - i + 1, ...order.slice(i, k + 1).reverse())
+          order.forEach((r, p) => {
+            pos[r] = p
+          })
+          improved = true
+        }
+      }
+      if (!improved) break
+    }
+  }
+
+  // Re-pick each entry as the vertex nearest the previous exit, if that
+  // beats the entries 2-opt worked with.
+  const repicked = []
+  head = start
+  for (const i of order) {
+    repicked[i] = nearestVertex(rings[i].points, head)
+    head = rings[i].points[repicked[i]]
+  }
+  const fixedTravel = travelOf(order, entries, start)
+  const repickedTravel = travelOf(
+    order,
+    rings.map((r, i) => r.points[repicked[i]]),
+    start
+  )
+  const starts = repickedTravel < fixedTravel ? repicked : entryIndex
+
+  return {
+    rings: order.map((i) => ({
+      points: entered(rings[i].points, starts[i], rings[i].kind),
+      kind: rings[i].kind,
+      polygon: rings[i].polygon,
+    })),
+    travel: { before, after: Math.min(fixedTravel, repickedTravel) },
+  }
+}
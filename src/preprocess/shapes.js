@@ -0,0 +1,187 @@
+/**
+ * SVG shape-element helpers shared by the DOM-walking preprocess passes
+ * (colorSelect, clipMask): basic shapes → path d-strings, transform
+ * composition up the tree, and which containers never paint in place.
+ */
+
+import SvgPath from 'svgpath'
+
+/* ---------------- Shape → path-d conversion ---------------- */
+
+function rectToD(el) {
+  const x = parseFloat(el.getAttribute('x') || '0')
+  const y = parseFloat(el.getAttribute('y') || '0')
+  const w = parseFloat(el.getAttribute('width') || '0')
+  const h = parseFloat(el.getAttribute('height') || '0')
+  // rx/ry rounded corners: ignored in v1, treated as sharp.
+  if (w <= 0 || h <= 0) return ''
+  return `M${x},${y} h${w} v${h} h${-w} Z`
+}
+
+function circleToD(el) {
+  const cx = parseFloat(el.getAttribute('cx') || '0')
+  const cy = parseFloat(el.getAttribute('cy') || '0')
+  const r = parseFloat(el.getAttribute('r') || '0')
+  if (r <= 0) return ''
+  return `M${cx - r},${cy} a${r},${r} 0 1,0 ${2 * r},0 a${r},${r} 0 1,0 ${-2 * r},0 Z`
+}
+
+function ellipseToD(el) {
+  const cx = parseFloat(el.getAttribute('cx') || '0')
+  const cy = parseFloat(el.getAttribute('cy') || '0')
+  const rx = parseFloat(el.getAttribute('rx') || '0')
+  const ry = parseFloat(el.getAttribute('ry') || '0')
+  if (rx <= 0 || ry <= 0) return ''
+  return `M${cx - rx},${cy} a${rx},${ry} 0 1,0 ${2 * rx},0 a${rx},${ry} 0 1,0 ${-2 * rx},0 Z`
+}
+
+function polyPointsToD(pointsAttr, closed) {
+  if (!pointsAttr) return ''
+  const nums = pointsAttr.match(/-?\d+(?:\.\d+)?(?:e[-+]?\d+)?/gi)
+  if (!nums || nums.length < 4) return ''
+  const cmds = []
+  for (let i = 0; i + 1 < nums.length; i += 2) {
+    cmds.push(`${i === 0 ? 'M' : 'L'}${nums[i]},${nums[i + 1]}`)
+  }
+  if (closed) cmds.push('Z')
+  return cmds.join(' ')
+}
+
+/**
+ * Path d-string for a basic shape element, in its own user space.
+ * Returns '' for elements that don't describe a filled region.
+ */
+export function elementToD(el) {
+  const tag = el.tagName.toLowerCase()
+  if (tag === 'path') return el.getAttribute('d') || ''
+  if (tag === 'rect') return rectToD(el)
+  if (tag === 'circle') return circleToD(el)
+  if (tag === 'ellipse') return ellipseToD(el)
+  if (tag === 'polygon') return polyPointsToD(el.getAttribute('points'), true)
+  if (tag === 'polyline') return polyPointsToD(el.getAttribute('points'), false)
+  // <line> stroke-only by default — skip; it's never a filled region.
+  return ''
+}
+
+/**
+ * Path d-string for a shape's stroke centerline: like elementToD, plus
+ * `<line>`, which can only ever paint a stroke.
+ */
+export function strokeGeometryD(el) {
+  if (el.tagName.toLowerCase() !== 'line') return elementToD(el)
+  const n = (name) => parseFloat(el.getAttribute(name) || '0')
+  return `M${n('x1')},${n('y1')} L${n('x2')},${n('y2')}`
+}
+
+export const SHAPE_SELECTOR = 'path, rect, circle, ellipse, polygon, polyline'
+
+const SHAPE_TAGS = new Set(SHAPE_SELECTOR.split(', '))
+
+export function isShapeElement(el) {
+  return el.nodeType === 1 && SHAPE_TAGS.has(localName(el))
+}
+
+/* ---------------- Transforms ---------------- */
+
+/**
+ * Compose the effective transform on `el` by walking leaf → root.
+ * Returns an SVG transform string ready for svgpath.transform().
+ *
+ * Math: when a path is wrapped as <g A><g B><path C/>, the effective transform
+ * on the path's coords is A·B·C. SVG transform-list semantics apply transforms
+ * right-to-left (innermost first), so the string "A B C" applies C first, then
+ * B, then A — exactly the hierarchy we want. Walking leaf→root collects
+ * [C, B, A]; reversing gives ["A", "B", "C"]; joining yields "A B C".
+ *
+ * `stopAt` (exclusive) limits the walk to the transforms below an ancestor,
+ * i.e. maps into that ancestor's own user space.
+ *
+ * Avoids DOMMatrix because jsdom doesn't ship it. svgpath parses SVG-spec
+ * transform strings natively, so this is the cleaner path.
+ */
+export function composeTransform(el, stopAt = null) {
+  const parts = []
+  let cur = el
+  while (cur && cur !== stopAt && cur.nodeType === 1 && cur.getAttribute) {
+    const t = cur.getAttribute('transform')
+    if (t) parts.push(t.trim())
+    cur = cur.parentNode
+  }
+  if (parts.length === 0) return ''
+  return parts.reverse().join(' ')
+}
+
+/**
+ * Uniform scale factor of a transform string — sqrt(|det|) of its linear
+ * part — for mapping lengths like stroke-width into absolute units.
+ */
+export function transformScale(transformStr) {
+  if (!transformStr) return 1
+  // Map the unit basis through the transform: origin, x̂ and ŷ.
+  const [ox, oy, ax, ay, bx, by] = new SvgPath('M0 0L1 0L0 1')
+    .transform(transformStr)
+    .abs()
+    .toString()
+    .match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi)
+    .map(Number)
+  const det = (ax - ox) * (by - oy) - (ay - oy) * (bx - ox)
+  return Math.sqrt(Math.abs(det))
+}
+
+/* ---------------- Tree structure ---------------- */
+
+export function localName(el) {
+  return (el.localName || el.nodeName || '').toLowerCase()
+}
+
+// Containers whose content is only ever drawn by reference (or used as a
+// clip/mask/fill source), never where it sits in the tree.
+const NON_RENDERED_CONTAINERS = new Set([
+  'defs',
+  'symbol',
+  'clippath',
+  'mask',
+  'pattern',
+  'marker',
+])
+
+export function inNonRenderedContainer(el) {
+  for (let cur = el.parentNode; cur && cur.nodeType === 1; cur = cur.parentNode) {
+    if (NON_RENDERED_CONTAINERS.has(localName(cur))) return true
+  }
+  return false
+}
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink'
+
+/** `href` / `xlink:href` of a referencing element, trimmed ('' if none). */
+export function hrefOf(el) {
+  return (
+    el.getAttribute('href') ||
+    el.getAttributeNS?.(XLINK_NS, 'href') ||
+    el.getAttribute('xlink:href') ||
+    ''
+  ).trim()
+}
+
+const URL_REF = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/i
+
+/**
+ * Fragment id from a paint/clip reference like `url(#a)` or
+ * `url("#a") red` (fallback ignored), or null.
+ */
+export function urlRefId(value) {
+  const m = value == null ? null : String(value).trim().match(URL_REF)
+  return m ? m[1] : null
+}
+
+/** id → first element carrying it. */
+export function collectIds(doc) {
+  const ids = new Map()
+  const all = doc.getElementsByTagName('*')
+  for (let i = 0; i < all.length; i++) {
+    const id = all[i].getAttribute('id')
+    if (id && !ids.has(id)) ids.set(id, all[i])
+  }
+  return ids
+}
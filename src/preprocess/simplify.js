@@ -0,0 +1,376 @@
+/**
+ * Output optimization for polygonsToSvg: fewer, smoother path nodes.
+ *
+ * Potrace traces and round-join offsets come out as thousands of tiny
+ * straight segments, which bloats the SVG and chokes CAM software. Each
+ * ring is reduced within a tolerance (SVG units):
+ *
+ *   1. Douglas–Peucker keeps a vertex only where dropping it would move
+ *      the outline by more than the tolerance. Every dropped vertex lies
+ *      within the tolerance of the chord replacing it, and the chord's
+ *      ends are original vertices, so the Hausdorff distance between old
+ *      and new outline is within the tolerance both ways.
+ *   2. Optionally (`fitCurves`), runs of short chords between corners are
+ *      refit as cubic Béziers (Schneider's least-squares fit, tangents
+ *      taken from the neighboring chords so consecutive curves join
+ *      smoothly). A curve is accepted only if densely sampled, it stays
+ *      within the tolerance of the original run and the original run stays
+ *      within the tolerance of it; otherwise the run is split at its
+ *      middle vertex and each half tried again, down to single chords.
+ *
+ * Rings are reduced independently, so the tolerance should stay well under
+ * the gaps between features (the manufacturability defaults are two orders
+ * of magnitude apart).
+ */
+
+// A turn sharper than this between consecutive chords is a corner, where
+// curve runs start and end.
+const CORNER_ANGLE = Math.PI / 4
+
+const NEWTON_STEPS = 4
+
+// Curve samples per original vertex (at least MIN_SAMPLES) when checking
+// a fit.
+const SAMPLES_PER_POINT = 4
+const MIN_SAMPLES = 24
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y }
+}
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y }
+}
+function scale(a, s) {
+  return { x: a.x * s, y: a.y * s }
+}
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y
+}
+function normalize(a) {
+  const len = Math.hypot(a.x, a.y)
+  return len > 0 ? { x: a.x / len, y: a.y / len } : null
+}
+
+// Squared distance from p to segment ab.
+function segmentDist2(p, a, b) {
+  const ab = sub(b, a)
+  const len2 = dot(ab, ab)
+  let t = len2 > 0 ? dot(sub(p, a), ab) / len2 : 0
+  t = Math.max(0, Math.min(1, t))
+  const d = sub(p, add(a, scale(ab, t)))
+  return dot(d, d)
+}
+
+// Whether p is within sqrt(tol2) of the polyline.
+function nearPolyline(p, line, tol2) {
+  for (let i = 1; i < line.length; i++) {
+    if (segmentDist2(p, line[i - 1], line[i]) <= tol2) return true
+  }
+  return line.length === 1 && dot(sub(p, line[0]), sub(p, line[0])) <= tol2
+}
+
+/**
+ * Douglas–Peucker on a closed ring. Returns the kept vertex indices in
+ * ring order; rings that would collapse below a triangle are kept whole.
+ *
+ * @param {{x: number, y: number}[]} ring  no repeated closing vertex
+ * @param {number} tolerance
+ * @returns {number[]}
+ */
+export function simplifyRingIndices(ring, tolerance) {
+  const n = ring.length
+  const all = ring.map((_, i) => i)
+  if (n <= 3 || !(tolerance > 0)) return all
+
+  // Anchor on vertex 0 and the vertex farthest from it; DP each half.
+  let far = 0
+  let farD = -1
+  for (let i = 1; i < n; i++) {
+    const d = sub(ring[i], ring[0])
+    if (dot(d, d) > farD) {
+      farD = dot(d, d)
+      far = i
+    }
+  }
+  if (farD <= 0) return all
+
+  const at = (i) => ring[i % n]
+  const tol2 = tolerance * tolerance
+  const keep = new Uint8Array(n)
+  keep[0] = 1
+  keep[far] = 1
+  const stack = [
+    [0, far],
+    [far, n],
+  ]
+  while (stack.length > 0) {
+    const [a, b] = stack.pop()
+    let maxD = -1
+    let idx = -1
+    for (let i = a + 1; i < b; i++) {
+      const d = segmentDist2(ring[i], at(a), at(b))
+      if (d > maxD) {
+        maxD = d
+        idx = i
+      }
+    }
+    if (maxD > tol2) {
+      keep[idx] = 1
+      stack.push([a, idx], [idx, b])
+    }
+  }
+  const kept = all.filter((i) => keep[i])
+  return kept.length >= 3 ? kept : all
+}
+
+/**
+ * Douglas–Peucker on an open polyline. Both ends are always kept.
+ *
+ * @param {{x: number, y: number}[]} line
+ * @param {number} tolerance
+ * @returns {number[]}  kept vertex indices, in order
+ */
+export function simplifyPolylineIndices(line, tolerance) {
+  const n = line.length
+  const all = line.map((_, i) => i)
+  if (n <= 2 || !(tolerance > 0)) return all
+
+  const tol2 = tolerance * tolerance
+  const keep = new Uint8Array(n)
+  keep[0] = 1
+  keep[n - 1] = 1
+  const stack = [[0, n - 1]]
+  while (stack.length > 0) {
+    const [a, b] = stack.pop()
+    let maxD = -1
+    let idx = -1
+    for (let i = a + 1; i < b; i++) {
+      const d = segmentDist2(line[i], line[a], line[b])
+      if (d > maxD) {
+        maxD = d
+        idx = i
+      }
+    }
+    if (maxD > tol2) {
+      keep[idx] = 1
+      stack.push([a, idx], [idx, b])
+    }
+  }
+  return all.filter((i) => keep[i])
+}
+
+/* ---------------- cubic Bézier fitting ---------------- */
+
+function bezierAt(bez, t) {
+  const mt = 1 - t
+  const a = mt * mt * mt
+  const b = 3 * mt * mt * t
+  const c = 3 * mt * t * t
+  const d = t * t * t
+  return {
+    x: a * bez[0].x + b * bez[1].x + c * bez[2].x + d * bez[3].x,
+    y: a * bez[0].y + b * bez[1].y + c * bez[2].y + d * bez[3].y,
+  }
+}
+
+function bezierDeriv(bez, t) {
+  const mt = 1 - t
+  const a = 3 * mt * mt
+  const b = 6 * mt * t
+  const c = 3 * t * t
+  return {
+    x: a * (bez[1].x - bez[0].x) + b * (bez[2].x - bez[1].x) + c * (bez[3].x - bez[2].x),
+    y: a * (bez[1].y - bez[0].y) + b * (bez[2].y - bez[1].y) + c * (bez[3].y - bez[2].y),
+  }
+}
+
+function bezierDeriv2(bez, t) {
+  const mt = 1 - t
+  return {
+    x: 6 * mt * (bez[2].x - 2 * bez[1].x + bez[0].x) + 6 * t * (bez[3].x - 2 * bez[2].x + bez[1].x),
+    y: 6 * mt * (bez[2].y - 2 * bez[1].y + bez[0].y) + 6 * t * (bez[3].y - 2 * bez[2].y + bez[1].y),
+  }
+}
+
+function chordLengthParams(pts) {
+  const u = [0]
+  for (let i = 1; i < pts.length; i++) {
+    u.push(u[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y))
+  }
+  const total = u[u.length - 1]
+  return total > 0 ? u.map((v) => v / total) : u
+}
+
+// Schneider's least-squares control points for fixed end tangents.
+// `t2` points from the last point back into the curve.
+function generateBezier(pts, u, t1, t2) {
+  const p0 = pts[0]
+  const p3 = pts[pts.length - 1]
+  let c00 = 0
+  let c01 = 0
+  let c11 = 0
+  let x0 = 0
+  let x1 = 0
+  for (let i = 0; i < pts.length; i++) {
+    const t = u[i]
+    const mt = 1 - t
+    const b0 = mt * mt * mt
+    const b1 = 3 * mt * mt * t
+    const b2 = 3 * mt * t * t
+    const b3 = t * t * t
+    const a1 = scale(t1, b1)
+    const a2 = scale(t2, b2)
+    c00 += dot(a1, a1)
+    c01 += dot(a1, a2)
+    c11 += dot(a2, a2)
+    const rest = sub(pts[i], add(scale(p0, b0 + b1), scale(p3, b2 + b3)))
+    x0 += dot(a1, rest)
+    x1 += dot(a2, rest)
+  }
+  const chord = Math.hypot(p3.x - p0.x, p3.y - p0.y)
+  const det = c00 * c11 - c01 * c01
+  let alpha1 = NaN
+  let alpha2 = NaN
+  if (Math.abs(det) > 1e-12) {
+    alpha1 = (x0 * c11 - x1 * c01) / det
+    alpha2 = (c00 * x1 - c01 * x0) / det
+  }
+  const eps = 1e-6 * chord
+  if (!(alpha1 > eps) || !(alpha2 > eps)) {
+    // Degenerate system or a looped solution: fall back to the
+    // Wu–Barsky heuristic.
+    alpha1 = chord / 3
+    alpha2 = chord / 3
+  }
+  return [p0, add(p0, scale(t1, alpha1)), add(p3, scale(t2, alpha2)), p3]
+}
+
+// One Newton step per point towards its nearest curve parameter.
+function reparameterize(bez, pts, u) {
+  return u.map((t, i) => {
+    const d = sub(bezierAt(bez, t), pts[i])
+    const d1 = bezierDeriv(bez, t)
+    const d2 = bezierDeriv2(bez, t)
+    const den = dot(d1, d1) + dot(d, d2)
+    if (den === 0) return t
+    return Math.max(0, Math.min(1, t - dot(d, d1) / den))
+  })
+}
+
+// Two-way deviation check between a curve and the run it replaces.
+function fitsWithin(bez, pts, tol2) {
+  const n = Math.max(MIN_SAMPLES, SAMPLES_PER_POINT * pts.length)
+  const samples = []
+  for (let i = 0; i <= n; i++) samples.push(bezierAt(bez, i / n))
+  for (const s of samples) {
+    if (!nearPolyline(s, pts, tol2)) return false
+  }
+  for (const p of pts) {
+    if (!nearPolyline(p, samples, tol2)) return false
+  }
+  return true
+}
+
+/**
+ * Fit one cubic through `pts` with the given end tangents, or null when no
+ * cubic stays within the tolerance.
+ */
+function fitCubic(pts, t1, t2, tolerance) {
+  const tol2 = tolerance * tolerance
+  let u = chordLengthParams(pts)
+  let bez = generateBezier(pts, u, t1, t2)
+  for (let step = 0; step < NEWTON_STEPS; step++) {
+    u = reparameterize(bez, pts, u)
+    bez = generateBezier(pts, u, t1, t2)
+  }
+  // Cheap rejection before the dense check: points far off their own
+  // parameter's position won't come within the tolerance anywhere.
+  for (let i = 0; i < pts.length; i++) {
+    const d = sub(bezierAt(bez, u[i]), pts[i])
+    if (dot(d, d) > 16 * tol2) return null
+  }
+  return fitsWithin(bez, pts, tol2) ? bez : null
+}
+
+/**
+ * Cover kept vertices `kept[i0..i1]` of the open polyline `pts` with
+ * curves and lines, appending segments to `out`.
+ */
+function fitRun(pts, kept, i0, i1, t1, t2, tolerance, out) {
+  if (i1 - i0 === 1 || !t1 || !t2) {
+    for (let i = i0 + 1; i <= i1; i++) out.push({ to: pts[kept[i]] })
+    return
+  }
+  const bez = fitCubic(pts.slice(kept[i0], kept[i1] + 1), t1, t2, tolerance)
+  if (bez) {
+    out.push({ c1: bez[1], c2: bez[2], to: bez[3] })
+    return
+  }
+  const m = (i0 + i1) >> 1
+  const tm = normalize(sub(pts[kept[m + 1]], pts[kept[m - 1]]))
+  fitRun(pts, kept, i0, m, t1, tm && scale(tm, -1), tolerance, out)
+  fitRun(pts, kept, m, i1, tm, t2, tolerance, out)
+}
+
+/**
+ * Reduce a closed ring to a start point plus line / cubic segments, the
+ * last of which returns to the start.
+ *
+ * @param {{x: number, y: number}[]} ring
+ * @param {number} tolerance  max Hausdorff deviation, SVG units
+ * @param {{fitCurves?: boolean}} [opts]
+ * @returns {{start: Point, segments: ({to: Point}|{c1: Point, c2: Point, to: Point})[]}}
+ */
+export function outlineRing(ring, tolerance, { fitCurves = false } = {}) {
+  const idx = simplifyRingIndices(ring, tolerance)
+  const m = idx.length
+  if (!fitCurves || m < 3) {
+    return {
+      start: ring[idx[0]],
+      segments: [...idx.slice(1), idx[0]].map((i) => ({ to: ring[i] })),
+    }
+  }
+
+  const chordAt = (j) => sub(ring[idx[(j + 1) % m]], ring[idx[j % m]])
+  const corners = []
+  for (let j = 0; j < m; j++) {
+    const a = normalize(chordAt(j + m - 1))
+    const b = normalize(chordAt(j))
+    if (!a || !b || Math.acos(Math.max(-1, Math.min(1, dot(a, b)))) > CORNER_ANGLE) {
+      corners.push(j)
+    }
+  }
+
+  // Unroll the ring into an open polyline starting at the first corner
+  // (any vertex if it's smooth all round) and ending back on it.
+  const first = corners.length > 0 ? corners[0] : 0
+  const n = ring.length
+  const s = idx[first]
+  const pts = []
+  for (let k = 0; k <= n; k++) pts.push(ring[(s + k) % n])
+  const kept = []
+  for (let j = 0; j < m; j++) kept.push((idx[(first + j) % m] - s + n) % n)
+  kept.push(n)
+  const bounds = [...new Set([0, ...corners.map((j) => (j - first + m) % m), m])].sort(
+    (a, b) => a - b
+  )
+
+  const isCorner = corners.length > 0
+  // Tangent leaving kept position `a` forwards / arriving at `b` backwards.
+  const startTangent = (a) =>
+    a === 0 && !isCorner
+      ? normalize(sub(pts[kept[1]], pts[kept[m - 1]]))
+      : normalize(sub(pts[kept[a + 1]], pts[kept[a]]))
+  const endTangent = (b) =>
+    b === m && !isCorner
+      ? normalize(sub(pts[kept[m - 1]], pts[kept[1]]))
+      : normalize(sub(pts[kept[b - 1]], pts[kept[b]]))
+
+  const segments = []
+  for (let r = 1; r < bounds.length; r++) {
+    const a = bounds[r - 1]
+    const b = bounds[r]
+    fitRun(pts, kept, a, b, startTangent(a), endTangent(b), tolerance, segments)
+  }
+  return { start: pts[0], segments }
+}
@@ -0,0 +1,465 @@
+/**
+ * Centerlines of the black art: the path LED neon flex follows when it's
+ * laid into a groove instead of lighting a cut-out fill.
+ *
+ * The polygons are rasterized (even-odd, sampled at cell centres), thinned
+ * to one-cell-wide curves (Zhang–Suen, then a pass dropping the staircase
+ * corners it leaves so every curve is minimally 8-connected), and traced
+ * into a graph: nodes are line ends and junctions, edges the one-cell runs
+ * between them. Short edges hanging off a junction — the spurs thinning
+ * grows toward every convex corner of a stroke — are pruned, and what's
+ * left is joined through the nodes pruning leaves at degree 2 into
+ * polylines, each smoothed over a few cells and Douglas–Peucker'd back
+ * down to a few vertices.
+ *
+ * Everything is in SVG units; the result is accurate to about a cell.
+ */
+import { simplifyPolylineIndices, simplifyRingIndices } from './simplify.js'
+
+// Default grid: the art's longest side over this many cells, but never
+// finer than MAX_GRID_CELLS.
+const DEFAULT_GRID_CELLS = 400
+const MAX_GRID_CELLS = 2000
+
+// Cell chains are averaged over this many cells either side before
+// simplifying, which irons out the grid's stair-step wobble.
+const SMOOTH_CELLS = 2
+
+// Neighbours clockwise from north (Zhang–Suen's P2..P9).
+const DX = [0, 1, 1, 1, 0, -1, -1, -1]
+const DY = [-1, -1, 0, 1, 1, 1, 0, -1]
+
+// COMPONENTS[bits]: how many 8-connected groups the set neighbours (bit k
+// for neighbour k) form among themselves. Ring-adjacent neighbours touch,
+// and so do consecutive orthogonal ones (N and E meet diagonally).
+const COMPONENTS = Array.from({ length: 256 }, (_, bits) => {
+  const seen = new Uint8Array(8)
+  let groups = 0
+  for (let k = 0; k < 8; k++) {
+    if (!(bits & (1 << k)) || seen[k]) continue
+    groups += 1
+    const stack = [k]
+    seen[k] = 1
+    while (stack.length > 0) {
+      const j = stack.pop()
+      const near = [(j + 1) % 8, (j + 7) % 8]
+      if (j % 2 === 0) near.push((j + 2) % 8, (j + 6) % 8)
+      for (const m of near) {
+        if (bits & (1 << m) && !seen[m]) {
+          seen[m] = 1
+          stack.push(m)
+        }
+      }
+    }
+  }
+  return groups
+})
+
+function rasterize(polygons, grid) {
+  const { x0, y0, cell, w, h } = grid
+  const mask = new Uint8Array(w * h)
+  // Edges bucketed by the first row whose centre they cross.
+  const starts = Array.from({ length: h }, () => [])
+  for (const poly of polygons) {
+    for (const ring of [poly.outer, ...poly.holes]) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[i]
+        const b = ring[(i + 1) % ring.length]
+        if (a.y === b.y) continue
+        const top = Math.min(a.y, b.y)
+        const row = Math.max(0, Math.ceil((top - y0) / cell - 0.5))
+        if (row < h) starts[row].push({ a, b, bottom: Math.max(a.y, b.y) })
+      }
+    }
+  }
+  let active = []
+  const xs = []
+  for (let row = 0; row < h; row++) {
+    const y = y0 + (row + 0.5) * cell
+    active = active.filter((e) => e.bottom > y).concat(starts[row].filter((e) => e.bottom > y))
+    xs.length = 0
+    for (const { a, b } of active) {
+      if (a.y > y !== b.y > y) xs.push(a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y))
+    }
+    xs.sort((p, q) => p - q)
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil((xs[k] - x0) / cell - 0.5))
+      const c1 = Math.min(w - 1, Math.floor((xs[k + 1] - x0) / cell - 0.5))
+      mask.fill(1, row * w + c0, row * w + c1 + 1)
+    }
+  }
+  return mask
+}
+
+function neighbourBits(mask, i, off) {
+  let bits = 0
+  for (let k = 0; k < 8; k++) if (mask[i + off[k]]) bits |= 1 << k
+  return bits
+}
+
+function popcount(bits) {
+  let n = 0
+  for (; bits; bits &= bits - 1) n += 1
+  return n
+}
+
+// Whether Zhang–Suen's subiteration `step` removes cell i.
+function deletable(mask, i, off, step) {
+  const bits = neighbourBits(mask, i, off)
+  const count = popcount(bits)
+  if (count < 2 || count > 6) return false
+  let transitions = 0
+  for (let k = 0; k < 8; k++) {
+    if (!(bits & (1 << k)) && bits & (1 << ((k + 1) % 8))) transitions += 1
+  }
+  if (transitions !== 1) return false
+  const n = bits & 1
+  const e = bits & 4
+  const s = bits & 16
+  const w = bits & 64
+  return step === 0 ? !((n && e && s) || (e && s && w)) : !((n && e && w) || (n && s && w))
+}
+
+// Zhang–Suen thinning in place; returns the surviving cells. Each marked
+// cell is checked again as it's removed, which keeps the last cell of a
+// two-cell-thick blob (plain Zhang–Suen erases a 2×2 square outright).
+function thin(mask, off) {
+  let cells = []
+  for (let i = 0; i < mask.length; i++) if (mask[i]) cells.push(i)
+  for (let changed = true; changed; ) {
+    changed = false
+    for (let step = 0; step < 2; step++) {
+      const marked = cells.filter((i) => deletable(mask, i, off, step))
+      let removed = 0
+      for (const i of marked) {
+        if (!deletable(mask, i, off, step)) continue
+        mask[i] = 0
+        removed += 1
+      }
+      if (removed > 0) {
+        cells = cells.filter((i) => mask[i])
+        changed = true
+      }
+    }
+  }
+  return cells
+}
+
+// Drop cells whose neighbours stay connected without them: first the
+// inside corner of every diagonal step, then the one-cell bumps left
+// beside a line (two neighbours, touching each other). Doing the steps
+// first turns every staircase into a clean diagonal, so the second pass
+// can't eat a line from its end. Line ends and interior cells stay.
+function removeStaircases(mask, cells, off) {
+  for (const minCount of [3, 2]) {
+    for (const i of cells) {
+      if (!mask[i]) continue
+      const bits = neighbourBits(mask, i, off)
+      const count = popcount(bits)
+      if (count < minCount || (minCount === 2 && count > 2)) continue
+      if ((bits & 0b1010101) === 0b1010101) continue
+      if (COMPONENTS[bits] === 1) mask[i] = 0
+    }
+  }
+  return cells.filter((i) => mask[i])
+}
+
+/**
+ * Graph of a thinned mask: nodes are line ends (one neighbour) and
+ * junctions (each 8-connected clump of cells with three or more
+ * neighbours, sited at its centroid); edges run cell by cell between them.
+ * Closed curves with no node on them come back as `loops`.
+ */
+function traceGraph(mask, cells, w, off) {
+  const degree = new Uint8Array(mask.length)
+  for (const i of cells) degree[i] = popcount(neighbourBits(mask, i, off))
+  const cellPoint = (i) => ({ x: i % w, y: Math.floor(i / w) })
+
+  const nodeOf = new Int32Array(mask.length).fill(-1)
+  const nodes = []
+  let isolated = 0
+  for (const i of cells) {
+    if (degree[i] === 2 || nodeOf[i] >= 0) continue
+    if (degree[i] === 0) {
+      isolated += 1
+      continue
+    }
+    const id = nodes.length
+    const members = [i]
+    nodeOf[i] = id
+    if (degree[i] >= 3) {
+      for (let m = 0; m < members.length; m++) {
+        for (let k = 0; k < 8; k++) {
+          const q = members[m] + off[k]
+          if (mask[q] && degree[q] >= 3 && nodeOf[q] < 0) {
+            nodeOf[q] = id
+            members.push(q)
+          }
+        }
+      }
+    }
+    const at = members.map(cellPoint)
+    nodes.push({
+      x: at.reduce((sum, p) => sum + p.x, 0) / at.length,
+      y: at.reduce((sum, p) => sum + p.y, 0) / at.length,
+      members,
+    })
+  }
+
+  const edges = []
+  const visited = new Uint8Array(mask.length)
+  const edge = (a, b, path) => {
+    const points = [nodes[a], ...path.map(cellPoint), nodes[b]].map(({ x, y }) => ({ x, y }))
+    let length = 0
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y)
+    }
+    edges.push({ a, b, points, length })
+  }
+  const step = (cur, prev) => {
+    for (let k = 0; k < 8; k++) {
+      const q = cur + off[k]
+      if (mask[q] && q !== prev) return q
+    }
+    return -1
+  }
+  nodes.forEach(({ members }, id) => {
+    for (const s of members) {
+      for (let k = 0; k < 8; k++) {
+        const q = s + off[k]
+        if (!mask[q] || nodeOf[q] === id) continue
+        if (nodeOf[q] >= 0) {
+          if (nodeOf[q] > id) edge(id, nodeOf[q], [])
+          continue
+        }
+        if (visited[q]) continue
+        const path = []
+        let prev = s
+        let cur = q
+        while (cur >= 0 && nodeOf[cur] < 0) {
+          visited[cur] = 1
+          path.push(cur)
+          const next = step(cur, prev)
+          prev = cur
+          cur = next
+        }
+        if (cur >= 0) edge(id, nodeOf[cur], path)
+      }
+    }
+  })
+
+  const loops = []
+  for (const i of cells) {
+    if (degree[i] !== 2 || visited[i] || nodeOf[i] >= 0) continue
+    const path = [i]
+    visited[i] = 1
+    let prev = i
+    let cur = step(i, -1)
+    while (cur >= 0 && cur !== i && !visited[cur]) {
+      visited[cur] = 1
+      path.push(cur)
+      const next = step(cur, prev)
+      prev = cur
+      cur = next
+    }
+    loops.push(path.map(cellPoint))
+  }
+  return { nodes, edges, loops, isolated }
+}
+
+function lengthOf(points, closed) {
+  let length = 0
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y)
+  }
+  if (closed && points.length > 1) {
+    const a = points[points.length - 1]
+    length += Math.hypot(points[0].x - a.x, points[0].y - a.y)
+  }
+  return length
+}
+
+/**
+ * Repeatedly drops edges shorter than `pruneLength` that end in nothing on
+ * one side and a junction on the other, and short loops on a junction. A
+ * junction always keeps its longest edge, so a small star shrinks to its
+ * longest arm rather than vanishing. Short edges with nothing at either end
+ * are dropped too, and counted.
+ */
+function prune(nodeCount, edges, pruneLength) {
+  let live = edges
+  let dropped = 0
+  for (;;) {
+    const degree = new Array(nodeCount).fill(0)
+    for (const e of live) {
+      degree[e.a] += 1
+      degree[e.b] += 1
+    }
+    const junctionOf = (e) => {
+      if (e.length >= pruneLength) return -1
+      if (e.a === e.b) return degree[e.a] > 2 ? e.a : -1
+      if (degree[e.a] === 1 && degree[e.b] >= 3) return e.b
+      if (degree[e.b] === 1 && degree[e.a] >= 3) return e.a
+      return -1
+    }
+    const spurs = new Map()
+    for (const e of live) {
+      const j = junctionOf(e)
+      if (j >= 0) spurs.set(j, [...(spurs.get(j) ?? []), e])
+    }
+    const cut = new Set()
+    for (const [j, list] of spurs) {
+      const ends = list.reduce((n, e) => n + (e.a === e.b ? 2 : 1), 0)
+      if (ends >= degree[j]) list.sort((p, q) => q.length - p.length).shift()
+      for (const e of list) cut.add(e)
+    }
+    for (const e of live) {
+      if (e.length < pruneLength && e.a !== e.b && degree[e.a] === 1 && degree[e.b] === 1) {
+        cut.add(e)
+        dropped += 1
+      }
+    }
+    if (cut.size === 0) return { edges: live, dropped }
+    live = live.filter((e) => !cut.has(e))
+  }
+}
+
+// Joins edges end to end through every degree-2 node.
+function joinRuns(nodeCount, edges) {
+  const incident = Array.from({ length: nodeCount }, () => [])
+  edges.forEach((e, i) => {
+    incident[e.a].push(i)
+    incident[e.b].push(i)
+  })
+  const used = new Uint8Array(edges.length)
+  const follow = (start, first) => {
+    const points = []
+    let at = start
+    let e = first
+    for (;;) {
+      used[e] = 1
+      const { a, b, points: seq } = edges[e]
+      const forward = a === at
+      const ordered = forward ? seq : [...seq].reverse()
+      points.push(...(points.length > 0 ? ordered.slice(1) : ordered))
+      at = forward ? b : a
+      if (incident[at].length !== 2) break
+      const next = incident[at].find((j) => !used[j])
+      if (next === undefined) break
+      e = next
+    }
+    return points
+  }
+
+  const runs = []
+  incident.forEach((list, node) => {
+    if (list.length === 2) return
+    for (const e of list) if (!used[e]) runs.push({ points: follow(node, e), closed: false })
+  })
+  // Whatever is left is a cycle through degree-2 nodes only.
+  edges.forEach((e, i) => {
+    if (used[i]) return
+    const points = follow(e.a, i)
+    runs.push({ points: points.slice(0, -1), closed: true })
+  })
+  return runs
+}
+
+// Moving average along a chain of cell centres. Open chains keep their
+// ends, with the window narrowing toward them.
+function smooth(points, closed) {
+  const n = points.length
+  return points.map((p, i) => {
+    const r = closed
+      ? Math.min(SMOOTH_CELLS, Math.floor((n - 1) / 2))
+      : Math.min(SMOOTH_CELLS, i, n - 1 - i)
+    if (r < 1) return p
+    let x = 0
+    let y = 0
+    for (let k = -r; k <= r; k++) {
+      const q = points[(i + k + n) % n]
+      x += q.x
+      y += q.y
+    }
+    return { x: x / (2 * r + 1), y: y / (2 * r + 1) }
+  })
+}
+
+/**
+ * @typedef {Object} Centerline
+ * @property {import('./svgParse.js').Point[]} points  SVG units; a closed
+ *   centerline doesn't repeat its first point
+ * @property {boolean} closed
+ */
+
+/**
+ * @param {import('./svgParse.js').Polygon[]} polygons  black islands, as
+ *   parseSvgToPolygons returns them
+ * @param {Object} [opts]
+ * @param {number} [opts.cellSize]  raster cell (SVG units); defaults to the
+ *   art's longest side / 400, and is never finer than / 2000
+ * @param {number} [opts.pruneLength]  spurs shorter than this are pruned,
+ *   as are stray centerlines shorter than it (SVG units); defaults to three
+ *   cells, enough to clear thinning noise but not the tines at stroke ends
+ * @param {number} [opts.tolerance]  Douglas–Peucker tolerance for the
+ *   output polylines; defaults to one cell
+ * @returns {{ centerlines: Centerline[], cellSize: number, dropped: number }}
+ *   `dropped` counts pieces of art too small to leave a centerline longer
+ *   than `pruneLength`
+ */
+export function skeletonize(polygons, opts = {}) {
+  let x0 = Infinity
+  let y0 = Infinity
+  let x1 = -Infinity
+  let y1 = -Infinity
+  for (const poly of polygons) {
+    for (const p of poly.outer) {
+      if (p.x < x0) x0 = p.x
+      if (p.y < y0) y0 = p.y
+      if (p.x > x1) x1 = p.x
+      if (p.y > y1) y1 = p.y
+    }
+  }
+  const longest = Math.max(x1 - x0, y1 - y0)
+  if (!(longest > 0)) return { centerlines: [], cellSize: 0, dropped: 0 }
+
+  const cellSize = Math.max(opts.cellSize ?? longest / DEFAULT_GRID_CELLS, longest / MAX_GRID_CELLS)
+  const { pruneLength = 3 * cellSize, tolerance = cellSize } = opts
+
+  // One empty cell of margin all round, so no cell's neighbours fall off
+  // the grid.
+  const grid = {
+    x0: x0 - cellSize,
+    y0: y0 - cellSize,
+    cell: cellSize,
+    w: Math.ceil((x1 - x0) / cellSize) + 3,
+    h: Math.ceil((y1 - y0) / cellSize) + 3,
+  }
+  const off = DX.map((dx, k) => DY[k] * grid.w + dx)
+  const mask = rasterize(polygons, grid)
+  const cells = removeStaircases(mask, thin(mask, off), off)
+  const { nodes, edges, loops, isolated } = traceGraph(mask, cells, grid.w, off)
+
+  const pruneCells = pruneLength / cellSize
+  const pruned = prune(nodes.length, edges, pruneCells)
+  let dropped = isolated + pruned.dropped
+  const runs = joinRuns(nodes.length, pruned.edges)
+  for (const loop of loops) {
+    if (lengthOf(loop, true) < pruneCells) dropped += 1
+    else runs.push({ points: loop, closed: true })
+  }
+
+  const centerlines = []
+  for (const { points, closed } of runs) {
+    const svgPoints = smooth(points, closed).map((p) => ({
+      x: grid.x0 + (p.x + 0.5) * cellSize,
+      y: grid.y0 + (p.y + 0.5) * cellSize,
+    }))
+    const kept = closed
+      ? simplifyRingIndices(svgPoints, tolerance)
+      : simplifyPolylineIndices(svgPoints, tolerance)
+    if (kept.length < 2) continue
+    centerlines.push({ points: kept.map((i) => svgPoints[i]), closed })
+  }
+  return { centerlines, cellSize, dropped }
+}
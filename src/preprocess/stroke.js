@@ -0,0 +1,242 @@
+/**
+ * Stroke centerlines → filled ribbon rings, honoring the stroke style.
+ *
+ * Shared by strokesToBlackSvg (stroke-only line art) and selectByColor
+ * (strokes picked alongside fills). Each flattened subpath is offset by
+ * half the stroke width with Clipper, mapping the SVG properties onto
+ * Clipper's join / end types:
+ *
+ *   stroke-linejoin   miter, miter-clip, arcs → jtMiter, limit taken
+ *                     straight from stroke-miterlimit (SVG's miter length
+ *                     per stroke width is the same ratio as Clipper's tip
+ *                     distance per offset); round → jtRound; bevel →
+ *                     jtSquare (Clipper has no true bevel; squaring at the
+ *                     offset distance is the nearest it gets)
+ *   stroke-linecap    butt → etOpenButt, round → etOpenRound,
+ *                     square → etOpenSquare
+ *   closed subpaths   (`Z`, rect, circle, polygon…) → etClosedLine, so the
+ *                     start/end vertex gets a join instead of two caps
+ *
+ * `stroke-dasharray` / `stroke-dashoffset` split each subpath into dashes
+ * first; every dash is an open polyline with its own caps, as browsers draw
+ * them. Zero-length dashes (and zero-length subpaths) become dots under
+ * round / square caps and vanish under butt.
+ */
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js'
+import ClipperLib from 'clipper-lib'
+
+import { clipperSpaceFor } from './clipperSpace.js'
+import { DEFAULT_CURVE_TOLERANCE_MM, flattenSubPath } from './flatten.js'
+import { localName } from './shapes.js'
+
+const LINECAPS = new Set(['butt', 'round', 'square'])
+const LINEJOINS = new Set(['miter', 'miter-clip', 'arcs', 'round', 'bevel'])
+
+const END_TYPES = {
+  butt: ClipperLib.EndType.etOpenButt,
+  round: ClipperLib.EndType.etOpenRound,
+  square: ClipperLib.EndType.etOpenSquare,
+}
+
+function joinType(linejoin) {
+  if (linejoin === 'round') return ClipperLib.JoinType.jtRound
+  if (linejoin === 'bevel') return ClipperLib.JoinType.jtSquare
+  return ClipperLib.JoinType.jtMiter
+}
+
+/**
+ * Parse a `stroke-dasharray` value into lengths, or null for a solid stroke
+ * ("none", invalid or negative entries, percentages, or an all-zero list).
+ */
+function parseDashArray(value) {
+  if (value == null || value.trim() === 'none') return null
+  const parts = value.trim().split(/[\s,]+/)
+  const lengths = []
+  for (const part of parts) {
+    if (part.endsWith('%')) return null
+    const n = parseFloat(part)
+    if (!Number.isFinite(n) || n < 0) return null
+    lengths.push(n)
+  }
+  if (!lengths.some((n) => n > 0)) return null
+  // An odd-length list repeats to make the on/off pairs even.
+  return lengths.length % 2 ? [...lengths, ...lengths] : lengths
+}
+
+/**
+ * Resolve the stroke style of `el` through the CSS cascade. Dash lengths
+ * are multiplied by `scale` (the element's transform scale) so they line
+ * up with an absolute centerline.
+ *
+ * @param {ReturnType<import('./cssStyle.js').createStyleResolver>} styles
+ * @param {Element} el
+ * @param {number} [scale=1]
+ * @returns {StrokeStyle}
+ *
+ * @typedef {Object} StrokeStyle
+ * @property {'butt'|'round'|'square'} linecap
+ * @property {string} linejoin
+ * @property {number} miterlimit
+ * @property {number[]|null} dashArray  even-length on/off list, or null
+ * @property {number} dashOffset
+ */
+export function strokeStyleOf(styles, el, scale = 1) {
+  const linecap = (styles.get(el, 'stroke-linecap') || '').trim()
+  const linejoin = (styles.get(el, 'stroke-linejoin') || '').trim()
+  const miterlimit = parseFloat(styles.get(el, 'stroke-miterlimit') ?? '4')
+  const dashArray = parseDashArray(styles.get(el, 'stroke-dasharray'))
+  const dashOffset = parseFloat(styles.get(el, 'stroke-dashoffset') ?? '0')
+  return {
+    linecap: LINECAPS.has(linecap) ? linecap : 'butt',
+    linejoin: LINEJOINS.has(linejoin) ? linejoin : 'miter',
+    miterlimit: miterlimit >= 1 ? miterlimit : 4,
+    dashArray: dashArray && dashArray.map((n) => n * scale),
+    dashOffset: (Number.isFinite(dashOffset) ? dashOffset : 0) * scale,
+  }
+}
+
+// SVGLoader only flags `Z` and <polygon> as closed; these are closed too.
+const CLOSED_SHAPES = new Set(['rect', 'circle', 'ellipse'])
+
+/**
+ * Flattened centerlines of an SVGLoader ShapePath, one per subpath, with
+ * curves within `tolerance` (as clipMask.js's flattenPathD). Closed
+ * subpaths drop the repeated start point SVGLoader appends.
+ *
+ * @returns {{points: {x: number, y: number}[], closed: boolean}[]}
+ */
+export function subPathPolylines(shapePath, tolerance = DEFAULT_CURVE_TOLERANCE_MM) {
+  const node = shapePath.userData?.node
+  const closedShape = node ? CLOSED_SHAPES.has(localName(node)) : false
+  const polylines = []
+  for (const subPath of shapePath.subPaths) {
+    const points = flattenSubPath(subPath, tolerance)
+    if (points.length === 0) continue
+    const closed = closedShape || Boolean(subPath.autoClose)
+    if (closed && points.length > 1) {
+      const first = points[0]
+      const last = points[points.length - 1]
+      if (first.x === last.x && first.y === last.y) points.pop()
+    }
+    polylines.push({ points, closed })
+  }
+  return polylines
+}
+
+/** Flatten a centerline d-string (absolute coords) into polylines. */
+export function flattenStrokeD(d, tolerance = DEFAULT_CURVE_TOLERANCE_MM) {
+  const data = new SVGLoader().parse(
+    `<svg xmlns="http://www.w3.org/2000/svg"><path d="${d}"/></svg>`
+  )
+  return data.paths.flatMap((shapePath) => subPathPolylines(shapePath, tolerance))
+}
+
+/**
+ * Split polylines into open dashes. The pattern restarts at each subpath;
+ * a closed subpath is walked around back to its start.
+ */
+export function dashPolylines(polylines, dashArray, dashOffset = 0) {
+  const period = dashArray.reduce((a, b) => a + b, 0)
+  const dashes = []
+  for (const { points, closed } of polylines) {
+    const pts = closed ? [...points, points[0]] : points
+
+    // Find where in the pattern the subpath starts. A zero-length dash
+    // right at the start still paints.
+    let idx = 0
+    let phase = ((dashOffset % period) + period) % period
+    while (phase > 0 && phase >= dashArray[idx]) {
+      phase -= dashArray[idx]
+      idx = (idx + 1) % dashArray.length
+    }
+    let remaining = dashArray[idx] - phase
+    let current = idx % 2 === 0 ? [pts[0]] : null
+
+    for (let i = 1; i < pts.length; i++) {
+      const a = pts[i - 1]
+      const b = pts[i]
+      const segLen = Math.hypot(b.x - a.x, b.y - a.y)
+      let t = 0
+      while (segLen - t > remaining) {
+        t += remaining
+        const p = {
+          x: a.x + ((b.x - a.x) * t) / segLen,
+          y: a.y + ((b.y - a.y) * t) / segLen,
+        }
+        if (current) {
+          current.push(p)
+          dashes.push({ points: current, closed: false })
+          current = null
+        } else {
+          current = [p]
+        }
+        idx = (idx + 1) % dashArray.length
+        remaining = dashArray[idx]
+      }
+      remaining -= segLen - t
+      if (current) current.push(b)
+    }
+    if (current) dashes.push({ points: current, closed: false })
+  }
+  return dashes
+}
+
+/**
+ * Offset stroked polylines (absolute coords) by strokeWidth/2 into filled
+ * ribbon rings. The rings aren't unioned with each other; fill them
+ * nonzero (Clipper emits every outer with the same orientation).
+ *
+ * @param {{points: {x: number, y: number}[], closed: boolean}[]} polylines
+ * @param {number} strokeWidth
+ * @param {Partial<StrokeStyle>} [style]  SVG initial values when omitted
+ * @param {import('./clipperSpace.js').ClipperSpace} [space]  Clipper space
+ *   to offset in; the polylines' own by default. Pass the document's so
+ *   every stroke's round caps and joins get the same accuracy.
+ * @returns {{x: number, y: number}[][]}
+ */
+export function strokeRibbons(
+  polylines,
+  strokeWidth,
+  style = {},
+  space = clipperSpaceFor(
+    polylines.map((line) => line.points),
+    strokeWidth / 2
+  )
+) {
+  const ribbons = []
+  if (!(strokeWidth > 0)) return ribbons
+  const {
+    linecap = 'butt',
+    linejoin = 'miter',
+    miterlimit = 4,
+    dashArray = null,
+    dashOffset = 0,
+  } = style
+  const pieces = dashArray ? dashPolylines(polylines, dashArray, dashOffset) : polylines
+
+  for (const { points, closed } of pieces) {
+    const path = space.toPath(points)
+    if (path.length === 0) continue
+    let join = joinType(linejoin)
+    let end = closed ? ClipperLib.EndType.etClosedLine : END_TYPES[linecap]
+    if (path.every((p) => p.X === path[0].X && p.Y === path[0].Y)) {
+      // Zero-length: only caps paint. Clipper draws a lone point with the
+      // join type, so pick the one shaped like the cap.
+      if (closed || linecap === 'butt') continue
+      join = linecap === 'round' ? ClipperLib.JoinType.jtRound : ClipperLib.JoinType.jtSquare
+    } else if (closed && path.length < 3) {
+      // `M a L b Z` doubles back on itself: the two 180° joins are all
+      // that end it — flat unless the joins are round.
+      end = linejoin === 'round' ? END_TYPES.round : END_TYPES.butt
+    }
+
+    const co = new ClipperLib.ClipperOffset(miterlimit, space.arcTolerance)
+    co.AddPath(path, join, end)
+    const solution = new ClipperLib.Paths()
+    co.Execute(solution, space.toDelta(strokeWidth / 2))
+    for (const ring of solution) {
+      if (ring.length >= 3) ribbons.push(space.toRing(ring))
+    }
+  }
+  return ribbons
+}
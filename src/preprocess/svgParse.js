@@ -3,9 +3,10 @@
  *
  * Python uses svgelements + shapely.symmetric_difference for XOR/evenodd hole
  * handling. We split the work:
- *   - Three.js `SVGLoader` parses the SVG and flattens curves (arcs, Béziers)
- *     into polylines, one per <path> subpath. This handles all the SVG path
- *     syntax we'd otherwise have to write ourselves.
+ *   - Three.js `SVGLoader` parses the SVG into curves (arcs, Béziers), one
+ *     run per <path> subpath. This handles all the SVG path syntax we'd
+ *     otherwise have to write ourselves. flatten.js turns them into
+ *     polylines within a chord tolerance given in mm.
  *   - `clipper-lib` does the actual XOR via Clipper's `pftEvenOdd` poly-fill
  *     type. Three.js's `path.toShapes(false)` uses winding-direction heuristics
  *     rather than pure evenodd, which diverges from Python on nested holes —
@@ -30,82 +31,32 @@
 import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js'
 import ClipperLib from 'clipper-lib'
 
-const DEFAULT_CURVE_DIVISIONS = 32
-
-// Clipper works in integers for numeric stability. Scale up SVG units before
-// feeding in, scale down after. 1000 = sub-millimeter precision for any
-// reasonable mirror-tile SVG, well clear of Clipper's 32-bit safe range.
-const CLIPPER_SCALE = 1000
-
-function pointsToClipperPath(points) {
-  return points.map((p) => ({
-    X: Math.round(p.x * CLIPPER_SCALE),
-    Y: Math.round(p.y * CLIPPER_SCALE),
-  }))
-}
-
-function clipperPathToPoints(path) {
-  return path.map((p) => ({ x: p.X / CLIPPER_SCALE, y: p.Y / CLIPPER_SCALE }))
-}
-
-// clipper-lib exposes some PolyNode/PolyTree members as functions and others
-// as properties depending on version. Normalize both styles.
-function readMember(node, name) {
-  if (node == null) return undefined
-  const m = node[name]
-  if (typeof m === 'function') return m.call(node)
-  return m
-}
-
-function getChilds(node) {
-  const c = readMember(node, 'Childs')
-  return Array.isArray(c) ? c : []
-}
-
-function isHole(node) {
-  return Boolean(readMember(node, 'IsHole'))
-}
-
-function getContour(node) {
-  return readMember(node, 'Contour') || []
-}
-
-/**
- * Walk a PolyTree, emitting `{outer, holes}` polygons. Recurses through
- * `child.Childs` so islands nested inside holes (the inner-disc case in
- * nested_holes.svg) come out as their own top-level polygons — matches
- * Python's `MultiPolygon.geoms` semantics exactly.
- */
-function collectPolygonsFromPolyTree(node, polygons) {
-  if (!node) return
-  const contour = getContour(node)
-  if (!isHole(node) && contour.length >= 3) {
-    const outer = clipperPathToPoints(contour)
-    const holes = []
-    for (const child of getChilds(node)) {
-      const childContour = getContour(child)
-      if (isHole(child) && childContour.length >= 3) {
-        holes.push(clipperPathToPoints(childContour))
-      }
-      // Grandchildren of an outer node (whether through a hole or directly)
-      // are nested-inside-hole islands; surface them as separate polygons.
-      for (const grandchild of getChilds(child)) {
-        collectPolygonsFromPolyTree(grandchild, polygons)
-      }
-    }
-    polygons.push({ outer, holes })
-  } else {
-    for (const child of getChilds(node)) {
-      collectPolygonsFromPolyTree(child, polygons)
-    }
-  }
-}
+import { clipRingsToRegion, createClipResolver, mayHaveClipOrMask } from './clipMask.js'
+import { clipperSpaceFor } from './clipperSpace.js'
+import { createStyleResolver } from './cssStyle.js'
+import { controlExtent, curveTolerance, flattenSubPath } from './flatten.js'
+import { ringArea } from './geometry.js'
+import { normalizeSvgText } from './normalize.js'
+import { lengthToUserUnits, physicalSizeOf } from './physicalSize.js'
+import { inNonRenderedContainer } from './shapes.js'
+import { outlineRing } from './simplify.js'
+import { strokeRibbons, strokeStyleOf, subPathPolylines } from './stroke.js'
 
 /**
  * @param {string} svgString
  * @param {Object} [opts]
- * @param {number} [opts.curveDivisions=32]   Béziers/arcs sampled to this many segments per curve.
- * @returns {{ polygons: Polygon[], viewBox: {x:number,y:number,w:number,h:number} }}
+ * @param {number} [opts.curveToleranceMm=DEFAULT_CURVE_TOLERANCE_MM]  how
+ *   far a flattened curve's chords may stray from it
+ * @param {number} [opts.unitsPerMm]  SVG units per mm for that tolerance;
+ *   from the document's size when unset (see flatten.js's curveTolerance)
+ * @returns {{
+ *   polygons: Polygon[],
+ *   viewBox: {x:number,y:number,w:number,h:number},
+ *   physicalSize: import('./physicalSize.js').PhysicalSize | null,
+ *   warnings: string[],
+ * }}  `physicalSize` is the document's own size, when its width/height
+ *   carry absolute units; `warnings` lists clip-paths / masks that
+ *   couldn't be applied.
  *
  * @typedef {Object} Point
  * @property {number} x
@@ -116,26 +67,46 @@ function collectPolygonsFromPolyTree(node, polygons) {
  * @property {Point[][]} holes
  */
 export function parseSvgToPolygons(svgString, opts = {}) {
-  const { curveDivisions = DEFAULT_CURVE_DIVISIONS } = opts
-
+  // SVGLoader draws <symbol> content in place and ignores use x/y; inline
+  // instances up front so it only sees plain geometry.
+  svgString = normalizeSvgText(svgString)
   const data = new SVGLoader().parse(svgString)
+  const root = new DOMParser().parseFromString(svgString, 'image/svg+xml').documentElement
+  const tolerance = curveTolerance(root, { ...opts, extent: controlExtent(data.paths) })
 
-  // Step 1: flatten every <path> subpath into a closed polyline.
+  // Step 1: flatten every <path> subpath into a closed polyline. Paths
+  // under a clip-path / mask are intersected with its region first; the
+  // clipped result is non-overlapping, so the evenodd XOR below keeps it.
   const rings = []
+  let clips = null
+  if (mayHaveClipOrMask(svgString) && data.paths.length > 0) {
+    const doc = data.paths[0].userData.node.ownerDocument
+    clips = createClipResolver(doc, createStyleResolver(doc), { curveTolerance: tolerance })
+  }
   for (const shapePath of data.paths) {
+    const node = shapePath.userData?.node
+    // SVGLoader only skips <defs>; clipPath/mask/pattern content elsewhere
+    // would otherwise be cut as if it were artwork.
+    if (node && inNonRenderedContainer(node)) continue
+    let pathRings = []
     for (const subPath of shapePath.subPaths) {
-      const pts = subPath.getPoints(curveDivisions)
-      if (pts.length < 3) continue
-      rings.push(pointsToClipperPath(pts.map((p) => ({ x: p.x, y: p.y }))))
+      const pts = flattenSubPath(subPath, tolerance)
+      if (pts.length >= 3) pathRings.push(pts)
     }
+    const region = clips && node ? clips.regionFor(node) : null
+    if (region !== null) pathRings = clipRingsToRegion(pathRings, region, 'evenodd')
+    rings.push(...pathRings)
   }
 
   // Step 2: XOR them all together via Clipper's even-odd rule. This is the
   // direct JS equivalent of Python's `result.symmetric_difference(p)` loop.
-  const polygons = []
+  // Clipper works on integers: the document's own box is scaled into its
+  // working range (clipperSpace.js) and the result mapped back.
+  let polygons = []
   if (rings.length > 0) {
+    const space = clipperSpaceFor(rings)
     const clipper = new ClipperLib.Clipper()
-    clipper.AddPaths(rings, ClipperLib.PolyType.ptSubject, true)
+    clipper.AddPaths(space.toPaths(rings), ClipperLib.PolyType.ptSubject, true)
     const polyTree = new ClipperLib.PolyTree()
     clipper.Execute(
       ClipperLib.ClipType.ctUnion,
@@ -143,19 +114,18 @@ export function parseSvgToPolygons(svgString, opts = {}) {
       ClipperLib.PolyFillType.pftEvenOdd,
       ClipperLib.PolyFillType.pftEvenOdd
     )
-    // PolyTree's synthetic root holds the top-level outers in Childs.
-    for (const child of getChilds(polyTree)) {
-      collectPolygonsFromPolyTree(child, polygons)
-    }
+    polygons = space.toPolygons(polyTree)
   }
 
-  const viewBox = parseViewBox(svgString, polygons)
-  return { polygons, viewBox }
+  return {
+    polygons,
+    viewBox: parseViewBox(root, polygons),
+    physicalSize: physicalSizeOf(root),
+    warnings: clips ? clips.warnings : [],
+  }
 }
 
-function parseViewBox(svgString, polygons) {
-  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml')
-  const root = doc.documentElement
+function parseViewBox(root, polygons) {
   const vbAttr = root.getAttribute('viewBox')
   if (vbAttr) {
     const parts = vbAttr.trim().split(/[\s,]+/).map(Number)
@@ -163,8 +133,9 @@ function parseViewBox(svgString, polygons) {
       return { x: parts[0], y: parts[1], w: parts[2], h: parts[3] }
     }
   }
-  const w = parseFloat(root.getAttribute('width') || '0')
-  const h = parseFloat(root.getAttribute('height') || '0')
+  // Without a viewBox, user units are CSS px: width="120mm" spans 453.5.
+  const w = lengthToUserUnits(root.getAttribute('width'))
+  const h = lengthToUserUnits(root.getAttribute('height'))
   if (w > 0 && h > 0) return { x: 0, y: 0, w, h }
   return bboxUnion(polygons)
 }
@@ -185,12 +156,36 @@ function bboxUnion(polygons) {
 
 /* ---------------- inverse: polygons → SVG ---------------- */
 
-function ringToD(ring) {
+/**
+ * One closed ring as a path `d` string, simplified within `tolerance` as
+ * polygonsToSvg describes below.
+ * @param {Point[]} ring
+ * @param {{tolerance?: number, fitCurves?: boolean}} [opts]
+ * @returns {string}
+ */
+export function ringToD(ring, { tolerance = 0, fitCurves = false } = {}) {
   if (!ring || ring.length === 0) return ''
-  const parts = [`M${ring[0].x.toFixed(6)},${ring[0].y.toFixed(6)}`]
-  for (let i = 1; i < ring.length; i++) {
-    parts.push(`L${ring[i].x.toFixed(6)},${ring[i].y.toFixed(6)}`)
+  if (!(tolerance > 0)) {
+    const parts = [`M${ring[0].x.toFixed(6)},${ring[0].y.toFixed(6)}`]
+    for (let i = 1; i < ring.length; i++) {
+      parts.push(`L${ring[i].x.toFixed(6)},${ring[i].y.toFixed(6)}`)
+    }
+    parts.push('Z')
+    return parts.join(' ')
   }
+
+  // Print only the decimals the tolerance needs; the rounding (≤ 0.07 of
+  // the tolerance) comes out of the geometric budget.
+  const decimals = Math.min(6, Math.max(0, Math.ceil(-Math.log10(tolerance / 10))))
+  const roundingError = 0.5 * Math.SQRT2 * 10 ** -decimals
+  const { start, segments } = outlineRing(ring, tolerance - roundingError, { fitCurves })
+  const fmt = (p) => `${+p.x.toFixed(decimals)},${+p.y.toFixed(decimals)}`
+  const parts = [`M${fmt(start)}`]
+  segments.forEach((seg, i) => {
+    if (seg.c1) parts.push(`C${fmt(seg.c1)} ${fmt(seg.c2)} ${fmt(seg.to)}`)
+    // Z draws the closing line itself.
+    else if (i < segments.length - 1) parts.push(`L${fmt(seg.to)}`)
+  })
   parts.push('Z')
   return parts.join(' ')
 }
@@ -201,17 +196,25 @@ function ringToD(ring) {
  * a single d-string with `fill-rule="evenodd"`. The 5 islands of `fox.canonical.svg`
  * round-trip as 5 separate `<path>` elements through this writer.
  *
+ * With a `tolerance` (SVG units) each ring is simplified — and with
+ * `fitCurves`, refit with cubic Béziers — within that Hausdorff distance,
+ * and coordinates are printed to the precision it needs (simplify.js).
+ * Without one, every vertex is written as-is to six decimals.
+ *
  * @param {Polygon[]} polygons
  * @param {{x:number,y:number,w:number,h:number}} viewBox
+ * @param {{tolerance?: number, fitCurves?: boolean}} [opts]
  * @returns {string}
  */
-export function polygonsToSvg(polygons, viewBox) {
+export function polygonsToSvg(polygons, viewBox, opts = {}) {
   const { x, y, w, h } = viewBox
   const parts = [
     `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="${x} ${y} ${w} ${h}">\n`,
   ]
   for (const poly of polygons) {
-    const rings = [ringToD(poly.outer), ...poly.holes.map(ringToD)].filter(Boolean)
+    const rings = [poly.outer, ...poly.holes]
+      .map((ring) => ringToD(ring, opts))
+      .filter(Boolean)
     if (rings.length === 0) continue
     const d = rings.join(' ')
     parts.push(`  <path d="${d}" fill="#000000" fill-rule="evenodd"/>\n`)
@@ -220,11 +223,48 @@ export function polygonsToSvg(polygons, viewBox) {
   return parts.join('')
 }
 
+/**
+ * Path nodes (M / L / C commands) across every `d` attribute of an SVG
+ * written by polygonsToSvg.
+ * @param {string} svg
+ * @returns {number}
+ */
+export function countPathNodes(svg) {
+  let n = 0
+  for (const [, d] of svg.matchAll(/\sd="([^"]*)"/g)) {
+    n += (d.match(/[MLC]/g) || []).length
+  }
+  return n
+}
+
 /* ---------------- stroke → fill (for line-art SVGs) ---------------- */
 
+/**
+ * Union closed rings into `{outer, holes}` polygons under one fill rule.
+ * @param {Point[][]} rings
+ * @param {'nonzero'|'evenodd'} [fillRule='nonzero']
+ * @returns {Polygon[]}
+ */
+export function unionRings(rings, fillRule = 'nonzero') {
+  if (rings.length === 0) return []
+  const pft =
+    fillRule === 'evenodd'
+      ? ClipperLib.PolyFillType.pftEvenOdd
+      : ClipperLib.PolyFillType.pftNonZero
+  const space = clipperSpaceFor(rings)
+  const clipper = new ClipperLib.Clipper()
+  clipper.AddPaths(space.toPaths(rings), ClipperLib.PolyType.ptSubject, true)
+  const polyTree = new ClipperLib.PolyTree()
+  clipper.Execute(ClipperLib.ClipType.ctUnion, polyTree, pft, pft)
+  return space.toPolygons(polyTree)
+}
+
 /**
  * Walk every stroked path in an SVG, offset each polyline by stroke-width/2
- * via Clipper, union the results, and emit a flat black-fill SVG. Lossless
+ * via Clipper (caps, joins and dashes per stroke.js), union the results, and
+ * emit a flat black-fill SVG. Strokes are filtered as parseSvgToPolygons
+ * filters fills: none inside `<clipPath>`, `<mask>` etc., and each trimmed
+ * to its clip-path / mask region (clipMask.js). Lossless
  * conversion that preserves the source stroke widths exactly — unlike the
  * rasterize-then-trace path which is bitmap-resolution-bound and gets eaten
  * by downstream nozzle rounding.
@@ -233,82 +273,59 @@ export function polygonsToSvg(polygons, viewBox) {
  * raster path for truly empty / pictorial inputs).
  *
  * @param {string} svgText
+ * @param {{curveToleranceMm?: number, unitsPerMm?: number}} [opts]  curve
+ *   flattening, as for parseSvgToPolygons
  * @returns {string|null}
  */
-export function strokesToBlackSvg(svgText) {
+export function strokesToBlackSvg(svgText, opts = {}) {
+  svgText = normalizeSvgText(svgText)
   const data = new SVGLoader().parse(svgText)
-
-  const offsetPolys = []
+  const root = new DOMParser().parseFromString(svgText, 'image/svg+xml').documentElement
+  const tolerance = curveTolerance(root, { ...opts, extent: controlExtent(data.paths) })
+
+  // SVGLoader doesn't read dash properties, so the stroke style comes from
+  // the shared cascade over the document SVGLoader parsed.
+  const doc = data.xml.ownerDocument
+  const styles = createStyleResolver(doc)
+  const clips = mayHaveClipOrMask(svgText)
+    ? createClipResolver(doc, styles, { curveTolerance: tolerance })
+    : null
+
+  const strokes = []
   for (const path of data.paths) {
+    const node = path.userData?.node
+    // Same filtering as parseSvgToPolygons: strokes that only paint by
+    // reference never reach the cut, and clipped ones are trimmed below.
+    if (node && inNonRenderedContainer(node)) continue
+    const region = clips && node ? clips.regionFor(node) : null
+    if (region !== null && region.length === 0) continue
     const style = path.userData?.style || {}
     const stroke = style.stroke
     if (!stroke || stroke === 'none' || stroke === 'transparent') continue
-    const strokeWidth = parseFloat(style.strokeWidth) || 0
-    if (strokeWidth <= 0) continue
-    const halfWidth = strokeWidth / 2
-
-    for (const subPath of path.subPaths) {
-      const pts = subPath.getPoints(DEFAULT_CURVE_DIVISIONS)
-      if (pts.length < 2) continue
-
-      const clip = pts.map((p) => ({
-        X: Math.round(p.x * CLIPPER_SCALE),
-        Y: Math.round(p.y * CLIPPER_SCALE),
-      }))
-
-      const co = new ClipperLib.ClipperOffset(2.0, 0.25)
-      co.AddPath(
-        clip,
-        ClipperLib.JoinType.jtRound,
-        ClipperLib.EndType.etOpenRound
-      )
-      const solution = new ClipperLib.Paths()
-      co.Execute(solution, halfWidth * CLIPPER_SCALE)
-      for (const ring of solution) {
-        if (ring.length >= 3) offsetPolys.push(ring)
-      }
-    }
+    strokes.push({
+      polylines: subPathPolylines(path, tolerance),
+      strokeWidth: parseFloat(style.strokeWidth) || 0,
+      style: strokeStyleOf(styles, node),
+      region,
+    })
   }
 
-  if (offsetPolys.length === 0) return null
-
-  // Union all stroke ribbons so overlapping ones merge cleanly.
-  const clipper = new ClipperLib.Clipper()
-  clipper.AddPaths(offsetPolys, ClipperLib.PolyType.ptSubject, true)
-  const polyTree = new ClipperLib.PolyTree()
-  clipper.Execute(
-    ClipperLib.ClipType.ctUnion,
-    polyTree,
-    ClipperLib.PolyFillType.pftNonZero,
-    ClipperLib.PolyFillType.pftNonZero
+  // Every stroke offsets in the one space, sized for the widest.
+  const space = clipperSpaceFor(
+    strokes.flatMap(({ polylines }) => polylines.map((line) => line.points)),
+    strokes.reduce((widest, { strokeWidth }) => Math.max(widest, strokeWidth / 2), 0)
+  )
+  const ribbons = strokes.flatMap(({ polylines, strokeWidth, style, region }) =>
+    clipRingsToRegion(strokeRibbons(polylines, strokeWidth, style, space), region, 'nonzero')
   )
 
-  const polygons = []
-  function walk(node) {
-    if (!node) return
-    const contour = getContour(node)
-    if (!isHole(node) && contour.length >= 3) {
-      const outer = clipperPathToPoints(contour)
-      const holes = []
-      for (const child of getChilds(node)) {
-        const cc = getContour(child)
-        if (isHole(child) && cc.length >= 3) {
-          holes.push(clipperPathToPoints(cc))
-        }
-        for (const gc of getChilds(child)) walk(gc)
-      }
-      polygons.push({ outer, holes })
-    } else {
-      for (const child of getChilds(node)) walk(child)
-    }
-  }
-  for (const child of getChilds(polyTree)) walk(child)
+  if (ribbons.length === 0) return null
 
+  // Union all stroke ribbons so overlapping ones merge cleanly.
+  const polygons = unionRings(ribbons)
   if (polygons.length === 0) return null
 
   // Source viewBox so the offset polygons land in the right user-space.
-  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml')
-  const root = doc.documentElement
   let viewBox = { x: 0, y: 0, w: 100, h: 100 }
   const vbAttr = root.getAttribute('viewBox')
   if (vbAttr) {
@@ -317,8 +334,8 @@ export function strokesToBlackSvg(svgText) {
       viewBox = { x: parts[0], y: parts[1], w: parts[2], h: parts[3] }
     }
   } else {
-    const w = parseFloat(root.getAttribute('width') || '0')
-    const h = parseFloat(root.getAttribute('height') || '0')
+    const w = lengthToUserUnits(root.getAttribute('width'))
+    const h = lengthToUserUnits(root.getAttribute('height'))
     if (w > 0 && h > 0) viewBox = { x: 0, y: 0, w, h }
   }
 
@@ -327,19 +344,8 @@ export function strokesToBlackSvg(svgText) {
 
 /* ---------------- small geometry helpers used by chunk 5 ---------------- */
 
-/**
- * Shoelace area of a closed ring (sign indicates orientation).
- */
-export function ringArea(ring) {
-  if (!ring || ring.length < 3) return 0
-  let sum = 0
-  for (let i = 0; i < ring.length; i++) {
-    const a = ring[i]
-    const b = ring[(i + 1) % ring.length]
-    sum += a.x * b.y - b.x * a.y
-  }
-  return sum / 2
-}
+// Lives in the dependency-free geometry.js; re-exported for svgParse's callers.
+export { ringArea }
 
 /**
  * Signed area: outer - sum(holes). Always returns a non-negative number; the
@@ -0,0 +1,63 @@
+/**
+ * Web Worker entry for the preprocessing pipeline. Keeps the trace and the
+ * Clipper offset chains off the main thread so slider drags on dense art
+ * don't freeze the UI.
+ *
+ * Message protocol (all messages carry the request `id`):
+ *
+ *   main → worker   { id, task, args }
+ *   worker → main   { id, type: 'progress', stage, step, total }
+ *                   { id, type: 'result', result }
+ *                   { id, type: 'error', name, message }
+ *
+ * `task` names a public export of ./index.js. Cancellation isn't a
+ * message: the tasks are CPU-bound and never yield long enough to read
+ * one, so workerClient.js terminates the worker instead — the only way to
+ * actually abandon an in-flight trace.
+ *
+ * Workers have no DOMParser / XMLSerializer, which svgParse (and SVGLoader
+ * under it) and normalize.js need to read and rewrite SVG text. xmldom
+ * covers the getAttribute / childNodes subset those use.
+ */
+import {
+  DOMParser as XmlDomParser,
+  XMLSerializer as XmlDomSerializer,
+} from '@xmldom/xmldom'
+
+import * as preprocess from './index.js'
+
+if (typeof self.DOMParser === 'undefined') {
+  self.DOMParser = XmlDomParser
+}
+if (typeof self.XMLSerializer === 'undefined') {
+  self.XMLSerializer = XmlDomSerializer
+}
+
+// Tasks shaped `(input, opts)` whose opts accept onProgress.
+const PROGRESS_TASKS = new Set(['preprocessRaster', 'applyManufacturability'])
+
+self.onmessage = async (e) => {
+  const { id, task, args = [] } = e.data
+  try {
+    const fn = preprocess[task]
+    if (typeof fn !== 'function') {
+      throw new Error(`preprocess worker: unknown task "${task}"`)
+    }
+    const callArgs = args.slice()
+    if (PROGRESS_TASKS.has(task)) {
+      callArgs[1] = {
+        ...callArgs[1],
+        onProgress: (p) => self.postMessage({ id, type: 'progress', ...p }),
+      }
+    }
+    const result = await fn(...callArgs)
+    self.postMessage({ id, type: 'result', result })
+  } catch (err) {
+    self.postMessage({
+      id,
+      type: 'error',
+      name: err?.name || 'Error',
+      message: err?.message || String(err),
+    })
+  }
+}
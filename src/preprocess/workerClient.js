@@ -0,0 +1,118 @@
+/**
+ * Main-thread side of the preprocess worker (see worker.js for the message
+ * protocol).
+ *
+ * `runPreprocessTask(task, args, { signal, onProgress })` mirrors a direct
+ * call into ./index.js but resolves off-thread. Aborting the signal rejects
+ * the task with an AbortError and terminates the worker running it, which
+ * is what actually stops an in-flight trace; any other queued tasks of the
+ * same kind are re-posted to a fresh worker so they aren't lost with it.
+ *
+ * Each task kind (the `task` name) gets its own worker, spawned lazily on
+ * first use and kept for the next call — the module graph behind it
+ * (jimp/potrace/clipper-lib) is the expensive part. Kinds don't share one
+ * so that cancelling, say, a manufacturability run superseded by a slider
+ * drag doesn't also throw away the laser or neon run computing alongside.
+ */
+
+let nextId = 1
+// task name → { worker, pending: Map<id, { args, resolve, reject, onProgress, cleanup }> }
+const lanes = new Map()
+
+function spawn(lane) {
+  const w = new Worker(new URL('./worker.js', import.meta.url), {
+    type: 'module',
+  })
+  w.onmessage = (e) => {
+    const { id, type } = e.data
+    const entry = lane.pending.get(id)
+    if (!entry) return
+    if (type === 'progress') {
+      const { stage, step, total } = e.data
+      entry.onProgress?.({ stage, step, total })
+      return
+    }
+    lane.pending.delete(id)
+    entry.cleanup()
+    if (type === 'result') {
+      entry.resolve(e.data.result)
+    } else {
+      const err = new Error(e.data.message)
+      err.name = e.data.name
+      entry.reject(err)
+    }
+  }
+  w.onerror = (e) => {
+    // Module-load or uncaught failure: nothing in flight can complete.
+    e.preventDefault?.()
+    const message = e.message || 'Preprocess worker crashed.'
+    for (const [id, entry] of lane.pending) {
+      lane.pending.delete(id)
+      entry.cleanup()
+      entry.reject(new Error(message))
+    }
+    w.terminate()
+    if (lane.worker === w) lane.worker = null
+  }
+  return w
+}
+
+function laneFor(task) {
+  let lane = lanes.get(task)
+  if (!lane) {
+    lane = { worker: null, pending: new Map() }
+    lanes.set(task, lane)
+  }
+  if (!lane.worker) lane.worker = spawn(lane)
+  return lane
+}
+
+function abortError() {
+  return new DOMException('Preprocessing was cancelled.', 'AbortError')
+}
+
+/**
+ * Kill a task kind's worker (abandoning whatever it's computing) and replay
+ * its surviving tasks on a new one.
+ */
+function restartLane(task) {
+  const lane = lanes.get(task)
+  lane.worker?.terminate()
+  lane.worker = null
+  if (lane.pending.size === 0) return
+  const w = laneFor(task).worker
+  for (const [id, entry] of lane.pending) {
+    w.postMessage({ id, task, args: entry.args })
+  }
+}
+
+/**
+ * @param {string} task   name of an ./index.js export
+ * @param {any[]} args    arguments for it (structured-cloned to the worker)
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ * @param {(e: {stage: string, step: number, total: number}) => void} [opts.onProgress]
+ * @returns {Promise<any>}
+ */
+export function runPreprocessTask(task, args, { signal, onProgress } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError())
+  return new Promise((resolve, reject) => {
+    const id = nextId++
+    const lane = laneFor(task)
+    const onAbort = () => {
+      if (!lane.pending.has(id)) return
+      lane.pending.delete(id)
+      reject(abortError())
+      restartLane(task)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    lane.pending.set(id, {
+      args,
+      resolve,
+      reject,
+      onProgress,
+      cleanup: () => signal?.removeEventListener('abort', onAbort),
+    })
+    lane.worker.postMessage({ id, task, args })
+  })
+}
@@ -60,16 +60,22 @@ export function captureCanvasSnapshot(canvasElement) {
 }
 
 const CUSTOM_SVG_FILENAME = 'custom-icon.svg';
+const CUSTOM_DXF_FILENAME = 'custom-icon.dxf';
+const CUSTOM_LASER_SVG_FILENAME = 'custom-icon.laser.svg';
+const CUSTOM_NEON_SVG_FILENAME = 'custom-icon.neon.svg';
 
 /**
  * Serializes the complete scene configuration. The custom SVG (which can
  * be many KB) is *not* embedded in the JSON — it's written as a sibling
  * file in the export ZIP and referenced by filename here.
+ *
+ * `production` carries the custom art's quote figures (PreprocessPanel's
+ * `onProductionEstimate` payload); presets have none.
  */
 export function serializeConfiguration(state) {
   const hasCustomSvg = state.customSvgPath && state.shapeType === 'custom';
   return {
-    version: '1.1.0',
+    version: '1.2.0',
     timestamp: new Date().toISOString(),
 
     icon: {
@@ -102,6 +108,8 @@ export function serializeConfiguration(state) {
       enableBloom: state.enableBloom,
     },
 
+    production: hasCustomSvg ? state.production ?? null : null,
+
     // Non-serialized: the raw SVG text travels alongside in the ZIP, not
     // here. Pass it to createExportZip directly via the customSvgPath arg.
   };
@@ -111,8 +119,20 @@ export function serializeConfiguration(state) {
  * Creates a ZIP with the configuration JSON, snapshot, custom SVG (if any),
  * and a README. The integrity hash inside the JSON covers the JSON only —
  * not a tamper-proof signature, just a checksum to catch corruption.
+ *
+ * `artifacts` are optional production files for the custom art, only
+ * written alongside a custom SVG: `dxf`, its cut in millimetres (preprocess
+ * `svgToDxf`), `laserSvg`, the kerf-compensated cut / engrave layers
+ * (preprocess `applyLaserOutput`), and `neonSvg`, the centerline as open
+ * paths for neon flex (preprocess `applyNeonFlex`).
  */
-export async function createExportZip(config, snapshotBlob, customerInfo = {}, customSvgPath = null) {
+export async function createExportZip(
+  config,
+  snapshotBlob,
+  customerInfo = {},
+  customSvgPath = null,
+  artifacts = {}
+) {
   const zip = new JSZip();
 
   const configWithMeta = {
@@ -144,6 +164,12 @@ export async function createExportZip(config, snapshotBlob, customerInfo = {}, c
 
   const hasCustomSvg = customSvgPath && config.icon.shapeType === 'custom';
   if (hasCustomSvg) zip.file(CUSTOM_SVG_FILENAME, customSvgPath);
+  const hasCustomDxf = hasCustomSvg && Boolean(artifacts.dxf);
+  if (hasCustomDxf) zip.file(CUSTOM_DXF_FILENAME, artifacts.dxf);
+  const hasLaserSvg = hasCustomSvg && Boolean(artifacts.laserSvg);
+  if (hasLaserSvg) zip.file(CUSTOM_LASER_SVG_FILENAME, artifacts.laserSvg);
+  const hasNeonSvg = hasCustomSvg && Boolean(artifacts.neonSvg);
+  if (hasNeonSvg) zip.file(CUSTOM_NEON_SVG_FILENAME, artifacts.neonSvg);
 
   zip.file(
     'README.txt',
@@ -157,7 +183,10 @@ Email: ${customerInfo.email || 'N/A'}
 Files Included:
 - configuration.json   Scene configuration with an integrity checksum
 - preview.png          Visual snapshot of the configured design${hasCustomSvg ? `
-- ${CUSTOM_SVG_FILENAME}       User-uploaded custom SVG icon` : ''}
+- ${CUSTOM_SVG_FILENAME}       User-uploaded custom SVG icon` : ''}${hasCustomDxf ? `
+- ${CUSTOM_DXF_FILENAME}       Custom icon cut geometry in millimetres (DXF)` : ''}${hasLaserSvg ? `
+- ${CUSTOM_LASER_SVG_FILENAME} Laser job: red hairline = cut, blue fill = engrave` : ''}${hasNeonSvg ? `
+- ${CUSTOM_NEON_SVG_FILENAME}  Neon flex centerline: one open path per run` : ''}
 
 The integrity checksum (SHA-256 of the config JSON) detects accidental
 corruption in transit. It is NOT a tamper-proof signature — a modified
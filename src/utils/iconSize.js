@@ -0,0 +1,56 @@
+/**
+ * Physical size of the icon in the finished mirror, derived from the same
+ * scene transform the 3D preview uses:
+ *
+ *   - SvgIcon normalizes the art's bounding box so its longest side is
+ *     ICON_TARGET_UNITS scene units,
+ *   - InfinityMirrorBox scales the icon by iconScale × ICON_SCENE_SCALE,
+ *   - and one scene unit is MM_PER_UNIT millimetres.
+ *
+ * The first reflection layer is clipped to the mirror opening (the frame
+ * minus its FRAME_BORDER_MM border on each side), so that bounds what
+ * actually gets made.
+ */
+
+export const MM_PER_UNIT = 10
+export const ICON_TARGET_UNITS = 10
+export const ICON_SCENE_SCALE = 1.5
+export const FRAME_BORDER_MM = 10
+
+/**
+ * @param {{frameWidthMm: number, frameHeightMm: number, iconScale: number}} scene
+ * @returns {{ longestSideMm: number, openingMm: {w: number, h: number} }}
+ *   `longestSideMm` is the art's bounding-box longest side as made
+ */
+export function iconSizeMm({ frameWidthMm, frameHeightMm, iconScale }) {
+  return {
+    longestSideMm: ICON_TARGET_UNITS * iconScale * ICON_SCENE_SCALE * MM_PER_UNIT,
+    openingMm: {
+      w: frameWidthMm - 2 * FRAME_BORDER_MM,
+      h: frameHeightMm - 2 * FRAME_BORDER_MM,
+    },
+  }
+}
+
+/**
+ * The iconScale that makes the art's longest side `longestSideMm` — the
+ * inverse of iconSizeMm.
+ * @param {number} longestSideMm
+ * @returns {number}
+ */
+export function iconScaleFor(longestSideMm) {
+  return longestSideMm / (ICON_TARGET_UNITS * ICON_SCENE_SCALE * MM_PER_UNIT)
+}
+
+/**
+ * Printed width × height: the art's size cut down to the mirror opening
+ * (the icon is centered on it before clipping).
+ * @param {{w: number, h: number}} artMm
+ * @param {{w: number, h: number}} openingMm
+ * @returns {{w: number, h: number, clipped: boolean}}
+ */
+export function printedSizeMm(artMm, openingMm) {
+  const w = Math.min(artMm.w, openingMm.w)
+  const h = Math.min(artMm.h, openingMm.h)
+  return { w, h, clipped: w < artMm.w || h < artMm.h }
+}
@@ -8,19 +8,22 @@ import { nodePolyfills } from 'vite-plugin-node-polyfills'
 // Polyfilling fixes the runtime; the polyfills are scoped to dev+build only
 // because vitest runs under real Node where those modules already exist
 // (polyfilling `path` in particular breaks fixture-loading test paths).
+const preprocessPolyfills = () =>
+  nodePolyfills({
+    include: ['buffer', 'util', 'stream', 'assert', 'zlib', 'process', 'fs', 'path'],
+    globals: { Buffer: true, process: true, global: true },
+    protocolImports: true,
+  })
+
 export default defineConfig(({ mode }) => ({
-  plugins: [
-    react(),
-    ...(mode === 'test'
-      ? []
-      : [
-          nodePolyfills({
-            include: ['buffer', 'util', 'stream', 'assert', 'zlib', 'process', 'fs', 'path'],
-            globals: { Buffer: true, process: true, global: true },
-            protocolImports: true,
-          }),
-        ]),
-  ],
+  plugins: [react(), ...(mode === 'test' ? [] : [preprocessPolyfills()])],
+  // The preprocess worker (src/preprocess/worker.js) is bundled separately
+  // and doesn't inherit `plugins`, but it imports the same jimp/potrace
+  // graph, so it needs the same polyfills.
+  worker: {
+    format: 'es',
+    plugins: () => (mode === 'test' ? [] : [preprocessPolyfills()]),
+  },
   // __dirname / __filename are CommonJS / Node globals that
   // vite-plugin-node-polyfills doesn't cover. Stub them at build time so
   // transitive deps that reference them (jimp / potrace's font loaders